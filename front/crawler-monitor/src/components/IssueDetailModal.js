@@ -5,6 +5,7 @@
  * - Issue type descriptions
  * - Expected vs actual value comparison
  * - Screenshot viewer
+ * - HAR download (recorded network traffic)
  * - Resolution guides
  */
 
@@ -18,6 +19,7 @@ import {
   Info,
   Book,
   Image as ImageIcon,
+  Download,
   X,
   Settings
 } from 'lucide-react';
@@ -36,6 +38,7 @@ function IssueDetailModal({ isOpen, onClose, result }) {
   const [updatingStatus, setUpdatingStatus] = useState(false);
   const [updatingActive, setUpdatingActive] = useState(false);
   const [updatingConsentMode, setUpdatingConsentMode] = useState(false); // Story 10.2
+  const [dataLayerTimeline, setDataLayerTimeline] = useState(null);
 
   /**
    * Close screenshot modal
@@ -52,6 +55,15 @@ function IssueDetailModal({ isOpen, onClose, result }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isOpen, result?.property_id]);
 
+  // Fetch dataLayer timeline on demand (not included in run results for payload size)
+  useEffect(() => {
+    setDataLayerTimeline(null);
+    if (isOpen && result?.id && result?.datalayer_push_count > 0) {
+      fetchDataLayerTimeline();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, result?.id]);
+
   // Debug: Log when hasConsentMode changes - Story 10.2
   useEffect(() => {
     console.log('[IssueDetailModal] hasConsentMode state changed to:', hasConsentMode);
@@ -125,6 +137,20 @@ function IssueDetailModal({ isOpen, onClose, result }) {
     }
   };
 
+  /**
+   * Fetch dataLayer timeline of this result from API
+   */
+  const fetchDataLayerTimeline = async () => {
+    try {
+      const response = await apiHelpers.getResultDataLayerTimeline(result.id);
+      if (response.success) {
+        setDataLayerTimeline(response.data);
+      }
+    } catch (error) {
+      console.error('[IssueDetailModal] Failed to fetch dataLayer timeline:', error);
+    }
+  };
+
   /**
    * Handle status change
    */
@@ -279,6 +305,186 @@ function IssueDetailModal({ isOpen, onClose, result }) {
         description: 'Consent Mode 사용 중 사용자 동의 거부로 GA4 이벤트가 전송되지 않았습니다.',
         severity: 'info',
       },
+      journey_step_failed: {
+        title: '사용자 여정 이벤트 검증 실패',
+        description: '스크립트로 정의된 사용자 여정(상품 조회, 장바구니 담기, 결제 시작 등)에서 기대한 GA4 이커머스 이벤트가 전송되지 않았거나 파라미터가 다릅니다.',
+        severity: 'critical',
+      },
+      ecommerce_items_empty: {
+        title: '이커머스 items 누락',
+        description: '이커머스 이벤트(view_item, add_to_cart, purchase 등)가 items 배열 없이 전송되었습니다.',
+        severity: 'medium',
+      },
+      ecommerce_item_id_missing: {
+        title: '이커머스 item_id 누락',
+        description: '이커머스 이벤트의 상품(items)에 item_id가 없습니다.',
+        severity: 'medium',
+      },
+      ecommerce_price_invalid: {
+        title: '이커머스 price 형식 오류',
+        description: '이커머스 이벤트의 상품 가격(price)이 숫자가 아닙니다. 통화 기호나 천 단위 구분자가 포함되었는지 확인하세요.',
+        severity: 'medium',
+      },
+      ecommerce_currency_missing: {
+        title: '이커머스 currency 누락',
+        description: '이커머스 이벤트가 통화(currency) 파라미터 없이 전송되어 매출 데이터가 집계되지 않을 수 있습니다.',
+        severity: 'medium',
+      },
+      consent_mode_v2_signals_missing: {
+        title: '동의 모드 v2 신호 누락',
+        description: 'GA4 히트에 ad_user_data, ad_personalization 동의 상태(gcd)가 포함되지 않았습니다. EEA 트래픽은 동의 모드 v2 신호가 없으면 광고 측정 및 리마케팅이 제한됩니다.',
+        severity: 'medium',
+      },
+      consent_reject_not_respected: {
+        title: '동의 거부 미반영',
+        description: '동의 배너에서 "모두 거부"를 선택한 뒤에도 Google 쿠키가 저장되거나 스토리지 허용 상태로 GA4 히트가 전송되었습니다.',
+        severity: 'high',
+      },
+      double_tagging: {
+        title: '중복 태깅',
+        description: '한 번의 페이지 로드에서 page_view가 여러 번 전송되었거나, 같은 GTM 컨테이너 또는 gtag config가 중복 실행되었습니다. GTM 태그와 하드코딩된 gtag 스니펫이 함께 있으면 세션과 조회수가 부풀려집니다.',
+        severity: 'high',
+      },
+      marketing_gtm_not_found: {
+        title: '마케팅 GTM 누락',
+        description: '프로퍼티에 설정된 마케팅 GTM 컨테이너가 페이지에서 로드되지 않았습니다. 매체 전환 태그가 실행되지 않아 광고 전환이 누락될 수 있습니다.',
+        severity: 'high',
+      },
+      gtm_unexpected_container: {
+        title: '예상하지 않은 GTM 컨테이너',
+        description: '웹 GTM과 마케팅 GTM 외에 다른 GTM 컨테이너가 로드되었습니다. 의도한 컨테이너인지 확인하세요.',
+        severity: 'low',
+      },
+      gtm_environment_not_live: {
+        title: '운영 사이트에 GTM 환경(미리보기) 스니펫 사용',
+        description: '운영 URL에서 gtm_auth / gtm_preview 파라미터가 포함된 GTM 환경 스니펫(예: 스테이징 환경)으로 컨테이너가 로드되었습니다. 게시되지 않은 태그가 실제 사용자에게 실행됩니다. 운영 사이트에는 Live 환경의 기본 스니펫을 사용하세요.',
+        severity: 'critical',
+      },
+      gtm_custom_datalayer_name: {
+        title: '기본값이 아닌 dataLayer 이름',
+        description: '운영 URL에서 GTM 컨테이너가 기본 dataLayer가 아닌 다른 이름(l 파라미터)으로 로드되었습니다. window.dataLayer로 push한 이벤트가 컨테이너에 전달되지 않습니다.',
+        severity: 'medium',
+      },
+      tag_latency_budget_exceeded: {
+        title: '태그 지연 예산 초과',
+        description: 'page_view 히트(없으면 첫 GA4 히트)가 프로퍼티에 설정된 지연 예산보다 늦게 전송되었습니다. 태그가 늦게 실행되면 빠르게 이탈한 사용자의 세션이 수집되지 않아 데이터 유실로 이어집니다.',
+        severity: 'medium',
+      },
+      bot_challenge: {
+        title: '봇 차단 페이지(CAPTCHA) 감지',
+        description: 'Cloudflare, Akamai, Imperva 등의 봇 차단 또는 CAPTCHA 페이지가 실제 페이지 대신 표시되었습니다. 태그가 실행될 수 없어 GA4/GTM 설정은 검증되지 않았습니다. 태깅 오류가 아니므로 크롤러 IP 허용 여부를 확인하세요.',
+        severity: 'medium',
+      },
+      access_blocked: {
+        title: '접근 차단 페이지 감지',
+        description: '접근 거부(403), 요청 제한(429) 또는 국가 차단 페이지가 실제 페이지 대신 표시되었습니다. 태그가 실행될 수 없어 GA4/GTM 설정은 검증되지 않았습니다. 태깅 오류가 아니므로 WAF 및 지역 차단 설정을 확인하세요.',
+        severity: 'medium',
+      },
+      gtm_blocked_by_csp: {
+        title: 'CSP로 인한 GTM 차단',
+        description: '페이지의 Content-Security-Policy(script-src 등)가 googletagmanager.com의 gtm.js 로드를 차단했습니다. CSP에 https://www.googletagmanager.com을 허용하거나 nonce를 GTM 스니펫에 적용하세요.',
+        severity: 'critical',
+      },
+      ga4_blocked_by_csp: {
+        title: 'CSP로 인한 GA4 차단',
+        description: '페이지의 Content-Security-Policy(script-src / connect-src 등)가 gtag.js 또는 GA4 수집 요청(google-analytics.com)을 차단했습니다. CSP에 GA4 도메인을 허용하세요.',
+        severity: 'critical',
+      },
+      gtm_request_failed: {
+        title: 'GTM 요청 실패',
+        description: 'gtm.js 요청이 네트워크 오류(DNS, 연결 실패, 클라이언트 차단 등)로 실패했습니다. 오류 코드와 요청 URL을 확인하세요.',
+        severity: 'critical',
+      },
+      ga4_request_failed: {
+        title: 'GA4 요청 실패',
+        description: 'gtag.js 또는 GA4 수집 요청이 네트워크 오류로 실패했습니다. 수집 요청이 실패하면 해당 히트가 GA4에 기록되지 않습니다.',
+        severity: 'medium',
+      },
+      script_error_before_gtm: {
+        title: 'GTM 로드 전 스크립트 오류',
+        description: 'GTM 컨테이너가 로드되지 않았고 페이지에서 처리되지 않은 스크립트 오류가 발생했습니다. GTM 스니펫보다 먼저 실행되는 사이트 스크립트의 오류가 GTM 초기화를 막고 있을 수 있습니다.',
+        severity: 'medium',
+      },
+      tag_missing: {
+        title: '마케팅 태그 누락',
+        description: '프로퍼티에 예상 태그로 등록된 마케팅 태그(Meta Pixel, Kakao Pixel, Naver Analytics, Criteo, Google Ads, Floodlight)의 요청이 페이지에서 발생하지 않았습니다. 매체 전환 및 리타게팅 모수가 누락될 수 있습니다.',
+        severity: 'medium',
+      },
+      tag_unexpected: {
+        title: '예상하지 않은 마케팅 태그',
+        description: '예상 태그로 등록되지 않은 마케팅 태그 요청이 발생했습니다. 종료된 캠페인 태그나 다른 계정의 태그인지 확인하세요.',
+        severity: 'low',
+      },
+      unexpected_final_domain: {
+        title: '예상하지 못한 도메인으로 리다이렉트',
+        description: '대표 URL이 프로퍼티 도메인이나 whitelist에 없는 도메인으로 리다이렉트되었습니다. 주차 도메인, 종료된 캠페인 사이트 또는 다른 국가 스토어로 이동하여 잘못된 사이트의 태그가 검증되었을 수 있습니다. 리다이렉트 체인을 확인하세요.',
+        severity: 'critical',
+      },
+      page_view_location_mismatch: {
+        title: 'page_view 위치(dl)와 실제 URL 불일치',
+        description: 'page_view의 page_location(dl)이 전송 시점의 페이지 URL과 다릅니다. SPA에서 라우트가 바뀐 뒤에도 이전 경로로 page_view가 전송되면 페이지 보고서가 잘못 집계됩니다.',
+        severity: 'medium',
+      },
+      title_mismatch: {
+        title: 'page_view 제목(dt)과 실제 문서 제목 불일치',
+        description: 'page_view의 page_title(dt)이 전송 시점의 document.title과 다릅니다. GTM에서 고정된 제목을 보내거나 SPA 셸 제목이 전송되고 있는지 확인하세요.',
+        severity: 'low',
+      },
+      spa_page_view_missing: {
+        title: 'SPA 라우트 변경 후 page_view 누락',
+        description: '클라이언트 측 라우트 변경(설정된 링크 클릭 또는 history.pushState) 후 새 위치의 page_view가 전송되지 않았습니다. GA4 향상된 측정의 "브라우저 방문 기록 이벤트 기반 페이지 변경" 또는 GTM 방문 기록 변경 트리거를 확인하세요.',
+        severity: 'critical',
+      },
+      ga_cookie_missing: {
+        title: 'GA4 _ga 쿠키 누락',
+        description: 'GA4 히트가 전송되었지만 _ga 클라이언트 ID 쿠키가 저장되지 않았습니다. 페이지를 이동할 때마다 새 사용자로 집계되어 사용자 수와 유입 경로가 왜곡됩니다. cookie_domain, cookie_flags 설정과 동의 모드 상태를 확인하세요.',
+        severity: 'critical',
+      },
+      ga_session_cookie_missing: {
+        title: 'GA4 세션 쿠키(_ga_<스트림>) 누락',
+        description: '기대 측정 ID의 세션 쿠키(_ga_<스트림 ID>)가 없습니다. 세션이 페이지마다 새로 시작되어 세션 수와 참여율이 왜곡될 수 있습니다. cookie_prefix 설정이나 다른 측정 ID가 로드되고 있는지 확인하세요.',
+        severity: 'medium',
+      },
+      ga_cookie_domain_mismatch: {
+        title: 'GA4 쿠키 도메인 오류',
+        description: 'GA4 쿠키가 최상위 도메인(.example.com)이 아닌 www. 등 하위 도메인에만 저장되었습니다. 서브도메인 간 이동 시 클라이언트 ID가 공유되지 않아 세션이 끊기고 유입이 자기 참조로 집계됩니다.',
+        severity: 'medium',
+      },
+      ga_cookie_expiry_short: {
+        title: 'GA4 쿠키 만료 기간 부족',
+        description: 'GA4 쿠키가 세션 쿠키이거나 만료 기간이 짧게 설정되었습니다(기본값 2년). 재방문 사용자가 신규 사용자로 집계됩니다. cookie_expires 설정을 확인하세요.',
+        severity: 'medium',
+      },
+      ga_cookie_cid_mismatch: {
+        title: '_ga 쿠키와 히트의 클라이언트 ID 불일치',
+        description: '_ga 쿠키의 클라이언트 ID와 GA4 히트의 cid가 다릅니다. 서버에서 cid를 덮어쓰거나 다른 cookie_prefix의 쿠키를 사용하고 있을 수 있습니다.',
+        severity: 'medium',
+      },
+      pii_in_payload: {
+        title: 'GA4 페이로드에 개인정보 포함',
+        description: 'GA4 히트의 파라미터(dl 쿼리스트링, dt, uid, ep.*, up.*)에 이메일, 휴대전화 번호, 주민등록번호 또는 이름이 포함되어 전송되었습니다. 개인정보 전송은 Google 애널리틱스 약관 위반이며 속성 데이터가 삭제될 수 있습니다. 저장된 결과에는 마스킹된 값만 표시됩니다.',
+        severity: 'critical',
+      },
+      cross_domain_linker_failed: {
+        title: '크로스 도메인 링커 실패',
+        description: 'whitelist 도메인으로 가는 링크에 _gl 링커 파라미터가 붙지 않았거나, 이동한 도메인의 GA4 히트가 다른 클라이언트 ID(cid)로 전송되었습니다. 도메인 간 이동 시 세션이 끊기고 유입 경로가 자기 참조로 집계됩니다.',
+        severity: 'medium',
+      },
+      event_param_rule_failed: {
+        title: '이벤트 파라미터 규칙 위반',
+        description: '프로퍼티 또는 계정 그룹에 등록된 이벤트 파라미터 규칙(예: page_view의 ep.site_env=PRD)을 만족하지 않는 GA4 히트가 전송되었습니다.',
+        severity: 'medium',
+      },
+      profile_validation_failed: {
+        title: '프로필 검증 실패',
+        description: '모바일 또는 다른 언어/시간대 프로필로 대표 URL을 검증했을 때 태깅 문제가 발견되었습니다. 모바일 웹 전용 마크업이나 GTM 컨테이너, 언어별 리다이렉트 페이지를 확인하세요.',
+        severity: 'high',
+      },
+      page_validation_failed: {
+        title: '추가 페이지 검증 실패',
+        description: '대표 URL 외 검증 대상 페이지(상품 목록, 상품 상세, 장바구니, 검색 등)에서 태깅 문제가 발견되었습니다.',
+        severity: 'high',
+      },
     };
 
     return descriptions[issueType] || {
@@ -301,6 +507,42 @@ function IssueDetailModal({ isOpen, onClose, result }) {
       multiple_gtm: 'https://support.google.com/tagmanager/answer/6103696',
       consent_mode_basic_detected: '#',  // Internal guide or wiki link
       no_ga4_events: '#',  // Internal guide or wiki link
+      page_validation_failed: 'https://support.google.com/tagmanager/answer/6103696',
+      profile_validation_failed: 'https://support.google.com/tagmanager/answer/6103696',
+      journey_step_failed: 'https://developers.google.com/analytics/devguides/collection/ga4/ecommerce',
+      ecommerce_items_empty: 'https://developers.google.com/analytics/devguides/collection/ga4/ecommerce',
+      ecommerce_item_id_missing: 'https://developers.google.com/analytics/devguides/collection/ga4/ecommerce',
+      ecommerce_price_invalid: 'https://developers.google.com/analytics/devguides/collection/ga4/ecommerce',
+      ecommerce_currency_missing: 'https://developers.google.com/analytics/devguides/collection/ga4/ecommerce',
+      consent_mode_v2_signals_missing: 'https://developers.google.com/tag-platform/security/guides/consent',
+      consent_reject_not_respected: 'https://developers.google.com/tag-platform/security/concepts/consent-mode',
+      double_tagging: 'https://support.google.com/analytics/answer/9304153',
+      marketing_gtm_not_found: 'https://support.google.com/tagmanager/answer/6103696',
+      gtm_unexpected_container: 'https://support.google.com/tagmanager/answer/6103696',
+      gtm_environment_not_live: 'https://support.google.com/tagmanager/answer/6311518',
+      gtm_custom_datalayer_name: 'https://developers.google.com/tag-platform/tag-manager/datalayer#rename_the_data_layer',
+      tag_latency_budget_exceeded: 'https://developers.google.com/tag-platform/tag-manager/web#standard_web_page_installation',
+      tag_missing: '#',  // Internal guide or wiki link
+      tag_unexpected: '#',  // Internal guide or wiki link
+      bot_challenge: '#',  // Internal guide or wiki link
+      access_blocked: '#',  // Internal guide or wiki link
+      gtm_blocked_by_csp: 'https://developers.google.com/tag-platform/security/guides/csp',
+      ga4_blocked_by_csp: 'https://developers.google.com/tag-platform/security/guides/csp',
+      gtm_request_failed: '#',  // Internal guide or wiki link
+      ga4_request_failed: '#',  // Internal guide or wiki link
+      script_error_before_gtm: '#',  // Internal guide or wiki link
+      cross_domain_linker_failed: 'https://support.google.com/analytics/answer/10071811',
+      unexpected_final_domain: '#',  // Internal guide or wiki link
+      pii_in_payload: 'https://support.google.com/analytics/answer/6366371',
+      ga_cookie_missing: 'https://developers.google.com/tag-platform/security/guides/cookie-usage',
+      ga_session_cookie_missing: 'https://developers.google.com/tag-platform/security/guides/cookie-usage',
+      ga_cookie_domain_mismatch: 'https://developers.google.com/analytics/devguides/collection/ga4/cookies-user-id',
+      ga_cookie_expiry_short: 'https://developers.google.com/analytics/devguides/collection/ga4/cookies-user-id',
+      ga_cookie_cid_mismatch: '#',  // Internal guide or wiki link
+      page_view_location_mismatch: 'https://developers.google.com/analytics/devguides/collection/ga4/single-page-applications',
+      title_mismatch: 'https://developers.google.com/analytics/devguides/collection/ga4/single-page-applications',
+      spa_page_view_missing: 'https://developers.google.com/analytics/devguides/collection/ga4/single-page-applications',
+      event_param_rule_failed: 'https://support.google.com/analytics/answer/9267735',
     };
 
     return guides[issueType] || 'https://support.google.com/analytics';
@@ -339,6 +581,141 @@ function IssueDetailModal({ isOpen, onClose, result }) {
   };
 
   const hasIssues = result.issues && result.issues.length > 0;
+  const hasPageResults = Array.isArray(result.page_results) && result.page_results.length > 0;
+  const hasProfileResults = Array.isArray(result.profile_results) && result.profile_results.length > 0;
+  const journeys = result.validation_details?.journeys?.journeys || [];
+  const collectEndpoints = result.validation_details?.collectEndpoints?.endpoints || [];
+  const consentStates = result.validation_details?.consentSignals?.states || null;
+  const consentScenarios = result.validation_details?.consentScenarios || null;
+  const timelineEntries = dataLayerTimeline?.entries || [];
+  const eventSummary = result.validation_details?.eventSummary || null;
+  const userProperties = Object.entries(eventSummary?.userProperties || {});
+  const numericParamEvents = Object.entries(eventSummary?.numericParams || {});
+  const eventRules = result.validation_details?.eventRules?.rules || [];
+  const crossDomain = result.validation_details?.crossDomain || null;
+  const spaRoute = result.validation_details?.spaRoute || null;
+  const gaCookies = result.validation_details?.cookies || null;
+  const tagInventory = result.validation_details?.tagInventory || null;
+  const tagLatency = result.validation_details?.tagLatency || null;
+  const pageDiagnostics = result.validation_details?.pageDiagnostics || null;
+  const pageClassification = result.validation_details?.pageClassification || null;
+  const redirects = result.validation_details?.redirects || null;
+  const piiFindings = [
+    ...(result.validation_details?.piiLeakage?.findings || []),
+    ...(result.validation_details?.journeys?.piiLeakage?.findings || []),
+  ];
+  const redirectTypeLabels = {
+    http: 'HTTP',
+    meta: 'meta refresh',
+    js: 'JavaScript',
+  };
+
+  /**
+   * Page diagnostics: CSP violations, failed GTM / GA4 requests, page and console errors
+   */
+  const diagnosticEntries = pageDiagnostics ? [
+    ...(pageDiagnostics.cspViolations || []).map((violation) => ({
+      kind: 'CSP 위반',
+      detail: `${violation.effectiveDirective || violation.violatedDirective}: ${violation.blockedURI}`,
+    })),
+    ...(pageDiagnostics.failedRequests || []).map((request) => ({
+      kind: '요청 실패',
+      detail: `${request.errorText || '-'}: ${request.url}`,
+    })),
+    ...(pageDiagnostics.pageErrors || []).map((error) => ({ kind: '페이지 오류', detail: error.message })),
+    ...(pageDiagnostics.consoleErrors || []).slice(0, 10).map((error) => ({ kind: '콘솔 오류', detail: error.message })),
+  ] : [];
+
+  /**
+   * Tag timing milestones (ms after navigation start, stored as result columns)
+   */
+  const tagTimingMilestones = [
+    { label: 'DOMContentLoaded', value: result.dom_content_loaded_ms },
+    { label: 'gtm.js 요청', value: result.gtm_request_ms },
+    { label: 'gtm.js 응답', value: result.gtm_response_ms },
+    { label: '첫 GA4 히트', value: result.first_ga4_hit_ms },
+    { label: 'page_view 히트', value: result.page_view_hit_ms },
+  ].filter(milestone => milestone.value !== null && milestone.value !== undefined);
+
+  /**
+   * dataLayer timeline entry labels
+   */
+  const timelineKindLabels = {
+    datalayer_push: 'dataLayer',
+    gtm_load: 'GTM 로드',
+    ga4_hit: 'GA4 히트',
+  };
+
+  /**
+   * Consent state labels decoded from gcs / gcd
+   */
+  const consentStateLabels = {
+    granted: '허용',
+    denied: '거부',
+    not_set: '미설정',
+  };
+
+  /**
+   * Event parameter rule status labels
+   */
+  const ruleStatusLabels = {
+    passed: '통과',
+    failed: '실패',
+    not_sent: '이벤트 미발생',
+    invalid: '규칙 오류',
+  };
+
+  /**
+   * Third-party marketing tag vendor labels
+   */
+  const tagVendorLabels = {
+    meta_pixel: 'Meta Pixel',
+    kakao_pixel: 'Kakao Pixel',
+    naver_analytics: 'Naver Analytics',
+    criteo: 'Criteo',
+    google_ads: 'Google Ads',
+    floodlight: 'Floodlight',
+  };
+
+  /**
+   * Consent scenario labels and inferred Consent Mode type
+   */
+  const consentScenarioLabels = {
+    none: '배너 미조작',
+    accept: '모두 동의',
+    reject: '모두 거부',
+  };
+
+  const consentModeLabels = {
+    basic: 'Basic (동의 전 전송 차단)',
+    advanced: 'Advanced (쿠키 없는 핑 전송)',
+    not_implemented: '미적용 (동의와 무관하게 전송)',
+    unknown: '판별 불가',
+  };
+
+  /**
+   * Page template labels for multi-page validation
+   */
+  const pageTypeLabels = {
+    home: '메인',
+    plp: '상품 목록',
+    pdp: '상품 상세',
+    cart: '장바구니',
+    search: '검색',
+    other: '기타',
+  };
+
+  /**
+   * Validation profile labels (device / locale)
+   */
+  const profileLabels = {
+    desktop: '데스크톱',
+    mobile_ios: '모바일 iOS',
+    mobile_android: '모바일 Android',
+    desktop_en_us: '데스크톱 (en-US)',
+    desktop_ja_jp: '데스크톱 (ja-JP)',
+    desktop_zh_cn: '데스크톱 (zh-CN)',
+  };
 
   return (
     <>
@@ -617,6 +994,622 @@ function IssueDetailModal({ isOpen, onClose, result }) {
             </div>
           </div>
 
+          {/* Bot challenge / access-blocked interstitial served instead of the page */}
+          {pageClassification && (
+            <div className="detail-section">
+              <h3 className="section-title">차단 페이지 감지</h3>
+              <table className="detail-table">
+                <tbody>
+                  <tr>
+                    <td>분류</td>
+                    <td><code>{pageClassification.classification}</code></td>
+                  </tr>
+                  <tr>
+                    <td>사유</td>
+                    <td>{pageClassification.reason}</td>
+                  </tr>
+                  <tr>
+                    <td>차단 솔루션</td>
+                    <td>{pageClassification.vendor || '-'}</td>
+                  </tr>
+                  <tr>
+                    <td>HTTP 상태</td>
+                    <td>{pageClassification.statusCode ?? '-'}</td>
+                  </tr>
+                  <tr>
+                    <td>감지 근거</td>
+                    <td><code>{(pageClassification.signals || []).join(', ')}</code></td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Redirect chain of the representative URL (HTTP, meta refresh and JavaScript hops) */}
+          {redirects && (redirects.hops?.length > 0 || redirects.issues?.length > 0) && (
+            <div className="detail-section">
+              <h3 className="section-title">리다이렉트 체인</h3>
+              <table className="detail-table">
+                <thead>
+                  <tr>
+                    <th>유형</th>
+                    <th>상태</th>
+                    <th>URL</th>
+                    <th>이동 위치</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {redirects.hops.map((hop, index) => (
+                    <tr key={index}>
+                      <td>{redirectTypeLabels[hop.type] || hop.type}</td>
+                      <td>{hop.status ?? '-'}</td>
+                      <td className="detail-table-url">{hop.url}</td>
+                      <td className="detail-table-url">{hop.location}</td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td>최종 URL</td>
+                    <td>
+                      {redirects.issues?.length > 0 ? (
+                        <span className="comparison-status error">
+                          <XCircle size={14} />
+                          허용되지 않음
+                        </span>
+                      ) : (
+                        <span className="comparison-status success">
+                          <CheckCircle size={14} />
+                          허용
+                        </span>
+                      )}
+                    </td>
+                    <td className="detail-table-url" colSpan={2}>
+                      <a href={redirects.finalUrl} target="_blank" rel="noopener noreferrer">{redirects.finalUrl}</a>
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* PII found in GA4 hits (masked values only) */}
+          {piiFindings.length > 0 && (
+            <div className="detail-section">
+              <h3 className="section-title">개인정보 검출</h3>
+              <table className="detail-table">
+                <thead>
+                  <tr>
+                    <th>파라미터</th>
+                    <th>유형</th>
+                    <th>이벤트</th>
+                    <th>마스킹된 값</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {piiFindings.map((finding, index) => (
+                    <tr key={index}>
+                      <td><code>{finding.param}</code></td>
+                      <td>{finding.piiType}</td>
+                      <td>{finding.events.join(', ')} ({finding.hits}회)</td>
+                      <td className="detail-table-url">{finding.maskedValue}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Multi-page validation: outcome per page */}
+          {hasPageResults && (
+            <div className="detail-section">
+              <h3 className="section-title">페이지별 검증 결과</h3>
+              <table className="detail-table">
+                <thead>
+                  <tr>
+                    <th>페이지</th>
+                    <th>URL</th>
+                    <th>GA4</th>
+                    <th>page_view</th>
+                    <th>결과</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.page_results.map((page, index) => (
+                    <tr key={index}>
+                      <td>{pageTypeLabels[page.type] || page.type}</td>
+                      <td className="detail-table-url">
+                        <a href={page.url} target="_blank" rel="noopener noreferrer">{page.url}</a>
+                      </td>
+                      <td><code>{page.measurementId || 'N/A'}</code></td>
+                      <td>{page.pageViewCount}</td>
+                      <td>
+                        {page.isValid ? (
+                          <span className="comparison-status success">
+                            <CheckCircle size={14} />
+                            통과
+                          </span>
+                        ) : (
+                          <span
+                            className="comparison-status error"
+                            title={(page.issues || []).map(issue => issue.message).join('\n')}
+                          >
+                            <XCircle size={14} />
+                            실패
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Profile validation: representative URL per device / locale profile */}
+          {hasProfileResults && (
+            <div className="detail-section">
+              <h3 className="section-title">프로필별 검증 결과</h3>
+              <table className="detail-table">
+                <thead>
+                  <tr>
+                    <th>프로필</th>
+                    <th>GA4</th>
+                    <th>GTM</th>
+                    <th>page_view</th>
+                    <th>결과</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.profile_results.map((profile) => (
+                    <tr key={profile.profile}>
+                      <td>{profileLabels[profile.profile] || profile.profile}</td>
+                      <td><code>{profile.measurementId || 'N/A'}</code></td>
+                      <td><code>{(profile.gtmIds || []).join(', ') || 'N/A'}</code></td>
+                      <td>{profile.pageViewCount}</td>
+                      <td>
+                        {profile.isValid ? (
+                          <span className="comparison-status success">
+                            <CheckCircle size={14} />
+                            통과
+                          </span>
+                        ) : (
+                          <span
+                            className="comparison-status error"
+                            title={(profile.issues || []).map(issue => issue.message).join('\n')}
+                          >
+                            <XCircle size={14} />
+                            실패
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Scripted user journeys: expected vs actual events per step */}
+          {journeys.length > 0 && (
+            <div className="detail-section">
+              <h3 className="section-title">사용자 여정 검증</h3>
+              {journeys.map((journey, journeyIndex) => (
+                <table key={journeyIndex} className="detail-table">
+                  <thead>
+                    <tr>
+                      <th colSpan={4}>
+                        {journey.name || `여정 ${journeyIndex + 1}`} ({journey.isValid ? '통과' : '실패'})
+                      </th>
+                    </tr>
+                    <tr>
+                      <th>단계</th>
+                      <th>기대 이벤트</th>
+                      <th>실제 이벤트</th>
+                      <th>결과</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {journey.steps.map((step) => (
+                      <tr key={step.index}>
+                        <td>
+                          {step.index + 1}. {step.action}
+                          {step.target && <div className="detail-table-url"><code>{step.target}</code></div>}
+                        </td>
+                        <td><code>{step.expectedEvents.join(', ') || '-'}</code></td>
+                        <td><code>{step.actualEvents.join(', ') || '-'}</code></td>
+                        <td title={step.error || ''}>{step.status}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ))}
+            </div>
+          )}
+
+          {/* GA4 user_id, user properties (up.* / upn.*) and numeric event params (epn.*) */}
+          {eventSummary && (eventSummary.userId || userProperties.length > 0 || numericParamEvents.length > 0) && (
+            <div className="detail-section">
+              <h3 className="section-title">사용자 속성 및 숫자 파라미터</h3>
+              <table className="detail-table">
+                <thead>
+                  <tr>
+                    <th>구분</th>
+                    <th>이름</th>
+                    <th>값</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {eventSummary.userId && (
+                    <tr>
+                      <td>user_id</td>
+                      <td><code>uid</code></td>
+                      <td><code>{eventSummary.userId}</code></td>
+                    </tr>
+                  )}
+                  {userProperties.map(([name, value]) => (
+                    <tr key={`up-${name}`}>
+                      <td>사용자 속성</td>
+                      <td><code>{name}</code></td>
+                      <td><code>{String(value)}</code></td>
+                    </tr>
+                  ))}
+                  {numericParamEvents.map(([eventName, params]) =>
+                    Object.entries(params).map(([name, value]) => (
+                      <tr key={`epn-${eventName}-${name}`}>
+                        <td>{eventName}</td>
+                        <td><code>{name}</code></td>
+                        <td><code>{String(value)}</code></td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Declarative event parameter rules for the property / account group */}
+          {eventRules.length > 0 && (
+            <div className="detail-section">
+              <h3 className="section-title">이벤트 파라미터 규칙</h3>
+              <table className="detail-table">
+                <thead>
+                  <tr>
+                    <th>이벤트</th>
+                    <th>조건</th>
+                    <th>실제 값</th>
+                    <th>결과</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {eventRules.map((rule, index) => (
+                    <tr key={rule.id || index} title={rule.description || rule.error || ''}>
+                      <td><code>{rule.eventName}</code></td>
+                      <td>
+                        <code>{rule.param} {rule.operator}{rule.expected !== null && ` ${Array.isArray(rule.expected) ? rule.expected.join(', ') : rule.expected}`}</code>
+                      </td>
+                      <td><code>{rule.actualValues.join(', ') || '-'}</code></td>
+                      <td>
+                        {ruleStatusLabels[rule.status] || rule.status}
+                        {rule.status === 'failed' && ` (${rule.failedHits}/${rule.hits})`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Tag timing: milestones after navigation start and the property latency budget */}
+          {tagTimingMilestones.length > 0 && (
+            <div className="detail-section">
+              <h3 className="section-title">태그 타이밍</h3>
+              <table className="detail-table">
+                <tbody>
+                  {tagTimingMilestones.map((milestone) => (
+                    <tr key={milestone.label}>
+                      <td>{milestone.label}</td>
+                      <td>{milestone.value.toLocaleString()}ms</td>
+                    </tr>
+                  ))}
+                  {tagLatency?.budgetMs && (
+                    <tr>
+                      <td>지연 예산</td>
+                      <td>
+                        {tagLatency.budgetMs.toLocaleString()}ms
+                        {tagLatency.isValid ? ' (충족)' : ' (초과)'}
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Page diagnostics: signals explaining GTM / GA4 load failures */}
+          {diagnosticEntries.length > 0 && (
+            <div className="detail-section">
+              <h3 className="section-title">페이지 진단</h3>
+              <table className="detail-table">
+                <tbody>
+                  {diagnosticEntries.map((entry, index) => (
+                    <tr key={`${entry.kind}-${index}`}>
+                      <td>{entry.kind}</td>
+                      <td><code>{entry.detail}</code></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Third-party marketing tags detected on the page and expected tags not requested */}
+          {tagInventory && (tagInventory.tags.length > 0 || tagInventory.missing.length > 0) && (
+            <div className="detail-section">
+              <h3 className="section-title">마케팅 태그</h3>
+              <table className="detail-table">
+                <thead>
+                  <tr>
+                    <th>벤더</th>
+                    <th>태그 ID</th>
+                    <th>요청 수</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tagInventory.tags.map((tag) => (
+                    <tr key={`${tag.vendor}:${tag.id}`}>
+                      <td>{tagVendorLabels[tag.vendor] || tag.vendor}</td>
+                      <td><code>{tag.id || '-'}</code></td>
+                      <td>{tag.requests}</td>
+                    </tr>
+                  ))}
+                  {tagInventory.missing.map((tag) => (
+                    <tr key={`missing:${tag}`}>
+                      <td>{tagVendorLabels[tag.split(':')[0]] || tag.split(':')[0]}</td>
+                      <td><code>{tag.split(':').slice(1).join(':') || '-'}</code></td>
+                      <td>누락</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Cross-domain linker check: _gl on a whitelisted link and client ID on the destination */}
+          {crossDomain && crossDomain.status === 'checked' && (
+            <div className="detail-section">
+              <h3 className="section-title">크로스 도메인 링커</h3>
+              <table className="detail-table">
+                <tbody>
+                  <tr>
+                    <td>도메인</td>
+                    <td><code>{crossDomain.domain}</code></td>
+                  </tr>
+                  <tr>
+                    <td>링크</td>
+                    <td className="detail-table-url"><code>{crossDomain.decoratedUrl}</code></td>
+                  </tr>
+                  <tr>
+                    <td>_gl 파라미터</td>
+                    <td>{crossDomain.hasLinker ? '있음' : '없음'}</td>
+                  </tr>
+                  <tr>
+                    <td>클라이언트 ID</td>
+                    <td>
+                      <code>{crossDomain.sourceClientId || '-'}</code> → <code>{crossDomain.destinationClientId || '-'}</code>
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* GA4 cookies (_ga / _ga_<stream>) read after the GA4 hits */}
+          {gaCookies && gaCookies.inspected && (
+            <div className="detail-section">
+              <h3 className="section-title">GA4 쿠키</h3>
+              <table className="detail-table">
+                <thead>
+                  <tr>
+                    <th>쿠키</th>
+                    <th>도메인</th>
+                    <th>만료</th>
+                    <th>값</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {gaCookies.cookies.map((cookie, index) => (
+                    <tr key={index}>
+                      <td><code>{cookie.name}</code></td>
+                      <td>
+                        <span className={`comparison-status ${cookie.onExpectedDomain ? 'success' : 'error'}`}>
+                          {cookie.onExpectedDomain ? <CheckCircle size={14} /> : <XCircle size={14} />}
+                          {cookie.domain}
+                        </span>
+                      </td>
+                      <td>{cookie.expiresAt ? `${cookie.expiresInDays}일 후` : '세션 쿠키'}</td>
+                      <td className="detail-table-url"><code>{cookie.value}</code></td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td>클라이언트 ID</td>
+                    <td colSpan={3}>
+                      <code>{gaCookies.clientId || '-'}</code> (_ga) / <code>{gaCookies.hitClientIds.join(', ') || '-'}</code> (cid)
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* SPA route change: fresh page_view with the new location */}
+          {spaRoute && spaRoute.mode && (
+            <div className="detail-section">
+              <h3 className="section-title">SPA 라우트 변경</h3>
+              <table className="detail-table">
+                <tbody>
+                  <tr>
+                    <td>방식</td>
+                    <td>{spaRoute.mode === 'click' ? '링크 클릭' : 'history.pushState'} <code>{spaRoute.target}</code></td>
+                  </tr>
+                  <tr>
+                    <td>URL</td>
+                    <td className="detail-table-url">{spaRoute.fromUrl} → {spaRoute.toUrl || '-'}</td>
+                  </tr>
+                  <tr>
+                    <td>page_view</td>
+                    <td>
+                      {spaRoute.isValid ? (
+                        <span className="comparison-status success">
+                          <CheckCircle size={14} />
+                          전송됨
+                        </span>
+                      ) : (
+                        <span className="comparison-status error">
+                          <XCircle size={14} />
+                          {spaRoute.error || '새 위치의 page_view 없음'}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                  {(spaRoute.pageViews || []).map((pageView, index) => (
+                    <tr key={index}>
+                      <td>dl / dt</td>
+                      <td className="detail-table-url">{pageView.documentLocation || '-'} / {pageView.documentTitle || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Consent Mode signals decoded from the latest GA4 hit (gcs / gcd) */}
+          {consentStates && (
+            <div className="detail-section">
+              <h3 className="section-title">동의 모드 신호</h3>
+              <table className="detail-table">
+                <thead>
+                  <tr>
+                    <th>동의 유형</th>
+                    <th>상태</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(consentStates).map(([type, state]) => (
+                    <tr key={type}>
+                      <td><code>{type}</code></td>
+                      <td>{consentStateLabels[state] || '미설정'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Consent scenarios: GA4 hits, cookies and consent states per banner choice */}
+          {consentScenarios && consentScenarios.scenarios.length > 0 && (
+            <div className="detail-section">
+              <h3 className="section-title">
+                동의 시나리오 비교 ({consentModeLabels[consentScenarios.mode] || consentScenarios.mode}
+                {consentScenarios.cmp && `, CMP: ${consentScenarios.cmp}`})
+              </h3>
+              <table className="detail-table">
+                <thead>
+                  <tr>
+                    <th>시나리오</th>
+                    <th>GA4 히트</th>
+                    <th>analytics_storage</th>
+                    <th>ad_storage</th>
+                    <th>Google 쿠키</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {consentScenarios.scenarios.map((scenario) => (
+                    <tr key={scenario.scenario} title={scenario.error || ''}>
+                      <td>
+                        {consentScenarioLabels[scenario.scenario] || scenario.scenario}
+                        {scenario.error && ' ⚠️'}
+                      </td>
+                      <td>{scenario.ga4Hits}</td>
+                      <td>{consentStateLabels[scenario.consent?.analytics_storage] || '-'}</td>
+                      <td>{consentStateLabels[scenario.consent?.ad_storage] || '-'}</td>
+                      <td><code>{scenario.googleCookies.join(', ') || '-'}</code></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* GA4 collect endpoints: Google vs server-side GTM / first-party hosts */}
+          {collectEndpoints.length > 0 && (
+            <div className="detail-section">
+              <h3 className="section-title">GA4 수집 엔드포인트</h3>
+              <table className="detail-table">
+                <thead>
+                  <tr>
+                    <th>호스트</th>
+                    <th>유형</th>
+                    <th>히트 수</th>
+                    <th>이벤트</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {collectEndpoints.map((endpoint) => (
+                    <tr key={endpoint.host}>
+                      <td className="detail-table-url"><code>{endpoint.host}</code></td>
+                      <td>{endpoint.type === 'server_side' ? '서버 사이드 (sGTM)' : 'Google'}</td>
+                      <td>{endpoint.hits}</td>
+                      <td><code>{endpoint.eventNames.join(', ') || '-'}</code></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* dataLayer timeline: pushes relative to GTM load and GA4 hits */}
+          {timelineEntries.length > 0 && (
+            <div className="detail-section">
+              <h3 className="section-title">
+                dataLayer 타임라인 ({dataLayerTimeline.totalPushes}건
+                {dataLayerTimeline.droppedPushes > 0 && `, ${dataLayerTimeline.droppedPushes}건 생략`})
+              </h3>
+              <table className="detail-table">
+                <thead>
+                  <tr>
+                    <th>시점</th>
+                    <th>유형</th>
+                    <th>이벤트</th>
+                    <th>데이터</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {timelineEntries.map((entry, index) => (
+                    <tr key={index}>
+                      <td>+{entry.offsetMs}ms</td>
+                      <td>{timelineKindLabels[entry.kind] || entry.kind}</td>
+                      <td><code>{entry.event || '-'}</code></td>
+                      <td className="detail-table-url">
+                        {entry.data !== undefined ? (
+                          <details>
+                            <summary>
+                              {entry.msFromGtmLoad !== null && entry.msFromGtmLoad !== undefined
+                                ? `GTM 로드 ${entry.msFromGtmLoad >= 0 ? '후' : '전'} ${Math.abs(entry.msFromGtmLoad)}ms`
+                                : 'GTM 로드 없음'}
+                              {`, GA4 히트 ${entry.ga4HitsBefore}건 이후`}
+                            </summary>
+                            <pre>{JSON.stringify(entry.data, null, 2)}</pre>
+                          </details>
+                        ) : (
+                          <code>{entry.measurementId || '-'}</code>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           {/* Task 5.1: Issue Details with Descriptions */}
           {hasIssues && (
             <div className="issues-section">
@@ -680,6 +1673,17 @@ function IssueDetailModal({ isOpen, onClose, result }) {
               </div>
             </div>
           )}
+
+          {/* Recorded network traffic (HAR archive, short-lived signed download link) */}
+          {result.har_url && (
+            <div className="screenshot-section">
+              <h3 className="section-title">네트워크 트래픽 (HAR)</h3>
+              <a href={result.har_url} className="har-download-button" download>
+                <Download size={16} />
+                HAR 다운로드
+              </a>
+            </div>
+          )}
         </div>
       </Modal>
 
@@ -730,6 +1734,25 @@ IssueDetailModal.propTypes = {
     ),
     screenshot_path: PropTypes.string, // Legacy field (backward compatibility)
     screenshot_url: PropTypes.string,  // Supabase Storage public URL
+    har_url: PropTypes.string,         // HAR archive (gzipped HAR) short-lived signed URL
+    page_results: PropTypes.arrayOf(
+      PropTypes.shape({
+        type: PropTypes.string,
+        url: PropTypes.string,
+        isValid: PropTypes.bool,
+        measurementId: PropTypes.string,
+        pageViewCount: PropTypes.number,
+      })
+    ),
+    profile_results: PropTypes.arrayOf(
+      PropTypes.shape({
+        profile: PropTypes.string,
+        isValid: PropTypes.bool,
+        measurementId: PropTypes.string,
+        gtmIds: PropTypes.arrayOf(PropTypes.string),
+        pageViewCount: PropTypes.number,
+      })
+    ),
   }),
 };
 
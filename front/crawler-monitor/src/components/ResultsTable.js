@@ -250,6 +250,14 @@ function ResultsTable({ results, allResults, runId, loading, error, onRetry }) {
                 {/* Property Name */}
                 <td className="property-name" title={result.property_name || 'N/A'}>
                   {result.property_name || 'N/A'}
+                  {result.validation_details?.redirects?.issues?.length > 0 && (
+                    <span
+                      className="redirect-warning"
+                      title={`리다이렉트 → ${result.validation_details.redirects.finalUrl}`}
+                    >
+                      ↪ {result.validation_details.redirects.finalHost}
+                    </span>
+                  )}
                 </td>
 
                 {/* Status - Scenario-based display */}
@@ -290,7 +298,7 @@ function ResultsTable({ results, allResults, runId, loading, error, onRetry }) {
                   )}
                 </td>
 
-                {/* GTM ID Validation - Task 2.3 */}
+                {/* GTM ID Validation - Task 2.3 (web GTM + marketing GTM when configured) */}
                 <td className="validation-cell">
                   {result.gtm_validation ? (
                     <ValidationBadge
@@ -302,6 +310,14 @@ function ResultsTable({ results, allResults, runId, loading, error, onRetry }) {
                   ) : (
                     <span className="no-data">-</span>
                   )}
+                  {result.marketing_gtm_validation?.expected && (
+                    <ValidationBadge
+                      expected={result.marketing_gtm_validation.expected}
+                      actual={result.marketing_gtm_validation.actual}
+                      type="compact"
+                      label="MKT"
+                    />
+                  )}
                 </td>
 
                 {/* Issues */}
@@ -351,6 +367,10 @@ ResultsTable.propTypes = {
         expected: PropTypes.string,
         actual: PropTypes.string,
       }),
+      marketing_gtm_validation: PropTypes.shape({
+        expected: PropTypes.string,
+        actual: PropTypes.string,
+      }),
       issues: PropTypes.array,
       screenshot_path: PropTypes.string,
     })
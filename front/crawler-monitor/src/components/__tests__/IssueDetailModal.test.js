@@ -555,6 +555,23 @@ describe('IssueDetailModal Component', () => {
     });
   });
 
+  describe('HAR Download', () => {
+    it('should link to the HAR archive when it was recorded', () => {
+      const result = { ...mockResultWithIssues, har_url: 'https://xxxxx.supabase.co/storage/v1/object/sign/hars/run-1/prop-1.har.gz?token=abc' };
+
+      render(<IssueDetailModal isOpen={true} onClose={mockOnClose} result={result} />);
+
+      expect(screen.getByText('네트워크 트래픽 (HAR)')).toBeInTheDocument();
+      expect(screen.getByRole('link', { name: /HAR 다운로드/ })).toHaveAttribute('href', 'https://xxxxx.supabase.co/storage/v1/object/sign/hars/run-1/prop-1.har.gz?token=abc');
+    });
+
+    it('should not show the HAR section without a recording', () => {
+      render(<IssueDetailModal isOpen={true} onClose={mockOnClose} result={mockResultWithIssues} />);
+
+      expect(screen.queryByText('네트워크 트래픽 (HAR)')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Modal Interactions', () => {
     it('should call onClose when modal close button is clicked', () => {
       render(
@@ -638,4 +655,372 @@ describe('IssueDetailModal Component', () => {
       expect(screen.getByText('GA4 ID 불일치')).toBeInTheDocument();
     });
   });
+
+  describe('Multi-page Validation', () => {
+    it('should render outcome per page when page results exist', () => {
+      const resultWithPages = {
+        ...mockResultSuccess,
+        page_results: [
+          { type: 'home', url: 'https://example.com', isValid: true, measurementId: 'G-XXXXX', pageViewCount: 1, issues: [] },
+          { type: 'cart', url: 'https://example.com/cart', isValid: false, measurementId: null, pageViewCount: 0, issues: [{ message: 'No page_view' }] },
+        ],
+      };
+
+      render(
+        <IssueDetailModal
+          isOpen={true}
+          onClose={mockOnClose}
+          result={resultWithPages}
+        />
+      );
+
+      expect(screen.getByText('페이지별 검증 결과')).toBeInTheDocument();
+      expect(screen.getByText('장바구니')).toBeInTheDocument();
+      expect(screen.getByText('통과')).toBeInTheDocument();
+      expect(screen.getByText('실패')).toBeInTheDocument();
+    });
+
+    it('should not render page results section without page results', () => {
+      render(
+        <IssueDetailModal
+          isOpen={true}
+          onClose={mockOnClose}
+          result={mockResultSuccess}
+        />
+      );
+
+      expect(screen.queryByText('페이지별 검증 결과')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('User Properties', () => {
+    it('should render user_id, user properties and numeric params', () => {
+      const resultWithUserProperties = {
+        ...mockResultSuccess,
+        validation_details: {
+          eventSummary: {
+            userId: 'U-1001',
+            userProperties: { membership_grade: 'VIP', login_status: 'Y' },
+            numericParams: { add_to_cart: { quantity: 2 } },
+          },
+        },
+      };
+
+      render(
+        <IssueDetailModal
+          isOpen={true}
+          onClose={mockOnClose}
+          result={resultWithUserProperties}
+        />
+      );
+
+      expect(screen.getByText('사용자 속성 및 숫자 파라미터')).toBeInTheDocument();
+      expect(screen.getByText('U-1001')).toBeInTheDocument();
+      expect(screen.getByText('membership_grade')).toBeInTheDocument();
+      expect(screen.getByText('VIP')).toBeInTheDocument();
+      expect(screen.getByText('quantity')).toBeInTheDocument();
+    });
+  });
+
+  describe('Event Parameter Rules', () => {
+    it('should render rule results with failed hit counts', () => {
+      const resultWithRules = {
+        ...mockResultSuccess,
+        validation_details: {
+          eventRules: {
+            isValid: false,
+            checkedRules: 1,
+            rules: [{
+              id: 'rule-1',
+              eventName: 'page_view',
+              param: 'ep.site_env',
+              operator: 'equals',
+              expected: 'PRD',
+              status: 'failed',
+              hits: 2,
+              failedHits: 1,
+              actualValues: ['PRD', 'STG'],
+            }],
+            issues: [],
+          },
+        },
+      };
+
+      render(
+        <IssueDetailModal
+          isOpen={true}
+          onClose={mockOnClose}
+          result={resultWithRules}
+        />
+      );
+
+      expect(screen.getByText('이벤트 파라미터 규칙')).toBeInTheDocument();
+      expect(screen.getByText('ep.site_env equals PRD')).toBeInTheDocument();
+      expect(screen.getByText('PRD, STG')).toBeInTheDocument();
+      expect(screen.getByText('실패 (1/2)')).toBeInTheDocument();
+    });
+  });
+
+  describe('Validation Profiles', () => {
+    it('should render the outcome per device / locale profile', () => {
+      const resultWithProfiles = {
+        ...mockResultSuccess,
+        profile_results: [
+          { profile: 'desktop', isValid: true, measurementId: 'G-TEST123456', gtmIds: ['GTM-ABC123'], pageViewCount: 1, issues: [] },
+          { profile: 'mobile_ios', isValid: false, measurementId: null, gtmIds: ['GTM-MOBILE1'], pageViewCount: 0, issues: [] },
+        ],
+      };
+
+      render(
+        <IssueDetailModal
+          isOpen={true}
+          onClose={mockOnClose}
+          result={resultWithProfiles}
+        />
+      );
+
+      expect(screen.getByText('프로필별 검증 결과')).toBeInTheDocument();
+      expect(screen.getByText('모바일 iOS')).toBeInTheDocument();
+      expect(screen.getByText('GTM-MOBILE1')).toBeInTheDocument();
+    });
+  });
+
+  describe('Marketing Tag Inventory', () => {
+    it('should render detected vendor tags and missing expected tags', () => {
+      const resultWithTags = {
+        ...mockResultSuccess,
+        validation_details: {
+          tagInventory: {
+            isValid: false,
+            tags: [{ vendor: 'meta_pixel', id: '123456789012345', requests: 3 }],
+            expected: ['meta_pixel', 'criteo:12345'],
+            missing: ['criteo:12345'],
+            unexpected: [],
+            issues: [],
+          },
+        },
+      };
+
+      render(
+        <IssueDetailModal
+          isOpen={true}
+          onClose={mockOnClose}
+          result={resultWithTags}
+        />
+      );
+
+      expect(screen.getByText('마케팅 태그')).toBeInTheDocument();
+      expect(screen.getByText('Meta Pixel')).toBeInTheDocument();
+      expect(screen.getByText('123456789012345')).toBeInTheDocument();
+      expect(screen.getByText('Criteo')).toBeInTheDocument();
+      expect(screen.getByText('누락')).toBeInTheDocument();
+    });
+  });
+
+  describe('Page Diagnostics', () => {
+    it('should render CSP violations and failed tag requests', () => {
+      const resultWithDiagnostics = {
+        ...mockResultSuccess,
+        validation_details: {
+          pageDiagnostics: {
+            cspViolations: [{
+              blockedURI: 'https://www.googletagmanager.com/gtm.js?id=GTM-ABC123',
+              effectiveDirective: 'script-src-elem',
+              target: 'gtm',
+            }],
+            failedRequests: [{
+              target: 'ga4',
+              url: 'https://region1.google-analytics.com/g/collect',
+              errorText: 'net::ERR_CONNECTION_RESET',
+            }],
+            pageErrors: [],
+            consoleErrors: [],
+            issues: [],
+          },
+        },
+      };
+
+      render(
+        <IssueDetailModal
+          isOpen={true}
+          onClose={mockOnClose}
+          result={resultWithDiagnostics}
+        />
+      );
+
+      expect(screen.getByText('페이지 진단')).toBeInTheDocument();
+      expect(screen.getByText('CSP 위반')).toBeInTheDocument();
+      expect(screen.getByText('script-src-elem: https://www.googletagmanager.com/gtm.js?id=GTM-ABC123')).toBeInTheDocument();
+      expect(screen.getByText('요청 실패')).toBeInTheDocument();
+    });
+  });
+
+  describe('Blocked Page Classification', () => {
+    it('should render the bot challenge classification', () => {
+      const resultWithChallenge = {
+        ...mockResultSuccess,
+        validation_details: {
+          pageClassification: {
+            classification: 'BOT_CHALLENGE',
+            reason: 'challenge',
+            vendor: 'cloudflare',
+            statusCode: 403,
+            signals: ['title: just a moment...', 'header: cf-mitigated=challenge'],
+          },
+        },
+      };
+
+      render(
+        <IssueDetailModal
+          isOpen={true}
+          onClose={mockOnClose}
+          result={resultWithChallenge}
+        />
+      );
+
+      expect(screen.getByText('차단 페이지 감지')).toBeInTheDocument();
+      expect(screen.getByText('BOT_CHALLENGE')).toBeInTheDocument();
+      expect(screen.getByText('cloudflare')).toBeInTheDocument();
+      expect(screen.getByText('title: just a moment..., header: cf-mitigated=challenge')).toBeInTheDocument();
+    });
+  });
+
+  describe('Redirect Chain', () => {
+    it('should render redirect hops and flag an unexpected final domain', () => {
+      const resultWithRedirects = {
+        ...mockResultSuccess,
+        validation_details: {
+          redirects: {
+            requestedUrl: 'https://www.example.com/',
+            finalUrl: 'https://parked-domain.com/landing',
+            finalHost: 'parked-domain.com',
+            hops: [
+              { type: 'http', status: 301, url: 'https://www.example.com/', location: 'https://campaign.example.net/' },
+              { type: 'meta', status: 200, url: 'https://campaign.example.net/', location: 'https://parked-domain.com/landing' },
+            ],
+            redirectCount: 2,
+            allowedDomains: ['example.com'],
+            issues: [{ type: 'UNEXPECTED_FINAL_DOMAIN', severity: 'critical' }],
+          },
+        },
+      };
+
+      render(
+        <IssueDetailModal
+          isOpen={true}
+          onClose={mockOnClose}
+          result={resultWithRedirects}
+        />
+      );
+
+      expect(screen.getByText('리다이렉트 체인')).toBeInTheDocument();
+      expect(screen.getByText('meta refresh')).toBeInTheDocument();
+      expect(screen.getByText('301')).toBeInTheDocument();
+      expect(screen.getByText('허용되지 않음')).toBeInTheDocument();
+    });
+  });
+
+  describe('PII Findings', () => {
+    it('should list masked PII findings from the page and journeys', () => {
+      const resultWithPii = {
+        ...mockResultSuccess,
+        validation_details: {
+          piiLeakage: {
+            isValid: false,
+            findings: [
+              { param: 'dl:email', piiType: 'email', events: ['page_view'], hits: 2, maskedValue: 'j***@example.com' },
+            ],
+            issues: [{ type: 'PII_IN_PAYLOAD', severity: 'critical' }],
+          },
+          journeys: {
+            piiLeakage: {
+              findings: [
+                { param: 'up.phone', piiType: 'phone', events: ['purchase'], hits: 1, maskedValue: '010********' },
+              ],
+            },
+          },
+        },
+      };
+
+      render(
+        <IssueDetailModal
+          isOpen={true}
+          onClose={mockOnClose}
+          result={resultWithPii}
+        />
+      );
+
+      expect(screen.getByText('개인정보 검출')).toBeInTheDocument();
+      expect(screen.getByText('j***@example.com')).toBeInTheDocument();
+      expect(screen.getByText('010********')).toBeInTheDocument();
+      expect(screen.getByText('purchase (1회)')).toBeInTheDocument();
+    });
+  });
+
+  describe('SPA Route Change', () => {
+    it('should show the route change and the missing page_view', () => {
+      const resultWithSpaRoute = {
+        ...mockResultSuccess,
+        validation_details: {
+          spaRoute: {
+            mode: 'push_state',
+            target: '/products',
+            fromUrl: 'https://www.example.com/',
+            toUrl: 'https://www.example.com/products',
+            ga4Hits: 1,
+            pageViews: [],
+            error: null,
+            isValid: false,
+            issues: [{ type: 'SPA_PAGE_VIEW_MISSING', severity: 'critical' }],
+          },
+        },
+      };
+
+      render(
+        <IssueDetailModal
+          isOpen={true}
+          onClose={mockOnClose}
+          result={resultWithSpaRoute}
+        />
+      );
+
+      expect(screen.getByText('SPA 라우트 변경')).toBeInTheDocument();
+      expect(screen.getByText('/products')).toBeInTheDocument();
+      expect(screen.getByText('새 위치의 page_view 없음')).toBeInTheDocument();
+    });
+  });
+
+  describe('GA4 Cookies', () => {
+    it('should list GA4 cookies with their domain and expiry', () => {
+      const resultWithCookies = {
+        ...mockResultSuccess,
+        validation_details: {
+          cookies: {
+            inspected: true,
+            expectedDomain: 'example.com',
+            cookies: [
+              { name: '_ga', value: 'GA1.1.123.456', domain: 'www.example.com', onExpectedDomain: false, expiresAt: '2028-10-19T00:00:00.000Z', expiresInDays: 730 },
+              { name: '_ga_TEST123', value: 'GS2.1.s1700000000$o1', domain: '.example.com', onExpectedDomain: true, expiresAt: null, expiresInDays: null },
+            ],
+            clientId: '123.456',
+            hitClientIds: ['123.456'],
+            issues: [{ type: 'GA_COOKIE_DOMAIN_MISMATCH', severity: 'warning' }],
+          },
+        },
+      };
+
+      render(
+        <IssueDetailModal
+          isOpen={true}
+          onClose={mockOnClose}
+          result={resultWithCookies}
+        />
+      );
+
+      expect(screen.getByText('GA4 쿠키')).toBeInTheDocument();
+      expect(screen.getByText('www.example.com')).toBeInTheDocument();
+      expect(screen.getByText('730일 후')).toBeInTheDocument();
+      expect(screen.getByText('세션 쿠키')).toBeInTheDocument();
+    });
+  });
 });
@@ -191,6 +191,18 @@ describe('ResultsTable Component', () => {
       expect(validationBadges.length).toBe(6);
     });
 
+    it('should render a marketing GTM badge when a marketing container is expected', () => {
+      const resultWithMarketingGTM = [{
+        ...mockResults[0],
+        marketing_gtm_validation: { expected: 'GTM-MKT01', actual: null },
+      }];
+
+      render(<ResultsTable results={resultWithMarketingGTM} loading={false} error={null} />);
+
+      expect(screen.getAllByTestId('validation-badge').length).toBe(3);
+      expect(screen.getByText(/MKT: GTM-MKT01 vs/)).toBeInTheDocument();
+    });
+
     it('should render issues count correctly', () => {
       render(<ResultsTable results={mockResults} loading={false} error={null} />);
 
@@ -236,6 +248,29 @@ describe('ResultsTable Component', () => {
       const urlText = screen.getByRole('link').textContent;
       expect(urlText).toContain('...');
     });
+
+    it('should mark results redirected to an unexpected domain', () => {
+      const redirectedResult = [{
+        id: '5',
+        property_name: 'Redirected Property',
+        validation_status: 'failed',
+        ga4_validation: { expected: 'G-TEST', actual: null },
+        gtm_validation: { expected: 'GTM-TEST', actual: null },
+        issues: [{ type: 'unexpected_final_domain', message: '예상하지 못한 도메인으로 리다이렉트' }],
+        validation_details: {
+          redirects: {
+            finalUrl: 'https://parked-domain.com/',
+            finalHost: 'parked-domain.com',
+            hops: [{ type: 'http', status: 301, url: 'https://example.com/', location: 'https://parked-domain.com/' }],
+            issues: [{ type: 'UNEXPECTED_FINAL_DOMAIN' }],
+          },
+        },
+      }];
+
+      render(<ResultsTable results={redirectedResult} loading={false} error={null} />);
+
+      expect(screen.getByText('↪ parked-domain.com')).toHaveAttribute('title', '리다이렉트 → https://parked-domain.com/');
+    });
   });
 
   describe('Sorting Functionality', () => {
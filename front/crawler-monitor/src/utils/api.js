@@ -225,6 +225,11 @@ export const apiHelpers = {
     return api.get(`/api/crawl/runs/${runId}/results${query ? `?${query}` : ''}`);
   },
 
+  /**
+   * Get dataLayer timeline of a single crawl result
+   */
+  getResultDataLayerTimeline: (resultId) => api.get(`/api/crawl/results/${resultId}/datalayer-timeline`),
+
   /**
    * Save a crawl run with memo
    */
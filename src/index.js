@@ -8,10 +8,13 @@
  * Usage:
  *   npm start
  *   node src/index.js
+ *   node src/index.js --replay <runId>/<propertyId>   # Re-validate against the recorded HAR (offline)
  */
 
 import 'dotenv/config';
 import { runValidation } from './modules/orchestrator.js';
+import { parseReplayTarget } from './modules/harRecorder.js';
+import { validatePropertyById } from './modules/propertyValidation.js';
 import { supabase, Tables, CrawlRunStatus } from './utils/supabase.js';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
@@ -124,6 +127,31 @@ async function main() {
   }
 }
 
+/**
+ * Replay a recorded validation (no crawl run is created, the result is not stored)
+ *
+ * @param {string} target - '<runId>/<propertyId>'
+ */
+async function replay(target) {
+  try {
+    const { runId, propertyId } = parseReplayTarget(target);
+    console.log(`\n⏯️ Replaying property ${propertyId} from run ${runId}...`);
+
+    const result = await validatePropertyById(propertyId, { replayRunId: runId });
+
+    console.log(`\n${result.isValid ? '✅ Replay passed' : '⚠️ Replay found issues'}: ${result.propertyName}`);
+    (result.issues || []).forEach(issue => {
+      console.log(`  - [${issue.severity}] ${issue.type}: ${issue.message}`);
+    });
+
+    process.exit(result.isValid ? 0 : 1);
+
+  } catch (error) {
+    console.error('\n💥 Replay Error:', error.message);
+    process.exit(1);
+  }
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
   console.error('Unhandled Rejection at:', promise, 'reason:', reason);
@@ -136,5 +164,10 @@ process.on('uncaughtException', (error) => {
   process.exit(1);
 });
 
-// Run main function
-main();
+// Run main function (or replay a recorded validation)
+const replayIndex = process.argv.indexOf('--replay');
+if (replayIndex !== -1) {
+  replay(process.argv[replayIndex + 1]);
+} else {
+  main();
+}
@@ -1,15 +1,17 @@
 /**
  * Batch Upload Manager
  *
- * Handles batch upload of crawl results and screenshots to Supabase.
+ * Handles batch upload of crawl results, screenshots and HAR archives to Supabase.
  * Uploads are performed after crawl completion to minimize network overhead.
  *
  * Upload Strategy:
  * 1. Results: Batch INSERT (50 records per chunk)
  * 2. Screenshots: Parallel upload to Supabase Storage (5 concurrent)
- * 3. Error Handling: Retry failed uploads with exponential backoff
+ * 3. HAR archives: Parallel upload (streamed from disk) to the private 'hars' bucket
+ * 4. Error Handling: Retry failed uploads with exponential backoff
  */
 
+import { createReadStream } from 'fs';
 import { supabase, Tables } from '../utils/supabase.js';
 import logger from '../utils/logger.js';
 
@@ -36,6 +38,7 @@ class BatchUploadManager {
     console.log(`Run ID: ${runId}`);
     console.log(`Results: ${cacheData.results.length}`);
     console.log(`Screenshots: ${cacheData.screenshots.length}`);
+    console.log(`HARs: ${(cacheData.hars || []).length}`);
     if (cacheData.stats) {
       console.log(`Memory Usage: ${cacheData.stats.memoryUsageMB.toFixed(2)}MB`);
     }
@@ -46,6 +49,7 @@ class BatchUploadManager {
       startTime: new Date().toISOString(),
       results: { total: 0, success: 0, failed: 0 },
       screenshots: { total: 0, success: 0, failed: 0 },
+      hars: { total: 0, success: 0, failed: 0 },
       errors: [],
       duration: 0
     };
@@ -61,8 +65,13 @@ class BatchUploadManager {
       const screenshotsUploadSummary = await this.uploadScreenshots(runId, cacheData.screenshots);
       summary.screenshots = screenshotsUploadSummary;
 
-      // Step 3: Update crawl run statistics
-      console.log('\n📈 Step 3: Updating crawl run statistics...\n');
+      // Step 3: Upload HAR archives in parallel
+      console.log('\n🗂️ Step 3: Uploading HAR archives in parallel...\n');
+      const harsUploadSummary = await this.uploadHars(runId, cacheData.hars || []);
+      summary.hars = harsUploadSummary;
+
+      // Step 4: Update crawl run statistics
+      console.log('\n📈 Step 4: Updating crawl run statistics...\n');
       await this.updateCrawlRunStats(runId, summary);
 
       summary.duration = Date.now() - startTime;
@@ -72,6 +81,7 @@ class BatchUploadManager {
       console.log('='.repeat(60));
       console.log(`Results: ${summary.results.success}/${summary.results.total} uploaded`);
       console.log(`Screenshots: ${summary.screenshots.success}/${summary.screenshots.total} uploaded`);
+      console.log(`HARs: ${summary.hars.success}/${summary.hars.total} uploaded`);
       console.log(`Duration: ${(summary.duration / 1000).toFixed(2)}s`);
       console.log('='.repeat(60) + '\n');
 
@@ -137,12 +147,42 @@ class BatchUploadManager {
         issue_summary: item.result.issues?.map(i => i.message).join('; ') || null,
         screenshot_path: item.result.screenshotPath || null,
         screenshot_url: null, // Will be updated after screenshot upload
+        har_path: null, // Will be updated after HAR upload
         validation_duration_ms: item.result.executionTimeMs,
         phase: item.result.phase || 1,
+        page_results: item.result.pages || null,
+        validation_profile: item.result.profile || null,
+        profile_results: item.result.profiles || null,
+        datalayer_timeline: item.result.dataLayerTimeline || null,
+        navigation_start_at: item.result.tagTiming?.navigationStart || null,
+        dom_content_loaded_ms: item.result.tagTiming?.domContentLoadedMs ?? null,
+        gtm_request_ms: item.result.tagTiming?.gtmRequestMs ?? null,
+        gtm_response_ms: item.result.tagTiming?.gtmResponseMs ?? null,
+        first_ga4_hit_ms: item.result.tagTiming?.firstGA4HitMs ?? null,
+        page_view_hit_ms: item.result.tagTiming?.pageViewHitMs ?? null,
         validation_details: {
+          redirects: item.result.redirects || null,
           measurementId: item.result.measurementId || null,
           gtmId: item.result.gtmId || null,
-          pageViewEvent: item.result.pageViewEvent || null
+          gtmEnvironment: item.result.gtmEnvironment || null,
+          pageViewEvent: item.result.pageViewEvent || null,
+          pageViewContext: item.result.pageViewContext || null,
+          spaRoute: item.result.spaRoute || null,
+          doubleTagging: item.result.doubleTagging || null,
+          ecommerce: item.result.ecommerce || null,
+          consentSignals: item.result.consentSignals || null,
+          consentScenarios: item.result.consentScenarios || null,
+          crossDomain: item.result.crossDomain || null,
+          eventRules: item.result.eventRules || null,
+          tagInventory: item.result.tagInventory || null,
+          tagLatency: item.result.tagLatency || null,
+          pageDiagnostics: item.result.pageDiagnostics || null,
+          piiLeakage: item.result.piiLeakage || null,
+          cookies: item.result.cookies || null,
+          pageClassification: item.result.pageClassification || null,
+          eventSummary: item.result.eventSummary || null,
+          journeys: item.result.journeys || null,
+          collectEndpoints: item.result.collectEndpoints || null
         }
       }));
 
@@ -306,6 +346,95 @@ class BatchUploadManager {
     return summary;
   }
 
+  /**
+   * Upload HAR archives in parallel
+   *
+   * The archives are streamed from their temp files; the bucket is private, so only
+   * the storage path is saved (the dashboard serves signed URLs).
+   *
+   * @param {string} runId - Crawl run ID
+   * @param {Array} hars - Cached HAR archives ({ propertyId, path, metadata })
+   * @returns {Promise<Object>} Upload summary
+   */
+  async uploadHars(runId, hars) {
+    const summary = {
+      total: hars.length,
+      success: 0,
+      failed: 0,
+      errors: []
+    };
+
+    if (hars.length === 0) {
+      console.log('  ℹ️ No HAR archives to upload');
+      return summary;
+    }
+
+    console.log(`  🗂️ Uploading ${hars.length} HAR archives (${this.CONCURRENT_UPLOADS} concurrent)...`);
+
+    // Filter HAR archives with valid UUID propertyIds
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    const validHars = hars.filter(har => {
+      if (!har.propertyId || !uuidRegex.test(har.propertyId)) {
+        console.warn(`  ⚠️ Skipping HAR with invalid UUID propertyId: ${har.propertyId}`);
+        return false;
+      }
+      return true;
+    });
+
+    const chunks = this.chunkArray(validHars, this.CONCURRENT_UPLOADS);
+
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+      console.log(`\n  📤 Batch ${i + 1}/${chunks.length}: ${chunk.length} HAR archives`);
+
+      await Promise.all(chunk.map(async (har) => {
+        try {
+          const filename = `${runId}/${har.propertyId}_${Date.now()}.har.gz`;
+
+          // Upload to Supabase Storage (fresh stream per attempt)
+          const { error } = await this.retryOperation(async () => {
+            return await supabase.storage
+              .from('hars')
+              .upload(filename, createReadStream(har.path), {
+                contentType: 'application/gzip',
+                upsert: false
+              });
+          });
+
+          if (error) {
+            throw error;
+          }
+
+          // Update crawl_results with HAR storage path
+          const { error: updateError } = await supabase
+            .from(Tables.CRAWL_RESULTS)
+            .update({ har_path: filename })
+            .eq('property_id', har.propertyId)
+            .eq('crawl_run_id', runId);
+
+          if (updateError) {
+            console.error(`     ⚠️ Failed to update har_path for ${har.propertyId}:`, updateError.message);
+          }
+
+          summary.success++;
+          console.log(`     ✅ ${har.propertyId} → hars/${filename}`);
+
+        } catch (error) {
+          summary.failed++;
+          summary.errors.push({
+            propertyId: har.propertyId,
+            error: error.message
+          });
+
+          console.error(`     ❌ ${har.propertyId} failed:`, error.message);
+        }
+      }));
+    }
+
+    console.log(`\n  ✅ HAR upload completed: ${summary.success}/${summary.total} successful`);
+    return summary;
+  }
+
   /**
    * Update crawl run statistics after batch upload
    *
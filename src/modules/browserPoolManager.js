@@ -11,10 +11,128 @@
  * Issue: StealthPlugin caused 30s page load times (>95% timeout rate)
  * Solution: Use vanilla Playwright - loads in 1-5s (0% timeout rate)
  * Bot detection bypass: Manual stealth scripts in createStealthPage()
+ *
+ * Device / locale emulation: named validation profiles (VALIDATION_PROFILES)
+ * applied per browser context in createStealthPage()
  */
 
 import { chromium } from 'playwright';
 
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Named validation profiles (device + locale / timezone)
+ *
+ * Sites may serve different markup or GTM containers to mobile web, and global
+ * sites redirect by Accept-Language and timezone. Each profile maps to one
+ * browser context configuration.
+ */
+export const VALIDATION_PROFILES = {
+  desktop: {
+    label: 'Desktop (ko-KR)',
+    viewport: { width: 1920, height: 1080 },
+    userAgent: DESKTOP_USER_AGENT,
+    platform: 'MacIntel',
+    locale: 'ko-KR',
+    timezoneId: 'Asia/Seoul',
+    languages: ['ko-KR', 'ko', 'en-US', 'en']
+  },
+  mobile_ios: {
+    label: 'Mobile iOS Safari (ko-KR)',
+    viewport: { width: 390, height: 844 },
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    platform: 'iPhone',
+    locale: 'ko-KR',
+    timezoneId: 'Asia/Seoul',
+    languages: ['ko-KR', 'ko', 'en-US', 'en']
+  },
+  mobile_android: {
+    label: 'Mobile Android Chrome (ko-KR)',
+    viewport: { width: 412, height: 915 },
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; SM-S918N) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    hasTouch: true,
+    platform: 'Linux armv81',
+    locale: 'ko-KR',
+    timezoneId: 'Asia/Seoul',
+    languages: ['ko-KR', 'ko', 'en-US', 'en']
+  },
+  desktop_en_us: {
+    label: 'Desktop (en-US, New York)',
+    viewport: { width: 1920, height: 1080 },
+    userAgent: DESKTOP_USER_AGENT,
+    platform: 'MacIntel',
+    locale: 'en-US',
+    timezoneId: 'America/New_York',
+    languages: ['en-US', 'en']
+  },
+  desktop_ja_jp: {
+    label: 'Desktop (ja-JP, Tokyo)',
+    viewport: { width: 1920, height: 1080 },
+    userAgent: DESKTOP_USER_AGENT,
+    platform: 'MacIntel',
+    locale: 'ja-JP',
+    timezoneId: 'Asia/Tokyo',
+    languages: ['ja-JP', 'ja', 'en-US', 'en']
+  },
+  desktop_zh_cn: {
+    label: 'Desktop (zh-CN, Shanghai)',
+    viewport: { width: 1920, height: 1080 },
+    userAgent: DESKTOP_USER_AGENT,
+    platform: 'MacIntel',
+    locale: 'zh-CN',
+    timezoneId: 'Asia/Shanghai',
+    languages: ['zh-CN', 'zh', 'en-US', 'en']
+  }
+};
+
+/**
+ * Profile used when a property or run does not assign one
+ */
+export const DEFAULT_PROFILE = 'desktop';
+
+/**
+ * Normalize profile names from an array or a CSV value (',' / ';' separated)
+ *
+ * @param {string|Array<string>} value - Raw profile names
+ * @returns {string[]} Lowercase, de-duplicated names (unknown names are kept)
+ */
+export function normalizeProfileNames(value) {
+  if (!value) {
+    return [];
+  }
+
+  const entries = Array.isArray(value) ? value : String(value).split(/[,;\n]/);
+
+  return [...new Set(entries
+    .map(entry => String(entry).trim().toLowerCase())
+    .filter(Boolean))];
+}
+
+/**
+ * Resolve the profiles to validate, primary profile first
+ *
+ * Unknown names are skipped with a warning. Without any known profile the
+ * default desktop profile is used.
+ *
+ * @param {string|Array<string>} value - Profile names (property or run)
+ * @returns {string[]} Known profile names
+ */
+export function resolveProfiles(value) {
+  const names = normalizeProfileNames(value);
+  const unknown = names.filter(name => !VALIDATION_PROFILES[name]);
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Unknown validation profile(s) skipped: ${unknown.join(', ')}`);
+  }
+
+  const known = names.filter(name => VALIDATION_PROFILES[name]);
+  return known.length > 0 ? known : [DEFAULT_PROFILE];
+}
+
 /**
  * Browser Pool class
  * Manages lifecycle of browser instances for efficient resource usage
@@ -252,25 +370,39 @@ export class BrowserPool {
  * - Sufficient for most sites without performance penalty
  *
  * @param {Browser} browser - Playwright browser instance
+ * @param {string} profileName - Validation profile (see VALIDATION_PROFILES)
+ * @param {Object} options - Page options
+ * @param {string} options.harPath - Record the context traffic to this HAR archive (written on context close)
  * @returns {Promise<{context: BrowserContext, page: Page}>} Context and configured page
+ * @throws {Error} If the profile is unknown
  */
-export async function createStealthPage(browser) {
+export async function createStealthPage(browser, profileName = DEFAULT_PROFILE, options = {}) {
+  const profile = VALIDATION_PROFILES[profileName];
+  if (!profile) {
+    throw new Error(`Unknown validation profile: ${profileName}`);
+  }
+
   const context = await browser.newContext({
-    viewport: { width: 1920, height: 1080 },
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    locale: 'ko-KR',
-    timezoneId: 'Asia/Seoul',
+    viewport: profile.viewport,
+    userAgent: profile.userAgent,
+    deviceScaleFactor: profile.deviceScaleFactor || 1,
+    isMobile: profile.isMobile || false,
+    hasTouch: profile.hasTouch || false,
+    locale: profile.locale,
+    timezoneId: profile.timezoneId,
     permissions: [],
     extraHTTPHeaders: {
-      'Accept-Language': 'ko-KR,ko;q=0.9,en-US;q=0.8,en;q=0.7'
-    }
+      'Accept-Language': getAcceptLanguage(profile.languages)
+    },
+    // HAR with embedded response bodies (replayable with routeFromHAR)
+    ...(options.harPath ? { recordHar: { path: options.harPath, mode: 'full', content: 'embed' } } : {})
   });
 
   const page = await context.newPage();
 
   // Manual stealth scripts for bot detection bypass
   // Essential overrides without performance penalty
-  await page.addInitScript(() => {
+  await page.addInitScript(({ languages, platform }) => {
     // Override navigator.webdriver
     Object.defineProperty(navigator, 'webdriver', {
       get: () => undefined
@@ -283,12 +415,12 @@ export async function createStealthPage(browser) {
 
     // Override languages
     Object.defineProperty(navigator, 'languages', {
-      get: () => ['ko-KR', 'ko', 'en-US', 'en']
+      get: () => languages
     });
 
     // Override platform (AC3 - Story 2.3)
     Object.defineProperty(navigator, 'platform', {
-      get: () => 'MacIntel'
+      get: () => platform
     });
 
     // Chrome runtime
@@ -303,11 +435,23 @@ export async function createStealthPage(browser) {
         Promise.resolve({ state: Notification.permission }) :
         originalQuery(parameters)
     );
-  });
+  }, { languages: profile.languages, platform: profile.platform });
 
   return { context, page };
 }
 
+/**
+ * Build the Accept-Language header from navigator.languages
+ *
+ * @param {string[]} languages - Languages in preference order
+ * @returns {string} Header value (e.g. 'ko-KR,ko;q=0.9,en-US;q=0.8,en;q=0.7')
+ */
+function getAcceptLanguage(languages) {
+  return languages
+    .map((language, index) => index === 0 ? language : `${language};q=${(1 - index * 0.1).toFixed(1)}`)
+    .join(',');
+}
+
 /**
  * Process properties in parallel using browser pool
  *
@@ -363,5 +507,9 @@ export async function processInParallel(browserPool, properties, processFn) {
 export default {
   BrowserPool,
   createStealthPage,
-  processInParallel
+  processInParallel,
+  normalizeProfileNames,
+  resolveProfiles,
+  VALIDATION_PROFILES,
+  DEFAULT_PROFILE
 };
@@ -16,8 +16,18 @@ import {
   findMeasurementId,
   findGTMId,
   findPageViewEvent,
-  detectConsentModeBasic
+  detectConsentModeBasic,
+  summarizeCollectEndpoints,
+  getEventSummary,
+  CONSENT_TYPES
 } from './networkEventCapturer.js';
+import { evaluateEventRule, RULE_STATUS } from './eventRuleEvaluator.js';
+import { buildTagInventory, parseExpectedTags, compareTagInventory } from './tagInventory.js';
+import { BUDGET_MILESTONES } from './tagTimingCollector.js';
+import { TAG_TARGET } from './pageDiagnostics.js';
+import { getAllowedDomains, isAllowedHost } from './redirectTracker.js';
+import { getPiiConfig, scanEventsForPii, maskPii, maskUrl } from './piiScanner.js';
+import { inspectGA4Cookies } from './cookieInspector.js';
 
 /**
  * Extract AP_DATA from page (window.AP_DATA or dataLayer)
@@ -140,11 +150,99 @@ export const ISSUE_TYPE = {
   GTM_NOT_FOUND: 'GTM_NOT_FOUND',
   SERVICE_CLOSED: 'SERVICE_CLOSED',        // Service has been closed or discontinued
   SERVER_ERROR: 'SERVER_ERROR',            // Server error (5xx) or gateway issues
+  BOT_CHALLENGE: 'BOT_CHALLENGE',          // Bot challenge / CAPTCHA interstitial served instead of the page
+  ACCESS_BLOCKED: 'ACCESS_BLOCKED',        // Access denied, WAF block or geo-block served instead of the page
   VALIDATION_ERROR: 'VALIDATION_ERROR',    // General validation errors
   CONSENT_MODE_BASIC_DETECTED: 'CONSENT_MODE_BASIC_DETECTED', // Consent Mode Basic blocking GA4
-  GA4_NOT_CONFIGURED: 'GA4_NOT_CONFIGURED' // GA4 not configured in GTM (not Consent Mode)
+  GA4_NOT_CONFIGURED: 'GA4_NOT_CONFIGURED', // GA4 not configured in GTM (not Consent Mode)
+  PAGE_VALIDATION_FAILED: 'PAGE_VALIDATION_FAILED', // Additional page (PLP, PDP, cart ...) failed validation
+  PROFILE_VALIDATION_FAILED: 'PROFILE_VALIDATION_FAILED', // Representative URL failed validation on an additional device / locale profile
+  JOURNEY_STEP_FAILED: 'JOURNEY_STEP_FAILED', // Scripted user journey step failed (event missing or assertion failed)
+  ECOMMERCE_ITEMS_EMPTY: 'ECOMMERCE_ITEMS_EMPTY',         // Ecommerce event sent without items
+  ECOMMERCE_ITEM_ID_MISSING: 'ECOMMERCE_ITEM_ID_MISSING', // Item without item_id
+  ECOMMERCE_PRICE_INVALID: 'ECOMMERCE_PRICE_INVALID',     // Item price is not numeric
+  ECOMMERCE_CURRENCY_MISSING: 'ECOMMERCE_CURRENCY_MISSING', // Ecommerce event sent without currency (cu)
+  CONSENT_MODE_V2_SIGNALS_MISSING: 'CONSENT_MODE_V2_SIGNALS_MISSING', // Hits without ad_user_data / ad_personalization (gcd)
+  CONSENT_REJECT_NOT_RESPECTED: 'CONSENT_REJECT_NOT_RESPECTED', // Google cookies or granted hits after "reject all"
+  EVENT_PARAM_RULE_FAILED: 'EVENT_PARAM_RULE_FAILED', // Declarative event parameter rule failed (severity set per rule)
+  DOUBLE_TAGGING: 'DOUBLE_TAGGING', // Duplicate page_view, GTM container load or gtag config (inflates sessions / hits)
+  CROSS_DOMAIN_LINKER_FAILED: 'CROSS_DOMAIN_LINKER_FAILED', // Link to a whitelisted domain without _gl or client ID not carried over
+  MARKETING_GTM_NOT_FOUND: 'MARKETING_GTM_NOT_FOUND', // Expected marketing GTM container not loaded
+  GTM_UNEXPECTED_CONTAINER: 'GTM_UNEXPECTED_CONTAINER', // GTM container loaded that is neither the web nor the marketing GTM
+  GTM_ENVIRONMENT_NOT_LIVE: 'GTM_ENVIRONMENT_NOT_LIVE', // gtm.js loaded with gtm_auth / gtm_preview (environment snippet) on a production URL
+  GTM_CUSTOM_DATALAYER_NAME: 'GTM_CUSTOM_DATALAYER_NAME', // gtm.js loaded with a non-default dataLayer name (l parameter) on a production URL
+  TAG_MISSING: 'TAG_MISSING',       // Expected third-party marketing tag (Meta Pixel, Criteo ...) not requested
+  TAG_UNEXPECTED: 'TAG_UNEXPECTED', // Third-party marketing tag requested that the property does not declare
+  TAG_LATENCY_BUDGET_EXCEEDED: 'TAG_LATENCY_BUDGET_EXCEEDED', // page_view (or first GA4 hit) sent later than the property latency budget
+  GTM_BLOCKED_BY_CSP: 'GTM_BLOCKED_BY_CSP',   // gtm.js blocked by the page Content-Security-Policy
+  GA4_BLOCKED_BY_CSP: 'GA4_BLOCKED_BY_CSP',   // gtag.js / GA4 collect blocked by the page Content-Security-Policy
+  GTM_REQUEST_FAILED: 'GTM_REQUEST_FAILED',   // gtm.js request failed (DNS, connection, blocked by client ...)
+  GA4_REQUEST_FAILED: 'GA4_REQUEST_FAILED',   // gtag.js / GA4 collect request failed
+  SCRIPT_ERROR_BEFORE_GTM: 'SCRIPT_ERROR_BEFORE_GTM', // Uncaught page errors and GTM never loaded
+  UNEXPECTED_FINAL_DOMAIN: 'UNEXPECTED_FINAL_DOMAIN', // Redirect chain ended outside the property domain and whitelist
+  PII_IN_PAYLOAD: 'PII_IN_PAYLOAD', // Email, phone number, resident registration number or name sent in a GA4 hit
+  PAGE_VIEW_LOCATION_MISMATCH: 'PAGE_VIEW_LOCATION_MISMATCH', // page_view dl differs from the page URL at send time (stale SPA route)
+  TITLE_MISMATCH: 'TITLE_MISMATCH', // page_view dt differs from document.title at send time
+  SPA_PAGE_VIEW_MISSING: 'SPA_PAGE_VIEW_MISSING', // No page_view with the new location after a client-side route change
+  GA_COOKIE_MISSING: 'GA_COOKIE_MISSING', // GA4 hits sent but no _ga client ID cookie
+  GA_SESSION_COOKIE_MISSING: 'GA_SESSION_COOKIE_MISSING', // No _ga_<stream> session cookie for the expected measurement ID
+  GA_COOKIE_DOMAIN_MISMATCH: 'GA_COOKIE_DOMAIN_MISMATCH', // _ga / _ga_<stream> not set on the registrable domain (e.g. www. only)
+  GA_COOKIE_EXPIRY_SHORT: 'GA_COOKIE_EXPIRY_SHORT', // _ga / _ga_<stream> is a session cookie or expires early
+  GA_COOKIE_CID_MISMATCH: 'GA_COOKIE_CID_MISMATCH' // Client ID in _ga differs from the cid sent in the hits
 };
 
+/**
+ * Roles of the expected GTM containers of a property
+ */
+export const GTM_CONTAINER_ROLE = {
+  WEB: 'web',             // Primary web GTM (Web GTM Pubilic ID)
+  MARKETING: 'marketing'  // Marketing GTM (마케팅 GTM)
+};
+
+/**
+ * Consent Mode implementation inferred from consent scenarios
+ */
+export const CONSENT_MODE_TYPE = {
+  BASIC: 'basic',                   // No hits until consent is granted
+  ADVANCED: 'advanced',             // Cookieless pings (storage denied) before / without consent
+  NOT_IMPLEMENTED: 'not_implemented', // Hits without any consent signals regardless of the choice
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * GA4 recommended ecommerce events validated for items schema
+ */
+export const ECOMMERCE_EVENTS = [
+  'view_item_list',
+  'select_item',
+  'view_item',
+  'add_to_wishlist',
+  'add_to_cart',
+  'remove_from_cart',
+  'view_cart',
+  'begin_checkout',
+  'add_shipping_info',
+  'add_payment_info',
+  'purchase',
+  'refund'
+];
+
+// List events carry no monetary value, full refunds may omit items
+const CURRENCY_OPTIONAL_EVENTS = ['view_item_list', 'select_item'];
+const ITEMS_OPTIONAL_EVENTS = ['refund'];
+
+// Consent types added by Consent Mode v2 (required for EEA traffic since March 2024)
+const CONSENT_V2_TYPES = ['ad_user_data', 'ad_personalization'];
+
+// Hostname labels of non-production sites (dev.example.com, stg-www.example.com, qa2.example.com ...)
+const NON_PRODUCTION_HOST_PATTERN = /(^|[.-])(dev|develop|stg|stage|staging|qa|test|uat|sandbox|preview|local)\d*([.-]|$)/i;
+
+// dataLayer name used by the standard GTM snippet (l parameter is omitted or equals this)
+const DEFAULT_DATALAYER_NAME = 'dataLayer';
+
+// GA4 cookies last 2 years by default (400 days in Chrome); shorter lifetimes split returning users
+const MIN_GA_COOKIE_EXPIRY_DAYS = 30;
+
 /**
  * Validate property configuration
  *
@@ -162,6 +260,12 @@ export async function validateProperty(property, events, url, page, timing = {},
 
   console.log(`🔍 Validating ${property.propertyName}...`);
 
+  // Check that the redirect chain ended on the property domain or a whitelisted domain
+  const redirects = validateRedirectChain(property, url, context.redirectChain);
+  if (!redirects.isValid) {
+    issues.push(...redirects.issues);
+  }
+
   // Validate Measurement ID (Story 11.2: Pass context for Consent Mode Basic detection)
   const measIdResult = validateMeasurementId(property, events, context);
   if (!measIdResult.isValid) {
@@ -174,10 +278,29 @@ export async function validateProperty(property, events, url, page, timing = {},
     issues.push(...gtmIdResult.issues);
   }
 
+  // Root causes from CSP violations, failed tag requests and page errors
+  const pageDiagnostics = validatePageDiagnostics(context.diagnostics, {
+    gtmLoaded: gtmIdResult.allFound.length > 0 || !gtmIdResult.expected, // No web GTM configured: nothing to explain
+    ga4Sent: measIdResult.allFound.length > 0
+  });
+  if (!pageDiagnostics.isValid) {
+    // A root-cause issue replaces the generic "GTM container not loaded" / "No GA4 events" issue it explains
+    const replacedTypes = pageDiagnostics.issues.map(issue => issue.replaces).filter(Boolean);
+    const explained = issues.filter(issue => replacedTypes.includes(issue.type) && issue.actual === null);
+    explained.forEach(issue => issues.splice(issues.indexOf(issue), 1));
+    issues.push(...pageDiagnostics.issues);
+  }
+
   // Story 11.2: Skip page_view validation when Consent Mode Basic is detected
   // Check if Consent Mode Basic was detected in measurement ID validation
   const hasConsentModeBasic = measIdResult.extractionSource?.consentMode?.type === 'basic';
 
+  // Flag GTM environment snippets and custom dataLayer names on production URLs
+  const gtmEnvironment = validateGTMEnvironment(events, url);
+  if (!gtmEnvironment.isValid) {
+    issues.push(...gtmEnvironment.issues);
+  }
+
   // Validate page_view event with timing information (skip if Consent Mode Basic)
   const pageViewResult = hasConsentModeBasic
     ? { isValid: true, count: 0, issues: [], skipped: 'Consent Mode Basic detected' }
@@ -187,6 +310,69 @@ export async function validateProperty(property, events, url, page, timing = {},
     issues.push(...pageViewResult.issues);
   }
 
+  // Detect double tagging (duplicate page_view, GTM container or gtag config)
+  const doubleTagging = validateDoubleTagging(events, context.dataLayerTimeline);
+  if (!doubleTagging.isValid) {
+    issues.push(...doubleTagging.issues);
+  }
+
+  // Compare page_view dl / dt with the page URL and document.title at send time
+  const pageViewContext = validatePageViewContext(events);
+  if (!pageViewContext.isValid) {
+    issues.push(...pageViewContext.issues);
+  }
+
+  // Validate ecommerce items payload (only when ecommerce events were sent)
+  const ecommerceResult = validateEcommerceItems(events);
+  if (!ecommerceResult.isValid) {
+    issues.push(...ecommerceResult.issues);
+  }
+
+  // Validate Consent Mode v2 signals (gcs / gcd) on GA4 hits
+  const consentSignals = validateConsentSignals(property, events);
+  if (!consentSignals.isValid) {
+    issues.push(...consentSignals.issues);
+  }
+
+  // Evaluate per-property / account group event parameter rules
+  const eventRules = validateEventRules(property, events);
+  if (!eventRules.isValid) {
+    issues.push(...eventRules.issues);
+  }
+
+  // Inventory third-party marketing tags and compare with the expected tags
+  const tagInventory = validateTagInventory(property, events);
+  if (!tagInventory.isValid) {
+    issues.push(...tagInventory.issues);
+  }
+
+  // Compare tag timing with the property latency budget
+  const tagLatency = validateTagLatency(property, context.tagTiming);
+  if (!tagLatency.isValid) {
+    issues.push(...tagLatency.issues);
+  }
+
+  // Scan GA4 hits for personal data (dl query, dt, uid, ep.* / epn.* / up.* values)
+  const piiLeakage = validatePiiLeakage(property, events);
+  if (!piiLeakage.isValid) {
+    issues.push(...piiLeakage.issues);
+  }
+
+  // Stored results keep GA4 parameter values: mask the leaked PII in them
+  const eventSummary = getEventSummary(events);
+  if (!piiLeakage.isValid) {
+    maskStoredPii(getPiiConfig(property), eventSummary, eventRules, doubleTagging, pageViewContext);
+  }
+
+  // Inspect _ga / _ga_<stream> cookies read after the GA4 hits (final URL decides the cookie domain)
+  const cookies = validateCookies(property, context.redirectChain?.finalUrl || url, events, context.cookies);
+  if (!cookies.isValid) {
+    issues.push(...cookies.issues);
+  }
+
+  // Report which collect endpoints (Google / sGTM) received the GA4 hits
+  const collectEndpoints = summarizeCollectEndpoints(events, context.transportUrls);
+
   // Extract and store AP_DATA (optional, non-blocking)
   // Story 3.5: AC4 - Don't create issues if missing
   const apDataResult = await validateAPData(page);
@@ -200,9 +386,23 @@ export async function validateProperty(property, events, url, page, timing = {},
     slug: property.slug,
     validationTime: new Date().toISOString(),
     url,
+    redirects,
     measurementId: measIdResult,
     gtmId: gtmIdResult,
+    gtmEnvironment,
     pageViewEvent: pageViewResult,
+    doubleTagging,
+    pageViewContext,
+    ecommerce: ecommerceResult,
+    consentSignals,
+    eventRules,
+    tagInventory,
+    tagLatency,
+    pageDiagnostics,
+    piiLeakage,
+    cookies,
+    collectEndpoints,
+    eventSummary,
     apData: apDataResult,
     issues,
     isValid: issues.length === 0,
@@ -362,15 +562,86 @@ export function validateMeasurementId(property, events, context = {}) {
 }
 
 /**
- * Validate GTM container ID matches expected value (supports multiple GTM)
+ * Validate expected GTM containers (primary web GTM and marketing GTM)
+ *
+ * Each expected container gets its own pass/fail in `containers`. With a web GTM
+ * configured, containers that are neither expected one are reported as info (the
+ * property stays valid). gtmContainerId is only used to wait for the GTM load.
  *
  * @param {Property} property - Property configuration
  * @param {Array<NetworkEvent>} events - Captured events
- * @returns {Object} Validation result
+ * @returns {Object} Validation result (primary GTM fields plus containers and unexpected)
  */
-function validateGTMId(property, events) {
-  const expected = property.webGtmId;
+export function validateGTMId(property, events) {
+  const primaryResult = validatePrimaryGTMId(property.webGtmId, events);
+  const marketingId = normalizeGTMId(property.marketingGtm);
+  const issues = [...primaryResult.issues];
+
+  const containers = [];
+  if (primaryResult.expected) {
+    containers.push({
+      id: primaryResult.expected,
+      role: GTM_CONTAINER_ROLE.WEB,
+      found: findGTMId(events, primaryResult.expected).found
+    });
+  }
+
+  if (marketingId) {
+    const found = findGTMId(events, marketingId).found;
+    containers.push({ id: marketingId, role: GTM_CONTAINER_ROLE.MARKETING, found });
+
+    if (!found) {
+      issues.push({
+        type: ISSUE_TYPE.MARKETING_GTM_NOT_FOUND,
+        severity: SEVERITY.CRITICAL,
+        message: `Marketing GTM container ${marketingId} not loaded`,
+        expected: marketingId,
+        actual: primaryResult.allFound.join(', ') || null
+      });
+    }
+  }
+
+  const expectedIds = containers.map(container => container.id.toUpperCase());
+  const unexpected = primaryResult.allFound.filter(id => !expectedIds.includes(id.trim().toUpperCase()));
+
+  if (primaryResult.expected && unexpected.length > 0) {
+    issues.push({
+      type: ISSUE_TYPE.GTM_UNEXPECTED_CONTAINER,
+      severity: SEVERITY.INFO,
+      message: `Unexpected GTM container(s) loaded: ${unexpected.join(', ')}`,
+      expected: containers.map(container => container.id).join(', '),
+      actual: unexpected.join(', ')
+    });
+  }
 
+  return {
+    ...primaryResult,
+    isValid: !issues.some(issue => issue.severity !== SEVERITY.INFO),
+    containers,
+    unexpected,
+    issues
+  };
+}
+
+/**
+ * Normalize a configured GTM container ID ('-' and non-GTM values mean not configured)
+ *
+ * @param {string} value - Configured GTM ID
+ * @returns {string|null} Uppercase GTM ID or null
+ */
+function normalizeGTMId(value) {
+  const id = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  return id.startsWith('GTM-') ? id : null;
+}
+
+/**
+ * Validate the primary web GTM container ID (supports multiple GTM)
+ *
+ * @param {string} expected - Expected web GTM ID
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @returns {Object} Validation result
+ */
+function validatePrimaryGTMId(expected, events) {
   // GTM ID is optional, skip if not configured
   if (!expected || expected === '-') {
     const allIds = extractAllGTMIds(events);
@@ -470,6 +741,1111 @@ export function validatePageViewEvent(events, timing = {}) {
   };
 }
 
+/**
+ * Check whether a URL points to a production site
+ *
+ * Localhost, IP addresses and hostnames with a dev / stg / qa ... label are
+ * treated as non-production.
+ *
+ * @param {string} url - Validated URL
+ * @returns {boolean} True for production URLs
+ */
+export function isProductionUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+
+  if (hostname === 'localhost' || /^[\d.]+$/.test(hostname) || hostname.startsWith('[')) {
+    return false;
+  }
+
+  return !NON_PRODUCTION_HOST_PATTERN.test(hostname);
+}
+
+/**
+ * Validate the GTM environment of loaded containers
+ *
+ * parseGTMParams extracts gtm_auth / gtm_preview (set by GTM environment snippets,
+ * e.g. a staging environment) and l (dataLayer name) from the gtm.js URL. On a
+ * production URL, a container served from a non-live environment publishes
+ * unreleased tags, and a custom dataLayer name means pushes to window.dataLayer
+ * never reach the container.
+ *
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @param {string} url - Validated URL
+ * @returns {Object} { isValid, isProduction, containers, issues }
+ */
+export function validateGTMEnvironment(events, url) {
+  const isProduction = isProductionUrl(url);
+
+  // One entry per container / environment / dataLayer name (MutationObserver entries carry no URL params)
+  const containers = [];
+  events
+    .filter(e => e.type === 'gtm_load' && e.params.id && e.source !== 'mutation_observer')
+    .forEach(e => {
+      const container = {
+        id: e.params.id,
+        environmentId: e.params.gtm_preview || null,
+        hasAuth: Boolean(e.params.gtm_auth),
+        dataLayerName: e.params.l || DEFAULT_DATALAYER_NAME
+      };
+      const exists = containers.some(c =>
+        c.id === container.id &&
+        c.environmentId === container.environmentId &&
+        c.dataLayerName === container.dataLayerName
+      );
+      if (!exists) {
+        containers.push(container);
+      }
+    });
+
+  const issues = [];
+  if (isProduction) {
+    containers
+      .filter(container => container.environmentId || container.hasAuth)
+      .forEach(container => {
+        issues.push({
+          type: ISSUE_TYPE.GTM_ENVIRONMENT_NOT_LIVE,
+          severity: SEVERITY.CRITICAL,
+          message: `GTM container ${container.id} loaded from environment ${container.environmentId || '(gtm_auth only)'} on a production URL`,
+          expected: 'Live environment (no gtm_auth / gtm_preview)',
+          actual: container.environmentId,
+          gtmId: container.id,
+          environmentId: container.environmentId
+        });
+      });
+
+    containers
+      .filter(container => container.dataLayerName !== DEFAULT_DATALAYER_NAME)
+      .forEach(container => {
+        issues.push({
+          type: ISSUE_TYPE.GTM_CUSTOM_DATALAYER_NAME,
+          severity: SEVERITY.WARNING,
+          message: `GTM container ${container.id} uses dataLayer name '${container.dataLayerName}'`,
+          expected: DEFAULT_DATALAYER_NAME,
+          actual: container.dataLayerName,
+          gtmId: container.id
+        });
+      });
+  }
+
+  return {
+    isValid: issues.length === 0,
+    isProduction,
+    containers,
+    issues
+  };
+}
+
+/**
+ * Detect double tagging on a single page load
+ *
+ * - page_view sent more than once for the same measurement ID and page location
+ *   to the same endpoint type (e.g. the GTM Google tag plus a hard-coded gtag
+ *   snippet). A hit to Google next to its server-side GTM copy is not counted.
+ * - the same GTM container requested more than once
+ * - gtag('config', id) called more than once for the same ID (from the dataLayer
+ *   timeline). Calls with send_page_view: false only update settings and are ignored.
+ *
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @param {Object|null} dataLayerTimeline - Timeline from dataLayerRecorder (optional)
+ * @returns {Object} { isValid, pageViews, gtmContainers, gtagConfigs, issues }
+ */
+export function validateDoubleTagging(events, dataLayerTimeline = null) {
+  const countBy = (items, getKey) => items.reduce((counts, item) => {
+    const key = getKey(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+    return counts;
+  }, new Map());
+
+  // Window-extracted IDs and MutationObserver containers are synthetic, not requests
+  const pageViewCounts = countBy(
+    events.filter(e => e.type === 'ga4_collect' && e.params.en === 'page_view' && e.source !== 'window_extraction'),
+    e => `${e.params.tid || 'unknown'}|${e.endpointType || ''}|${e.params.dl || ''}`
+  );
+  const gtmLoadCounts = countBy(
+    events.filter(e => e.type === 'gtm_load' && e.params.id && e.source !== 'mutation_observer'),
+    e => e.params.id
+  );
+  const configCounts = countBy(
+    (dataLayerTimeline?.entries || []).filter(entry =>
+      entry.event === 'gtag:config' &&
+      Array.isArray(entry.data) &&
+      typeof entry.data[1] === 'string' &&
+      entry.data[2]?.send_page_view !== false
+    ),
+    entry => entry.data[1]
+  );
+
+  const pageViews = [...pageViewCounts].map(([key, count]) => {
+    const [measurementId, endpointType, ...location] = key.split('|');
+    const pageLocation = location.join('|');
+    return { measurementId, endpointType: endpointType || null, pageLocation: pageLocation || null, count };
+  });
+  const gtmContainers = [...gtmLoadCounts].map(([id, count]) => ({ id, count }));
+  const gtagConfigs = [...configCounts].map(([measurementId, count]) => ({ measurementId, count }));
+
+  const issues = [
+    ...pageViews.filter(pv => pv.count > 1).map(pv => ({
+      type: ISSUE_TYPE.DOUBLE_TAGGING,
+      severity: SEVERITY.CRITICAL,
+      message: `page_view sent ${pv.count} times for ${pv.measurementId} on one page load`,
+      expected: '1 page_view',
+      actual: `${pv.count} page_views${pv.pageLocation ? ` (${pv.pageLocation})` : ''}`,
+      kind: 'page_view',
+      measurementId: pv.measurementId
+    })),
+    ...gtmContainers.filter(container => container.count > 1).map(container => ({
+      type: ISSUE_TYPE.DOUBLE_TAGGING,
+      severity: SEVERITY.CRITICAL,
+      message: `GTM container ${container.id} loaded ${container.count} times`,
+      expected: '1 gtm.js request',
+      actual: `${container.count} gtm.js requests`,
+      kind: 'gtm_container',
+      gtmId: container.id
+    })),
+    ...gtagConfigs.filter(config => config.count > 1).map(config => ({
+      type: ISSUE_TYPE.DOUBLE_TAGGING,
+      severity: SEVERITY.CRITICAL,
+      message: `gtag('config', '${config.measurementId}') called ${config.count} times`,
+      expected: '1 config call',
+      actual: `${config.count} config calls`,
+      kind: 'gtag_config',
+      measurementId: config.measurementId
+    }))
+  ];
+
+  return {
+    isValid: issues.length === 0,
+    pageViews,
+    gtmContainers,
+    gtagConfigs,
+    issues
+  };
+}
+
+/**
+ * Validate third-party marketing tags against the property's expected tags
+ *
+ * The inventory is always reported. Missing / unexpected tags are only checked
+ * when the property declares expected tags; unexpected tags are informational.
+ *
+ * @param {Property} property - Property configuration (expectedTags)
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @returns {Object} { isValid, tags, expected, missing, unexpected, issues }
+ */
+export function validateTagInventory(property, events) {
+  const tags = buildTagInventory(events);
+  const expected = parseExpectedTags(property.expectedTags);
+
+  if (expected.length === 0) {
+    return { isValid: true, tags, expected, missing: [], unexpected: [], issues: [] };
+  }
+
+  const { missing, unexpected } = compareTagInventory(expected, tags);
+  const issues = [
+    ...missing.map(tag => ({
+      type: ISSUE_TYPE.TAG_MISSING,
+      severity: SEVERITY.WARNING,
+      message: `Expected marketing tag ${tag} not requested`,
+      expected: tag,
+      actual: tags.map(entry => entry.id ? `${entry.vendor}:${entry.id}` : entry.vendor).join(', ') || null
+    })),
+    ...unexpected.map(entry => ({
+      type: ISSUE_TYPE.TAG_UNEXPECTED,
+      severity: SEVERITY.INFO,
+      message: `Unexpected marketing tag ${entry.vendor}${entry.id ? `:${entry.id}` : ''} requested`,
+      expected: expected.join(', '),
+      actual: entry.id ? `${entry.vendor}:${entry.id}` : entry.vendor
+    }))
+  ];
+
+  return {
+    isValid: !issues.some(issue => issue.severity !== SEVERITY.INFO),
+    tags,
+    expected,
+    missing,
+    unexpected,
+    issues
+  };
+}
+
+/**
+ * Validate tag timing against the property latency budget
+ *
+ * The budget applies to the page_view hit, or to the first GA4 hit when no
+ * page_view was sent. Missing hits are reported by the page_view / measurement
+ * ID validations, not here.
+ *
+ * @param {Property} property - Property configuration (latencyBudgetMs)
+ * @param {Object|null} tagTiming - Tag timing record from tagTimingCollector
+ * @returns {Object} { isValid, budgetMs, milestone, actualMs, issues }
+ */
+export function validateTagLatency(property, tagTiming) {
+  const budgetMs = Number(property.latencyBudgetMs) > 0 ? Number(property.latencyBudgetMs) : null;
+  const milestone = tagTiming ? BUDGET_MILESTONES.find(name => tagTiming[name] !== null && tagTiming[name] !== undefined) : undefined;
+  const actualMs = milestone ? tagTiming[milestone] : null;
+
+  const issues = [];
+  if (budgetMs && actualMs !== null && actualMs > budgetMs) {
+    const hitName = milestone === 'pageViewHitMs' ? 'page_view' : 'first GA4 hit';
+    issues.push({
+      type: ISSUE_TYPE.TAG_LATENCY_BUDGET_EXCEEDED,
+      severity: SEVERITY.WARNING,
+      message: `${hitName} sent ${actualMs}ms after navigation start (budget ${budgetMs}ms)`,
+      expected: `<= ${budgetMs}ms`,
+      actual: `${actualMs}ms`
+    });
+  }
+
+  return {
+    isValid: issues.length === 0,
+    budgetMs,
+    milestone: milestone || null,
+    actualMs,
+    issues
+  };
+}
+
+/**
+ * Validate page_view dl / dt against the page URL and document.title at send time
+ *
+ * The page context is recorded by the fetch / XHR / sendBeacon hooks; page_views
+ * without it (image requests, hits only seen by CDP) are not compared. The URL
+ * fragment and the _gl linker parameter are ignored.
+ *
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @returns {Object} { isValid, checkedPageViews, pageViews, issues }
+ */
+export function validatePageViewContext(events) {
+  const pageViews = [];
+  const seen = new Set();
+
+  events
+    .filter(e => e.type === 'ga4_collect' && e.params.en === 'page_view' && e.pageContext)
+    .forEach(e => {
+      const entry = {
+        measurementId: e.params.tid || null,
+        documentLocation: e.params.dl || null,
+        documentTitle: e.params.dt ?? null,
+        pageUrl: e.pageContext.url,
+        pageTitle: e.pageContext.title
+      };
+
+      const key = JSON.stringify(entry);
+      if (!seen.has(key)) {
+        seen.add(key);
+        pageViews.push({
+          ...entry,
+          locationMatches: !entry.documentLocation || isSameDocumentLocation(entry.documentLocation, entry.pageUrl),
+          titleMatches: entry.documentTitle === null || !entry.pageTitle || normalizeTitle(entry.documentTitle) === normalizeTitle(entry.pageTitle)
+        });
+      }
+    });
+
+  const issues = [
+    ...pageViews.filter(pv => !pv.locationMatches).map(pv => ({
+      type: ISSUE_TYPE.PAGE_VIEW_LOCATION_MISMATCH,
+      severity: SEVERITY.WARNING,
+      message: `page_view dl does not match the page URL at send time${pv.measurementId ? ` (${pv.measurementId})` : ''}`,
+      expected: pv.pageUrl,
+      actual: pv.documentLocation,
+      measurementId: pv.measurementId
+    })),
+    ...pageViews.filter(pv => !pv.titleMatches).map(pv => ({
+      type: ISSUE_TYPE.TITLE_MISMATCH,
+      severity: SEVERITY.WARNING,
+      message: `page_view dt does not match document.title at send time${pv.measurementId ? ` (${pv.measurementId})` : ''}`,
+      expected: pv.pageTitle,
+      actual: pv.documentTitle,
+      measurementId: pv.measurementId
+    }))
+  ];
+
+  return {
+    isValid: issues.length === 0,
+    checkedPageViews: pageViews.length,
+    pageViews,
+    issues
+  };
+}
+
+/**
+ * Compare a page_view dl with the page URL (fragment and _gl ignored)
+ *
+ * @param {string} documentLocation - dl parameter
+ * @param {string} pageUrl - Page URL at send time
+ * @returns {boolean} True if both point to the same document
+ */
+function isSameDocumentLocation(documentLocation, pageUrl) {
+  const normalize = (value) => {
+    const urlObj = new URL(value);
+    urlObj.hash = '';
+    urlObj.searchParams.delete('_gl');
+    urlObj.searchParams.sort();
+    urlObj.pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+    return urlObj.href;
+  };
+
+  try {
+    return normalize(documentLocation) === normalize(pageUrl);
+  } catch (error) {
+    return documentLocation === pageUrl;
+  }
+}
+
+/**
+ * Normalize a page title for comparison (whitespace collapsed)
+ *
+ * @param {string} title - Page title
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+  return String(title).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validate GA4 cookies (_ga and _ga_<stream>)
+ *
+ * Not checked when the cookies could not be read, when no GA4 hit was sent for the
+ * measurement ID (reported elsewhere) or when analytics_storage was denied on all
+ * hits (cookieless pings are expected).
+ *
+ * @param {Property} property - Property configuration
+ * @param {string} url - Validated page URL (final URL after redirects)
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @param {Array<Object>|null} cookies - Cookies from cookieInspector.collectGA4Cookies
+ * @returns {Object} Cookie report with inspected, isValid and issues
+ */
+export function validateCookies(property, url, events, cookies) {
+  if (!Array.isArray(cookies)) {
+    return { isValid: true, inspected: false, issues: [] };
+  }
+
+  const report = inspectGA4Cookies(cookies, { measurementId: property.measurementId, pageUrl: url, events });
+  const issues = [];
+
+  if (report.ga4Hits === 0 || report.analyticsStorageDenied) {
+    return { ...report, isValid: true, inspected: false, issues };
+  }
+
+  if (!report.clientIdCookie) {
+    issues.push({
+      type: ISSUE_TYPE.GA_COOKIE_MISSING,
+      severity: SEVERITY.CRITICAL,
+      message: `GA4 hits sent but no _ga cookie was set on ${report.expectedDomain || url}`,
+      expected: '_ga',
+      actual: null
+    });
+  }
+
+  if (report.sessionCookieName && !report.sessionCookie) {
+    issues.push({
+      type: ISSUE_TYPE.GA_SESSION_COOKIE_MISSING,
+      severity: SEVERITY.WARNING,
+      message: `Session cookie ${report.sessionCookieName} not found for ${property.measurementId}`,
+      expected: report.sessionCookieName,
+      actual: report.cookies.filter(cookie => cookie.name !== '_ga').map(cookie => cookie.name).join(', ') || null
+    });
+  }
+
+  report.cookies
+    .filter(cookie => !cookie.onExpectedDomain)
+    .forEach(cookie => {
+      issues.push({
+        type: ISSUE_TYPE.GA_COOKIE_DOMAIN_MISMATCH,
+        severity: SEVERITY.WARNING,
+        message: `${cookie.name} is set on ${cookie.domain} instead of .${report.expectedDomain} (not shared across subdomains)`,
+        expected: `.${report.expectedDomain}`,
+        actual: cookie.domain,
+        cookie: cookie.name
+      });
+    });
+
+  [report.clientIdCookie, report.sessionCookie]
+    .filter(cookie => cookie && (cookie.expiresInDays === null || cookie.expiresInDays < MIN_GA_COOKIE_EXPIRY_DAYS))
+    .forEach(cookie => {
+      issues.push({
+        type: ISSUE_TYPE.GA_COOKIE_EXPIRY_SHORT,
+        severity: SEVERITY.WARNING,
+        message: cookie.expiresAt
+          ? `${cookie.name} expires in ${cookie.expiresInDays} day(s)`
+          : `${cookie.name} is a session cookie (deleted when the browser closes)`,
+        expected: `>= ${MIN_GA_COOKIE_EXPIRY_DAYS} days`,
+        actual: cookie.expiresAt ? `${cookie.expiresInDays} days` : 'session',
+        cookie: cookie.name
+      });
+    });
+
+  if (report.clientId && report.hitClientIds.length > 0 && !report.hitClientIds.includes(report.clientId)) {
+    issues.push({
+      type: ISSUE_TYPE.GA_COOKIE_CID_MISMATCH,
+      severity: SEVERITY.WARNING,
+      message: `Client ID in _ga (${report.clientId}) differs from the cid sent in the hits`,
+      expected: report.clientId,
+      actual: report.hitClientIds.join(', ')
+    });
+  }
+
+  return {
+    ...report,
+    inspected: true,
+    isValid: issues.length === 0,
+    issues
+  };
+}
+
+/**
+ * Validate GA4 hits for personal data
+ *
+ * Reports one critical PII_IN_PAYLOAD issue per parameter and PII type. Issues and
+ * findings only carry the masked value.
+ *
+ * @param {Property} property - Property configuration (piiAllowlist)
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @returns {Object} { isValid, findings, issues }
+ */
+export function validatePiiLeakage(property, events) {
+  const findings = scanEventsForPii(events, getPiiConfig(property));
+
+  const issues = findings.map(finding => ({
+    type: ISSUE_TYPE.PII_IN_PAYLOAD,
+    severity: SEVERITY.CRITICAL,
+    message: `${finding.piiType} sent in ${finding.param} (${finding.events.join(', ')}, ${finding.hits} hit(s)): ${finding.maskedValue}`,
+    param: finding.param,
+    piiType: finding.piiType,
+    events: finding.events,
+    actual: finding.maskedValue
+  }));
+
+  return {
+    isValid: issues.length === 0,
+    findings,
+    issues
+  };
+}
+
+/**
+ * Mask leaked PII in the parameter values kept by the stored result sections
+ *
+ * @param {Object} config - PII scanner configuration
+ * @param {Object} eventSummary - Event summary (userId, userProperties)
+ * @param {Object} eventRules - Event rule result (rules[].actualValues, issues[].actual)
+ * @param {Object} doubleTagging - Double tagging result (pageViews[].pageLocation)
+ * @param {Object} pageViewContext - Page view context result (dl / dt and page URL / title)
+ */
+function maskStoredPii(config, eventSummary, eventRules, doubleTagging, pageViewContext) {
+  eventSummary.userId = maskPii(eventSummary.userId, config, 'uid');
+  Object.keys(eventSummary.userProperties || {}).forEach(key => {
+    eventSummary.userProperties[key] = maskPii(eventSummary.userProperties[key], config, `up.${key}`);
+  });
+
+  eventRules.rules.forEach(rule => {
+    rule.actualValues = (rule.actualValues || []).map(value => maskPii(value, config, rule.param));
+  });
+  eventRules.issues.forEach(issue => {
+    issue.actual = maskPii(issue.actual, config, issue.param);
+  });
+
+  doubleTagging.pageViews.forEach(pageView => {
+    if (pageView.pageLocation) {
+      const masked = maskUrl(pageView.pageLocation, config);
+      doubleTagging.issues
+        .filter(issue => issue.kind === 'page_view')
+        .forEach(issue => {
+          issue.actual = issue.actual.replace(pageView.pageLocation, () => masked);
+        });
+      pageView.pageLocation = masked;
+    }
+  });
+
+  maskPageViewContextPii(config, pageViewContext);
+}
+
+/**
+ * Mask leaked PII in a page view context result (dl / dt and page URL / title)
+ *
+ * @param {Object} config - PII scanner configuration
+ * @param {Object} pageViewContext - Result from validatePageViewContext
+ */
+function maskPageViewContextPii(config, pageViewContext) {
+  pageViewContext.pageViews.forEach(pageView => {
+    pageView.documentLocation = pageView.documentLocation && maskUrl(pageView.documentLocation, config);
+    pageView.pageUrl = maskUrl(pageView.pageUrl, config);
+    pageView.documentTitle = maskPii(pageView.documentTitle, config, 'dt');
+    pageView.pageTitle = maskPii(pageView.pageTitle, config, 'dt');
+  });
+  pageViewContext.issues.forEach(issue => {
+    const mask = issue.type === ISSUE_TYPE.PAGE_VIEW_LOCATION_MISMATCH
+      ? value => maskUrl(value, config)
+      : value => maskPii(value, config, 'dt');
+    issue.message = maskPii(issue.message, config, 'dt');
+    issue.expected = mask(issue.expected);
+    issue.actual = mask(issue.actual);
+  });
+}
+
+/**
+ * Validate the final domain of the redirect chain
+ *
+ * The validated page must be on the property's own registrable domain or a
+ * whitelisted domain. Anything else (parked domain, expired campaign site, other
+ * country store) means the tags were validated on the wrong site.
+ *
+ * @param {Property} property - Property configuration (representativeUrl, whitelist)
+ * @param {string} url - Validated URL
+ * @param {Object|null} redirectChain - Chain from redirectTracker.collectRedirectChain
+ * @returns {Object} { isValid, requestedUrl, finalUrl, finalHost, hops, redirectCount, allowedDomains, issues }
+ */
+export function validateRedirectChain(property, url, redirectChain) {
+  const allowedDomains = getAllowedDomains(
+    [property.representativeUrl, url].filter(Boolean),
+    property.whitelist
+  );
+
+  const issues = [];
+  if (redirectChain && !isAllowedHost(redirectChain.finalHost, allowedDomains)) {
+    issues.push({
+      type: ISSUE_TYPE.UNEXPECTED_FINAL_DOMAIN,
+      severity: SEVERITY.CRITICAL,
+      message: `Landed on ${redirectChain.finalHost} after ${redirectChain.redirectCount} redirect(s) (allowed: ${allowedDomains.join(', ')})`,
+      expected: allowedDomains.join(', '),
+      actual: redirectChain.finalUrl
+    });
+  }
+
+  return {
+    isValid: issues.length === 0,
+    requestedUrl: redirectChain?.requestedUrl || url,
+    finalUrl: redirectChain?.finalUrl || null,
+    finalHost: redirectChain?.finalHost || null,
+    hops: redirectChain?.hops || [],
+    redirectCount: redirectChain?.redirectCount || 0,
+    allowedDomains,
+    issues
+  };
+}
+
+/**
+ * Validate page diagnostics and derive root-cause issues for GTM / GA4 failures
+ *
+ * Enforced CSP violations and failed requests for Google tag hosts are reported per
+ * target (GTM, GA4). When the target never loaded, the issue names the generic
+ * issue it explains in `replaces` (GTM_ID_MISMATCH / NO_GA4_EVENTS). Uncaught page
+ * errors are only reported when GTM never loaded and no other cause was found.
+ *
+ * @param {Object|null} diagnostics - Diagnostics from pageDiagnostics.collectDiagnostics
+ * @param {Object} loaded - { gtmLoaded, ga4Sent }
+ * @returns {Object} { isValid, cspViolations, pageErrors, consoleErrors, failedRequests, issues }
+ */
+export function validatePageDiagnostics(diagnostics, { gtmLoaded = true, ga4Sent = true } = {}) {
+  const { cspViolations = [], pageErrors = [], consoleErrors = [], failedRequests = [] } = diagnostics || {};
+  const issues = [];
+
+  // Chrome also reports CSP blocks as failed requests; aborted requests are navigations, not failures
+  const isCspFailure = request => /BLOCKED_BY_CSP/i.test(request.errorText || '');
+  const failed = failedRequests.filter(request => !/ERR_ABORTED/i.test(request.errorText || ''));
+
+  const targets = [
+    { target: TAG_TARGET.GTM, label: 'GTM', loaded: gtmLoaded, generic: ISSUE_TYPE.GTM_ID_MISMATCH, csp: ISSUE_TYPE.GTM_BLOCKED_BY_CSP, request: ISSUE_TYPE.GTM_REQUEST_FAILED },
+    { target: TAG_TARGET.GA4, label: 'GA4', loaded: ga4Sent, generic: ISSUE_TYPE.NO_GA4_EVENTS, csp: ISSUE_TYPE.GA4_BLOCKED_BY_CSP, request: ISSUE_TYPE.GA4_REQUEST_FAILED }
+  ];
+
+  targets.forEach(({ target, label, loaded, generic, csp, request }) => {
+    const severity = loaded ? SEVERITY.WARNING : SEVERITY.CRITICAL;
+    const replaces = loaded ? undefined : generic;
+
+    const cspBlocks = [
+      ...cspViolations
+        .filter(violation => violation.target === target && violation.disposition !== 'report')
+        .map(violation => ({ url: violation.blockedURI, directive: violation.effectiveDirective || violation.violatedDirective || null })),
+      ...failed
+        .filter(failure => failure.target === target && isCspFailure(failure))
+        .map(failure => ({ url: failure.url, directive: null }))
+    ];
+
+    if (cspBlocks.length > 0) {
+      const directive = cspBlocks.find(block => block.directive)?.directive || null;
+      issues.push({
+        type: csp,
+        severity,
+        message: `${label} request blocked by Content-Security-Policy${directive ? ` (${directive})` : ''}: ${cspBlocks[0].url}`,
+        blockedUrls: [...new Set(cspBlocks.map(block => block.url))],
+        directive,
+        ...(replaces && { replaces })
+      });
+      return;
+    }
+
+    const requestFailures = failed.filter(failure => failure.target === target && !isCspFailure(failure));
+    if (requestFailures.length > 0) {
+      issues.push({
+        type: request,
+        severity,
+        message: `${label} request failed (${requestFailures[0].errorText || 'unknown error'}): ${requestFailures[0].url}`,
+        failedUrls: [...new Set(requestFailures.map(failure => failure.url))],
+        errorText: requestFailures[0].errorText,
+        ...(replaces && { replaces })
+      });
+    }
+  });
+
+  if (!gtmLoaded && pageErrors.length > 0 && !issues.some(issue => issue.type === ISSUE_TYPE.GTM_BLOCKED_BY_CSP || issue.type === ISSUE_TYPE.GTM_REQUEST_FAILED)) {
+    issues.push({
+      type: ISSUE_TYPE.SCRIPT_ERROR_BEFORE_GTM,
+      severity: SEVERITY.WARNING,
+      message: `GTM not loaded after ${pageErrors.length} uncaught page error(s): ${pageErrors[0].message}`,
+      errors: pageErrors.slice(0, 5).map(error => error.message)
+    });
+  }
+
+  return {
+    isValid: issues.length === 0,
+    cspViolations,
+    pageErrors,
+    consoleErrors,
+    failedRequests,
+    issues
+  };
+}
+
+/**
+ * Validate GA4 ecommerce items payload
+ *
+ * Checks every captured ecommerce event for an empty items array, items without
+ * item_id, non-numeric prices and a missing currency. Issues are aggregated per
+ * issue type and event name to keep the report readable.
+ *
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @returns {Object} Validation result with per-event summary and issues
+ */
+export function validateEcommerceItems(events) {
+  const ecommerceEvents = events.filter(e =>
+    e.type === 'ga4_collect' &&
+    ECOMMERCE_EVENTS.includes(e.params.en)
+  );
+
+  const findings = new Map();
+  const addFinding = (type, eventName, detail) => {
+    const key = `${type}:${eventName}`;
+    if (!findings.has(key)) {
+      findings.set(key, { type, eventName, count: 0, details: [] });
+    }
+    const finding = findings.get(key);
+    finding.count++;
+    if (detail && finding.details.length < 5) {
+      finding.details.push(detail);
+    }
+  };
+
+  for (const event of ecommerceEvents) {
+    const eventName = event.params.en;
+    const items = event.params.items || [];
+
+    if (items.length === 0 && !ITEMS_OPTIONAL_EVENTS.includes(eventName)) {
+      addFinding(ISSUE_TYPE.ECOMMERCE_ITEMS_EMPTY, eventName);
+    }
+
+    if (!event.params.cu && !CURRENCY_OPTIONAL_EVENTS.includes(eventName)) {
+      addFinding(ISSUE_TYPE.ECOMMERCE_CURRENCY_MISSING, eventName);
+    }
+
+    items.forEach((item, index) => {
+      if (!item.item_id) {
+        addFinding(ISSUE_TYPE.ECOMMERCE_ITEM_ID_MISSING, eventName, item.item_name || `item #${index + 1}`);
+      }
+      if (item.price !== undefined && typeof item.price !== 'number') {
+        addFinding(ISSUE_TYPE.ECOMMERCE_PRICE_INVALID, eventName, `${item.item_id || item.item_name || `item #${index + 1}`}: ${item.price}`);
+      }
+    });
+  }
+
+  const messages = {
+    [ISSUE_TYPE.ECOMMERCE_ITEMS_EMPTY]: 'sent without items',
+    [ISSUE_TYPE.ECOMMERCE_CURRENCY_MISSING]: 'sent without currency',
+    [ISSUE_TYPE.ECOMMERCE_ITEM_ID_MISSING]: 'has items without item_id',
+    [ISSUE_TYPE.ECOMMERCE_PRICE_INVALID]: 'has items with non-numeric price'
+  };
+
+  const issues = [...findings.values()].map(finding => ({
+    type: finding.type,
+    severity: SEVERITY.WARNING,
+    message: `${finding.eventName} ${messages[finding.type]} (${finding.count}x)`,
+    eventName: finding.eventName,
+    count: finding.count,
+    actual: finding.details.length > 0 ? finding.details.join(', ') : null
+  }));
+
+  return {
+    isValid: issues.length === 0,
+    checkedEvents: ecommerceEvents.length,
+    events: ecommerceEvents.map(e => ({
+      name: e.params.en,
+      currency: e.params.cu || null,
+      value: e.params.value ?? null,
+      itemCount: (e.params.items || []).length
+    })),
+    issues
+  };
+}
+
+/**
+ * Validate Consent Mode v2 signals decoded from GA4 hits (gcs / gcd)
+ *
+ * Only checked when the property uses Consent Mode (hits carry gcs/gcd or the
+ * property is flagged with has_consent_mode). The reported states are taken from
+ * the latest hit, i.e. after any consent update on the page.
+ *
+ * @param {Property} property - Property configuration
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @returns {Object} Validation result with decoded consent states and issues
+ */
+export function validateConsentSignals(property, events) {
+  // Window-extracted IDs are not real hits and carry no consent parameters
+  const hits = events.filter(e => e.type === 'ga4_collect' && e.source !== 'window_extraction');
+  const hitsWithSignals = hits.filter(e => e.params.consent);
+  const latest = hitsWithSignals.length > 0 ? hitsWithSignals[hitsWithSignals.length - 1].params.consent : null;
+  const usesConsentMode = hitsWithSignals.length > 0 || property.hasConsentMode === true;
+
+  const missingTypes = CONSENT_V2_TYPES.filter(type =>
+    !hitsWithSignals.some(e => e.params.consent[type] && e.params.consent[type] !== 'not_set')
+  );
+
+  const issues = [];
+  if (usesConsentMode && hits.length > 0 && missingTypes.length > 0) {
+    issues.push({
+      type: ISSUE_TYPE.CONSENT_MODE_V2_SIGNALS_MISSING,
+      severity: SEVERITY.WARNING,
+      message: `Consent Mode v2 signals missing on GA4 hits: ${missingTypes.join(', ')}`,
+      expected: CONSENT_V2_TYPES.join(', '),
+      actual: latest ? `gcs=${latest.gcs || '-'}, gcd=${latest.gcd || '-'}` : 'no gcs/gcd parameters'
+    });
+  }
+
+  return {
+    isValid: issues.length === 0,
+    usesConsentMode,
+    checkedHits: hits.length,
+    hitsWithSignals: hitsWithSignals.length,
+    gcs: [...new Set(hitsWithSignals.map(e => e.params.consent.gcs).filter(Boolean))],
+    gcd: [...new Set(hitsWithSignals.map(e => e.params.consent.gcd).filter(Boolean))],
+    states: latest ? Object.fromEntries(CONSENT_TYPES.map(type => [type, latest[type]])) : null,
+    defaults: latest ? latest.defaults : null,
+    issues
+  };
+}
+
+/**
+ * Validate declarative event parameter rules (property.eventRules)
+ *
+ * Rules whose event was not sent on the page are reported as not_sent without
+ * an issue - missing page_view is already covered by validatePageViewEvent.
+ *
+ * @param {Property} property - Property configuration
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @returns {Object} { isValid, checkedRules, rules, issues }
+ */
+export function validateEventRules(property, events) {
+  const rules = (property.eventRules || []).map(rule => evaluateEventRule(rule, events, property));
+  const issues = [];
+
+  for (const rule of rules) {
+    if (rule.status === RULE_STATUS.INVALID) {
+      console.log(`  ⚠️ Event rule ${rule.id || rule.param} skipped: ${rule.error}`);
+      continue;
+    }
+    if (rule.status !== RULE_STATUS.FAILED) continue;
+
+    const ruleLabel = rule.description || `${rule.eventName} ${rule.param} ${rule.operator}`;
+    issues.push({
+      type: ISSUE_TYPE.EVENT_PARAM_RULE_FAILED,
+      severity: Object.values(SEVERITY).includes(rule.severity) ? rule.severity : SEVERITY.WARNING,
+      message: `Event rule failed: ${ruleLabel} (${rule.failedHits}/${rule.hits} ${rule.eventName} hit(s))`,
+      expected: Array.isArray(rule.expected) ? rule.expected.join(', ') : rule.expected,
+      actual: rule.actualValues.join(', '),
+      ruleId: rule.id,
+      eventName: rule.eventName,
+      param: rule.param
+    });
+  }
+
+  return {
+    isValid: issues.length === 0,
+    checkedRules: rules.filter(rule => rule.status === RULE_STATUS.PASSED || rule.status === RULE_STATUS.FAILED).length,
+    rules,
+    issues
+  };
+}
+
+/**
+ * Validate scripted user journey results
+ *
+ * Failed waitForEvent/assert steps mean the expected ecommerce event was not sent
+ * or carried wrong parameters (critical). Failed navigate/click steps usually mean
+ * the journey script itself needs maintenance (warning).
+ *
+ * Ecommerce events sent during the journeys are also checked for items schema
+ * and scanned for PII.
+ *
+ * @param {Array<Object>} journeyResults - Results from journeyRunner.runJourneys()
+ * @param {Array<NetworkEvent>} journeyEvents - Events captured while the journeys ran
+ * @param {Property} property - Property configuration (piiAllowlist)
+ * @returns {Object} Validation result with journeys, ecommerce, piiLeakage and issues
+ */
+export function validateJourneys(journeyResults = [], journeyEvents = [], property = {}) {
+  const issues = [];
+
+  for (const journey of journeyResults) {
+    const failedStep = journey.steps.find(step => step.status === 'failed');
+    if (!failedStep) continue;
+
+    const isEventStep = failedStep.action === 'waitForEvent' || failedStep.action === 'assert';
+
+    issues.push({
+      type: ISSUE_TYPE.JOURNEY_STEP_FAILED,
+      severity: isEventStep ? SEVERITY.CRITICAL : SEVERITY.WARNING,
+      message: `Journey '${journey.name || 'unnamed'}' failed at step ${failedStep.index + 1} (${failedStep.action}): ${failedStep.error}`,
+      expected: failedStep.expectedEvents.join(', ') || failedStep.target,
+      actual: failedStep.actualEvents.join(', ') || null,
+      journeyName: journey.name || null,
+      stepIndex: failedStep.index
+    });
+  }
+
+  const ecommerceResult = validateEcommerceItems(journeyEvents);
+  issues.push(...ecommerceResult.issues);
+
+  // Checkout / login journeys are where emails and phone numbers usually leak
+  const piiLeakage = validatePiiLeakage(property, journeyEvents);
+  issues.push(...piiLeakage.issues);
+
+  return {
+    isValid: issues.length === 0,
+    journeys: journeyResults,
+    ecommerce: ecommerceResult,
+    piiLeakage,
+    issues
+  };
+}
+
+/**
+ * Validate the cross-domain linker check result (whitelisted domains)
+ *
+ * Destinations that sent no GA4 hit cannot be compared and are not reported.
+ *
+ * @param {Object|null} checkResult - Result from crossDomainValidator.runCrossDomainCheck
+ * @returns {Object} Check result with isValid and issues
+ */
+export function validateCrossDomain(checkResult) {
+  if (!checkResult) {
+    return { isValid: true, issues: [] };
+  }
+
+  const issues = [];
+
+  if (checkResult.status === 'checked' && !checkResult.hasLinker) {
+    issues.push({
+      type: ISSUE_TYPE.CROSS_DOMAIN_LINKER_FAILED,
+      severity: SEVERITY.WARNING,
+      message: `Link to ${checkResult.domain} is not decorated with the _gl linker parameter`,
+      expected: '_gl parameter',
+      actual: checkResult.decoratedUrl,
+      domain: checkResult.domain
+    });
+  } else if (checkResult.clientIdPreserved === false) {
+    issues.push({
+      type: ISSUE_TYPE.CROSS_DOMAIN_LINKER_FAILED,
+      severity: SEVERITY.WARNING,
+      message: `Client ID not carried over to ${checkResult.domain}`,
+      expected: checkResult.sourceClientId,
+      actual: checkResult.destinationClientId,
+      domain: checkResult.domain
+    });
+  }
+
+  return {
+    ...checkResult,
+    isValid: issues.length === 0,
+    issues
+  };
+}
+
+/**
+ * Validate the SPA route change check result
+ *
+ * A route change that could not be performed is a warning (the configured link
+ * probably changed); a route change without a page_view for the new location is
+ * critical. dl / dt of the fresh page_views are compared like on page load and
+ * scanned for PII; leaked PII is masked in the returned check.
+ *
+ * @param {Object|null} checkResult - Result from spaRouteChecker.runSpaRouteCheck
+ * @param {Property} property - Property configuration (piiAllowlist)
+ * @returns {Object} Check result with pageViewContext, piiLeakage, isValid and issues
+ */
+export function validateSpaRoute(checkResult, property = {}) {
+  if (!checkResult) {
+    return { isValid: true, issues: [] };
+  }
+
+  const { hits = [], ...check } = checkResult;
+  const pageViewContext = validatePageViewContext(hits);
+  const freshPageView = check.pageViews.some(pv => pv.documentLocation && isSameDocumentLocation(pv.documentLocation, check.toUrl));
+  const issues = [];
+
+  if (check.error) {
+    issues.push({
+      type: ISSUE_TYPE.SPA_PAGE_VIEW_MISSING,
+      severity: SEVERITY.WARNING,
+      message: `SPA route change could not be performed (${check.mode} ${check.target}): ${check.error}`,
+      expected: 'Client-side route change',
+      actual: check.error
+    });
+  } else if (!freshPageView) {
+    issues.push({
+      type: ISSUE_TYPE.SPA_PAGE_VIEW_MISSING,
+      severity: SEVERITY.CRITICAL,
+      message: check.pageViews.length === 0
+        ? `No page_view sent after the client-side route change to ${check.toUrl}`
+        : `page_view after the client-side route change still reports ${check.pageViews[0].documentLocation}`,
+      expected: `page_view with dl ${check.toUrl}`,
+      actual: check.pageViews.length === 0 ? `${check.ga4Hits} GA4 hit(s), no page_view` : check.pageViews[0].documentLocation
+    });
+  }
+
+  // A stale dl is already reported as SPA_PAGE_VIEW_MISSING
+  issues.push(...pageViewContext.issues.filter(issue =>
+    freshPageView || issue.type !== ISSUE_TYPE.PAGE_VIEW_LOCATION_MISMATCH
+  ));
+
+  const piiLeakage = validatePiiLeakage(property, hits);
+  issues.push(...piiLeakage.issues);
+
+  const result = {
+    ...check,
+    pageViews: check.pageViews.map(pageView => ({ ...pageView })),
+    pageViewContext,
+    piiLeakage,
+    isValid: issues.length === 0,
+    issues
+  };
+
+  // The stored check keeps the route URLs and dl / dt: mask the leaked PII
+  if (!piiLeakage.isValid) {
+    maskSpaRoutePii(getPiiConfig(property), result);
+  }
+
+  return result;
+}
+
+/**
+ * Mask leaked PII in a SPA route check result (route URLs, page_view dl / dt and issues)
+ *
+ * @param {Object} config - PII scanner configuration
+ * @param {Object} spaRoute - Result from validateSpaRoute
+ */
+function maskSpaRoutePii(config, spaRoute) {
+  const maskedUrls = new Map();
+  const mask = (url) => {
+    if (!url) return url;
+    if (!maskedUrls.has(url)) maskedUrls.set(url, maskUrl(url, config));
+    return maskedUrls.get(url);
+  };
+
+  spaRoute.fromUrl = mask(spaRoute.fromUrl);
+  spaRoute.toUrl = mask(spaRoute.toUrl);
+  spaRoute.pageViews.forEach(pageView => {
+    pageView.documentLocation = mask(pageView.documentLocation);
+    pageView.documentTitle = maskPii(pageView.documentTitle, config, 'dt');
+  });
+
+  // SPA_PAGE_VIEW_MISSING quotes the route URLs and the stale dl
+  spaRoute.issues
+    .filter(issue => issue.type === ISSUE_TYPE.SPA_PAGE_VIEW_MISSING)
+    .forEach(issue => {
+      ['message', 'expected', 'actual'].forEach(field => {
+        maskedUrls.forEach((masked, url) => {
+          if (typeof issue[field] === 'string') {
+            issue[field] = issue[field].split(url).join(masked);
+          }
+        });
+      });
+    });
+
+  maskPageViewContextPii(config, spaRoute.pageViewContext);
+}
+
+/**
+ * Compare consent scenarios (no interaction / accept all / reject all)
+ *
+ * The Consent Mode type is inferred from the "reject all" scenario, or from the
+ * untouched banner when reject could not be clicked:
+ * - no hits there but hits after accept → basic
+ * - hits with analytics_storage denied → advanced
+ * - hits without gcs/gcd → not implemented
+ *
+ * @param {Array<Object>} scenarioResults - Results from runConsentScenarios
+ * @returns {Object} { isValid, cmp, mode, scenarios, comparison, issues }
+ */
+export function validateConsentScenarios(scenarioResults = []) {
+  const byScenario = Object.fromEntries(scenarioResults.map(result => [result.scenario, result]));
+  const { none, accept, reject } = byScenario;
+  const issues = [];
+
+  // "Reject all" must not leave Google cookies or granted hits behind
+  if (reject?.clicked) {
+    const reasons = [];
+    if (reject.googleCookies.length > 0) {
+      reasons.push(`cookies set: ${reject.googleCookies.join(', ')}`);
+    }
+    if (reject.consent?.analytics_storage === 'granted' || reject.consent?.ad_storage === 'granted') {
+      reasons.push('hits sent with storage granted');
+    }
+    if (reject.ga4Hits > 0 && reject.hitsWithConsent === 0) {
+      reasons.push(`${reject.ga4Hits} hit(s) sent without consent signals`);
+    }
+
+    if (reasons.length > 0) {
+      issues.push({
+        type: ISSUE_TYPE.CONSENT_REJECT_NOT_RESPECTED,
+        severity: SEVERITY.CRITICAL,
+        message: `"Reject all" not respected (${reject.cmp}): ${reasons.join('; ')}`,
+        expected: 'No Google cookies and storage denied after reject',
+        actual: reasons.join('; ')
+      });
+    }
+  }
+
+  const baseline = reject?.clicked ? reject : none;
+  let mode = CONSENT_MODE_TYPE.UNKNOWN;
+  if (baseline && !baseline.error) {
+    if (baseline.ga4Hits === 0 && accept?.ga4Hits > 0) {
+      mode = CONSENT_MODE_TYPE.BASIC;
+    } else if (baseline.ga4Hits > 0 && baseline.hitsWithConsent === 0) {
+      mode = CONSENT_MODE_TYPE.NOT_IMPLEMENTED;
+    } else if (baseline.ga4Hits > 0 && baseline.consent?.analytics_storage === 'denied') {
+      mode = CONSENT_MODE_TYPE.ADVANCED;
+    }
+  }
+
+  const difference = (left = [], right = []) => left.filter(value => !right.includes(value));
+
+  return {
+    isValid: issues.length === 0,
+    cmp: scenarioResults.map(result => result.cmp).find(Boolean) || null,
+    mode,
+    scenarios: scenarioResults,
+    comparison: {
+      ga4Hits: Object.fromEntries(scenarioResults.map(result => [result.scenario, result.ga4Hits])),
+      eventsOnlyAfterAccept: difference(accept?.eventNames, reject?.eventNames ?? none?.eventNames),
+      cookiesOnlyAfterAccept: difference(accept?.googleCookies, reject?.googleCookies ?? none?.googleCookies)
+    },
+    issues
+  };
+}
+
 /**
  * Extract and store AP_DATA (non-critical)
  * Story 3.5: AC4 - Don't create issues if missing
@@ -552,10 +1928,30 @@ export function generateIssueSummary(results) {
 export default {
   validateProperty,
   validateMeasurementId,
+  validateGTMId,
   validateGTMIdFromHTML,
+  validateGTMEnvironment,
+  isProductionUrl,
   validatePageViewEvent,
+  validateDoubleTagging,
+  validateJourneys,
+  validateEcommerceItems,
+  validateConsentSignals,
+  validateConsentScenarios,
+  validateCrossDomain,
+  validateEventRules,
+  validateTagInventory,
+  validateTagLatency,
+  validatePageDiagnostics,
+  validateRedirectChain,
+  validatePiiLeakage,
+  validatePageViewContext,
+  validateSpaRoute,
+  validateCookies,
   extractAPData,
   generateIssueSummary,
   SEVERITY,
-  ISSUE_TYPE
+  ISSUE_TYPE,
+  GTM_CONTAINER_ROLE,
+  CONSENT_MODE_TYPE
 };
@@ -0,0 +1,266 @@
+/**
+ * Consent Scenario Runner Module
+ *
+ * Validates consent-enabled properties with three consent scenarios, each in a fresh
+ * browser context: no interaction with the banner, "accept all" and "reject all".
+ * The CMP banner is clicked through known CMP selectors (OneTrust, Cookiebot ...) or
+ * per-property custom selectors (properties.consent_selectors).
+ *
+ * Each scenario records the GA4 hits, cookies and Consent Mode states (gcs / gcd)
+ * so the validator can compare them and tell Consent Mode Basic from Advanced.
+ *
+ * Custom selector format (stored in properties.consent_selectors):
+ * { banner: '#cookie-banner', accept: '.btn-accept-all', reject: '.btn-reject-all' }
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { createStealthPage } from './browserPoolManager.js';
+import { startCapturing, collectPageHookEvents, CONSENT_TYPES } from './networkEventCapturer.js';
+
+/**
+ * Consent scenarios (in execution order)
+ */
+export const CONSENT_SCENARIO = {
+  NONE: 'none',       // Banner left untouched
+  ACCEPT: 'accept',   // "Accept all" clicked
+  REJECT: 'reject'    // "Reject all" clicked
+};
+
+/**
+ * Known CMP banners and their accept / reject buttons
+ */
+export const CMP_SELECTORS = [
+  {
+    name: 'OneTrust',
+    banner: '#onetrust-banner-sdk',
+    accept: '#onetrust-accept-btn-handler',
+    reject: '#onetrust-reject-all-handler'
+  },
+  {
+    name: 'Cookiebot',
+    banner: '#CybotCookiebotDialog',
+    accept: '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll, #CybotCookiebotDialogBodyButtonAccept',
+    reject: '#CybotCookiebotDialogBodyButtonDecline'
+  },
+  {
+    name: 'CookieFirst',
+    banner: '.cookiefirst-root',
+    accept: '[data-cookiefirst-action="accept"]',
+    reject: '[data-cookiefirst-action="reject"]'
+  },
+  {
+    name: 'Iubenda',
+    banner: '#iubenda-cs-banner',
+    accept: '.iubenda-cs-accept-btn',
+    reject: '.iubenda-cs-reject-btn'
+  },
+  {
+    name: 'CookieConsent',
+    banner: '.cc-window',
+    accept: '.cc-allow, .cc-dismiss',
+    reject: '.cc-deny'
+  },
+  {
+    name: 'TrustArc',
+    banner: '#truste-consent-track',
+    accept: '#truste-consent-button',
+    reject: '#truste-consent-required'
+  },
+  {
+    name: 'Osano',
+    banner: '.osano-cm-dialog',
+    accept: '.osano-cm-accept-all',
+    reject: '.osano-cm-denyAll'
+  }
+];
+
+// Cookies written by Google tags (analytics and ads)
+const GOOGLE_COOKIE_PATTERN = /^(_ga|_ga_.+|_gid|_gat.*|_gcl_.+|__gads|__gpi)$/;
+
+const BANNER_WAIT_MS = 10000;
+const POLL_INTERVAL_MS = 500;
+const SETTLE_AFTER_LOAD_MS = 3000;
+const SETTLE_AFTER_CLICK_MS = 5000;
+
+/**
+ * Run all consent scenarios for a property
+ *
+ * @param {Browser} browser - Playwright browser instance
+ * @param {Property} property - Property configuration
+ * @param {number} timeoutMs - Navigation timeout in milliseconds
+ * @param {string} profileName - Validation profile of the property (primary profile)
+ * @returns {Promise<Array<Object>>} Scenario results (never throws)
+ */
+export async function runConsentScenarios(browser, property, timeoutMs = null, profileName = undefined) {
+  const results = [];
+
+  for (const scenario of Object.values(CONSENT_SCENARIO)) {
+    console.log(`  🍪 Running consent scenario: ${scenario}`);
+    const scenarioResult = await runConsentScenario(browser, property, scenario, timeoutMs, profileName);
+    console.log(`  🍪 Scenario ${scenario}: ${scenarioResult.ga4Hits} GA4 hit(s), ${scenarioResult.googleCookies.length} Google cookie(s)${scenarioResult.error ? ` (${scenarioResult.error})` : ''}`);
+    results.push(scenarioResult);
+  }
+
+  return results;
+}
+
+/**
+ * Run a single consent scenario in a fresh browser context
+ *
+ * @param {Browser} browser - Playwright browser instance
+ * @param {Property} property - Property configuration
+ * @param {string} scenario - CONSENT_SCENARIO value
+ * @param {number} timeoutMs - Navigation timeout in milliseconds
+ * @param {string} profileName - Validation profile (see VALIDATION_PROFILES)
+ * @returns {Promise<Object>} { scenario, cmp, clicked, ga4Hits, eventNames, consent, cookies, googleCookies, error }
+ */
+export async function runConsentScenario(browser, property, scenario, timeoutMs = null, profileName = undefined) {
+  let page;
+  let context;
+  let capturedEvents = [];
+  let cmp = null;
+  let clicked = false;
+  let error = null;
+
+  try {
+    const stealthResult = await createStealthPage(browser, profileName);
+    context = stealthResult.context;
+    page = stealthResult.page;
+
+    capturedEvents = await startCapturing(page, { collectEndpoints: property.collectEndpoints });
+
+    await page.goto(property.representativeUrl, {
+      timeout: timeoutMs || 30000,
+      waitUntil: 'domcontentloaded'
+    });
+
+    try {
+      await page.waitForLoadState('load', { timeout: 20000 });
+    } catch (loadError) {
+      // Page load timed out - continue with what was captured
+    }
+
+    cmp = await findConsentBanner(page, getCmpCandidates(property));
+
+    if (scenario !== CONSENT_SCENARIO.NONE) {
+      if (!cmp) {
+        error = 'Consent banner not found';
+      } else if (!cmp[scenario]) {
+        error = `No ${scenario} selector for ${cmp.name}`;
+      } else {
+        await page.click(cmp[scenario], { timeout: 5000 });
+        clicked = true;
+      }
+    }
+
+    await page.waitForTimeout(clicked ? SETTLE_AFTER_CLICK_MS : SETTLE_AFTER_LOAD_MS);
+    await collectPageHookEvents(page, capturedEvents);
+
+    const cookies = await context.cookies();
+    return buildScenarioResult(scenario, cmp, clicked, capturedEvents, cookies, error);
+
+  } catch (scenarioError) {
+    return buildScenarioResult(scenario, cmp, clicked, capturedEvents, [], scenarioError.message);
+
+  } finally {
+    try {
+      if (page) await page.close();
+    } catch (closeError) {
+      // Ignore errors when closing page (already closed is fine)
+    }
+    try {
+      if (context) await context.close();
+    } catch (closeError) {
+      // Ignore errors when closing context (already closed is fine)
+    }
+  }
+}
+
+/**
+ * Get CMP candidates for a property (custom selectors first)
+ *
+ * @param {Property} property - Property configuration
+ * @returns {Array<Object>} CMP candidates ({ name, banner, accept, reject })
+ */
+export function getCmpCandidates(property) {
+  const custom = property.consentSelectors;
+  if (!custom || (!custom.accept && !custom.reject)) {
+    return CMP_SELECTORS;
+  }
+
+  return [{
+    name: 'custom',
+    banner: custom.banner || custom.accept || custom.reject,
+    accept: custom.accept || null,
+    reject: custom.reject || null
+  }, ...CMP_SELECTORS];
+}
+
+/**
+ * Wait for a visible consent banner
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {Array<Object>} candidates - CMP candidates
+ * @returns {Promise<Object|null>} Matched CMP or null
+ */
+async function findConsentBanner(page, candidates) {
+  const startTime = Date.now();
+
+  while (Date.now() - startTime < BANNER_WAIT_MS) {
+    for (const candidate of candidates) {
+      const isVisible = await page.isVisible(candidate.banner).catch(() => false);
+      if (isVisible) {
+        return candidate;
+      }
+    }
+    await page.waitForTimeout(POLL_INTERVAL_MS);
+  }
+
+  return null;
+}
+
+/**
+ * Build a scenario result from captured hits and cookies
+ *
+ * @param {string} scenario - CONSENT_SCENARIO value
+ * @param {Object|null} cmp - Matched CMP
+ * @param {boolean} clicked - Whether the accept/reject button was clicked
+ * @param {Array<NetworkEvent>} capturedEvents - Captured events
+ * @param {Array<Object>} cookies - Browser context cookies
+ * @param {string|null} error - Scenario error
+ * @returns {Object} Scenario result
+ */
+export function buildScenarioResult(scenario, cmp, clicked, capturedEvents, cookies, error = null) {
+  const hits = capturedEvents.filter(e => e.type === 'ga4_collect');
+  const hitsWithConsent = hits.filter(e => e.params.consent);
+  const latestConsent = hitsWithConsent.length > 0
+    ? hitsWithConsent[hitsWithConsent.length - 1].params.consent
+    : null;
+  const cookieNames = [...new Set(cookies.map(cookie => cookie.name))].sort();
+
+  return {
+    scenario,
+    cmp: cmp ? cmp.name : null,
+    clicked,
+    ga4Hits: hits.length,
+    eventNames: [...new Set(hits.map(e => e.params.en).filter(Boolean))],
+    hitsWithConsent: hitsWithConsent.length,
+    consent: latestConsent
+      ? Object.fromEntries(CONSENT_TYPES.map(type => [type, latestConsent[type]]))
+      : null,
+    gcs: [...new Set(hitsWithConsent.map(e => e.params.consent.gcs).filter(Boolean))],
+    cookies: cookieNames,
+    googleCookies: cookieNames.filter(name => GOOGLE_COOKIE_PATTERN.test(name)),
+    error
+  };
+}
+
+export default {
+  runConsentScenarios,
+  runConsentScenario,
+  getCmpCandidates,
+  buildScenarioResult,
+  CONSENT_SCENARIO,
+  CMP_SELECTORS
+};
@@ -0,0 +1,164 @@
+/**
+ * Cookie Inspector Module
+ *
+ * Reads the GA4 cookies of the browser context after the GA4 hits were sent:
+ * - _ga: client ID cookie (GA1.<domain level>.<random>.<timestamp>)
+ * - _ga_<stream>: session cookie of the measurement ID (GS1 / GS2 format)
+ *
+ * The validator checks that both exist for the expected measurement ID, are set on
+ * the registrable domain (not www. only for a site spanning subdomains), do not
+ * expire early and carry the client ID sent as cid in the hits.
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { getBaseDomain } from './crossDomainValidator.js';
+
+const CLIENT_ID_COOKIE = '_ga';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the GA4 cookies sent with requests to the page URL
+ *
+ * @param {Page} page - Playwright page instance (after the GA4 hits)
+ * @returns {Promise<Array<Object>|null>} [{ name, value, domain, path, expires, secure, sameSite }] or null when unavailable (never throws)
+ */
+export async function collectGA4Cookies(page) {
+  try {
+    const cookies = await page.context().cookies(page.url());
+
+    return cookies
+      .filter(cookie => cookie.name === CLIENT_ID_COOKIE || cookie.name.startsWith(`${CLIENT_ID_COOKIE}_`))
+      .map(({ name, value, domain, path, expires, secure, sameSite }) => ({ name, value, domain, path, expires, secure, sameSite }));
+  } catch (error) {
+    console.log(`  ⚠️ GA4 cookies unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the session cookie name of a measurement ID
+ *
+ * @param {string} measurementId - GA4 measurement ID (G-XXXXXXX)
+ * @returns {string|null} _ga_XXXXXXX or null without a measurement ID
+ */
+export function getSessionCookieName(measurementId) {
+  if (!measurementId) {
+    return null;
+  }
+
+  return `${CLIENT_ID_COOKIE}_${measurementId.trim().toUpperCase().replace(/^G-/, '')}`;
+}
+
+/**
+ * Parse a _ga cookie value
+ *
+ * @param {string} value - Cookie value (GA1.2.1234567890.1700000000)
+ * @returns {Object|null} { domainLevel, clientId } or null for other formats
+ */
+export function parseClientIdCookie(value) {
+  const match = /^GA\d\.(\d+)\.(\d+\.\d+)$/.exec(value || '');
+  return match ? { domainLevel: Number(match[1]), clientId: match[2] } : null;
+}
+
+/**
+ * Parse a _ga_<stream> cookie value
+ *
+ * @param {string} value - Cookie value (GS1.1.1700000000.1.1.1700000100.0.0.0 or GS2.1.s1700000000$o1$g1$t1700000100$j0$l0$h0)
+ * @returns {Object|null} { version, sessionId } or null for other formats
+ */
+export function parseSessionCookie(value) {
+  const gs1 = /^GS1\.\d+\.(\d+)\./.exec(value || '');
+  if (gs1) {
+    return { version: 1, sessionId: gs1[1] };
+  }
+
+  const gs2 = /^GS2\.\d+\.s(\d+)/.exec(value || '');
+  return gs2 ? { version: 2, sessionId: gs2[1] } : null;
+}
+
+/**
+ * Inspect GA4 cookies against the page and the captured hits
+ *
+ * @param {Array<Object>} cookies - Cookies from collectGA4Cookies
+ * @param {Object} options - Inspection options
+ * @param {string} options.measurementId - Expected measurement ID
+ * @param {string} options.pageUrl - Validated page URL (final URL after redirects)
+ * @param {Array<NetworkEvent>} options.events - Captured events
+ * @param {number} [options.now] - Current time (ms)
+ * @returns {Object} { expectedDomain, sessionCookieName, cookies, clientIdCookie, sessionCookie,
+ *   clientId, sessionId, hitClientIds, hitSessionIds, ga4Hits, analyticsStorageDenied }
+ */
+export function inspectGA4Cookies(cookies, { measurementId, pageUrl, events = [], now = Date.now() }) {
+  let expectedDomain = null;
+  try {
+    expectedDomain = getBaseDomain(new URL(pageUrl).hostname.toLowerCase());
+  } catch (error) {
+    // Unparsable URL: domains are not compared
+  }
+
+  const sessionCookieName = getSessionCookieName(measurementId);
+  const inspected = cookies
+    .filter(cookie => cookie.name === CLIENT_ID_COOKIE || cookie.name === sessionCookieName)
+    .map(cookie => ({
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      onExpectedDomain: !expectedDomain || normalizeCookieDomain(cookie.domain) === expectedDomain,
+      expiresAt: cookie.expires > 0 ? new Date(cookie.expires * 1000).toISOString() : null,
+      expiresInDays: cookie.expires > 0 ? Math.floor((cookie.expires * 1000 - now) / DAY_MS) : null
+    }));
+
+  // Hits of the expected measurement ID (all hits without one)
+  const hits = events.filter(e =>
+    e.type === 'ga4_collect' &&
+    (!measurementId || (e.params.tid || '').toUpperCase() === measurementId.toUpperCase())
+  );
+
+  const clientIdCookie = pickCookie(inspected, CLIENT_ID_COOKIE);
+  const sessionCookie = pickCookie(inspected, sessionCookieName);
+
+  return {
+    expectedDomain,
+    sessionCookieName,
+    cookies: inspected,
+    clientIdCookie,
+    sessionCookie,
+    clientId: parseClientIdCookie(clientIdCookie?.value)?.clientId || null,
+    sessionId: parseSessionCookie(sessionCookie?.value)?.sessionId || null,
+    hitClientIds: [...new Set(hits.map(e => e.params.cid).filter(Boolean))],
+    hitSessionIds: [...new Set(hits.map(e => e.params.sid).filter(Boolean))],
+    ga4Hits: hits.length,
+    analyticsStorageDenied: hits.length > 0 && hits.every(e => e.params.consent?.analytics_storage === 'denied')
+  };
+}
+
+/**
+ * Pick the cookie the GA4 tag reads (the one on the registrable domain first)
+ *
+ * @param {Array<Object>} cookies - Inspected cookies
+ * @param {string|null} name - Cookie name
+ * @returns {Object|null} Cookie or null when missing
+ */
+function pickCookie(cookies, name) {
+  const named = cookies.filter(cookie => cookie.name === name);
+  return named.find(cookie => cookie.onExpectedDomain) || named[0] || null;
+}
+
+/**
+ * Normalize a cookie domain ('.example.com' → 'example.com')
+ *
+ * @param {string} domain - Cookie domain
+ * @returns {string} Lowercase domain without the leading dot
+ */
+function normalizeCookieDomain(domain) {
+  return (domain || '').toLowerCase().replace(/^\./, '');
+}
+
+export default {
+  collectGA4Cookies,
+  inspectGA4Cookies,
+  getSessionCookieName,
+  parseClientIdCookie,
+  parseSessionCookie
+};
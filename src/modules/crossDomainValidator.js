@@ -0,0 +1,235 @@
+/**
+ * Cross-Domain Validator Module
+ *
+ * Checks GA4 cross-domain measurement for the domains in the property whitelist.
+ * A link to a whitelisted domain is looked up on the validated page, decorated the
+ * way a user click would (mousedown triggers the GA4 / GTM linker) and followed in
+ * a new tab of the same browser context.
+ *
+ * The check passes when the followed URL carries the `_gl` linker parameter and the
+ * first GA4 hit on the destination uses the same client ID (cid) as the source page.
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { startCapturing, collectPageHookEvents } from './networkEventCapturer.js';
+import { parseWhitelist } from './csvPropertyManager.js';
+
+/**
+ * Cross-domain check status
+ */
+export const CROSS_DOMAIN_STATUS = {
+  CHECKED: 'checked',     // A whitelisted link was decorated (and followed when _gl was present)
+  NO_LINKS: 'no_links',   // No link to a whitelisted domain on the page
+  ERROR: 'error'          // Check could not be completed
+};
+
+// Second-level labels under which registrable domains take three labels (e.g. example.co.kr)
+const SECOND_LEVEL_LABELS = ['co', 'com', 'net', 'org', 'or', 'ne', 'ac', 'go', 'gov', 'edu'];
+
+const DECORATION_WAIT_MS = 500;
+const DESTINATION_WAIT_MS = 10000;
+const POLL_INTERVAL_MS = 500;
+
+/**
+ * Get the registrable domain of a hostname (cookie scope of _ga)
+ *
+ * @param {string} hostname - Hostname (e.g. www.amoremall.com)
+ * @returns {string} Registrable domain (e.g. amoremall.com)
+ */
+export function getBaseDomain(hostname) {
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  if (labels.length <= 2) {
+    return labels.join('.');
+  }
+
+  const secondLevel = labels[labels.length - 2];
+  const takeLabels = SECOND_LEVEL_LABELS.includes(secondLevel) && labels[labels.length - 1].length === 2 ? 3 : 2;
+  return labels.slice(-takeLabels).join('.');
+}
+
+/**
+ * Get whitelisted domains that need the linker from a source host
+ *
+ * Domains sharing the source's registrable domain share the _ga cookie and
+ * need no linker, so they are skipped.
+ *
+ * @param {string[]|string} whitelist - Property whitelist
+ * @param {string} sourceHost - Hostname of the validated page
+ * @returns {string[]} Target domains
+ */
+export function getLinkerTargets(whitelist, sourceHost) {
+  const sourceBase = getBaseDomain(sourceHost);
+  return parseWhitelist(whitelist).filter(domain => getBaseDomain(domain) !== sourceBase);
+}
+
+/**
+ * Check whether a URL carries the _gl linker parameter (query or fragment)
+ *
+ * @param {string} url - Link URL
+ * @returns {boolean} True if _gl is present
+ */
+export function hasLinkerParam(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.searchParams.has('_gl') || /(^#|[#&?])_gl=/.test(urlObj.hash);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Run the cross-domain linker check on the validated page
+ *
+ * @param {Page} page - Playwright page on the representative URL
+ * @param {Property} property - Property configuration (whitelist, measurementId)
+ * @param {Array<NetworkEvent>} capturedEvents - Events captured on the page
+ * @param {number} timeoutMs - Navigation timeout in milliseconds
+ * @returns {Promise<Object|null>} Check result or null when no cross-domain targets (never throws)
+ */
+export async function runCrossDomainCheck(page, property, capturedEvents, timeoutMs = null) {
+  let targets;
+  try {
+    targets = getLinkerTargets(property.whitelist, new URL(page.url()).hostname);
+  } catch (error) {
+    return null;
+  }
+
+  if (targets.length === 0) {
+    return null;
+  }
+
+  const result = {
+    status: CROSS_DOMAIN_STATUS.NO_LINKS,
+    domains: targets,
+    domain: null,
+    linkUrl: null,
+    decoratedUrl: null,
+    hasLinker: false,
+    sourceClientId: getClientId(capturedEvents, property.measurementId),
+    destinationClientId: null,
+    destinationHits: 0,
+    clientIdPreserved: null,
+    error: null
+  };
+
+  let destinationPage;
+  try {
+    const link = await decorateFirstLink(page, targets);
+    if (!link) {
+      return result;
+    }
+
+    Object.assign(result, {
+      status: CROSS_DOMAIN_STATUS.CHECKED,
+      domain: link.domain,
+      linkUrl: link.href,
+      decoratedUrl: link.decoratedHref,
+      hasLinker: hasLinkerParam(link.decoratedHref)
+    });
+
+    // Without _gl the destination starts a new client ID - nothing more to check
+    if (!result.hasLinker) {
+      console.log(`  🔗 Cross-domain ${link.domain}: _gl missing on ${link.decoratedHref}`);
+      return result;
+    }
+
+    destinationPage = await page.context().newPage();
+    const destinationEvents = await startCapturing(destinationPage, { collectEndpoints: property.collectEndpoints });
+
+    await destinationPage.goto(link.decoratedHref, {
+      timeout: timeoutMs || 30000,
+      waitUntil: 'domcontentloaded'
+    });
+
+    const startTime = Date.now();
+    let hits = [];
+    while (Date.now() - startTime < DESTINATION_WAIT_MS) {
+      await collectPageHookEvents(destinationPage, destinationEvents).catch(() => 0);
+      hits = destinationEvents.filter(e => e.type === 'ga4_collect' && e.params.cid);
+      if (hits.length > 0) break;
+      await destinationPage.waitForTimeout(POLL_INTERVAL_MS);
+    }
+
+    result.destinationHits = hits.length;
+    result.destinationClientId = hits.length > 0 ? hits[0].params.cid : null;
+    if (result.sourceClientId && result.destinationClientId) {
+      result.clientIdPreserved = result.sourceClientId === result.destinationClientId;
+    }
+
+    console.log(`  🔗 Cross-domain ${link.domain}: _gl present, cid ${result.clientIdPreserved === null ? 'not compared' : result.clientIdPreserved ? 'preserved' : 'changed'}`);
+    return result;
+
+  } catch (error) {
+    console.log(`  ⚠️ Cross-domain check error: ${error.message}`);
+    return { ...result, status: CROSS_DOMAIN_STATUS.ERROR, error: error.message };
+
+  } finally {
+    try {
+      if (destinationPage) await destinationPage.close();
+    } catch (closeError) {
+      // Ignore errors when closing page (already closed is fine)
+    }
+  }
+}
+
+/**
+ * Get the client ID sent by the source page (expected measurement ID first)
+ *
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @param {string} measurementId - Expected measurement ID
+ * @returns {string|null} Client ID
+ */
+function getClientId(events, measurementId) {
+  const hits = events.filter(e => e.type === 'ga4_collect' && e.params.cid);
+  const hit = hits.find(e => e.params.tid === measurementId) || hits[0];
+  return hit ? hit.params.cid : null;
+}
+
+/**
+ * Find the first link to a target domain and let the linker decorate it
+ *
+ * The GA4 / GTM linker rewrites the href on mousedown, so the event is dispatched
+ * without clicking (the page stays on the source URL).
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {string[]} targets - Target domains
+ * @returns {Promise<Object|null>} { domain, href, decoratedHref } or null
+ */
+async function decorateFirstLink(page, targets) {
+  const link = await page.evaluate((domains) => {
+    const anchors = Array.from(document.querySelectorAll('a[href]'));
+    for (let index = 0; index < anchors.length; index++) {
+      let host;
+      try {
+        host = new URL(anchors[index].href, location.href).hostname.toLowerCase();
+      } catch (error) {
+        continue;
+      }
+      const domain = domains.find(d => host === d || host.endsWith('.' + d));
+      if (domain) {
+        anchors[index].setAttribute('data-cross-domain-check', 'true');
+        anchors[index].dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true, button: 0 }));
+        return { domain, href: anchors[index].href };
+      }
+    }
+    return null;
+  }, targets);
+
+  if (!link) {
+    return null;
+  }
+
+  await page.waitForTimeout(DECORATION_WAIT_MS);
+  const decoratedHref = await page.$eval('a[data-cross-domain-check="true"]', anchor => anchor.href);
+
+  return { ...link, decoratedHref };
+}
+
+export default {
+  runCrossDomainCheck,
+  getBaseDomain,
+  getLinkerTargets,
+  hasLinkerParam,
+  CROSS_DOMAIN_STATUS
+};
@@ -9,6 +9,9 @@
 
 import fs from 'fs/promises';
 import { parse } from 'csv-parse/sync';
+import { parseExpectedTags } from './tagInventory.js';
+import { normalizeProfileNames } from './browserPoolManager.js';
+import { parsePiiAllowlist } from './piiScanner.js';
 
 /**
  * @typedef {Object} Property
@@ -24,9 +27,21 @@ import { parse } from 'csv-parse/sync';
  * @property {string} [datasetId] - Dataset ID (optional)
  * @property {string} [marketingGtm] - 마케팅 GTM (optional)
  * @property {string[]} [whitelist] - Whitelist 도메인 배열 (optional)
+ * @property {string[]} [expectedTags] - 예상 마케팅 태그 배열 (vendor 또는 vendor:ID, optional)
+ * @property {string[]} [profiles] - 검증 프로필 배열 (desktop, mobile_ios ..., optional)
+ * @property {number} [latencyBudgetMs] - page_view 히트 지연 예산 (ms, optional)
+ * @property {string[]} [piiAllowlist] - PII 검사 예외 (파라미터, 값 또는 @도메인, optional)
+ * @property {string} [spaRoute] - SPA 라우트 변경 검증 (경로 또는 링크 CSS 선택자, optional)
+ * @property {Array<PageTarget>} [pages] - 추가 검증 페이지 목록 (optional)
  * @property {string} slug - URL-safe 식별자 (자동 생성)
  */
 
+/**
+ * @typedef {Object} PageTarget
+ * @property {string} type - 페이지 템플릿 (home, plp, pdp, cart, search, other)
+ * @property {string} url - 페이지 URL
+ */
+
 /**
  * Column name mappings (Korean → English)
  */
@@ -42,9 +57,20 @@ const COLUMN_MAPPINGS = {
   'iOS GTM Pubilic ID': 'iosGtmId',
   'Dataset ID': 'datasetId',
   '마케팅 GTM': 'marketingGtm',
-  'whitelist': 'whitelist'
+  'whitelist': 'whitelist',
+  'expected_tags': 'expectedTags',
+  'profiles': 'profiles',
+  'latency_budget_ms': 'latencyBudgetMs',
+  'pii_allowlist': 'piiAllowlist',
+  'spa_route': 'spaRoute',
+  'pages': 'pages'
 };
 
+/**
+ * Supported page templates for multi-page validation
+ */
+export const PAGE_TYPES = ['home', 'plp', 'pdp', 'cart', 'search', 'other'];
+
 /**
  * Validation regex patterns
  */
@@ -157,7 +183,30 @@ function transformRecord(record) {
     if (value && value !== '-') {
       // Handle whitelist as array
       if (englishName === 'whitelist') {
-        property[englishName] = value.split(',').map(v => v.trim());
+        property[englishName] = parseWhitelist(value);
+      }
+      // Handle expected marketing tags as array
+      else if (englishName === 'expectedTags') {
+        property[englishName] = parseExpectedTags(value);
+      }
+      // Handle validation profiles as array (unknown names are skipped at validation time)
+      else if (englishName === 'profiles') {
+        property[englishName] = normalizeProfileNames(value);
+      }
+      // Handle latency budget as number (ms)
+      else if (englishName === 'latencyBudgetMs') {
+        const budgetMs = parseInt(value, 10);
+        if (budgetMs > 0) {
+          property[englishName] = budgetMs;
+        }
+      }
+      // Handle PII allowlist as array (parameters, values or @domains)
+      else if (englishName === 'piiAllowlist') {
+        property[englishName] = parsePiiAllowlist(value);
+      }
+      // Handle additional pages as PageTarget array
+      else if (englishName === 'pages') {
+        property[englishName] = parsePageList(value);
       }
       // Validate GTM IDs if present
       else if (englishName.includes('GtmId')) {
@@ -178,6 +227,94 @@ function transformRecord(record) {
   return property;
 }
 
+/**
+ * Parse whitelist (cross-domain) domains
+ *
+ * Accepts the JSONB array stored in Supabase or the CSV notation with domains
+ * separated by ',', ';' or newline. Protocols and paths are stripped.
+ *
+ * @param {string|Array} value - Raw whitelist
+ * @returns {string[]} Lowercase domains
+ */
+export function parseWhitelist(value) {
+  if (!value) {
+    return [];
+  }
+
+  const entries = Array.isArray(value) ? value : value.split(/[,;\n]/);
+
+  return [...new Set(entries
+    .map(entry => String(entry).trim().toLowerCase().replace(/^https?:\/\//, '').split(/[/?#]/)[0])
+    .filter(Boolean))];
+}
+
+/**
+ * Parse additional page list
+ *
+ * Accepts the JSONB array stored in Supabase or the CSV notation
+ * `pdp=https://...; cart=https://...` (entries separated by ';' or newline).
+ * Entries without a known template prefix are typed as 'other'.
+ *
+ * @param {string|Array} value - Raw page list
+ * @returns {Array<PageTarget>} Valid page targets
+ */
+export function parsePageList(value) {
+  if (!value) {
+    return [];
+  }
+
+  const entries = Array.isArray(value)
+    ? value
+    : value.split(/[;\n]/).map(v => v.trim()).filter(Boolean);
+
+  return entries
+    .map(entry => {
+      if (typeof entry === 'object') {
+        return {
+          type: PAGE_TYPES.includes(entry.type) ? entry.type : 'other',
+          url: entry.url
+        };
+      }
+
+      const match = entry.match(/^([a-z]+)\s*=\s*(.+)$/i);
+      if (match && PAGE_TYPES.includes(match[1].toLowerCase())) {
+        return { type: match[1].toLowerCase(), url: match[2].trim() };
+      }
+
+      return { type: 'other', url: entry };
+    })
+    .filter(page => {
+      if (typeof page.url === 'string' && VALIDATION_PATTERNS.url.test(page.url)) {
+        return true;
+      }
+      console.warn(`⚠️  Invalid page URL '${page.url}' - skipping page`);
+      return false;
+    });
+}
+
+/**
+ * Get all pages to validate for a property
+ *
+ * The representative URL is always validated first as the 'home' page,
+ * followed by additional pages (duplicates of the representative URL are dropped).
+ *
+ * @param {Property} property - Property object
+ * @returns {Array<PageTarget>} Pages to validate
+ */
+export function getPropertyPages(property) {
+  const pages = [{ type: 'home', url: property.representativeUrl }];
+  const seenUrls = new Set([property.representativeUrl]);
+
+  for (const page of parsePageList(property.pages)) {
+    if (!seenUrls.has(page.url)) {
+      seenUrls.add(page.url);
+      pages.push(page);
+    }
+  }
+
+  return pages;
+}
+
 /**
  * Generate URL-safe slug from property name
  *
@@ -312,6 +449,9 @@ export default {
   findPropertyByMeasurementId,
   filterPropertiesByAccount,
   filterPropertiesBySiteType,
+  parsePageList,
+  parseWhitelist,
+  getPropertyPages,
   validateCSVFile,
   detectPropertyChanges,
   loadPreviousProperties,
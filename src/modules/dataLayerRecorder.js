@@ -0,0 +1,271 @@
+/**
+ * dataLayer Recorder Module
+ *
+ * Records every window.dataLayer push through an init-script hook, including pushes
+ * made before GTM replaces dataLayer.push and the entries of a dataLayer array
+ * assigned inline (`window.dataLayer = [{...}]`).
+ *
+ * The recorded pushes are merged with GTM loads and GA4 hits into one timeline
+ * so the dataLayer state around a broken GA4 setup can be read from the result
+ * instead of being reproduced by hand in a browser.
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+/**
+ * Timeline entry kinds
+ */
+export const TIMELINE_KIND = {
+  DATALAYER_PUSH: 'datalayer_push',
+  GTM_LOAD: 'gtm_load',
+  GA4_HIT: 'ga4_hit'
+};
+
+// Recording limits (kept small because the timeline is stored per result)
+const MAX_PUSHES = 300;
+const MAX_DEPTH = 4;
+const MAX_ARRAY_ITEMS = 30;
+const MAX_STRING_LENGTH = 500;
+
+// Event sources whose timestamp is Date.now() at send time (see collectPageHookEvents)
+const PAGE_HOOK_SOURCES = ['fetch', 'xhr', 'beacon'];
+
+/**
+ * Start recording dataLayer pushes
+ *
+ * Must be called before page.goto() so the hook is installed before any page script runs.
+ *
+ * @param {Page} page - Playwright page instance
+ * @returns {Promise<void>}
+ */
+export async function startDataLayerRecording(page) {
+  await page.addInitScript((limits) => {
+    window.__dataLayerPushes = [];
+    window.__dataLayerPushesDropped = 0;
+
+    // Serialize at push time - GTM mutates pushed objects and they may hold DOM nodes
+    function serialize(value, depth) {
+      if (value === null || value === undefined) return value === undefined ? null : value;
+      if (typeof value === 'function') return '[function]';
+      if (typeof value === 'string') {
+        return value.length > limits.maxStringLength ? value.substring(0, limits.maxStringLength) + '…' : value;
+      }
+      if (typeof value !== 'object') return value;
+      if (value instanceof Date) return value.toISOString();
+      if (typeof Node !== 'undefined' && value instanceof Node) {
+        return '<' + (value.nodeName || 'node').toLowerCase() + (value.id ? '#' + value.id : '') + '>';
+      }
+      if (depth >= limits.maxDepth) return '[object]';
+
+      // gtag() pushes an Arguments object
+      const isArrayLike = Array.isArray(value) || Object.prototype.toString.call(value) === '[object Arguments]';
+      if (isArrayLike) {
+        return Array.prototype.slice.call(value, 0, limits.maxArrayItems).map(item => serialize(item, depth + 1));
+      }
+
+      const result = {};
+      Object.keys(value).slice(0, limits.maxArrayItems).forEach(key => {
+        try {
+          result[key] = serialize(value[key], depth + 1);
+        } catch (error) {
+          result[key] = '[unreadable]';
+        }
+      });
+      return result;
+    }
+
+    function record(entry, source) {
+      if (window.__dataLayerPushes.length >= limits.maxPushes) {
+        window.__dataLayerPushesDropped++;
+        return;
+      }
+      window.__dataLayerPushes.push({
+        timestamp: Date.now(),
+        source: source,
+        data: serialize(entry, 0)
+      });
+    }
+
+    // Keep recording when GTM (or gtag) replaces dataLayer.push with its own function.
+    // GTM keeps the previous push and calls it from its own one, so only the
+    // outermost call is recorded (callDepth) to avoid duplicate entries.
+    function hookArray(dataLayer) {
+      if (!Array.isArray(dataLayer) || dataLayer.__pushRecorded) return;
+
+      Array.prototype.forEach.call(dataLayer, entry => record(entry, 'initial'));
+
+      let currentPush = dataLayer.push;
+      let callDepth = 0;
+      Object.defineProperty(dataLayer, '__pushRecorded', { value: true });
+      Object.defineProperty(dataLayer, 'push', {
+        configurable: true,
+        get() {
+          const targetPush = currentPush;
+          return function(...entries) {
+            if (callDepth === 0) {
+              entries.forEach(entry => record(entry, 'push'));
+            }
+            callDepth++;
+            try {
+              return targetPush.apply(dataLayer, entries);
+            } finally {
+              callDepth--;
+            }
+          };
+        },
+        set(pushFunction) {
+          currentPush = pushFunction;
+        }
+      });
+    }
+
+    let dataLayerValue = window.dataLayer;
+    hookArray(dataLayerValue);
+
+    Object.defineProperty(window, 'dataLayer', {
+      configurable: true,
+      get() {
+        return dataLayerValue;
+      },
+      set(value) {
+        dataLayerValue = value;
+        hookArray(value);
+      }
+    });
+  }, {
+    maxPushes: MAX_PUSHES,
+    maxDepth: MAX_DEPTH,
+    maxArrayItems: MAX_ARRAY_ITEMS,
+    maxStringLength: MAX_STRING_LENGTH
+  });
+}
+
+/**
+ * Read recorded pushes and build the dataLayer timeline
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {Array<NetworkEvent>} capturedEvents - Events from startCapturing
+ * @returns {Promise<Object|null>} Timeline (see buildDataLayerTimeline) or null when unavailable
+ */
+export async function collectDataLayerTimeline(page, capturedEvents) {
+  try {
+    const recorded = await page.evaluate(() => ({
+      pushes: window.__dataLayerPushes || [],
+      dropped: window.__dataLayerPushesDropped || 0
+    }));
+
+    return buildDataLayerTimeline(recorded.pushes, capturedEvents, recorded.dropped);
+  } catch (error) {
+    console.log(`  ⚠️ dataLayer timeline collection error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Merge dataLayer pushes, GTM loads and GA4 hits into one timeline
+ *
+ * Offsets are relative to the first timeline entry. Each push also records its
+ * position relative to the first GTM load and how many GA4 hits preceded it.
+ *
+ * @param {Array<Object>} pushes - Recorded pushes ({ timestamp, source, data })
+ * @param {Array<NetworkEvent>} capturedEvents - Captured events
+ * @param {number} dropped - Pushes dropped after MAX_PUSHES
+ * @returns {Object} { entries, totalPushes, droppedPushes, gtmLoadOffsetMs, firstGa4HitOffsetMs }
+ */
+export function buildDataLayerTimeline(pushes = [], capturedEvents = [], dropped = 0) {
+  const entries = [];
+
+  pushes.forEach(push => {
+    entries.push({
+      kind: TIMELINE_KIND.DATALAYER_PUSH,
+      timestamp: push.timestamp,
+      event: getPushEventName(push.data),
+      source: push.source,
+      data: push.data
+    });
+  });
+
+  capturedEvents.forEach(event => {
+    const timestamp = getEventWallTimeMs(event);
+    if (timestamp === null) return;
+
+    if (event.type === 'gtm_load') {
+      entries.push({ kind: TIMELINE_KIND.GTM_LOAD, timestamp, event: event.params.id || null });
+    } else if (event.type === 'ga4_collect') {
+      entries.push({ kind: TIMELINE_KIND.GA4_HIT, timestamp, event: event.params.en || null, measurementId: event.params.tid || null });
+    }
+  });
+
+  // Stable sort keeps push order for pushes recorded in the same millisecond
+  entries.sort((a, b) => a.timestamp - b.timestamp);
+
+  const startTime = entries.length > 0 ? entries[0].timestamp : 0;
+  const gtmLoad = entries.find(e => e.kind === TIMELINE_KIND.GTM_LOAD);
+  const firstGa4Hit = entries.find(e => e.kind === TIMELINE_KIND.GA4_HIT);
+  let ga4HitsBefore = 0;
+
+  const timeline = entries.map(entry => {
+    const timelineEntry = { ...entry, offsetMs: entry.timestamp - startTime };
+    delete timelineEntry.timestamp;
+
+    if (entry.kind === TIMELINE_KIND.GA4_HIT) {
+      ga4HitsBefore++;
+    } else if (entry.kind === TIMELINE_KIND.DATALAYER_PUSH) {
+      timelineEntry.msFromGtmLoad = gtmLoad ? entry.timestamp - gtmLoad.timestamp : null;
+      timelineEntry.ga4HitsBefore = ga4HitsBefore;
+    }
+
+    return timelineEntry;
+  });
+
+  return {
+    entries: timeline,
+    totalPushes: pushes.length,
+    droppedPushes: dropped,
+    gtmLoadOffsetMs: gtmLoad ? gtmLoad.timestamp - startTime : null,
+    firstGa4HitOffsetMs: firstGa4Hit ? firstGa4Hit.timestamp - startTime : null
+  };
+}
+
+/**
+ * Get the event name of a dataLayer push
+ *
+ * @param {*} data - Serialized push
+ * @returns {string|null} Event name, 'gtag:<command>' for gtag() calls or null
+ */
+function getPushEventName(data) {
+  if (Array.isArray(data)) {
+    return typeof data[0] === 'string' ? `gtag:${data[0]}` : null;
+  }
+  if (data && typeof data === 'object' && typeof data.event === 'string') {
+    return data.event;
+  }
+  return null;
+}
+
+/**
+ * Get the wall-clock time of a captured event in milliseconds
+ *
+ * CDP timestamps are monotonic, so CDP events use wallTime. Page hook events
+ * already carry Date.now() in seconds.
+ *
+ * @param {NetworkEvent} event - Captured event
+ * @returns {number|null} Epoch milliseconds or null
+ */
+export function getEventWallTimeMs(event) {
+  if (typeof event.wallTime === 'number') {
+    return Math.round(event.wallTime * 1000);
+  }
+  if (PAGE_HOOK_SOURCES.includes(event.source) && typeof event.timestamp === 'number') {
+    return Math.round(event.timestamp * 1000);
+  }
+  return null;
+}
+
+export default {
+  startDataLayerRecording,
+  collectDataLayerTimeline,
+  buildDataLayerTimeline,
+  getEventWallTimeMs,
+  TIMELINE_KIND
+};
@@ -1,13 +1,14 @@
 /**
  * Data Lifecycle Manager
  *
- * Manages TTL-based data cleanup for crawl results and screenshots.
+ * Manages TTL-based data cleanup for crawl results, screenshots and HAR archives.
  *
  * Cleanup Rules:
  * 1. Unsaved crawl runs: Delete after 30 days
- * 2. Unsaved screenshots: Delete after 30 days
+ * 2. Unsaved screenshots and HAR archives: Delete after 30 days
  * 3. Saved crawl runs: Keep forever (manual delete only)
  * 4. Saved screenshots: Keep forever (moved to permanent bucket)
+ * 5. HAR archives of saved crawl runs: Keep forever
  *
  * Scheduled Tasks:
  * - Daily cleanup at 03:00 AM (configurable via cron)
@@ -47,6 +48,7 @@ class DataLifecycleManager {
       crawlRuns: { deleted: 0, errors: 0 },
       crawlResults: { deleted: 0, errors: 0 },
       screenshots: { deleted: 0, errors: 0 },
+      hars: { deleted: 0, errors: 0 },
       duration: 0
     };
 
@@ -66,6 +68,11 @@ class DataLifecycleManager {
       const screenshotsCleanup = await this.cleanupExpiredScreenshots();
       summary.screenshots = screenshotsCleanup;
 
+      // Step 4: Clean up expired HAR archives (same TTL as screenshots)
+      console.log('\n🗂️ Step 4: Cleaning up expired HAR archives...\n');
+      const harsCleanup = await this.cleanupExpiredHars();
+      summary.hars = harsCleanup;
+
       summary.duration = Date.now() - startTime;
 
       console.log('\n' + '='.repeat(60));
@@ -74,6 +81,7 @@ class DataLifecycleManager {
       console.log(`Crawl Runs Deleted: ${summary.crawlRuns.deleted}`);
       console.log(`Crawl Results Deleted: ${summary.crawlResults.deleted}`);
       console.log(`Screenshots Deleted: ${summary.screenshots.deleted}`);
+      console.log(`HARs Deleted: ${summary.hars.deleted}`);
       console.log(`Duration: ${(summary.duration / 1000).toFixed(2)}s`);
       console.log('='.repeat(60) + '\n');
 
@@ -259,10 +267,76 @@ class DataLifecycleManager {
    * @returns {Promise<Object>} Cleanup summary
    */
   async cleanupExpiredScreenshots() {
+    return this.cleanupExpiredStorageFiles('screenshots', 'screenshots');
+  }
+
+  /**
+   * Clean up expired HAR archives from Supabase Storage
+   * HAR archives are stored per crawl run (<runId>/<file>) and share SCREENSHOT_TTL_DAYS;
+   * the archives of saved crawl runs are kept
+   *
+   * @returns {Promise<Object>} Cleanup summary
+   */
+  async cleanupExpiredHars() {
+    const summary = { deleted: 0, errors: 0 };
+
+    try {
+      // Run folders of the bucket (folders are listed without an id)
+      const { data: entries, error: listError } = await supabase.storage
+        .from('hars')
+        .list('', { limit: 1000 });
+
+      if (listError) {
+        throw listError;
+      }
+
+      const runIds = (entries || []).filter(entry => !entry.id).map(entry => entry.name);
+
+      if (runIds.length === 0) {
+        console.log('  ℹ️ No HAR archives found in storage');
+        return summary;
+      }
+
+      const { data: savedRuns, error: selectError } = await supabase
+        .from(Tables.CRAWL_RUNS)
+        .select('id')
+        .in('id', runIds)
+        .eq('is_saved', true);
+
+      if (selectError) {
+        throw selectError;
+      }
+
+      const savedRunIds = new Set((savedRuns || []).map(run => run.id));
+      console.log(`  📊 Found HAR archives of ${runIds.length} crawl runs (${savedRunIds.size} saved, kept)`);
+
+      for (const runId of runIds.filter(id => !savedRunIds.has(id))) {
+        const runSummary = await this.cleanupExpiredStorageFiles('hars', `HAR archives of run ${runId}`, runId);
+        summary.deleted += runSummary.deleted;
+        summary.errors += runSummary.errors;
+      }
+
+      return summary;
+
+    } catch (error) {
+      console.error('  ❌ Failed to clean up HAR archives:', error);
+      return summary;
+    }
+  }
+
+  /**
+   * Delete files older than SCREENSHOT_TTL_DAYS from a storage bucket
+   *
+   * @param {string} bucket - Storage bucket name
+   * @param {string} label - File label for logs
+   * @param {string} folder - Folder within the bucket (root by default)
+   * @returns {Promise<Object>} Cleanup summary
+   */
+  async cleanupExpiredStorageFiles(bucket, label, folder = '') {
     const summary = { deleted: 0, errors: 0 };
 
     try {
-      console.log('  🔍 Finding expired screenshots...');
+      console.log(`  🔍 Finding expired ${label}...`);
 
       // Calculate cutoff date
       const cutoffDate = new Date();
@@ -271,10 +345,10 @@ class DataLifecycleManager {
 
       console.log(`  📅 Cutoff date: ${cutoffDate.toLocaleDateString()} (${this.SCREENSHOT_TTL_DAYS} days ago)`);
 
-      // List all files in screenshots bucket
+      // List all files in the bucket (folder)
       const { data: files, error: listError } = await supabase.storage
-        .from('screenshots')
-        .list('', {
+        .from(bucket)
+        .list(folder, {
           limit: 1000,
           sortBy: { column: 'created_at', order: 'asc' }
         });
@@ -284,37 +358,37 @@ class DataLifecycleManager {
       }
 
       if (!files || files.length === 0) {
-        console.log('  ℹ️ No screenshots found in storage');
+        console.log(`  ℹ️ No ${label} found in storage`);
         return summary;
       }
 
-      console.log(`  📊 Found ${files.length} screenshots in storage`);
+      console.log(`  📊 Found ${files.length} ${label} in storage`);
 
-      // Filter expired screenshots
+      // Filter expired files
       const expiredFiles = files.filter(file => {
         const fileDate = new Date(file.created_at);
         return fileDate.getTime() < cutoffTimestamp;
       });
 
       if (expiredFiles.length === 0) {
-        console.log('  ℹ️ No expired screenshots found');
+        console.log(`  ℹ️ No expired ${label} found`);
         return summary;
       }
 
-      console.log(`  🗑️ Found ${expiredFiles.length} expired screenshots to delete`);
+      console.log(`  🗑️ Found ${expiredFiles.length} expired ${label} to delete`);
 
       // Delete in batches
       const batches = this.chunkArray(expiredFiles, this.CLEANUP_BATCH_SIZE);
 
       for (let i = 0; i < batches.length; i++) {
         const batch = batches[i];
-        const filePaths = batch.map(file => file.name);
+        const filePaths = batch.map(file => (folder ? `${folder}/${file.name}` : file.name));
 
-        console.log(`\n  📦 Batch ${i + 1}/${batches.length}: Deleting ${batch.length} screenshots...`);
+        console.log(`\n  📦 Batch ${i + 1}/${batches.length}: Deleting ${batch.length} ${label}...`);
 
         try {
           const { error: deleteError } = await supabase.storage
-            .from('screenshots')
+            .from(bucket)
             .remove(filePaths);
 
           if (deleteError) {
@@ -322,7 +396,7 @@ class DataLifecycleManager {
           }
 
           summary.deleted += batch.length;
-          console.log(`     ✅ Deleted ${batch.length} screenshots`);
+          console.log(`     ✅ Deleted ${batch.length} ${label}`);
 
         } catch (error) {
           console.error(`     ❌ Batch ${i + 1} failed:`, error.message);
@@ -330,11 +404,11 @@ class DataLifecycleManager {
         }
       }
 
-      console.log(`\n  ✅ Cleanup completed: ${summary.deleted} screenshots deleted`);
+      console.log(`\n  ✅ Cleanup completed: ${summary.deleted} ${label} deleted`);
       return summary;
 
     } catch (error) {
-      console.error('  ❌ Failed to clean up screenshots:', error);
+      console.error(`  ❌ Failed to clean up ${label}:`, error);
       return summary;
     }
   }
@@ -0,0 +1,198 @@
+/**
+ * Event Rule Evaluator Module
+ *
+ * Evaluates declarative event parameter rules against captured GA4 hits.
+ * Rules are stored in the event_param_rules table, either for a single property
+ * or for every property of an account group (properties.brand).
+ *
+ * Rule format (camelCase, see propertyValidation.js loadEventRules):
+ * { id, eventName: 'page_view', param: 'ep.site_env', operator: 'equals', expected: 'PRD', severity: 'critical' }
+ *
+ * Parameter paths:
+ * - ep.<name>  → custom event parameter
+ * - epn.<name> → numeric event parameter
+ * - up.<name> / upn.<name> → user property
+ * - anything else → top-level hit parameter (dl, dt, cu, tid, userId ...)
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+/**
+ * Rule operators
+ */
+export const RULE_OPERATOR = {
+  EXISTS: 'exists',                   // Parameter is sent with a non-empty value
+  EQUALS: 'equals',                   // Value equals expected
+  NOT_EQUALS: 'not_equals',           // Value is sent and differs from expected
+  MATCHES: 'matches',                 // Value matches the expected regular expression
+  ONE_OF: 'one_of',                   // Value is one of the expected values (array)
+  EQUALS_PROPERTY: 'equals_property'  // Value equals a property field (expected = field name, e.g. 'region')
+};
+
+/**
+ * Rule evaluation status
+ */
+export const RULE_STATUS = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  NOT_SENT: 'not_sent',   // Event was not captured on the page - nothing to check
+  INVALID: 'invalid'      // Rule definition cannot be evaluated (unknown operator, bad regex ...)
+};
+
+// Distinct actual values kept per rule for the report
+const MAX_ACTUAL_VALUES = 5;
+
+/**
+ * Get a parameter value from a captured GA4 hit
+ *
+ * @param {NetworkEvent} event - Captured ga4_collect event
+ * @param {string} param - Parameter path (ep.*, epn.*, up.*, upn.* or top-level name)
+ * @returns {*} Parameter value or undefined when not sent
+ */
+export function getEventParamValue(event, param) {
+  const params = event.params || {};
+  const [prefix, ...rest] = param.split('.');
+  const name = rest.join('.');
+
+  if (name) {
+    if (prefix === 'ep') return params.customParams?.[name];
+    if (prefix === 'epn') return params.numericParams?.[name];
+    if (prefix === 'up' || prefix === 'upn') return params.userProperties?.[name];
+  }
+
+  return params[param] ?? undefined;
+}
+
+/**
+ * Evaluate a single rule against captured events
+ *
+ * @param {Object} rule - Event parameter rule
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @param {Property} property - Property configuration (for equals_property)
+ * @returns {Object} { id, eventName, param, operator, expected, severity, description, status, hits, failedHits, actualValues, error }
+ */
+export function evaluateEventRule(rule, events, property = {}) {
+  const hits = events.filter(e =>
+    e.type === 'ga4_collect' &&
+    e.source !== 'window_extraction' &&
+    e.params.en === rule.eventName
+  );
+
+  const result = {
+    id: rule.id || null,
+    eventName: rule.eventName,
+    param: rule.param,
+    operator: rule.operator,
+    expected: rule.operator === RULE_OPERATOR.EQUALS_PROPERTY
+      ? property[rule.expected] ?? null
+      : rule.expected ?? null,
+    severity: rule.severity || null,
+    description: rule.description || null,
+    status: RULE_STATUS.PASSED,
+    hits: hits.length,
+    failedHits: 0,
+    actualValues: [],
+    error: null
+  };
+
+  let check;
+  try {
+    check = createValueCheck(rule, property);
+  } catch (error) {
+    return { ...result, status: RULE_STATUS.INVALID, error: error.message };
+  }
+
+  if (hits.length === 0) {
+    return { ...result, status: RULE_STATUS.NOT_SENT };
+  }
+
+  const actualValues = new Set();
+  for (const hit of hits) {
+    const value = getEventParamValue(hit, rule.param);
+    if (actualValues.size < MAX_ACTUAL_VALUES) {
+      actualValues.add(value === undefined ? '(not set)' : String(value));
+    }
+    if (!check(value)) {
+      result.failedHits++;
+    }
+  }
+
+  result.actualValues = [...actualValues];
+  result.status = result.failedHits > 0 ? RULE_STATUS.FAILED : RULE_STATUS.PASSED;
+  return result;
+}
+
+/**
+ * Build the value check for a rule
+ *
+ * equals_property compares case-insensitively because property metadata
+ * (e.g. region 'KR') and tag values (e.g. 'kr') often differ only in case.
+ *
+ * @param {Object} rule - Event parameter rule
+ * @param {Property} property - Property configuration
+ * @returns {Function} (value) => boolean
+ * @throws {Error} When the rule cannot be evaluated
+ */
+function createValueCheck(rule, property) {
+  const isSent = value => value !== undefined && value !== null && value !== '';
+
+  switch (rule.operator) {
+    case RULE_OPERATOR.EXISTS:
+      return isSent;
+
+    case RULE_OPERATOR.EQUALS:
+      return value => isSent(value) && String(value) === String(rule.expected);
+
+    case RULE_OPERATOR.NOT_EQUALS:
+      return value => isSent(value) && String(value) !== String(rule.expected);
+
+    case RULE_OPERATOR.MATCHES: {
+      const pattern = new RegExp(rule.expected);
+      return value => isSent(value) && pattern.test(String(value));
+    }
+
+    case RULE_OPERATOR.ONE_OF: {
+      if (!Array.isArray(rule.expected)) {
+        throw new Error('one_of rule requires an array of expected values');
+      }
+      const allowed = rule.expected.map(String);
+      return value => isSent(value) && allowed.includes(String(value));
+    }
+
+    case RULE_OPERATOR.EQUALS_PROPERTY: {
+      const propertyValue = property[rule.expected];
+      if (!isSent(propertyValue)) {
+        throw new Error(`Property field '${rule.expected}' is not set`);
+      }
+      return value => isSent(value) && String(value).toLowerCase() === String(propertyValue).toLowerCase();
+    }
+
+    default:
+      throw new Error(`Unknown rule operator: ${rule.operator}`);
+  }
+}
+
+/**
+ * Select the rules that apply to a property
+ *
+ * Property rules and account group (brand) rules both apply.
+ *
+ * @param {Array<Object>} rules - Active rules (camelCase)
+ * @param {string} propertyId - Property ID
+ * @param {string|null} brand - Property brand (account group)
+ * @returns {Array<Object>} Rules for the property
+ */
+export function selectRulesForProperty(rules, propertyId, brand) {
+  return rules.filter(rule =>
+    (rule.propertyId && rule.propertyId === propertyId) ||
+    (!rule.propertyId && rule.brand && rule.brand === brand)
+  );
+}
+
+export default {
+  evaluateEventRule,
+  getEventParamValue,
+  selectRulesForProperty,
+  RULE_OPERATOR,
+  RULE_STATUS
+};
@@ -0,0 +1,190 @@
+/**
+ * HAR Recorder Module
+ *
+ * Records the network traffic of a validation as a HAR archive through the
+ * Playwright context recording of createStealthPage. The HAR embeds the response
+ * bodies so the traffic can be inspected or replayed later.
+ *
+ * Recording mode (HAR_RECORDING environment variable):
+ * - 'all'    → keep the HAR of every validation
+ * - 'failed' → keep the HAR of failed validations only (default)
+ * - 'off'    → do not record
+ *
+ * Kept HARs are stripped of credentials (cookie, set-cookie and authorization
+ * headers), gzipped and left on disk in HAR_TEMP_DIR; the temp cache only holds
+ * their paths until the batch upload manager streams them to the private 'hars'
+ * bucket (same retention as screenshots). An uploaded HAR can be replayed with
+ * routeFromHAR (`--replay <run>/<property>`).
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { getTempCache } from './tempCacheManager.js';
+
+/**
+ * HAR recording modes
+ */
+export const HAR_RECORDING_MODE = {
+  ALL: 'all',
+  FAILED: 'failed',
+  OFF: 'off'
+};
+
+const HAR_TEMP_DIR = path.join(os.tmpdir(), 'crawler-har');
+
+// Headers never archived (session cookies and credentials of the crawled site)
+const SENSITIVE_HAR_HEADERS = ['cookie', 'set-cookie', 'authorization'];
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Get the HAR recording mode from the environment
+ *
+ * @returns {string} HAR recording mode (unknown values fall back to 'failed')
+ */
+export function getHarRecordingMode() {
+  const mode = (process.env.HAR_RECORDING || '').trim().toLowerCase();
+  return Object.values(HAR_RECORDING_MODE).includes(mode) ? mode : HAR_RECORDING_MODE.FAILED;
+}
+
+/**
+ * Check whether the HAR of a validation is kept
+ *
+ * @param {string} mode - HAR recording mode
+ * @param {boolean} isValid - Validation outcome
+ * @returns {boolean} True if the HAR should be stored
+ */
+export function shouldKeepHar(mode, isValid) {
+  if (mode === HAR_RECORDING_MODE.ALL) return true;
+  if (mode === HAR_RECORDING_MODE.FAILED) return isValid !== true;
+  return false;
+}
+
+/**
+ * Create the temporary HAR path of a validation
+ *
+ * Playwright writes the archive when the browser context closes.
+ *
+ * @param {string} propertyId - Property ID (UUID or slug)
+ * @returns {Promise<string|null>} HAR path or null when recording is off
+ */
+export async function createHarPath(propertyId) {
+  if (getHarRecordingMode() === HAR_RECORDING_MODE.OFF) {
+    return null;
+  }
+
+  return createTempHarPath(propertyId);
+}
+
+/**
+ * Create a temporary HAR archive path (regardless of the recording mode)
+ *
+ * @param {string} name - File name prefix (property ID)
+ * @returns {Promise<string>} HAR path
+ */
+export async function createTempHarPath(name) {
+  await fs.mkdir(HAR_TEMP_DIR, { recursive: true });
+  const safeName = String(name).replace(/[^a-zA-Z0-9_-]/g, '_');
+  return path.join(HAR_TEMP_DIR, `${safeName}_${Date.now()}.har`);
+}
+
+/**
+ * Parse a replay target
+ *
+ * @param {string} value - '<runId>/<propertyId>'
+ * @returns {Object} { runId, propertyId }
+ * @throws {Error} If the target is not '<runId>/<propertyId>'
+ */
+export function parseReplayTarget(value) {
+  const parts = String(value || '').trim().split('/').filter(Boolean);
+  if (parts.length !== 2) {
+    throw new Error(`Invalid replay target "${value || ''}" (expected <runId>/<propertyId>)`);
+  }
+
+  return { runId: parts[0], propertyId: parts[1] };
+}
+
+/**
+ * Remove cookies and credentials from a recorded HAR
+ *
+ * @param {Object} har - Parsed HAR ({ log: { entries } })
+ * @returns {Object} The same HAR without cookie, set-cookie and authorization headers
+ */
+export function sanitizeHar(har) {
+  for (const entry of har?.log?.entries || []) {
+    for (const message of [entry.request, entry.response]) {
+      if (!message) continue;
+      message.headers = (message.headers || [])
+        .filter(header => !SENSITIVE_HAR_HEADERS.includes(String(header.name).toLowerCase()));
+      message.cookies = [];
+    }
+  }
+
+  return har;
+}
+
+/**
+ * Store the recorded HAR in the temp cache (or drop it) and delete the raw recording
+ *
+ * The kept HAR is sanitized and gzipped next to the recording (<harPath>.gz); only
+ * its path is cached. Must be called after the browser context was closed.
+ *
+ * @param {string|null} harPath - HAR path from createHarPath
+ * @param {string} propertyId - Property ID (UUID or slug)
+ * @param {boolean} isValid - Validation outcome
+ * @param {Object} metadata - HAR metadata
+ * @param {TempCacheManager} cache - Temp cache (defaults to the shared instance)
+ * @returns {Promise<boolean>} True if the HAR was cached (never throws)
+ */
+export async function storeHar(harPath, propertyId, isValid, metadata = {}, cache = getTempCache()) {
+  if (!harPath) {
+    return false;
+  }
+
+  try {
+    if (!shouldKeepHar(getHarRecordingMode(), isValid)) {
+      return false;
+    }
+
+    const har = sanitizeHar(JSON.parse(await fs.readFile(harPath, 'utf8')));
+    const archivePath = `${harPath}.gz`;
+    await fs.writeFile(archivePath, await gzip(JSON.stringify(har)));
+
+    await cache.addHar(propertyId, archivePath, metadata);
+    return true;
+  } catch (error) {
+    console.log(`  ⚠️ HAR not stored: ${error.message}`);
+    return false;
+  } finally {
+    await discardHar(harPath);
+  }
+}
+
+/**
+ * Delete a recorded HAR without caching it
+ *
+ * @param {string|null} harPath - HAR path from createHarPath
+ * @returns {Promise<void>} Never throws
+ */
+export async function discardHar(harPath) {
+  if (!harPath) {
+    return;
+  }
+
+  await fs.rm(harPath, { force: true }).catch(() => {});
+}
+
+export default {
+  getHarRecordingMode,
+  shouldKeepHar,
+  createHarPath,
+  createTempHarPath,
+  parseReplayTarget,
+  sanitizeHar,
+  storeHar,
+  discardHar,
+  HAR_RECORDING_MODE
+};
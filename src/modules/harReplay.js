@@ -0,0 +1,93 @@
+/**
+ * HAR Replay Module
+ *
+ * Access to the HAR archives in the private 'hars' bucket: loads the archive
+ * recorded for a property in a crawl run so the validation can be re-run offline
+ * against the recorded traffic (Playwright routeFromHAR), and signs short-lived
+ * download links for the dashboard.
+ */
+
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { supabase, Tables } from '../utils/supabase.js';
+import { createTempHarPath } from './harRecorder.js';
+
+const HAR_SIGNED_URL_TTL_SECONDS = 10 * 60;
+
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Download the HAR archive recorded for a property in a crawl run
+ *
+ * @param {string} runId - Crawl run ID
+ * @param {string} propertyId - Property ID (UUID)
+ * @returns {Promise<string>} Local HAR path (delete with discardHar after the replay)
+ * @throws {Error} If the run has no HAR for the property or the download fails
+ */
+export async function downloadRecordedHar(runId, propertyId) {
+  const { data: results, error } = await supabase
+    .from(Tables.CRAWL_RESULTS)
+    .select('har_path')
+    .eq('crawl_run_id', runId)
+    .eq('property_id', propertyId)
+    .not('har_path', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  const storagePath = results && results.length > 0 ? results[0].har_path : null;
+  if (!storagePath) {
+    throw new Error(`No HAR recorded for property ${propertyId} in run ${runId}`);
+  }
+
+  const { data: harBlob, error: downloadError } = await supabase.storage
+    .from('hars')
+    .download(storagePath);
+
+  if (downloadError) {
+    throw downloadError;
+  }
+
+  const harPath = await createTempHarPath(`replay_${propertyId}`);
+  await fs.writeFile(harPath, await gunzip(Buffer.from(await harBlob.arrayBuffer())));
+
+  console.log(`  ⏯️ Downloaded HAR ${storagePath} (${(harBlob.size / 1024 / 1024).toFixed(2)}MB)`);
+  return harPath;
+}
+
+/**
+ * Create short-lived download links of stored HAR archives
+ *
+ * @param {Array<string|null>} harPaths - Paths within the 'hars' bucket (crawl_results.har_path)
+ * @returns {Promise<Map<string, string>>} Path → signed URL (empty on failure, never throws)
+ */
+export async function createHarDownloadUrls(harPaths) {
+  const paths = [...new Set(harPaths.filter(Boolean))];
+  if (paths.length === 0) {
+    return new Map();
+  }
+
+  try {
+    const { data, error } = await supabase.storage
+      .from('hars')
+      .createSignedUrls(paths, HAR_SIGNED_URL_TTL_SECONDS);
+
+    if (error) {
+      throw error;
+    }
+
+    return new Map(data.filter(item => item.signedUrl).map(item => [item.path, item.signedUrl]));
+  } catch (error) {
+    console.error('Failed to sign HAR download URLs:', error.message);
+    return new Map();
+  }
+}
+
+export default {
+  downloadRecordedHar,
+  createHarDownloadUrls
+};
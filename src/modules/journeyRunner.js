@@ -0,0 +1,323 @@
+/**
+ * Journey Runner Module
+ *
+ * Runs declarative per-property user journeys in the stealth page used for validation.
+ * A journey is a list of steps (navigate, click, waitForEvent, assert) that drive the
+ * page through an ecommerce flow and check that the expected GA4 events are sent
+ * (view_item_list, view_item, add_to_cart, begin_checkout ...).
+ *
+ * Journey format (stored in properties.journeys):
+ * {
+ *   name: 'PDP add to cart',
+ *   steps: [
+ *     { action: 'navigate', url: '/product/detail?id=123' },
+ *     { action: 'waitForEvent', event: 'view_item' },
+ *     { action: 'click', selector: '.btn-add-cart' },
+ *     { action: 'waitForEvent', event: 'add_to_cart', timeoutMs: 10000 },
+ *     { action: 'assert', event: 'add_to_cart', params: { currency: 'KRW', tid: true } }
+ *   ]
+ * }
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { collectPageHookEvents } from './networkEventCapturer.js';
+
+/**
+ * Supported journey step actions
+ */
+export const STEP_ACTION = {
+  NAVIGATE: 'navigate',
+  CLICK: 'click',
+  WAIT_FOR_EVENT: 'waitForEvent',
+  ASSERT: 'assert'
+};
+
+/**
+ * Journey step status
+ */
+export const STEP_STATUS = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'    // Not executed because a previous step failed
+};
+
+const DEFAULT_STEP_TIMEOUT_MS = 10000;
+const POLL_INTERVAL_MS = 500;
+const SETTLE_AFTER_ACTION_MS = 1000;
+
+/**
+ * Run all journeys of a property sequentially
+ *
+ * @param {Page} page - Playwright page instance (already navigated and capturing)
+ * @param {Array<NetworkEvent>} capturedEvents - Events array from startCapturing
+ * @param {Array<Object>} journeys - Journey definitions
+ * @returns {Promise<Array<Object>>} Journey results
+ */
+export async function runJourneys(page, capturedEvents, journeys = []) {
+  const results = [];
+
+  for (const journey of journeys) {
+    console.log(`  🧭 Running journey: ${journey.name || 'unnamed'}`);
+    const journeyResult = await runJourney(page, capturedEvents, journey);
+    const passedSteps = journeyResult.steps.filter(s => s.status === STEP_STATUS.PASSED).length;
+    console.log(`  ${journeyResult.isValid ? '✅' : '❌'} Journey ${journey.name || 'unnamed'}: ${passedSteps}/${journeyResult.steps.length} steps passed`);
+    results.push(journeyResult);
+  }
+
+  return results;
+}
+
+/**
+ * Run a single journey
+ *
+ * Steps are executed in order. Once a step fails, the remaining steps are skipped
+ * because they depend on the page state the failed step should have produced.
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {Array<NetworkEvent>} capturedEvents - Events array from startCapturing
+ * @param {Object} journey - Journey definition ({ name, steps })
+ * @returns {Promise<Object>} { name, isValid, steps, expectedEvents, actualEvents }
+ */
+export async function runJourney(page, capturedEvents, journey) {
+  const startIndex = capturedEvents.length;
+  const state = {
+    cursor: startIndex,        // Next event index waitForEvent may match
+    matchedEvents: {}          // Last matched event per event name
+  };
+  const steps = [];
+  let failed = false;
+
+  for (const [index, step] of (journey.steps || []).entries()) {
+    if (failed) {
+      steps.push(buildStepResult(index, step, STEP_STATUS.SKIPPED));
+      continue;
+    }
+
+    const stepStartIndex = capturedEvents.length;
+    const stepStartTime = Date.now();
+    let stepResult;
+
+    try {
+      stepResult = await runStep(page, capturedEvents, step, state, startIndex);
+    } catch (error) {
+      stepResult = { status: STEP_STATUS.FAILED, error: error.message };
+    }
+
+    // Events sent while this step was running (e.g. add_to_cart fired by a click)
+    const actualEvents = getEventNames(capturedEvents.slice(stepStartIndex));
+
+    steps.push({
+      ...buildStepResult(index, step, stepResult.status),
+      actualEvents: stepResult.actualEvents || actualEvents,
+      error: stepResult.error || null,
+      durationMs: Date.now() - stepStartTime
+    });
+
+    if (stepResult.status === STEP_STATUS.FAILED) {
+      failed = true;
+    }
+  }
+
+  return {
+    name: journey.name || null,
+    isValid: !failed,
+    steps,
+    expectedEvents: steps.flatMap(s => s.expectedEvents),
+    actualEvents: getEventNames(capturedEvents.slice(startIndex))
+  };
+}
+
+/**
+ * Execute one journey step
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {Array<NetworkEvent>} capturedEvents - Events array from startCapturing
+ * @param {Object} step - Step definition
+ * @param {Object} state - Journey state (event cursor, matched events)
+ * @param {number} journeyStartIndex - Index of the first event sent during the journey
+ * @returns {Promise<Object>} { status, error?, actualEvents? }
+ */
+async function runStep(page, capturedEvents, step, state, journeyStartIndex) {
+  const timeoutMs = step.timeoutMs || DEFAULT_STEP_TIMEOUT_MS;
+
+  switch (step.action) {
+    case STEP_ACTION.NAVIGATE: {
+      const targetUrl = new URL(step.url, page.url()).toString();
+      await page.goto(targetUrl, { timeout: timeoutMs, waitUntil: 'domcontentloaded' });
+      await settle(page, capturedEvents);
+      return { status: STEP_STATUS.PASSED };
+    }
+
+    case STEP_ACTION.CLICK: {
+      await page.click(step.selector, { timeout: timeoutMs });
+      try {
+        await page.waitForLoadState('domcontentloaded', { timeout: timeoutMs });
+      } catch (loadError) {
+        // Click did not navigate or navigation is still running - events are polled below
+      }
+      await settle(page, capturedEvents);
+      return { status: STEP_STATUS.PASSED };
+    }
+
+    case STEP_ACTION.WAIT_FOR_EVENT: {
+      const startTime = Date.now();
+
+      while (Date.now() - startTime < timeoutMs) {
+        await collectHookEventsSafely(page, capturedEvents);
+
+        const matchIndex = findEventIndex(capturedEvents, step, state.cursor);
+        if (matchIndex !== -1) {
+          state.cursor = matchIndex + 1;
+          state.matchedEvents[step.event] = capturedEvents[matchIndex];
+          return { status: STEP_STATUS.PASSED };
+        }
+
+        await page.waitForTimeout(POLL_INTERVAL_MS);
+      }
+
+      return {
+        status: STEP_STATUS.FAILED,
+        error: `Event '${step.event}' not sent within ${timeoutMs}ms`
+      };
+    }
+
+    case STEP_ACTION.ASSERT: {
+      await collectHookEventsSafely(page, capturedEvents);
+
+      // Prefer the event matched by a previous waitForEvent step
+      let event = state.matchedEvents[step.event];
+      if (!event) {
+        const matchIndex = findEventIndex(capturedEvents, step, journeyStartIndex);
+        event = matchIndex !== -1 ? capturedEvents[matchIndex] : null;
+      }
+
+      if (!event) {
+        return {
+          status: STEP_STATUS.FAILED,
+          error: `Event '${step.event}' was not sent during the journey`,
+          actualEvents: []
+        };
+      }
+
+      const failures = checkEventParams(event, step.params || {});
+      return {
+        status: failures.length === 0 ? STEP_STATUS.PASSED : STEP_STATUS.FAILED,
+        error: failures.length > 0 ? failures.join('; ') : null,
+        actualEvents: [event.params.en]
+      };
+    }
+
+    default:
+      return {
+        status: STEP_STATUS.FAILED,
+        error: `Unknown step action: ${step.action}`
+      };
+  }
+}
+
+/**
+ * Build the common part of a step result
+ *
+ * @param {number} index - Step index
+ * @param {Object} step - Step definition
+ * @param {string} status - Step status
+ * @returns {Object} Step result
+ */
+function buildStepResult(index, step, status) {
+  const expectsEvent = step.action === STEP_ACTION.WAIT_FOR_EVENT || step.action === STEP_ACTION.ASSERT;
+
+  return {
+    index,
+    action: step.action,
+    target: step.url || step.selector || step.event || null,
+    status,
+    expectedEvents: expectsEvent && step.event ? [step.event] : [],
+    actualEvents: [],
+    error: null,
+    durationMs: 0
+  };
+}
+
+/**
+ * Check asserted parameters against a captured event
+ *
+ * Parameter lookup order: top-level GA4 param (tid, dl, cu ...) then custom param (ep.*).
+ * An expected value of `true` only asserts that the parameter exists.
+ *
+ * @param {NetworkEvent} event - Captured GA4 event
+ * @param {Object} expectedParams - { paramName: expectedValue | true }
+ * @returns {Array<string>} Failure messages (empty when all assertions pass)
+ */
+export function checkEventParams(event, expectedParams) {
+  const failures = [];
+
+  for (const [name, expected] of Object.entries(expectedParams)) {
+    const actual = event.params[name] ?? event.params.customParams?.[name];
+
+    if (actual === undefined || actual === null || actual === '') {
+      failures.push(`${event.params.en}.${name} is missing`);
+    } else if (expected !== true && String(actual) !== String(expected)) {
+      failures.push(`${event.params.en}.${name} expected '${expected}' but got '${actual}'`);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Find the first GA4 event matching a step from a given index
+ *
+ * @param {Array<NetworkEvent>} capturedEvents - Captured events
+ * @param {Object} step - Step with event name and optional measurementId
+ * @param {number} fromIndex - Index to start searching from
+ * @returns {number} Event index or -1
+ */
+function findEventIndex(capturedEvents, step, fromIndex) {
+  for (let i = fromIndex; i < capturedEvents.length; i++) {
+    const event = capturedEvents[i];
+    if (event.type !== 'ga4_collect' || event.params.en !== step.event) continue;
+    if (step.measurementId && event.params.tid !== step.measurementId) continue;
+    return i;
+  }
+  return -1;
+}
+
+/**
+ * Get GA4 event names in capture order
+ *
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @returns {Array<string>} Event names
+ */
+function getEventNames(events) {
+  return events
+    .filter(e => e.type === 'ga4_collect' && e.params.en)
+    .map(e => e.params.en);
+}
+
+/**
+ * Give the page time to send events after an action and merge hook events
+ */
+async function settle(page, capturedEvents) {
+  await page.waitForTimeout(SETTLE_AFTER_ACTION_MS);
+  await collectHookEventsSafely(page, capturedEvents);
+}
+
+/**
+ * Merge page hook events, ignoring evaluation errors during navigation
+ */
+async function collectHookEventsSafely(page, capturedEvents) {
+  try {
+    await collectPageHookEvents(page, capturedEvents);
+  } catch (error) {
+    // Page is navigating - CDP still captures the events
+  }
+}
+
+export default {
+  runJourneys,
+  runJourney,
+  checkEventParams,
+  STEP_ACTION,
+  STEP_STATUS
+};
@@ -2,43 +2,114 @@
  * Network Event Capturer Module
  *
  * Captures GA4 network events using Chrome DevTools Protocol (CDP).
- * Intercepts requests to analytics.google.com/g/collect and extracts
- * measurement ID, GTM ID, and event parameters.
+ * Intercepts GA4 collect requests (Google hosts, server-side GTM and first-party
+ * collection endpoints) and extracts measurement ID, GTM ID, and event parameters.
+ * Known third-party marketing tag requests are recorded as vendor_tag events
+ * (see tagInventory.js).
  *
  * Epic 3: GA4/GTM Configuration Validation
  */
+import { classifyVendorRequest } from './tagInventory.js';
 
 /**
- * Improved GA4 URL detection (inspired by Omnibug)
- * Matches analytics.google.com or www.google-analytics.com with /g/collect
- * while excluding false positives
+ * Collect endpoint type of a GA4 hit
+ */
+export const ENDPOINT_TYPE = {
+  GOOGLE: 'google',             // Google collection hosts (incl. regionN.*)
+  SERVER_SIDE: 'server_side'    // Server-side GTM / first-party collection host
+};
+
+// Google collection hosts:
+// - www.google-analytics.com, regionN.google-analytics.com
+// - analytics.google.com, regionN.analytics.google.com
+const GOOGLE_COLLECT_HOST_PATTERN = /^((www|region\d+)\.)?google-analytics\.com$|^(region\d+\.)?analytics\.google\.com$/;
+
+// GA4 collect path (also served by the sGTM GA4 client)
+const COLLECT_PATH = '/g/collect';
+
+// Hosts that also use /g/collect but are not GA4 (false positives)
+const EXCLUDED_COLLECT_HOSTS = ['clarity.ms', 'transcend.io', 'doubleclick.net'];
+
+// Capture options per captured events array (set by startCapturing)
+const captureOptions = new WeakMap();
+
+/**
+ * Compile per-property collect endpoint patterns
+ *
+ * Pattern format: host with optional path, `*` as wildcard.
+ * Without a path the GA4 collect path (/g/collect) is assumed.
+ * - 'sgtm.brand.com'             → https://sgtm.brand.com/g/collect
+ * - '*.brand.com'                → any subdomain of brand.com on /g/collect
+ * - 'metrics.brand.com/mc/collect' → custom sGTM client path
  *
- * @param {string} url - URL to check
- * @returns {boolean} true if valid GA4 request
+ * @param {Array<string>} patterns - Endpoint patterns (properties.collect_endpoints)
+ * @returns {Array<RegExp>} Patterns matched against `host + pathname`
  */
-function isGA4Request(url) {
-  if (!url || typeof url !== 'string') return false;
+export function compileEndpointPatterns(patterns = []) {
+  if (!Array.isArray(patterns)) return [];
+
+  const escape = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+  return patterns
+    .filter(pattern => typeof pattern === 'string' && pattern.trim() !== '')
+    .map(pattern => {
+      const normalized = pattern.trim().toLowerCase().replace(/^https?:\/\//, '');
+      const slashIndex = normalized.indexOf('/');
+      const host = slashIndex === -1 ? normalized : normalized.substring(0, slashIndex);
+      const path = slashIndex === -1 ? COLLECT_PATH : normalized.substring(slashIndex);
+
+      const hostSource = escape(host).replace(/\*/g, '[a-z0-9.-]*');
+      const pathSource = escape(path).replace(/\*/g, '.*');
+      return new RegExp(`^${hostSource}${pathSource}$`);
+    });
+}
 
-  // Must contain /g/collect endpoint
-  if (!url.includes('/g/collect')) return false;
+/**
+ * Classify a GA4 collect endpoint (inspired by Omnibug)
+ *
+ * Matching order:
+ * 1. Google collection hosts on /g/collect
+ * 2. Per-property endpoint patterns (server-side GTM / first-party hosts)
+ * 3. Any other host on /g/collect sending the GA4 protocol signature
+ *    (v=2 + G- measurement ID) - transport_url / sGTM not configured yet
+ *
+ * @param {string} url - Request URL
+ * @param {Array<RegExp>} endpointPatterns - Compiled patterns from compileEndpointPatterns
+ * @returns {Object|null} { host, type } or null when not a GA4 hit
+ */
+export function classifyCollectEndpoint(url, endpointPatterns = []) {
+  if (!url || typeof url !== 'string') return null;
 
-  // Must be from valid GA4 domains
-  // - analytics.google.com (primary GA4 domain)
-  // - www.google-analytics.com (legacy domain, still used by some implementations)
-  const isValidGA4Domain =
-    url.includes('analytics.google.com') ||
-    url.includes('www.google-analytics.com');
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return null;
+  }
 
-  if (!isValidGA4Domain) return false;
+  const host = urlObj.hostname.toLowerCase();
 
   // Exclude false positives (domains that also use /g/collect)
-  if (url.includes('clarity.ms') ||
-      url.includes('transcend.io') ||
-      url.includes('doubleclick.net')) {
-    return false;
+  if (EXCLUDED_COLLECT_HOSTS.some(excluded => host === excluded || host.endsWith(`.${excluded}`))) {
+    return null;
+  }
+
+  const isCollectPath = urlObj.pathname.endsWith(COLLECT_PATH);
+
+  if (isCollectPath && GOOGLE_COLLECT_HOST_PATTERN.test(host)) {
+    return { host, type: ENDPOINT_TYPE.GOOGLE };
   }
 
-  return true;
+  if (endpointPatterns.some(pattern => pattern.test(`${host}${urlObj.pathname}`))) {
+    return { host, type: ENDPOINT_TYPE.SERVER_SIDE };
+  }
+
+  const tid = urlObj.searchParams.get('tid') || '';
+  if (isCollectPath && urlObj.searchParams.get('v') === '2' && tid.startsWith('G-')) {
+    return { host, type: ENDPOINT_TYPE.SERVER_SIDE };
+  }
+
+  return null;
 }
 
 /**
@@ -49,40 +120,41 @@ function isGA4Request(url) {
  * Solution: Add page.evaluate() to directly hook fetch/XHR + CDP for redundancy
  *
  * @param {Page} page - Playwright page instance
+ * @param {Object} options - Capture options
+ * @param {Array<string>} options.collectEndpoints - Per-property collect endpoint patterns (sGTM / first-party hosts)
  * @returns {Promise<Array<NetworkEvent>>} Captured events array
  */
-export async function startCapturing(page) {
+export async function startCapturing(page, options = {}) {
   const capturedEvents = [];
 
   try {
+    const endpointPatterns = compileEndpointPatterns(options.collectEndpoints);
+    captureOptions.set(capturedEvents, { endpointPatterns });
+
     // Layer 1: Inject fetch/XHR hooks before page loads (most reliable for brand sites)
-    await page.addInitScript(() => {
+    // The hooks only pre-filter candidate URLs, classifyCollectEndpoint decides in Node
+    await page.addInitScript(({ collectPath, excludedHosts, patternSources }) => {
       window.__ga4Events = [];
 
-      // Improved GA4 URL detection (inspired by Omnibug)
-      // - Matches: analytics.google.com or www.google-analytics.com with /g/collect
-      // - Excludes false positives: clarity.ms, transcend.io, doubleclick.net
+      const patterns = patternSources.map(source => new RegExp(source));
+
       function isGA4Request(url) {
         if (!url || typeof url !== 'string') return false;
 
-        // Must contain /g/collect endpoint
-        if (!url.includes('/g/collect')) return false;
-
-        // Must be from valid GA4 domains
-        const isValidGA4Domain =
-          url.includes('analytics.google.com') ||
-          url.includes('www.google-analytics.com');
-
-        if (!isValidGA4Domain) return false;
+        let urlObj;
+        try {
+          urlObj = new URL(url, window.location.href);
+        } catch (error) {
+          return false;
+        }
 
-        // Exclude false positives (domains that also use /g/collect)
-        if (url.includes('clarity.ms') ||
-            url.includes('transcend.io') ||
-            url.includes('doubleclick.net')) {
+        const host = urlObj.hostname.toLowerCase();
+        if (excludedHosts.some(excluded => host === excluded || host.endsWith('.' + excluded))) {
           return false;
         }
 
-        return true;
+        return urlObj.pathname.endsWith(collectPath) ||
+          patterns.some(pattern => pattern.test(host + urlObj.pathname));
       }
 
       // Hook fetch API
@@ -90,10 +162,14 @@ export async function startCapturing(page) {
       window.fetch = function(...args) {
         const url = args[0];
         if (isGA4Request(url)) {
+          const body = args[1] && args[1].body;
           window.__ga4Events.push({
             url: url,
+            body: typeof body === 'string' ? body : null,
             type: 'fetch',
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            pageUrl: window.location.href,
+            pageTitle: document.title
           });
           console.log('[GA4 Fetch Hook] Captured:', url.substring(0, 100));
         }
@@ -114,8 +190,11 @@ export async function startCapturing(page) {
         if (isGA4Request(this.__url)) {
           window.__ga4Events.push({
             url: this.__url,
+            body: typeof args[0] === 'string' ? args[0] : null,
             type: 'xhr',
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            pageUrl: window.location.href,
+            pageTitle: document.title
           });
           console.log('[GA4 XHR Hook] Captured:', this.__url.substring(0, 100));
         }
@@ -128,13 +207,20 @@ export async function startCapturing(page) {
         if (isGA4Request(url)) {
           window.__ga4Events.push({
             url: url,
+            body: typeof args[0] === 'string' ? args[0] : null,
             type: 'beacon',
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            pageUrl: window.location.href,
+            pageTitle: document.title
           });
           console.log('[GA4 Beacon Hook] Captured:', url.substring(0, 100));
         }
         return originalBeacon.call(this, url, ...args);
       };
+    }, {
+      collectPath: COLLECT_PATH,
+      excludedHosts: EXCLUDED_COLLECT_HOSTS,
+      patternSources: endpointPatterns.map(pattern => pattern.source)
     });
 
     // Layer 2: CDP Network monitoring (backup method)
@@ -144,20 +230,26 @@ export async function startCapturing(page) {
     client.on('Network.requestWillBeSent', (params) => {
       const url = params.request.url;
 
-      // Capture GA4 collect requests
-      if (isGA4Request(url)) {
-        const event = {
-          url,
-          method: params.request.method,
-          headers: params.request.headers,
-          timestamp: params.timestamp,
-          type: 'ga4_collect',
-          params: parseGA4Params(url, params.request.postData),
-          source: 'cdp'
-        };
+      // Capture GA4 collect requests (one record per event for batched POST bodies)
+      const endpoint = classifyCollectEndpoint(url, endpointPatterns);
+      if (endpoint) {
+        for (const hitParams of parseGA4Hits(url, params.request.postData)) {
+          const event = {
+            url,
+            method: params.request.method,
+            headers: params.request.headers,
+            timestamp: params.timestamp,
+            wallTime: params.wallTime, // Epoch seconds (timestamp is monotonic)
+            type: 'ga4_collect',
+            params: hitParams,
+            endpoint: endpoint.host,
+            endpointType: endpoint.type,
+            source: 'cdp'
+          };
 
-        capturedEvents.push(event);
-        console.log(`  📡 Captured GA4 event (CDP): ${event.params.en || 'unknown'}`);
+          capturedEvents.push(event);
+          console.log(`  📡 Captured GA4 event (CDP): ${event.params.en || 'unknown'}`);
+        }
       }
 
       // Capture GTM requests
@@ -166,6 +258,7 @@ export async function startCapturing(page) {
           url,
           method: params.request.method,
           timestamp: params.timestamp,
+          wallTime: params.wallTime,
           type: 'gtm_load',
           params: parseGTMParams(url)
         };
@@ -173,6 +266,19 @@ export async function startCapturing(page) {
         capturedEvents.push(event);
         console.log(`  🏷️ Captured GTM load: ${event.params.id || 'unknown'}`);
       }
+
+      // Capture third-party marketing tags (Meta Pixel, Kakao Pixel, Naver, Criteo, Google Ads, Floodlight)
+      const vendorTag = classifyVendorRequest(url);
+      if (vendorTag) {
+        capturedEvents.push({
+          url,
+          method: params.request.method,
+          timestamp: params.timestamp,
+          wallTime: params.wallTime,
+          type: 'vendor_tag',
+          params: vendorTag
+        });
+      }
     });
 
     console.log('📡 Network event capture started (CDP + Page Hooks)');
@@ -525,6 +631,69 @@ export async function waitForGTMLoad(page, capturedEvents, expectedGTMId, timeou
   };
 }
 
+/**
+ * Retrieve events captured by page hooks (Layer 1) and merge them into capturedEvents
+ *
+ * Drains window.__ga4Events so repeated calls never return the same hook event twice.
+ * Events already captured by CDP (same URL) are skipped, but receive the page URL and
+ * title recorded by the hook at send time (pageContext).
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {Array<NetworkEvent>} capturedEvents - Events array from startCapturing (CDP Layer 2)
+ * @returns {Promise<number>} Number of events added
+ * @throws {Error} If the page cannot be evaluated (e.g. during navigation)
+ */
+export async function collectPageHookEvents(page, capturedEvents) {
+  const pageHookEvents = await page.evaluate(() => {
+    if (!window.__ga4Events) return [];
+    const events = [...window.__ga4Events];
+    window.__ga4Events = []; // Clear to avoid duplicates
+    return events;
+  });
+
+  const { endpointPatterns = [] } = captureOptions.get(capturedEvents) || {};
+  let addedCount = 0;
+
+  // Convert page hook events to capturedEvents format
+  for (const hookEvent of pageHookEvents) {
+    const pageContext = hookEvent.pageUrl ? { url: hookEvent.pageUrl, title: hookEvent.pageTitle || '' } : null;
+
+    // Check for duplicates (same URL already captured by CDP)
+    const duplicates = capturedEvents.filter(e => e.url === hookEvent.url);
+    duplicates
+      .filter(e => !e.pageContext)
+      .forEach(e => {
+        e.pageContext = pageContext;
+      });
+
+    const isDuplicate = duplicates.length > 0;
+    const endpoint = isDuplicate ? null : classifyCollectEndpoint(hookEvent.url, endpointPatterns);
+
+    if (endpoint) {
+      for (const hitParams of parseGA4Hits(hookEvent.url, hookEvent.body)) {
+        const event = {
+          url: hookEvent.url,
+          method: hookEvent.body ? 'POST' : 'GET',
+          headers: {},
+          timestamp: hookEvent.timestamp / 1000, // Convert to seconds
+          type: 'ga4_collect',
+          params: hitParams,
+          endpoint: endpoint.host,
+          endpointType: endpoint.type,
+          source: hookEvent.type, // 'fetch', 'xhr', or 'beacon'
+          pageContext // Page URL and document.title when the hit was sent
+        };
+
+        capturedEvents.push(event);
+        addedCount++;
+        console.log(`  📡 Captured GA4 event (${hookEvent.type}): ${event.params.en || 'unknown'}`);
+      }
+    }
+  }
+
+  return addedCount;
+}
+
 /**
  * Wait for GA4 events to be captured (ENHANCED - Multi-layer detection with smart exit on expected ID)
  *
@@ -561,33 +730,7 @@ export async function waitForGA4Events(page, capturedEvents, expectedMeasurement
   while (Date.now() - startTime < timeoutMs) {
     // Layer 1: Retrieve events from page hooks (window.__ga4Events)
     try {
-      const pageHookEvents = await page.evaluate(() => {
-        if (!window.__ga4Events) return [];
-        const events = [...window.__ga4Events];
-        window.__ga4Events = []; // Clear to avoid duplicates
-        return events;
-      });
-
-      // Convert page hook events to capturedEvents format
-      for (const hookEvent of pageHookEvents) {
-        // Check for duplicates (same URL already captured by CDP)
-        const isDuplicate = capturedEvents.some(e => e.url === hookEvent.url);
-
-        if (!isDuplicate && isGA4Request(hookEvent.url)) {
-          const event = {
-            url: hookEvent.url,
-            method: 'GET',
-            headers: {},
-            timestamp: hookEvent.timestamp / 1000, // Convert to seconds
-            type: 'ga4_collect',
-            params: parseGA4Params(hookEvent.url),
-            source: hookEvent.type // 'fetch', 'xhr', or 'beacon'
-          };
-
-          capturedEvents.push(event);
-          console.log(`  📡 Captured GA4 event (${hookEvent.type}): ${event.params.en || 'unknown'}`);
-        }
-      }
+      await collectPageHookEvents(page, capturedEvents);
     } catch (error) {
       // Page may not be ready yet, continue
       console.log(`  ⚠️ Failed to retrieve page hook events: ${error.message}`);
@@ -722,13 +865,200 @@ export async function waitForGA4Events(page, capturedEvents, expectedMeasurement
   };
 }
 
+/**
+ * GA4 item parameter keys (pr1..prN) → item field names
+ * Format: pr1=id12345~nmT-Shirt~brGoogle~caApparel~pr29.9~qt1
+ */
+const ITEM_FIELD_KEYS = {
+  id: 'item_id',
+  nm: 'item_name',
+  af: 'affiliation',
+  cp: 'coupon',
+  ds: 'discount',
+  lp: 'index',
+  br: 'item_brand',
+  ca: 'item_category',
+  c2: 'item_category2',
+  c3: 'item_category3',
+  c4: 'item_category4',
+  c5: 'item_category5',
+  li: 'item_list_id',
+  ln: 'item_list_name',
+  va: 'item_variant',
+  lo: 'location_id',
+  pr: 'price',
+  qt: 'quantity'
+};
+
+/**
+ * Item fields that GA4 expects as numbers
+ */
+const NUMERIC_ITEM_FIELDS = ['price', 'quantity', 'discount', 'index'];
+
+/**
+ * Decode a single GA4 item parameter (pr1..prN value)
+ *
+ * Numeric fields are converted to numbers when they are valid numbers and kept
+ * as raw strings otherwise, so the validator can flag them.
+ *
+ * @param {string} value - Raw item string (e.g. id123~nmLipstick~pr25000~qt1)
+ * @returns {Object} Structured item
+ */
+export function parseItemParam(value) {
+  const item = {};
+  const customKeys = {};
+  const customValues = {};
+
+  for (const segment of value.split('~')) {
+    if (segment.length < 2) continue;
+
+    const key = segment.substring(0, 2);
+    const fieldValue = segment.substring(2);
+
+    // Custom item parameters: k0/v0, k1/v1 ...
+    if (/^k\d$/.test(key)) {
+      customKeys[key.substring(1)] = fieldValue;
+    } else if (/^v\d$/.test(key)) {
+      customValues[key.substring(1)] = fieldValue;
+    } else if (ITEM_FIELD_KEYS[key]) {
+      const fieldName = ITEM_FIELD_KEYS[key];
+      const isNumeric = fieldValue.trim() !== '' && !isNaN(Number(fieldValue));
+      item[fieldName] = NUMERIC_ITEM_FIELDS.includes(fieldName) && isNumeric
+        ? Number(fieldValue)
+        : fieldValue;
+    }
+  }
+
+  for (const [index, customKey] of Object.entries(customKeys)) {
+    item[customKey] = customValues[index] ?? null;
+  }
+
+  return item;
+}
+
+/**
+ * Extract ecommerce fields (cu, epn.value, pr1..prN) from GA4 parameters
+ *
+ * @param {URLSearchParams} searchParams - URL query or POST body parameters
+ * @param {Object} params - Parsed params to update
+ * @param {Object} itemsByIndex - Items keyed by their pr index
+ */
+function applyEcommerceParams(searchParams, params, itemsByIndex) {
+  if (searchParams.get('cu')) params.cu = searchParams.get('cu');
+
+  const value = searchParams.get('epn.value');
+  if (value !== null) {
+    params.value = toNumber(value);
+  }
+
+  searchParams.forEach((paramValue, key) => {
+    const match = key.match(/^pr(\d+)$/);
+    if (match) {
+      itemsByIndex[match[1]] = parseItemParam(paramValue);
+    }
+  });
+}
+
+/**
+ * Extract typed parameters (epn.*, up.*, upn.*) from GA4 parameters
+ *
+ * - epn.* → numericParams (numeric event parameters)
+ * - up.*  → userProperties (string user properties)
+ * - upn.* → userProperties (numeric user properties)
+ *
+ * @param {URLSearchParams} searchParams - URL query or POST body parameters
+ * @param {Object} numericParams - Numeric event parameters to update
+ * @param {Object} userProperties - User properties to update
+ */
+function applyTypedParams(searchParams, numericParams, userProperties) {
+  searchParams.forEach((paramValue, key) => {
+    if (key.startsWith('epn.')) {
+      numericParams[key.substring(4)] = toNumber(paramValue);
+    } else if (key.startsWith('upn.')) {
+      userProperties[key.substring(4)] = toNumber(paramValue);
+    } else if (key.startsWith('up.')) {
+      userProperties[key.substring(3)] = paramValue;
+    }
+  });
+}
+
+/**
+ * Convert a numeric GA4 parameter, keeping invalid values as raw strings
+ *
+ * @param {string} value - Parameter value
+ * @returns {number|string} Number or the raw value
+ */
+function toNumber(value) {
+  return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+}
+
+/**
+ * Consent types encoded in the gcd parameter (in order)
+ */
+export const CONSENT_TYPES = ['ad_storage', 'analytics_storage', 'ad_user_data', 'ad_personalization'];
+
+/**
+ * gcd letter → consent state (default command / update command)
+ * Format: 13r3r3r3r5l1 → one letter per consent type after each separator digit
+ */
+const GCD_LETTER_STATES = {
+  l: { state: 'not_set', default: null, update: null },
+  p: { state: 'denied', default: 'denied', update: null },
+  q: { state: 'denied', default: 'denied', update: 'denied' },
+  t: { state: 'granted', default: 'granted', update: null },
+  r: { state: 'granted', default: 'denied', update: 'granted' },
+  m: { state: 'denied', default: null, update: 'denied' },
+  n: { state: 'granted', default: null, update: 'granted' },
+  u: { state: 'denied', default: 'granted', update: 'denied' },
+  v: { state: 'granted', default: 'granted', update: 'granted' }
+};
+
+/**
+ * Decode Consent Mode signals of a GA4 hit
+ *
+ * - gcs (G1xy): x = ad_storage, y = analytics_storage (1 granted, 0 denied, - not set)
+ * - gcd: all four Consent Mode v2 types including default/update command states
+ * gcd wins over gcs because it also carries ad_user_data and ad_personalization.
+ *
+ * @param {string|null} gcs - gcs parameter value
+ * @param {string|null} gcd - gcd parameter value
+ * @returns {Object|null} { gcs, gcd, ad_storage, analytics_storage, ad_user_data, ad_personalization, defaults } or null
+ */
+export function decodeConsentParams(gcs, gcd) {
+  if (!gcs && !gcd) return null;
+
+  const consent = { gcs: gcs || null, gcd: gcd || null };
+  CONSENT_TYPES.forEach(type => { consent[type] = null; });
+  consent.defaults = Object.fromEntries(CONSENT_TYPES.map(type => [type, null]));
+
+  const gcsMatch = gcs ? /^G1([01-])([01-])/.exec(gcs) : null;
+  if (gcsMatch) {
+    const gcsState = { '1': 'granted', '0': 'denied', '-': 'not_set' };
+    consent.ad_storage = gcsState[gcsMatch[1]];
+    consent.analytics_storage = gcsState[gcsMatch[2]];
+  }
+
+  const gcdMatch = gcd ? /^1\d([a-z])\d([a-z])\d([a-z])\d([a-z])/.exec(gcd) : null;
+  if (gcdMatch) {
+    CONSENT_TYPES.forEach((type, index) => {
+      const letterState = GCD_LETTER_STATES[gcdMatch[index + 1]];
+      if (!letterState) return;
+      consent[type] = letterState.state;
+      consent.defaults[type] = letterState.default;
+    });
+  }
+
+  return consent;
+}
+
 /**
  * Parse GA4 URL parameters
  *
  * @param {string} url - GA4 collect URL
+ * @param {string} [postData] - POST body (URL-encoded event parameters)
  * @returns {Object} Parsed parameters
  */
-function parseGA4Params(url, postData) {
+export function parseGA4Params(url, postData) {
   try {
     const urlObj = new URL(url);
     const params = {};
@@ -742,6 +1072,11 @@ function parseGA4Params(url, postData) {
     params.dt = urlObj.searchParams.get('dt');         // Document title
     params.sid = urlObj.searchParams.get('sid');       // Session ID
     params.cid = urlObj.searchParams.get('cid');       // Client ID
+    params.userId = urlObj.searchParams.get('uid');    // User ID (user_id)
+
+    // Consent Mode signals (gcs: ad/analytics storage, gcd: all v2 types)
+    let gcs = urlObj.searchParams.get('gcs');
+    let gcd = urlObj.searchParams.get('gcd');
 
     // Extract custom parameters (ep.*) from URL
     const customParams = {};
@@ -752,6 +1087,15 @@ function parseGA4Params(url, postData) {
       }
     });
 
+    // Extract ecommerce parameters (cu, epn.value, pr1..prN) from URL
+    const itemsByIndex = {};
+    applyEcommerceParams(urlObj.searchParams, params, itemsByIndex);
+
+    // Extract numeric event parameters (epn.*) and user properties (up.*, upn.*) from URL
+    const numericParams = {};
+    const userProperties = {};
+    applyTypedParams(urlObj.searchParams, numericParams, userProperties);
+
     // Parse POST data if available (GA4는 주로 POST body에 이벤트 데이터 전송)
     if (postData) {
       try {
@@ -765,6 +1109,9 @@ function parseGA4Params(url, postData) {
         if (postParams.get('dt')) params.dt = postParams.get('dt');
         if (postParams.get('sid')) params.sid = postParams.get('sid');
         if (postParams.get('cid')) params.cid = postParams.get('cid');
+        if (postParams.get('uid')) params.userId = postParams.get('uid');
+        if (postParams.get('gcs')) gcs = postParams.get('gcs');
+        if (postParams.get('gcd')) gcd = postParams.get('gcd');
 
         // Extract custom parameters from POST data
         postParams.forEach((value, key) => {
@@ -773,6 +1120,12 @@ function parseGA4Params(url, postData) {
             customParams[paramName] = value;
           }
         });
+
+        // Extract ecommerce parameters from POST data
+        applyEcommerceParams(postParams, params, itemsByIndex);
+
+        // Extract numeric event parameters and user properties from POST data
+        applyTypedParams(postParams, numericParams, userProperties);
       } catch (postError) {
         console.error('Failed to parse POST data:', postError.message);
       }
@@ -782,6 +1135,24 @@ function parseGA4Params(url, postData) {
       params.customParams = customParams;
     }
 
+    if (Object.keys(numericParams).length > 0) {
+      params.numericParams = numericParams;
+    }
+
+    if (Object.keys(userProperties).length > 0) {
+      params.userProperties = userProperties;
+    }
+
+    const consent = decodeConsentParams(gcs, gcd);
+    if (consent) {
+      params.consent = consent;
+    }
+
+    const itemIndexes = Object.keys(itemsByIndex).sort((a, b) => Number(a) - Number(b));
+    if (itemIndexes.length > 0) {
+      params.items = itemIndexes.map(index => itemsByIndex[index]);
+    }
+
     return params;
 
   } catch (error) {
@@ -790,6 +1161,33 @@ function parseGA4Params(url, postData) {
   }
 }
 
+/**
+ * Parse all GA4 hits of a collect request
+ *
+ * gtag.js batches several events into one POST request with one event per line
+ * of the body. URL-level fields (v, tid, cid, sid, dl ...) are shared by all events,
+ * each line carries its own event parameters (en, ep.*, epn.*, pr1 ...).
+ *
+ * @param {string} url - GA4 collect URL
+ * @param {string} [postData] - POST body (single event or one event per line)
+ * @returns {Array<Object>} Parsed parameters per event (batchIndex/batchSize for batched bodies)
+ */
+export function parseGA4Hits(url, postData) {
+  const lines = postData
+    ? postData.split(/\r?\n/).filter(line => line.trim() !== '')
+    : [];
+
+  if (lines.length <= 1) {
+    return [parseGA4Params(url, lines[0])];
+  }
+
+  return lines.map((line, index) => ({
+    ...parseGA4Params(url, line),
+    batchIndex: index,
+    batchSize: lines.length
+  }));
+}
+
 /**
  * Parse GTM URL parameters
  *
@@ -1120,7 +1518,8 @@ export function extractAPData(events) {
 }
 
 /**
- * Get event summary for logging
+ * Get event summary for logging and the result detail view
+ * (event counts, user_id, user properties and numeric params per event)
  *
  * @param {Array<NetworkEvent>} events - Captured network events
  * @returns {Object} Event summary
@@ -1133,15 +1532,122 @@ export function getEventSummary(events) {
     ga4Events.map(e => e.params.en).filter(Boolean)
   )];
 
+  // Count per event name (batched requests contribute one record per event)
+  const eventCounts = {};
+  ga4Events.forEach(e => {
+    const name = e.params.en || 'unknown';
+    eventCounts[name] = (eventCounts[name] || 0) + 1;
+  });
+
+  // Latest user properties / user_id and numeric params per event name (later hits win)
+  const userProperties = {};
+  const numericParams = {};
+  let userId = null;
+  ga4Events.forEach(e => {
+    Object.assign(userProperties, e.params.userProperties);
+    if (e.params.userId) userId = e.params.userId;
+    if (e.params.numericParams) {
+      const name = e.params.en || 'unknown';
+      numericParams[name] = { ...numericParams[name], ...e.params.numericParams };
+    }
+  });
+
   return {
     totalEvents: events.length,
     ga4Events: ga4Events.length,
+    ga4Requests: new Set(ga4Events.map(e => e.url)).size,
     gtmEvents: gtmEvents.length,
     eventNames,
-    hasPageView: eventNames.includes('page_view')
+    eventCounts,
+    hasPageView: eventNames.includes('page_view'),
+    userId,
+    userProperties,
+    numericParams
+  };
+}
+
+/**
+ * Summarize which collect endpoints received GA4 hits
+ *
+ * Hits recovered from window objects (no network request) have no endpoint and are skipped.
+ *
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @param {Array<string>} transportUrls - transport_url / server_container_url found on the page
+ * @returns {Object} { endpoints: [{ host, type, hits, eventNames }], usesServerSide, transportUrls, unusedTransportHosts }
+ */
+export function summarizeCollectEndpoints(events, transportUrls = []) {
+  const endpointsByHost = {};
+
+  events
+    .filter(e => e.type === 'ga4_collect' && e.endpoint)
+    .forEach(e => {
+      if (!endpointsByHost[e.endpoint]) {
+        endpointsByHost[e.endpoint] = { host: e.endpoint, type: e.endpointType, hits: 0, eventNames: [] };
+      }
+      const endpoint = endpointsByHost[e.endpoint];
+      endpoint.hits++;
+      if (e.params.en && !endpoint.eventNames.includes(e.params.en)) {
+        endpoint.eventNames.push(e.params.en);
+      }
+    });
+
+  const endpoints = Object.values(endpointsByHost);
+
+  // Configured transport hosts that never received a hit (e.g. sGTM down or blocked)
+  const unusedTransportHosts = [...new Set(transportUrls
+    .map(transportUrl => {
+      try {
+        return new URL(transportUrl).hostname.toLowerCase();
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean))]
+    .filter(host => !endpointsByHost[host]);
+
+  return {
+    endpoints,
+    usesServerSide: endpoints.some(e => e.type === ENDPOINT_TYPE.SERVER_SIDE),
+    transportUrls,
+    unusedTransportHosts
   };
 }
 
+/**
+ * Detect server-side GTM transport URLs configured through gtag
+ *
+ * Reads gtag('config' | 'set', ...) commands from dataLayer for transport_url and
+ * server_container_url. Transport URLs configured inside a GTM container are not
+ * visible here - their hits are still recognized by the GA4 protocol signature.
+ *
+ * @param {Page} page - Playwright page instance
+ * @returns {Promise<Array<string>>} Distinct transport URLs
+ */
+export async function detectTransportUrls(page) {
+  try {
+    return await page.evaluate(() => {
+      const urls = [];
+      const dataLayer = Array.isArray(window.dataLayer) ? window.dataLayer : [];
+
+      dataLayer.forEach(entry => {
+        // gtag() pushes an Arguments object: ['config', 'G-XXX', { transport_url }]
+        const args = entry && typeof entry.length === 'number' ? Array.from(entry) : [entry];
+        args.forEach(arg => {
+          if (!arg || typeof arg !== 'object') return;
+          ['transport_url', 'server_container_url'].forEach(key => {
+            if (typeof arg[key] === 'string' && arg[key]) urls.push(arg[key]);
+          });
+        });
+      });
+
+      return [...new Set(urls)];
+    });
+  } catch (error) {
+    console.log(`  ⚠️ Transport URL detection error: ${error.message}`);
+    return [];
+  }
+}
+
 /**
  * Detect if a website uses Google Consent Mode - Story 10.2
  *
@@ -1239,6 +1745,7 @@ export default {
   startCapturing,
   waitForGA4Events,
   waitForGTMLoad,
+  collectPageHookEvents,
   extractMeasurementId,
   extractGTMId,
   extractAllMeasurementIds,
@@ -1249,5 +1756,15 @@ export default {
   findPageViewEvent,
   extractAPData,
   getEventSummary,
+  parseGA4Params,
+  parseGA4Hits,
+  parseItemParam,
+  decodeConsentParams,
+  CONSENT_TYPES,
+  classifyCollectEndpoint,
+  compileEndpointPatterns,
+  summarizeCollectEndpoints,
+  detectTransportUrls,
+  ENDPOINT_TYPE,
   detectConsentMode  // Story 10.2: Consent Mode auto-detection
 };
@@ -55,7 +55,7 @@ export async function validateSinglePropertyWithCache(browser, property, dateStr
       page = stealthResult.page;
 
       // Start network event capture
-      const capturedEvents = await startCapturing(page);
+      const capturedEvents = await startCapturing(page, { collectEndpoints: property.collectEndpoints });
 
       // Navigate to URL
       console.log(`  🌐 Navigating to URL...`);
@@ -14,11 +14,24 @@ import {
   loadPropertiesFromCSV,
   detectPropertyChanges,
   loadPreviousProperties,
-  savePreviousProperties
+  savePreviousProperties,
+  getPropertyPages
 } from './csvPropertyManager.js';
-import { BrowserPool, createStealthPage, processInParallel } from './browserPoolManager.js';
-import { startCapturing, waitForGA4Events, waitForGTMLoad, detectConsentMode } from './networkEventCapturer.js';
-import { validateProperty, generateIssueSummary } from './configValidator.js';
+import { BrowserPool, createStealthPage, processInParallel, resolveProfiles } from './browserPoolManager.js';
+import { startCapturing, waitForGA4Events, waitForGTMLoad, detectConsentMode, detectTransportUrls } from './networkEventCapturer.js';
+import { validateProperty, validateJourneys, validateConsentScenarios, validateCrossDomain, validateSpaRoute, generateIssueSummary, ISSUE_TYPE, SEVERITY } from './configValidator.js';
+import { runJourneys } from './journeyRunner.js';
+import { runConsentScenarios } from './consentScenarioRunner.js';
+import { runCrossDomainCheck } from './crossDomainValidator.js';
+import { runSpaRouteCheck } from './spaRouteChecker.js';
+import { startDataLayerRecording, collectDataLayerTimeline } from './dataLayerRecorder.js';
+import { collectTagTiming } from './tagTimingCollector.js';
+import { startDiagnostics, collectDiagnostics } from './pageDiagnostics.js';
+import { classifyPageResponse, PAGE_CLASS } from './pageClassifier.js';
+import { startRedirectTracking, collectRedirectChain } from './redirectTracker.js';
+import { collectGA4Cookies } from './cookieInspector.js';
+import { createHarPath, storeHar, discardHar } from './harRecorder.js';
+import { getPiiConfig, maskPiiInPlace } from './piiScanner.js';
 import {
   saveValidationResult,
   saveScreenshot,
@@ -41,6 +54,9 @@ let currentRunId = null;
 let shouldStop = false;
 let currentBrowserPool = null;
 
+// Time a JavaScript bot challenge gets to clear before it is reported
+const CHALLENGE_WAIT_MS = 10000;
+
 /**
  * Set broadcast function for WebSocket updates
  * Called by server.js after initialization to avoid circular dependency
@@ -1427,12 +1443,14 @@ export async function runValidation(config) {
       console.log(`Cache contains:`);
       console.log(`  - Results: ${cacheData.results.length}`);
       console.log(`  - Screenshots: ${cacheData.screenshots.length}`);
+      console.log(`  - HARs: ${cacheData.hars.length}`);
 
       const uploadSummary = await batchUploader.uploadAll(currentRunId, cacheData);
 
       console.log('\n📊 Upload Summary:');
       console.log(`  - Results: ${uploadSummary.results.success}/${uploadSummary.results.total} uploaded`);
       console.log(`  - Screenshots: ${uploadSummary.screenshots.success}/${uploadSummary.screenshots.total} uploaded`);
+      console.log(`  - HARs: ${uploadSummary.hars.success}/${uploadSummary.hars.total} uploaded`);
       console.log(`  - Duration: ${(uploadSummary.duration / 1000).toFixed(2)}s`);
 
       // Update crawl_runs with upload statistics
@@ -1564,11 +1582,26 @@ export async function runValidation(config) {
  * @param {Property} property - Property to validate
  * @param {string} dateStr - Date string (YYYY-MM-DD)
  * @param {number} phase - Validation phase (1: fast, 2: slow retry)
+ * @param {Set<string>} timedOutPropertyIds - Properties already queued for Phase 2
+ * @param {number} timeoutMs - Navigation timeout in milliseconds
+ * @param {Object} options - Validation options
+ * @param {string} options.replayHarPath - Serve the page from a recorded HAR archive instead of the live site
+ * @param {boolean} options.cacheResults - Store result, screenshot and HAR in the temp cache (default: not replaying)
  * @returns {Promise<ValidationResult>} Validation result
  */
-export async function validateSingleProperty(browser, property, dateStr, phase = 1, timedOutPropertyIds = null, timeoutMs = null) {
+export async function validateSingleProperty(browser, property, dateStr, phase = 1, timedOutPropertyIds = null, timeoutMs = null, options = {}) {
   const url = property.representativeUrl;
   const tempCache = getTempCache();
+  const { replayHarPath = null, cacheResults = !replayHarPath } = options;
+
+  // Validation profiles (device / locale): the primary profile runs the full flow
+  const profiles = resolveProfiles(property.profiles);
+  const primaryProfile = profiles[0];
+
+  // HAR of the primary page (written when its context closes, kept per HAR_RECORDING)
+  const harPath = cacheResults
+    ? await createHarPath(property._supabaseId || property.slug).catch(() => null)
+    : null;
 
   // Log property validation start (AC4)
   logger.info(`Property validation started: ${property.propertyName}`, {
@@ -1594,13 +1627,26 @@ export async function validateSingleProperty(browser, property, dateStr, phase =
         let page;
         let context;
         try {
-          // Create stealth page with isolated context
-          const stealthResult = await createStealthPage(browser);
+          // Create stealth page with isolated context (primary validation profile)
+          const stealthResult = await createStealthPage(browser, primaryProfile, { harPath });
           context = stealthResult.context;
           page = stealthResult.page;
 
-          // Start network event capture
-          const capturedEvents = await startCapturing(page);
+          // Replay: serve every request from the recorded HAR, requests missing from it fail (no network access)
+          if (replayHarPath) {
+            console.log(`  ⏯️ Replaying recorded traffic from ${replayHarPath}`);
+            await context.routeFromHAR(replayHarPath, { notFound: 'abort' });
+          }
+
+          // Start network event capture (per-property sGTM / first-party collect endpoints)
+          const capturedEvents = await startCapturing(page, { collectEndpoints: property.collectEndpoints });
+          await startDataLayerRecording(page);
+
+          // CSP violations, page / console errors and failed GTM / GA4 requests (root causes of tag failures)
+          const liveDiagnostics = await startDiagnostics(page);
+
+          // HTTP and client-side (meta refresh / JavaScript) redirects of the main frame
+          const redirectTracker = startRedirectTracking(page);
 
           // Navigate to URL
           console.log(`  🌐 Navigating to URL...`);
@@ -1622,6 +1668,30 @@ export async function validateSingleProperty(browser, property, dateStr, phase =
             console.log(`  ⚠️ HTTP Error: ${statusCode}`);
           }
 
+          // ==============================================================================
+          // Early Detection: Bot Challenge / Access Blocked Interstitials
+          // ==============================================================================
+          // Checked before Consent Mode detection so an interstitial never updates has_consent_mode
+          const pageClassification = await classifyBlockedPage(page, response);
+          if (pageClassification) {
+            const blockedResult = createBlockedPageResult(property, url, pageClassification, {
+              statusCode,
+              finalUrl: page.url(),
+              redirected: page.url() !== url,
+              requestedUrl: url
+            });
+
+            // Screenshot of the interstitial for verification
+            try {
+              await page.waitForLoadState('load', { timeout: 10000 });
+            } catch (loadError) {
+              console.log(`  ⚠️ Load timeout (10s), capturing current state`);
+            }
+            blockedResult.screenshotPath = await saveScreenshot(page, property.slug, dateStr);
+
+            return blockedResult;
+          }
+
           // Simulate comprehensive user interaction to trigger lazy-loaded GTM/GA4 (e.g., INNISFREE-MY)
           // Many sites implement lazy loading GTM that only loads on user interaction
           console.log(`  🖱️ Simulating comprehensive user interaction to trigger lazy-loaded scripts...`);
@@ -2031,11 +2101,13 @@ export async function validateSingleProperty(browser, property, dateStr, phase =
             console.log(`  ✅ Screenshot buffer captured (${(screenshotBuffer.length / 1024 / 1024).toFixed(2)}MB)`);
 
             // Store in temp cache
-            await tempCache.addScreenshot(property._supabaseId || property.slug, screenshotBuffer, {
-              propertyName: property.propertyName,
-              url: property.representativeUrl,
-              phase: 2
-            });
+            if (cacheResults) {
+              await tempCache.addScreenshot(property._supabaseId || property.slug, screenshotBuffer, {
+                propertyName: property.propertyName,
+                url: property.representativeUrl,
+                phase: 2
+              });
+            }
           }
 
           // Story 11.2: Check for Consent Mode Basic BEFORE waiting for events
@@ -2106,26 +2178,52 @@ export async function validateSingleProperty(browser, property, dateStr, phase =
           timing = eventResult.timing;
         }
 
+        // Server-side GTM transport URLs configured through gtag (reported with collect endpoints)
+        const transportUrls = await detectTransportUrls(page);
+
+        // dataLayer pushes merged with GTM loads and GA4 hits (before journeys navigate away)
+        const dataLayerTimeline = await collectDataLayerTimeline(page, capturedEvents);
+
+        // Navigation, gtm.js and GA4 hit milestones (compared with the property latency budget)
+        const tagTiming = await collectTagTiming(page, capturedEvents);
+
+        // Snapshot before journeys navigate away
+        const diagnostics = await collectDiagnostics(page, liveDiagnostics);
+        const redirectChain = await collectRedirectChain(page, redirectTracker, url);
+        const cookies = await collectGA4Cookies(page);
+
         // Prepare context for validation
         const validationContext = {
           hasGTM,
           hasGA4InWindow,
           networkEvents: events,
-          expectedGA4Id: property.measurementId
+          expectedGA4Id: property.measurementId,
+          transportUrls,
+          dataLayerTimeline, // Used for duplicate gtag config detection
+          tagTiming,
+          diagnostics,
+          redirectChain, // Final domain checked against the property domain and whitelist
+          cookies // _ga / _ga_<stream> cookies after the GA4 hits
         };
 
         // Validate configuration (Story 3.5: Pass page for AP_DATA extraction)
         // Story 11.2: Pass context for Consent Mode Basic detection
         const result = await validateProperty(property, events, url, page, timing, validationContext);
 
-          // Add page load information
+          // Add page load information (final URL after client-side redirects)
           result.pageLoad = {
             statusCode,
-            finalUrl,
-            redirected,
+            finalUrl: redirectChain.finalUrl,
+            redirected: redirectChain.redirectCount > 0 || redirected,
             requestedUrl: url
           };
 
+          // Stored in its own column and loaded on demand by the result detail view
+          result.dataLayerTimeline = dataLayerTimeline;
+
+          // Stored as tag timing columns
+          result.tagTiming = tagTiming;
+
           // Phase 1 Strategy: Take screenshot AFTER validation
           // Reason: Fast sites complete quickly, screenshot right before queue move
           if (phase === 1) {
@@ -2138,11 +2236,53 @@ export async function validateSingleProperty(browser, property, dateStr, phase =
             console.log(`  ✅ Screenshot buffer captured (${(screenshotBuffer.length / 1024 / 1024).toFixed(2)}MB)`);
 
             // Store in temp cache
-            await tempCache.addScreenshot(property._supabaseId || property.slug, screenshotBuffer, {
-              propertyName: property.propertyName,
-              url: property.representativeUrl,
-              phase: 1
-            });
+            if (cacheResults) {
+              await tempCache.addScreenshot(property._supabaseId || property.slug, screenshotBuffer, {
+                propertyName: property.propertyName,
+                url: property.representativeUrl,
+                phase: 1
+              });
+            }
+          }
+
+          // Cross-domain linker check for whitelisted domains (before journeys navigate away)
+          if (Array.isArray(property.whitelist) && property.whitelist.length > 0) {
+            const crossDomainCheck = await runCrossDomainCheck(page, property, capturedEvents, timeoutMs);
+            if (crossDomainCheck) {
+              result.crossDomain = validateCrossDomain(crossDomainCheck);
+
+              if (!result.crossDomain.isValid) {
+                result.issues.push(...result.crossDomain.issues);
+                result.isValid = false;
+              }
+            }
+          }
+
+          // SPA route change: a fresh page_view with the new location (before journeys navigate away)
+          if (property.spaRoute) {
+            const spaRouteCheck = await runSpaRouteCheck(page, property.spaRoute, capturedEvents);
+            if (spaRouteCheck) {
+              result.spaRoute = validateSpaRoute(spaRouteCheck, property);
+
+              if (!result.spaRoute.isValid) {
+                result.issues.push(...result.spaRoute.issues);
+                result.isValid = false;
+              }
+            }
+          }
+
+          // Scripted user journeys (ecommerce events)
+          // Run after the screenshot so it still shows the representative URL
+          if (Array.isArray(property.journeys) && property.journeys.length > 0) {
+            console.log(`  🧭 Running ${property.journeys.length} scripted journey(s)...`);
+            const journeyStartIndex = capturedEvents.length;
+            const journeyResults = await runJourneys(page, capturedEvents, property.journeys);
+            result.journeys = validateJourneys(journeyResults, capturedEvents.slice(journeyStartIndex), property);
+
+            if (!result.journeys.isValid) {
+              result.issues.push(...result.journeys.issues);
+              result.isValid = false;
+            }
           }
 
           // Add phase info to result
@@ -2175,6 +2315,84 @@ export async function validateSingleProperty(browser, property, dateStr, phase =
       phase // current phase (prevents Phase 1 timeout retries)
     );
 
+    result.profile = primaryProfile;
+
+    // Replay covers the recorded representative URL only (other pages, profiles and consent scenarios are not in the HAR)
+    if (replayHarPath) {
+      result.replay = true;
+      console.log(`  ⏯️ Replay: additional pages, profiles and consent scenarios skipped`);
+    }
+
+    // Multi-page validation: validate additional page templates in the same run
+    const additionalPages = replayHarPath ? [] : getPropertyPages(property).slice(1);
+    if (additionalPages.length > 0) {
+      result.pages = [summarizePageResult({ type: 'home', url }, result)];
+
+      for (const pageTarget of additionalPages) {
+        console.log(`  📑 Validating ${pageTarget.type} page: ${pageTarget.url}`);
+        const pageResult = await validateAdditionalPage(browser, property, pageTarget, phase, timeoutMs, primaryProfile);
+        result.pages.push(pageResult);
+
+        if (!pageResult.isValid) {
+          const hasCritical = pageResult.issues.some(issue => issue.severity === SEVERITY.CRITICAL);
+          result.issues.push({
+            type: ISSUE_TYPE.PAGE_VALIDATION_FAILED,
+            severity: hasCritical ? SEVERITY.CRITICAL : SEVERITY.WARNING,
+            message: `${pageTarget.type} page failed validation: ${pageResult.issues.map(issue => issue.type).join(', ')}`,
+            pageType: pageTarget.type,
+            pageUrl: pageTarget.url
+          });
+          result.isValid = false;
+        }
+      }
+
+      const passedPages = result.pages.filter(p => p.isValid).length;
+      console.log(`  📑 Pages validated: ${passedPages}/${result.pages.length} passed`);
+    }
+
+    // Profile validation: representative URL again for each additional device / locale profile
+    if (profiles.length > 1 && !replayHarPath) {
+      result.profiles = [{ profile: primaryProfile, ...summarizePageResult({ type: 'home', url }, result) }];
+
+      for (const profile of profiles.slice(1)) {
+        console.log(`  📱 Validating profile ${profile}: ${url}`);
+        const profileResult = await validateAdditionalPage(browser, property, { type: 'home', url }, phase, timeoutMs, profile);
+        result.profiles.push({ profile, ...profileResult });
+
+        if (!profileResult.isValid) {
+          const hasCritical = profileResult.issues.some(issue => issue.severity === SEVERITY.CRITICAL);
+          result.issues.push({
+            type: ISSUE_TYPE.PROFILE_VALIDATION_FAILED,
+            severity: hasCritical ? SEVERITY.CRITICAL : SEVERITY.WARNING,
+            message: `${profile} profile failed validation: ${profileResult.issues.map(issue => issue.type).join(', ')}`,
+            profile
+          });
+          result.isValid = false;
+        }
+      }
+
+      const passedProfiles = result.profiles.filter(p => p.isValid).length;
+      console.log(`  📱 Profiles validated: ${passedProfiles}/${result.profiles.length} passed`);
+    }
+
+    // Consent scenarios: no interaction / accept all / reject all (consent-enabled properties only)
+    // The recorded HAR only holds the main page load, so replays skip them like the other live checks
+    if (property.hasConsentMode === true && !replayHarPath) {
+      const scenarioResults = await runConsentScenarios(browser, property, timeoutMs, primaryProfile);
+      result.consentScenarios = validateConsentScenarios(scenarioResults);
+      console.log(`  🍪 Consent Mode: ${result.consentScenarios.mode} (CMP: ${result.consentScenarios.cmp || 'not found'})`);
+
+      if (!result.consentScenarios.isValid) {
+        result.issues.push(...result.consentScenarios.issues);
+        result.isValid = false;
+      }
+    }
+
+    // Stored sections keep URLs, hit parameters and dataLayer pushes (redirects, pages,
+    // profiles, journeys, cross-domain links ...): mask any PII left in them
+    const maskedPiiCount = maskPiiInPlace(result, getPiiConfig(property));
+    const containsPii = maskedPiiCount > 0 || hasPiiFindings(result);
+
     // Save validation result to local files (optional backup)
     if (process.env.LOCAL_BACKUP_ENABLED === 'true') {
       await saveValidationResult(result, dateStr);
@@ -2184,9 +2402,24 @@ export async function validateSingleProperty(browser, property, dateStr, phase =
     // BUT: Skip storage if this property timed out in Phase 1 (race condition prevention)
     const propertyId = property._supabaseId || property.slug;
 
-    if (timedOutPropertyIds && timedOutPropertyIds.has(propertyId) && phase === 1) {
+    if (!cacheResults) {
+      console.log(`  ⏭️ Skipping cache storage - ${replayHarPath ? 'replayed' : 'standalone'} validation of ${propertyId}`);
+    } else if (timedOutPropertyIds && timedOutPropertyIds.has(propertyId) && phase === 1) {
       console.log(`  ⏭️ Skipping cache storage - property ${propertyId} already timed out and queued for Phase 2`);
+      await discardHar(harPath);
     } else {
+      // The recorded traffic carries the unmasked personal data: never archive it
+      if (containsPii) {
+        console.log(`  🔒 HAR not stored - personal data found in the validation traffic`);
+        await discardHar(harPath);
+      } else {
+        await storeHar(harPath, propertyId, result.isValid, {
+          propertyName: property.propertyName,
+          url,
+          phase
+        });
+      }
+
       console.log(`  💾 Storing result in temp cache for ${property.propertyName}...`);
       console.log(`     propertyId: ${propertyId} (${property._supabaseId ? 'UUID' : 'slug fallback'})`);
 
@@ -2247,8 +2480,19 @@ export async function validateSingleProperty(browser, property, dateStr, phase =
       await saveValidationResult(errorResult, dateStr);
     }
 
+    // Replayed / standalone validations are not cached
+    if (!cacheResults) {
+      throw error;
+    }
+
     // Store error result in temp cache (will be batch uploaded later)
     const errorPropertyId = property._supabaseId || property.slug;
+    await storeHar(harPath, errorPropertyId, false, {
+      propertyName: property.propertyName,
+      url,
+      phase
+    });
+
     console.log(`  💾 Storing error result in temp cache for ${property.propertyName}...`);
     console.log(`     propertyId: ${errorPropertyId} (${property._supabaseId ? 'UUID' : 'slug fallback'})`);
 
@@ -2270,6 +2514,221 @@ export async function validateSingleProperty(browser, property, dateStr, phase =
   }
 }
 
+/**
+ * Summarize a validation result as a per-page outcome
+ *
+ * @param {PageTarget} pageTarget - Validated page
+ * @param {ValidationResult} result - Validation result for the page
+ * @returns {Object} Per-page outcome
+ */
+function summarizePageResult(pageTarget, result) {
+  return {
+    type: pageTarget.type,
+    url: pageTarget.url,
+    isValid: result.isValid,
+    measurementId: result.measurementId?.actual || null,
+    gtmIds: result.gtmId?.allFound || [],
+    pageViewCount: result.pageViewEvent?.count || 0,
+    issues: (result.issues || []).map(issue => ({
+      type: issue.type,
+      severity: issue.severity,
+      message: issue.message
+    })),
+    pageLoad: result.pageLoad || null,
+    executionTimeMs: result.executionTimeMs || 0
+  };
+}
+
+/**
+ * Check whether the validation found PII in GA4 hits (main page, journeys, pages, profiles)
+ *
+ * @param {Object} result - Validation result
+ * @returns {boolean} True if a PII_IN_PAYLOAD issue was reported
+ */
+function hasPiiFindings(result) {
+  return [result, result.journeys, ...(result.pages || []), ...(result.profiles || [])]
+    .some(section => (section?.issues || []).some(issue => issue.type === ISSUE_TYPE.PII_IN_PAYLOAD));
+}
+
+/**
+ * Classify the navigated page as a bot challenge / access-blocked interstitial
+ *
+ * Bot challenges that clear by themselves (JavaScript challenges) get
+ * CHALLENGE_WAIT_MS to navigate to the real page before they are reported.
+ *
+ * @param {Page} page - Playwright page instance (after navigation)
+ * @param {Response|null} response - Main document response of page.goto
+ * @param {string} label - Log label (page type)
+ * @returns {Promise<Object|null>} Page classification or null for a regular page
+ */
+async function classifyBlockedPage(page, response, label = null) {
+  const prefix = label ? `  [${label}]` : ' ';
+  let classification = await classifyPageResponse(page, response);
+
+  if (classification?.classification === PAGE_CLASS.BOT_CHALLENGE) {
+    console.log(`${prefix} 🤖 Bot challenge detected (${classification.vendor || 'unknown vendor'}), waiting ${CHALLENGE_WAIT_MS / 1000}s for it to clear...`);
+    const nextResponse = await page.waitForNavigation({ timeout: CHALLENGE_WAIT_MS, waitUntil: 'domcontentloaded' })
+      .catch(() => null);
+    classification = await classifyPageResponse(page, nextResponse || response);
+  }
+
+  if (classification) {
+    console.log(`${prefix} ⛔ ${classification.classification} (${classification.reason}${classification.vendor ? `, ${classification.vendor}` : ''}): ${classification.signals.join(', ')}`);
+  }
+
+  return classification;
+}
+
+/**
+ * Create the validation result of a page served as a bot challenge / access-blocked interstitial
+ *
+ * Tags were never given a chance to run, so no GA4 / GTM issues are reported.
+ *
+ * @param {Property} property - Property being validated
+ * @param {string} url - Requested URL
+ * @param {Object} classification - Page classification from classifyPageResponse
+ * @param {Object} pageLoad - { statusCode, finalUrl, redirected, requestedUrl }
+ * @returns {ValidationResult} Validation result (not valid, manual review)
+ */
+function createBlockedPageResult(property, url, classification, pageLoad) {
+  const label = classification.classification === PAGE_CLASS.BOT_CHALLENGE ? 'Bot challenge' : 'Access blocked';
+
+  return {
+    propertyName: property.propertyName,
+    accountName: property.accountName,
+    slug: property.slug,
+    validationTime: new Date().toISOString(),
+    url,
+    measurementId: { isValid: false, expected: property.measurementId, actual: null, allFound: [], issues: [] },
+    // Web GTM container (gtmContainerId for properties without a web GTM ID)
+    gtmId: { isValid: false, expected: property.webGtmId || property.gtmContainerId || null, actual: null, allFound: [], issues: [] },
+    pageViewEvent: { isValid: false, count: 0, detectionTimeMs: null, timedOut: false, issues: [] },
+    apData: { isValid: true, found: false, data: null, issues: [] },
+    pageClassification: classification,
+    issues: [{
+      type: classification.classification,
+      severity: SEVERITY.WARNING,
+      message: `${label} (${classification.reason}${classification.vendor ? `, ${classification.vendor}` : ''}) served instead of the page. Tags were not validated.`,
+      reason: classification.reason,
+      vendor: classification.vendor,
+      signals: classification.signals,
+      requiresManualReview: true
+    }],
+    isValid: false,
+    executionTimeMs: 0,
+    pageLoad
+  };
+}
+
+/**
+ * Validate an additional page of a property (PLP, PDP, cart, search ...)
+ *
+ * Lighter version of the representative URL flow: navigation, GTM/GA4 capture
+ * and configuration validation only. Service closure detection, popup handling
+ * and screenshots stay with the representative URL.
+ *
+ * Also re-validates the representative URL on additional validation profiles.
+ *
+ * @param {Browser} browser - Playwright browser instance
+ * @param {Property} property - Property being validated
+ * @param {PageTarget} pageTarget - Page to validate
+ * @param {number} phase - Validation phase (1: fast, 2: slow retry)
+ * @param {number} timeoutMs - Navigation timeout in milliseconds
+ * @param {string} profileName - Validation profile (device / locale)
+ * @returns {Promise<Object>} Per-page outcome (never throws)
+ */
+async function validateAdditionalPage(browser, property, pageTarget, phase = 1, timeoutMs = null, profileName = undefined) {
+  let page;
+  let context;
+  try {
+    const stealthResult = await createStealthPage(browser, profileName);
+    context = stealthResult.context;
+    page = stealthResult.page;
+
+    const capturedEvents = await startCapturing(page, { collectEndpoints: property.collectEndpoints });
+    const liveDiagnostics = await startDiagnostics(page);
+    const redirectTracker = startRedirectTracking(page);
+
+    const response = await page.goto(pageTarget.url, {
+      timeout: timeoutMs || 30000,
+      waitUntil: 'domcontentloaded'
+    });
+    const statusCode = response ? response.status() : null;
+    const finalUrl = page.url();
+
+    const pageClassification = await classifyBlockedPage(page, response, pageTarget.type);
+    if (pageClassification) {
+      return summarizePageResult(pageTarget, createBlockedPageResult(property, pageTarget.url, pageClassification, {
+        statusCode,
+        finalUrl,
+        redirected: finalUrl !== pageTarget.url,
+        requestedUrl: pageTarget.url
+      }));
+    }
+
+    const loadTimeout = phase === 1 ? 20000 : 60000;
+    try {
+      await page.waitForLoadState('load', { timeout: loadTimeout });
+    } catch (loadError) {
+      console.log(`  ⚠️ [${pageTarget.type}] Window load timeout (${loadTimeout / 1000}s), proceeding with current state`);
+    }
+
+    let hasGTM = false;
+    if (property.gtmContainerId) {
+      const gtmResult = await waitForGTMLoad(page, capturedEvents, property.gtmContainerId, 5000);
+      hasGTM = gtmResult.gtmDetected;
+    }
+
+    const { events, timing } = await waitForGA4Events(page, capturedEvents, property.measurementId);
+
+    const result = await validateProperty(property, events, pageTarget.url, page, timing, {
+      hasGTM,
+      networkEvents: events,
+      expectedGA4Id: property.measurementId,
+      diagnostics: await collectDiagnostics(page, liveDiagnostics),
+      redirectChain: await collectRedirectChain(page, redirectTracker, pageTarget.url),
+      cookies: await collectGA4Cookies(page)
+    });
+    result.pageLoad = {
+      statusCode,
+      finalUrl,
+      redirected: finalUrl !== pageTarget.url,
+      requestedUrl: pageTarget.url
+    };
+
+    return summarizePageResult(pageTarget, result);
+
+  } catch (error) {
+    console.error(`  ❌ [${pageTarget.type}] Page validation error: ${error.message}`);
+
+    return summarizePageResult(pageTarget, {
+      isValid: false,
+      issues: [{
+        type: ISSUE_TYPE.VALIDATION_ERROR,
+        severity: SEVERITY.CRITICAL,
+        message: `Page validation failed: ${error.message}`
+      }]
+    });
+
+  } finally {
+    try {
+      if (page) {
+        await page.close();
+      }
+    } catch (error) {
+      // Ignore errors when closing page (already closed is fine)
+    }
+
+    try {
+      if (context) {
+        await context.close();
+      }
+    } catch (error) {
+      // Ignore errors when closing context (already closed is fine)
+    }
+  }
+}
+
 /**
  * Generate execution summary
  *
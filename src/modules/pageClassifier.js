@@ -0,0 +1,233 @@
+/**
+ * Page Classifier Module
+ *
+ * Recognizes pages that are not the property page itself but an interstitial in
+ * front of it: bot challenges / CAPTCHAs (Cloudflare, Akamai, Imperva, PerimeterX,
+ * DataDome, AWS WAF ...), access-denied pages and geo-blocks.
+ *
+ * Tags never run on these pages, so the validator reports a distinct
+ * BOT_CHALLENGE / ACCESS_BLOCKED result instead of NO_GA4_EVENTS or a GTM mismatch.
+ *
+ * Signals: title, DOM selectors, body text (short pages only), HTTP status and
+ * response headers of the main document.
+ */
+
+/**
+ * Page classifications
+ */
+export const PAGE_CLASS = {
+  BOT_CHALLENGE: 'BOT_CHALLENGE',   // Bot challenge or CAPTCHA interstitial
+  ACCESS_BLOCKED: 'ACCESS_BLOCKED'  // Access denied, WAF block or geo-block
+};
+
+/**
+ * Block reasons (finer than the classification, shown in reports)
+ */
+export const BLOCK_REASON = {
+  CHALLENGE: 'challenge',
+  CAPTCHA: 'captcha',
+  ACCESS_DENIED: 'access_denied',
+  GEO_BLOCK: 'geo_block',
+  RATE_LIMITED: 'rate_limited'
+};
+
+// Interstitials are small; text patterns on longer pages are ordinary content
+const MAX_INTERSTITIAL_TEXT_LENGTH = 3000;
+
+/**
+ * Interstitial signatures (first match wins)
+ *
+ * A signature matches when its status gate passes (if any) and one of its titles,
+ * selectors, text patterns or headers matches. Header values are substrings
+ * ('' matches any value) and must only name headers set on block responses.
+ */
+const SIGNATURES = [
+  {
+    vendor: 'cloudflare',
+    classification: PAGE_CLASS.BOT_CHALLENGE,
+    reason: BLOCK_REASON.CHALLENGE,
+    titles: ['just a moment...', 'attention required! | cloudflare', '잠시만 기다리십시오…'],
+    selectors: ['#challenge-form', '#challenge-running', '#cf-challenge-running'],
+    headers: { 'cf-mitigated': 'challenge' }
+  },
+  {
+    vendor: 'cloudflare',
+    classification: PAGE_CLASS.ACCESS_BLOCKED,
+    reason: BLOCK_REASON.GEO_BLOCK,
+    texts: ['error 1009']
+  },
+  {
+    vendor: 'cloudflare',
+    classification: PAGE_CLASS.ACCESS_BLOCKED,
+    reason: BLOCK_REASON.ACCESS_DENIED,
+    texts: ['error 1020', 'sorry, you have been blocked']
+  },
+  {
+    vendor: 'imperva',
+    classification: PAGE_CLASS.BOT_CHALLENGE,
+    reason: BLOCK_REASON.CHALLENGE,
+    selectors: ['iframe[src*="_Incapsula_Resource"]'],
+    texts: ['incapsula incident id', 'request unsuccessful. incapsula']
+  },
+  {
+    vendor: 'perimeterx',
+    classification: PAGE_CLASS.BOT_CHALLENGE,
+    reason: BLOCK_REASON.CAPTCHA,
+    selectors: ['#px-captcha'],
+    texts: ['press & hold to confirm you are']
+  },
+  {
+    vendor: 'datadome',
+    classification: PAGE_CLASS.BOT_CHALLENGE,
+    reason: BLOCK_REASON.CAPTCHA,
+    selectors: ['iframe[src*="captcha-delivery.com"]']
+  },
+  {
+    vendor: 'aws_waf',
+    classification: PAGE_CLASS.BOT_CHALLENGE,
+    reason: BLOCK_REASON.CAPTCHA,
+    selectors: ['#captcha-container', 'script[src*="awswaf.com"]'],
+    headers: { 'x-amzn-waf-action': '' }
+  },
+  {
+    vendor: 'akamai',
+    classification: PAGE_CLASS.ACCESS_BLOCKED,
+    reason: BLOCK_REASON.ACCESS_DENIED,
+    statuses: [403],
+    texts: ["you don't have permission to access"],
+    headers: { server: 'akamaighost' }
+  },
+  {
+    vendor: null,
+    classification: PAGE_CLASS.BOT_CHALLENGE,
+    reason: BLOCK_REASON.CAPTCHA,
+    texts: ['verify you are human', 'checking your browser', 'unusual traffic from your', '로봇이 아닙니다', '자동입력 방지']
+  },
+  {
+    vendor: null,
+    classification: PAGE_CLASS.ACCESS_BLOCKED,
+    reason: BLOCK_REASON.GEO_BLOCK,
+    texts: [
+      'not available in your country',
+      'not available in your region',
+      'not available in your location',
+      '해당 국가에서는 이용',
+      '귀하의 국가에서는'
+    ]
+  },
+  {
+    vendor: null,
+    classification: PAGE_CLASS.ACCESS_BLOCKED,
+    reason: BLOCK_REASON.GEO_BLOCK,
+    statuses: [451]
+  },
+  {
+    vendor: null,
+    classification: PAGE_CLASS.ACCESS_BLOCKED,
+    reason: BLOCK_REASON.RATE_LIMITED,
+    statuses: [429]
+  },
+  {
+    vendor: null,
+    classification: PAGE_CLASS.ACCESS_BLOCKED,
+    reason: BLOCK_REASON.ACCESS_DENIED,
+    statuses: [401, 403],
+    titles: ['access denied', '403 forbidden', 'forbidden', '접근 거부'],
+    texts: ['access denied', 'access to this page has been denied', 'you have been blocked', '접근이 거부', '접근 권한이 없습니다']
+  }
+];
+
+// Selectors evaluated in the page (collected once for all signatures)
+const SIGNATURE_SELECTORS = [...new Set(SIGNATURES.flatMap(signature => signature.selectors || []))];
+
+/**
+ * Classify the page of a response
+ *
+ * @param {Page} page - Playwright page instance (after navigation)
+ * @param {Response|null} response - Main document response of page.goto
+ * @returns {Promise<Object|null>} Classification (see classifyPage) or null for a regular page (never throws)
+ */
+export async function classifyPageResponse(page, response) {
+  try {
+    const pageSignals = await page.evaluate((selectors) => ({
+      title: document.title || '',
+      bodyText: document.body ? document.body.innerText : '',
+      selectors: selectors.filter(selector => {
+        try {
+          return document.querySelector(selector) !== null;
+        } catch (error) {
+          return false;
+        }
+      })
+    }), SIGNATURE_SELECTORS);
+
+    return classifyPage({
+      ...pageSignals,
+      statusCode: response ? response.status() : null,
+      headers: response ? response.headers() : {}
+    });
+  } catch (error) {
+    console.log(`  ⚠️ Page classification unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Classify a page from its signals
+ *
+ * @param {Object} signals - Page signals
+ * @param {string} signals.title - Document title
+ * @param {string} signals.bodyText - Body text
+ * @param {Array<string>} signals.selectors - Signature selectors present in the DOM
+ * @param {number|null} signals.statusCode - HTTP status of the main document
+ * @param {Object} signals.headers - Response headers (lowercase names)
+ * @returns {Object|null} { classification, reason, vendor, statusCode, signals } or null for a regular page
+ */
+export function classifyPage({ title = '', bodyText = '', selectors = [], statusCode = null, headers = {} } = {}) {
+  const normalizedTitle = title.trim().toLowerCase();
+  const text = bodyText.toLowerCase();
+  const isShortPage = text.length <= MAX_INTERSTITIAL_TEXT_LENGTH;
+  const presentSelectors = new Set(selectors);
+
+  for (const signature of SIGNATURES) {
+    if (signature.statuses && !signature.statuses.includes(statusCode)) {
+      continue;
+    }
+
+    const matched = [
+      ...(signature.titles || [])
+        .filter(pattern => normalizedTitle.includes(pattern))
+        .map(pattern => `title: ${pattern}`),
+      ...(signature.selectors || [])
+        .filter(selector => presentSelectors.has(selector))
+        .map(selector => `selector: ${selector}`),
+      ...(isShortPage ? signature.texts || [] : [])
+        .filter(pattern => text.includes(pattern))
+        .map(pattern => `text: ${pattern}`),
+      ...Object.entries(signature.headers || {})
+        .filter(([name, value]) => name in headers && String(headers[name]).toLowerCase().includes(value))
+        .map(([name]) => `header: ${name}=${headers[name]}`)
+    ];
+
+    // Status-only signatures (451, 429) match on the status alone
+    const statusOnly = !signature.titles && !signature.selectors && !signature.texts && !signature.headers;
+    if (matched.length > 0 || statusOnly) {
+      return {
+        classification: signature.classification,
+        reason: signature.reason,
+        vendor: signature.vendor,
+        statusCode,
+        signals: statusOnly ? [`status: ${statusCode}`] : matched
+      };
+    }
+  }
+
+  return null;
+}
+
+export default {
+  classifyPageResponse,
+  classifyPage,
+  PAGE_CLASS,
+  BLOCK_REASON
+};
@@ -0,0 +1,166 @@
+/**
+ * Page Diagnostics Module
+ *
+ * Captures browser-side signals that explain why GTM or GA4 did not load or send:
+ * - Content-Security-Policy violations (securitypolicyviolation events)
+ * - Uncaught page errors (page.on('pageerror')) and console errors
+ * - Failed requests to Google tag hosts (page.on('requestfailed'))
+ *
+ * The validator turns them into root-cause issues (GTM_BLOCKED_BY_CSP,
+ * GTM_REQUEST_FAILED ...) instead of a generic "GTM container not loaded".
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+/**
+ * Tag targets of a blocked or failed request
+ */
+export const TAG_TARGET = {
+  GTM: 'gtm',
+  GA4: 'ga4'
+};
+
+// Recording limits (kept small because diagnostics are stored per result)
+const MAX_ENTRIES = 50;
+const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * Classify a request URL as a GTM or GA4 request
+ *
+ * @param {string} url - Request URL (or CSP blocked URI)
+ * @returns {string|null} TAG_TARGET value or null for other requests
+ */
+export function getTagTarget(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const host = urlObj.hostname.toLowerCase();
+  if (host === 'www.googletagmanager.com' || host === 'googletagmanager.com') {
+    if (urlObj.pathname === '/gtag/js') {
+      const id = (urlObj.searchParams.get('id') || '').toUpperCase();
+      if (id.startsWith('G-')) return TAG_TARGET.GA4;
+      return id.startsWith('GTM-') ? TAG_TARGET.GTM : null;
+    }
+    // gtm.js or the bare origin reported by CSP for cross-origin redirects
+    return urlObj.pathname === '/gtm.js' || urlObj.pathname === '/' ? TAG_TARGET.GTM : null;
+  }
+
+  if (host.endsWith('google-analytics.com') || host.endsWith('analytics.google.com')) {
+    return TAG_TARGET.GA4;
+  }
+
+  return null;
+}
+
+/**
+ * Start capturing page diagnostics
+ *
+ * Must be called before page.goto() so the CSP listener is installed before any page script runs.
+ *
+ * @param {Page} page - Playwright page instance
+ * @returns {Promise<Object>} Live diagnostics { cspViolations, pageErrors, consoleErrors, failedRequests }
+ */
+export async function startDiagnostics(page) {
+  const diagnostics = {
+    cspViolations: [],
+    pageErrors: [],
+    consoleErrors: [],
+    failedRequests: []
+  };
+
+  const add = (list, entry) => {
+    if (list.length < MAX_ENTRIES) {
+      list.push({ ...entry, timestamp: Date.now() });
+    }
+  };
+
+  page.on('pageerror', error => {
+    add(diagnostics.pageErrors, { message: truncate(error.message) });
+  });
+
+  page.on('console', message => {
+    if (message.type() === 'error') {
+      add(diagnostics.consoleErrors, {
+        message: truncate(message.text()),
+        url: message.location()?.url || null
+      });
+    }
+  });
+
+  page.on('requestfailed', request => {
+    const target = getTagTarget(request.url());
+    if (target) {
+      add(diagnostics.failedRequests, {
+        target,
+        url: truncate(request.url()),
+        errorText: request.failure()?.errorText || null
+      });
+    }
+  });
+
+  await page.addInitScript((maxEntries) => {
+    window.__cspViolations = [];
+    document.addEventListener('securitypolicyviolation', (event) => {
+      if (window.__cspViolations.length >= maxEntries) return;
+      window.__cspViolations.push({
+        blockedURI: event.blockedURI,
+        violatedDirective: event.violatedDirective,
+        effectiveDirective: event.effectiveDirective,
+        disposition: event.disposition,
+        sourceFile: event.sourceFile || null,
+        timestamp: Date.now()
+      });
+    }, true);
+  }, MAX_ENTRIES);
+
+  return diagnostics;
+}
+
+/**
+ * Collect CSP violations from the page into the diagnostics
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {Object} diagnostics - Live diagnostics from startDiagnostics
+ * @returns {Promise<Object>} Diagnostics snapshot (never throws)
+ */
+export async function collectDiagnostics(page, diagnostics) {
+  try {
+    const violations = await page.evaluate(() => window.__cspViolations || []);
+    diagnostics.cspViolations = violations.map(violation => ({
+      ...violation,
+      blockedURI: truncate(violation.blockedURI),
+      target: getTagTarget(violation.blockedURI)
+    }));
+  } catch (error) {
+    console.log(`  ⚠️ CSP violations unavailable: ${error.message}`);
+  }
+
+  return {
+    cspViolations: [...diagnostics.cspViolations],
+    pageErrors: [...diagnostics.pageErrors],
+    consoleErrors: [...diagnostics.consoleErrors],
+    failedRequests: [...diagnostics.failedRequests]
+  };
+}
+
+/**
+ * Truncate a diagnostic message
+ *
+ * @param {string} value - Message
+ * @returns {string|null} Truncated message
+ */
+function truncate(value) {
+  if (typeof value !== 'string') return value ?? null;
+  return value.length > MAX_MESSAGE_LENGTH ? value.substring(0, MAX_MESSAGE_LENGTH) + '…' : value;
+}
+
+export default {
+  startDiagnostics,
+  collectDiagnostics,
+  getTagTarget,
+  TAG_TARGET
+};
@@ -0,0 +1,417 @@
+/**
+ * PII Scanner Module
+ *
+ * Scans parsed GA4 hits for personal data: emails, phone numbers, Korean resident
+ * registration numbers and names in dl query strings, dt, uid and ep.* / epn.* /
+ * up.* values. Sending PII to GA4 violates the Google Analytics terms.
+ *
+ * Patterns: built-in patterns plus custom patterns from the PII_PATTERNS
+ * environment variable (JSON array of { name, pattern, flags }).
+ *
+ * Allowlist: PII_ALLOWLIST environment variable and the property's pii_allowlist.
+ * An entry is a parameter ('ep.cs_email', 'dl:email'), an exact value
+ * ('help@example.com') or an email domain ('@example.com').
+ *
+ * Only masked values leave this module.
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+/**
+ * PII types of the built-in patterns
+ */
+export const PII_TYPE = {
+  EMAIL: 'email',
+  PHONE: 'phone',
+  RESIDENT_NUMBER: 'resident_registration_number',
+  NAME: 'name'
+};
+
+/**
+ * Built-in value patterns
+ */
+export const DEFAULT_PII_PATTERNS = [
+  { name: PII_TYPE.EMAIL, pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  // Korean mobile (010-1234-5678, 01012345678) and international (+82 10 1234 5678) numbers
+  { name: PII_TYPE.PHONE, pattern: /(?<![\d.])(?:\+\d{1,3}[-.\s]?0?1[016789]|01[016789])[-.\s]?\d{3,4}[-.\s]?\d{4}(?![\d.])/g },
+  // YYMMDD-GNNNNNN with a valid month / day
+  { name: PII_TYPE.RESIDENT_NUMBER, pattern: /(?<!\d)\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])-?[1-8]\d{6}(?!\d)/g }
+];
+
+// Parameters whose value is a person's name (ep.*, up.* names and dl query keys)
+const NAME_PARAM_PATTERN = /^(name|first_?name|last_?name|full_?name|user_?name|member_?name|customer_?name|buyer_?name|orderer_?name|receiver_?name|이름|성명)$/i;
+
+const MAX_MASKED_LENGTH = 200;
+
+/**
+ * Parse a PII allowlist
+ *
+ * Accepts the JSONB array stored in Supabase or the CSV notation separated by
+ * ',', ';' or newline.
+ *
+ * @param {string|Array} value - Raw allowlist
+ * @returns {string[]} Allowlist entries
+ */
+export function parsePiiAllowlist(value) {
+  if (!value) {
+    return [];
+  }
+
+  const entries = Array.isArray(value) ? value : value.split(/[,;\n]/);
+
+  return [...new Set(entries
+    .map(entry => String(entry).trim())
+    .filter(Boolean))];
+}
+
+/**
+ * Build the scanner configuration of a property
+ *
+ * @param {Property} property - Property configuration (piiAllowlist)
+ * @returns {Object} { patterns, allowlist }
+ */
+export function getPiiConfig(property = {}) {
+  return {
+    patterns: [...DEFAULT_PII_PATTERNS, ...parseCustomPatterns(process.env.PII_PATTERNS)],
+    allowlist: [
+      ...parsePiiAllowlist(process.env.PII_ALLOWLIST),
+      ...parsePiiAllowlist(property.piiAllowlist)
+    ]
+  };
+}
+
+/**
+ * Scan GA4 hits for PII
+ *
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @param {Object} config - Scanner configuration from getPiiConfig
+ * @returns {Array<Object>} Findings per parameter and PII type:
+ *   { param, piiType, events: string[], hits, maskedValue }
+ */
+export function scanEventsForPii(events, config) {
+  const findings = new Map();
+
+  events
+    .filter(e => e.type === 'ga4_collect')
+    .forEach(event => {
+      getScannedParams(event.params || {}).forEach(({ param, value }) => {
+        findPii(param, value, config).forEach(({ piiType }) => {
+          const key = `${param}|${piiType}`;
+          const finding = findings.get(key) || {
+            param,
+            piiType,
+            events: [],
+            hits: 0,
+            maskedValue: maskPii(value, config, param)
+          };
+
+          const eventName = event.params?.en || 'unknown';
+          if (!finding.events.includes(eventName)) {
+            finding.events.push(eventName);
+          }
+          finding.hits++;
+          findings.set(key, finding);
+        });
+      });
+    });
+
+  return [...findings.values()];
+}
+
+/**
+ * Mask every PII match in a value
+ *
+ * @param {*} value - Parameter value
+ * @param {Object} config - Scanner configuration from getPiiConfig
+ * @param {string} param - Parameter name (name parameters are masked entirely)
+ * @returns {*} Masked value (non-string values are returned unchanged)
+ */
+export function maskPii(value, config, param = '') {
+  if (typeof value !== 'string' || value === '') {
+    return value;
+  }
+
+  if (isNameParam(param) && !isAllowed(param, value, config.allowlist)) {
+    return maskMatch(PII_TYPE.NAME, value);
+  }
+
+  let masked = value;
+  config.patterns.forEach(({ name, pattern }) => {
+    masked = masked.replace(toGlobal(pattern), match => (
+      isAllowed(param, match, config.allowlist) ? match : maskMatch(name, match)
+    ));
+  });
+
+  return masked.length > MAX_MASKED_LENGTH ? masked.substring(0, MAX_MASKED_LENGTH) + '…' : masked;
+}
+
+/**
+ * Mask PII in a page URL (dl)
+ *
+ * Query parameters are decoded and masked one by one as 'dl:<key>', so URL-encoded
+ * emails (%40) are masked as well.
+ *
+ * @param {string} url - Page URL
+ * @param {Object} config - Scanner configuration from getPiiConfig
+ * @returns {string} Masked URL (unparsable URLs are masked as a plain value)
+ */
+export function maskUrl(url, config) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return maskPii(url, config, 'dl');
+  }
+
+  const query = [...urlObj.searchParams]
+    .map(([key, value]) => `${key}=${maskPii(value, config, `dl:${key}`)}`)
+    .join('&');
+
+  return `${maskPii(`${urlObj.origin}${urlObj.pathname}`, config, 'dl')}${query ? `?${query}` : ''}${maskPii(urlObj.hash, config, 'dl')}`;
+}
+
+/**
+ * Mask PII in every string of a stored result section (in place)
+ *
+ * Walks plain objects and arrays: URLs are masked per query parameter (maskUrl),
+ * other strings by the value patterns. Strings without PII are left untouched.
+ *
+ * @param {Object|Array} target - Result section (validation result, dataLayer timeline ...)
+ * @param {Object} config - Scanner configuration from getPiiConfig
+ * @returns {number} Number of masked strings
+ */
+export function maskPiiInPlace(target, config) {
+  const visited = new WeakSet();
+  let maskedCount = 0;
+
+  const visit = (container) => {
+    if (visited.has(container)) return;
+    visited.add(container);
+
+    Object.keys(container).forEach(key => {
+      const value = container[key];
+      if (typeof value === 'string') {
+        const masked = maskStoredString(value, config);
+        if (masked !== value) {
+          container[key] = masked;
+          maskedCount++;
+        }
+      } else if (isContainer(value)) {
+        visit(value);
+      }
+    });
+  };
+
+  if (isContainer(target)) {
+    visit(target);
+  }
+
+  return maskedCount;
+}
+
+/**
+ * Mask a stored string when it carries PII
+ *
+ * @param {string} value - Stored string (URL or text)
+ * @param {Object} config - Scanner configuration
+ * @returns {string} Masked string or the value itself without PII
+ */
+function maskStoredString(value, config) {
+  const isUrl = /^https?:\/\//i.test(value);
+  const scanned = isUrl ? getUrlParams(value) : [{ param: '', value }];
+
+  if (!scanned.some(({ param, value: scannedValue }) => findPii(param, scannedValue, config).length > 0)) {
+    return value;
+  }
+
+  return isUrl ? maskUrl(value, config) : maskPii(value, config);
+}
+
+/**
+ * Check whether a value is walked by maskPiiInPlace (arrays and plain objects)
+ *
+ * @param {*} value - Value
+ * @returns {boolean} True for arrays and plain objects
+ */
+function isContainer(value) {
+  if (Array.isArray(value)) return true;
+  if (!value || typeof value !== 'object') return false;
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Get the scanned parameters of a page URL
+ *
+ * Query parameters are decoded one by one as 'dl:<key>'.
+ *
+ * @param {string} url - Page URL
+ * @returns {Array<Object>} [{ param, value }]
+ */
+function getUrlParams(url) {
+  try {
+    const urlObj = new URL(url);
+    return [
+      ...[...urlObj.searchParams].map(([key, value]) => ({ param: `dl:${key}`, value })),
+      { param: 'dl', value: `${urlObj.origin}${urlObj.pathname}${urlObj.hash}` }
+    ];
+  } catch (error) {
+    return [{ param: 'dl', value: url }];
+  }
+}
+
+/**
+ * Get the scanned parameters of a GA4 hit
+ *
+ * dl query parameters are scanned one by one (decoded) as 'dl:<key>'.
+ *
+ * @param {Object} params - Parsed GA4 parameters
+ * @returns {Array<Object>} [{ param, value }]
+ */
+function getScannedParams(params) {
+  const scanned = [];
+  const add = (param, value) => {
+    if (value !== null && value !== undefined && value !== '') {
+      scanned.push({ param, value: String(value) });
+    }
+  };
+
+  if (params.dl) {
+    getUrlParams(params.dl).forEach(({ param, value }) => add(param, value));
+  }
+
+  add('dt', params.dt);
+  add('uid', params.userId);
+  Object.entries(params.customParams || {}).forEach(([key, value]) => add(`ep.${key}`, value));
+  Object.entries(params.numericParams || {}).forEach(([key, value]) => add(`epn.${key}`, value));
+  Object.entries(params.userProperties || {}).forEach(([key, value]) => add(`up.${key}`, value));
+
+  return scanned;
+}
+
+/**
+ * Find PII in a parameter value
+ *
+ * @param {string} param - Parameter name
+ * @param {string} value - Parameter value
+ * @param {Object} config - Scanner configuration
+ * @returns {Array<Object>} [{ piiType }] (one entry per PII type)
+ */
+function findPii(param, value, config) {
+  const types = new Set();
+
+  if (isNameParam(param) && /\p{L}/u.test(value) && !isAllowed(param, value, config.allowlist)) {
+    types.add(PII_TYPE.NAME);
+  }
+
+  config.patterns.forEach(({ name, pattern }) => {
+    const matches = value.match(toGlobal(pattern)) || [];
+    if (matches.some(match => !isAllowed(param, match, config.allowlist))) {
+      types.add(name);
+    }
+  });
+
+  return [...types].map(piiType => ({ piiType }));
+}
+
+/**
+ * Check a parameter / matched value against the allowlist
+ *
+ * @param {string} param - Parameter name
+ * @param {string} match - Matched value
+ * @param {Array<string>} allowlist - Allowlist entries
+ * @returns {boolean} True if allowed
+ */
+function isAllowed(param, match, allowlist) {
+  const value = match.toLowerCase();
+  return allowlist.some(entry => {
+    const normalized = entry.toLowerCase();
+    return normalized === param.toLowerCase()
+      || normalized === value
+      || (normalized.startsWith('@') && value.endsWith(normalized));
+  });
+}
+
+/**
+ * Check whether a parameter carries a name
+ *
+ * @param {string} param - Parameter name (ep.name, up.user_name, dl:name ...)
+ * @returns {boolean} True for name parameters
+ */
+function isNameParam(param) {
+  const key = param.replace(/^(ep|epn|up|upn)\.|^dl:/, '');
+  return key !== param && NAME_PARAM_PATTERN.test(key);
+}
+
+/**
+ * Mask a matched value
+ *
+ * Emails keep the first character and the domain, other values the first
+ * characters only (3 for numbers, 1 for names).
+ *
+ * @param {string} piiType - PII type (pattern name)
+ * @param {string} match - Matched value
+ * @returns {string} Masked value
+ */
+function maskMatch(piiType, match) {
+  if (piiType === PII_TYPE.EMAIL) {
+    const [local, domain] = match.split('@');
+    return `${local.charAt(0)}***@${domain}`;
+  }
+
+  const keep = piiType === PII_TYPE.NAME ? 1 : 3;
+  return match.substring(0, keep) + '*'.repeat(Math.max(match.length - keep, 3));
+}
+
+/**
+ * Parse custom patterns from the PII_PATTERNS environment variable
+ *
+ * @param {string} value - JSON array of { name, pattern, flags }
+ * @returns {Array<Object>} [{ name, pattern: RegExp }] (invalid entries are skipped)
+ */
+function parseCustomPatterns(value) {
+  if (!value) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(value);
+  } catch (error) {
+    console.warn(`⚠️ PII_PATTERNS is not valid JSON: ${error.message}`);
+    return [];
+  }
+
+  return (Array.isArray(entries) ? entries : [])
+    .map(entry => {
+      try {
+        return { name: String(entry.name), pattern: new RegExp(entry.pattern, entry.flags || 'gi') };
+      } catch (error) {
+        console.warn(`⚠️ Invalid PII pattern '${entry?.name}': ${error.message}`);
+        return null;
+      }
+    })
+    .filter(entry => entry && entry.name);
+}
+
+/**
+ * Get a global copy of a pattern (String.match / replace need the g flag)
+ *
+ * @param {RegExp} pattern - Pattern
+ * @returns {RegExp} Global pattern
+ */
+function toGlobal(pattern) {
+  return pattern.global ? new RegExp(pattern.source, pattern.flags) : new RegExp(pattern.source, `${pattern.flags}g`);
+}
+
+export default {
+  getPiiConfig,
+  parsePiiAllowlist,
+  scanEventsForPii,
+  maskPii,
+  maskUrl,
+  maskPiiInPlace,
+  PII_TYPE,
+  DEFAULT_PII_PATTERNS
+};
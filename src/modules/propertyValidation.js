@@ -0,0 +1,171 @@
+/**
+ * Property Validation Module
+ *
+ * Loads properties from Supabase for validation: maps a property row to the
+ * orchestrator property format (with its event parameter rules) and validates a
+ * single property outside of a crawl run (API single validation and the CLI
+ * `--replay` mode).
+ */
+
+import { supabase, Tables } from '../utils/supabase.js';
+import { validateSingleProperty } from './orchestrator.js';
+import { selectRulesForProperty } from './eventRuleEvaluator.js';
+import { BrowserPool } from './browserPoolManager.js';
+import { downloadRecordedHar } from './harReplay.js';
+import { discardHar } from './harRecorder.js';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+// Configure dayjs with timezone support
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Normalize URL by ensuring it has a protocol (http:// or https://)
+ * @param {string} url - URL to normalize
+ * @returns {string} - Normalized URL with protocol
+ */
+function normalizeUrl(url) {
+  if (!url) return url;
+
+  // Trim whitespace
+  url = url.trim();
+
+  // If URL already has protocol, return as is
+  if (url.startsWith('http://') || url.startsWith('https://')) {
+    return url;
+  }
+
+  // Add https:// by default
+  return `https://${url}`;
+}
+
+/**
+ * Load active event parameter rules for properties and their account groups
+ *
+ * A missing table or query error only disables rule checks for this crawl.
+ *
+ * @param {Array<Object>} properties - Supabase property rows
+ * @returns {Promise<Array<Object>>} Rules in the camelCase format used by eventRuleEvaluator
+ */
+export async function loadEventRules(properties) {
+  if (properties.length === 0) {
+    return [];
+  }
+
+  const propertyIds = properties.map(prop => prop.id);
+  const brands = [...new Set(properties.map(prop => prop.brand).filter(Boolean))];
+
+  let query = supabase
+    .from(Tables.EVENT_PARAM_RULES)
+    .select('*')
+    .eq('is_active', true);
+
+  query = brands.length > 0
+    ? query.or(`property_id.in.(${propertyIds.join(',')}),brand.in.(${brands.map(brand => `"${brand}"`).join(',')})`)
+    : query.in('property_id', propertyIds);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('[loadEventRules] Failed to load event rules:', error.message);
+    return [];
+  }
+
+  return (data || []).map(rule => ({
+    id: rule.id,
+    propertyId: rule.property_id,
+    brand: rule.brand,
+    eventName: rule.event_name,
+    param: rule.param,
+    operator: rule.operator,
+    expected: rule.expected,
+    severity: rule.severity,
+    description: rule.description
+  }));
+}
+
+/**
+ * Transform a Supabase property row to the CSV property format expected by the orchestrator
+ *
+ * @param {Object} prop - Supabase property row
+ * @param {Array<Object>} eventRules - Loaded event parameter rules
+ * @param {Array<string>|null} profiles - Run-level validation profiles
+ * @returns {Object} Orchestrator property
+ */
+export function toOrchestratorProperty(prop, eventRules = [], profiles = null) {
+  return {
+    propertyName: prop.property_name,
+    measurementId: prop.expected_ga4_id,
+    gtmContainerId: prop.expected_gtm_id,
+    webGtmId: prop.expected_gtm_id, // Web GTM container (expected container of validateGTMId)
+    marketingGtm: prop.marketing_gtm_id, // Marketing GTM container (validated next to the web GTM)
+    representativeUrl: normalizeUrl(prop.url), // Ensure URL has protocol (http:// or https://)
+    brand: prop.brand,
+    region: prop.region,
+    slug: prop.slug, // Used by orchestrator for screenshot filenames
+    hasConsentMode: prop.has_consent_mode || false, // Story 10.2: Consent Mode support
+    pages: prop.pages || [], // Additional page templates (PLP, PDP, cart, search)
+    journeys: prop.journeys || [], // Scripted user journeys (ecommerce events)
+    collectEndpoints: prop.collect_endpoints || [], // Server-side GTM / first-party collect endpoints
+    consentSelectors: prop.consent_selectors || null, // Custom CMP banner selectors (accept / reject)
+    whitelist: prop.whitelist || [], // Cross-domain linker domains
+    expectedTags: prop.expected_tags || [], // Expected third-party marketing tags (vendor or vendor:ID)
+    profiles: profiles || prop.profiles || [], // Validation profiles (run-level profiles override the property)
+    latencyBudgetMs: prop.latency_budget_ms || null, // page_view hit latency budget (TAG_LATENCY_BUDGET_EXCEEDED)
+    eventRules: selectRulesForProperty(eventRules, prop.id, prop.brand), // Declarative event parameter rules
+    piiAllowlist: prop.pii_allowlist || [], // PII scanner exceptions (parameters, values or @domains)
+    spaRoute: prop.spa_route || null, // SPA route change check (path for pushState or link selector)
+    // Keep original for reference
+    _supabaseId: prop.id
+  };
+}
+
+/**
+ * Validate a single property outside of a crawl run
+ *
+ * The result is returned only (not cached or uploaded). With replayRunId the page
+ * is served from the HAR recorded for the property in that run (offline replay).
+ *
+ * @param {string} propertyId - Property ID (UUID)
+ * @param {Object} options - Validation options
+ * @param {string} options.replayRunId - Crawl run whose recorded HAR is replayed
+ * @returns {Promise<Object>} Validation result
+ * @throws {Error} If the property or the recorded HAR is not found, or the validation fails
+ */
+export async function validatePropertyById(propertyId, { replayRunId = null } = {}) {
+  const { data: prop, error } = await supabase
+    .from(Tables.PROPERTIES)
+    .select('*')
+    .eq('id', propertyId)
+    .single();
+
+  if (error || !prop) {
+    throw new Error(`Property not found: ${propertyId}`);
+  }
+
+  const eventRules = await loadEventRules([prop]);
+  const property = toOrchestratorProperty(prop, eventRules);
+  const replayHarPath = replayRunId ? await downloadRecordedHar(replayRunId, propertyId) : null;
+
+  const browserPool = new BrowserPool(1);
+  try {
+    await browserPool.initialize();
+    const dateStr = dayjs().tz('Asia/Seoul').format('YYYYMMDD');
+
+    return await validateSingleProperty(browserPool.browsers[0], property, dateStr, 1, null, null, {
+      replayHarPath,
+      cacheResults: false
+    });
+  } finally {
+    await browserPool.close().catch(() => {});
+    await discardHar(replayHarPath);
+  }
+}
+
+export default {
+  loadEventRules,
+  toOrchestratorProperty,
+  validatePropertyById
+};
@@ -0,0 +1,206 @@
+/**
+ * Redirect Tracker Module
+ *
+ * Records the redirect chain of the representative URL: every HTTP redirect hop
+ * (3xx status and Location) and client-side redirects (meta refresh or JavaScript
+ * navigation) of the main frame until the validated page is reached.
+ *
+ * The final host is checked against the property's own domain and whitelist
+ * (UNEXPECTED_FINAL_DOMAIN) to catch parked domains, expired campaign sites and
+ * redirects to the wrong country store.
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { getBaseDomain } from './crossDomainValidator.js';
+import { parseWhitelist } from './csvPropertyManager.js';
+
+/**
+ * Redirect hop types
+ */
+export const REDIRECT_TYPE = {
+  HTTP: 'http', // 3xx response with Location header
+  META: 'meta', // <meta http-equiv="refresh">
+  JS: 'js'      // Client-side navigation (location.href / location.replace ...)
+};
+
+const META_REFRESH_PATTERN = /<meta[^>]+http-equiv\s*=\s*["']?refresh/i;
+const BODY_WAIT_MS = 2000;
+
+/**
+ * Start recording main frame navigations
+ *
+ * Must be called before page.goto(). Recording stops with collectRedirectChain.
+ *
+ * @param {Page} page - Playwright page instance
+ * @returns {Object} Live tracker { navigations, pending, stopped }
+ */
+export function startRedirectTracking(page) {
+  const tracker = {
+    navigations: [],
+    pending: [],
+    stopped: false
+  };
+
+  page.on('response', response => {
+    const request = response.request();
+    if (tracker.stopped || !request.isNavigationRequest() || request.frame() !== page.mainFrame()) {
+      return;
+    }
+
+    const status = response.status();
+    const navigation = {
+      url: response.url(),
+      status,
+      location: status >= 300 && status < 400 ? response.headers().location || null : null,
+      metaRefresh: false
+    };
+    tracker.navigations.push(navigation);
+
+    // Documents are scanned for a meta refresh (decides meta vs JavaScript redirect)
+    if (!navigation.location) {
+      tracker.pending.push(
+        response.text()
+          .then(body => {
+            navigation.metaRefresh = META_REFRESH_PATTERN.test(body);
+          })
+          .catch(() => {})
+      );
+    }
+  });
+
+  return tracker;
+}
+
+/**
+ * Stop recording and build the redirect chain
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {Object} tracker - Live tracker from startRedirectTracking
+ * @param {string} requestedUrl - Representative URL
+ * @returns {Promise<Object>} Redirect chain (see buildRedirectChain, never throws)
+ */
+export async function collectRedirectChain(page, tracker, requestedUrl) {
+  tracker.stopped = true;
+
+  await Promise.race([
+    Promise.allSettled(tracker.pending),
+    new Promise(resolve => setTimeout(resolve, BODY_WAIT_MS))
+  ]);
+
+  return buildRedirectChain(requestedUrl, tracker.navigations, page.url());
+}
+
+/**
+ * Build the redirect chain from the recorded main frame navigations
+ *
+ * @param {string} requestedUrl - Representative URL
+ * @param {Array<Object>} navigations - [{ url, status, location, metaRefresh }] in order
+ * @param {string|null} currentUrl - URL of the page when the chain is collected
+ * @returns {Object} { requestedUrl, finalUrl, finalHost, hops, redirectCount }
+ */
+export function buildRedirectChain(requestedUrl, navigations = [], currentUrl = null) {
+  const hops = [];
+
+  navigations.forEach((navigation, index) => {
+    const next = navigations[index + 1];
+
+    if (navigation.location) {
+      hops.push({
+        type: REDIRECT_TYPE.HTTP,
+        url: navigation.url,
+        status: navigation.status,
+        location: resolveUrl(navigation.location, navigation.url)
+      });
+    } else if (next) {
+      hops.push({
+        type: navigation.metaRefresh ? REDIRECT_TYPE.META : REDIRECT_TYPE.JS,
+        url: navigation.url,
+        status: navigation.status,
+        location: next.url
+      });
+    }
+  });
+
+  const lastNavigation = navigations[navigations.length - 1];
+  const finalUrl = lastNavigation?.location
+    ? resolveUrl(lastNavigation.location, lastNavigation.url)
+    : (lastNavigation?.url || currentUrl || requestedUrl);
+
+  return {
+    requestedUrl,
+    finalUrl,
+    finalHost: getHostname(finalUrl),
+    hops,
+    redirectCount: hops.length
+  };
+}
+
+/**
+ * Get the domains a property may land on: its own domains and the whitelist
+ *
+ * @param {string[]} ownUrls - Property URLs (representative URL, validated URL)
+ * @param {string[]|string} whitelist - Property whitelist
+ * @returns {string[]} Registrable domains
+ */
+export function getAllowedDomains(ownUrls, whitelist) {
+  const domains = [
+    ...ownUrls.map(getHostname).filter(Boolean),
+    ...parseWhitelist(whitelist)
+  ];
+
+  return [...new Set(domains.map(domain => getBaseDomain(domain)))];
+}
+
+/**
+ * Check whether a host belongs to one of the allowed domains
+ *
+ * @param {string} host - Hostname
+ * @param {string[]} allowedDomains - Registrable domains from getAllowedDomains
+ * @returns {boolean} True if the host is allowed
+ */
+export function isAllowedHost(host, allowedDomains) {
+  if (!host) {
+    return true;
+  }
+
+  return allowedDomains.includes(getBaseDomain(host));
+}
+
+/**
+ * Resolve a Location header against the URL of the redirect
+ *
+ * @param {string} location - Location header (absolute or relative)
+ * @param {string} baseUrl - URL of the redirecting response
+ * @returns {string} Absolute URL (or the raw value when unparsable)
+ */
+function resolveUrl(location, baseUrl) {
+  try {
+    return new URL(location, baseUrl).href;
+  } catch (error) {
+    return location;
+  }
+}
+
+/**
+ * Get the hostname of a URL
+ *
+ * @param {string} url - URL
+ * @returns {string|null} Lowercase hostname or null
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export default {
+  startRedirectTracking,
+  collectRedirectChain,
+  buildRedirectChain,
+  getAllowedDomains,
+  isAllowedHost,
+  REDIRECT_TYPE
+};
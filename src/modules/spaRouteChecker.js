@@ -0,0 +1,136 @@
+/**
+ * SPA Route Checker Module
+ *
+ * Checks page_view measurement of single page applications. After the validated
+ * page is loaded, a client-side route change is performed, either by clicking the
+ * configured link (CSS selector) or by history.pushState to the configured path,
+ * and a fresh page_view for the new location must be sent (GA4 enhanced
+ * measurement "browser history events" or a GTM history change trigger).
+ *
+ * The page is sent back afterwards (history.back) so following checks start from
+ * the validated URL.
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { collectPageHookEvents } from './networkEventCapturer.js';
+
+/**
+ * Route change modes
+ */
+export const SPA_ROUTE_MODE = {
+  CLICK: 'click',          // Click the configured link (CSS selector)
+  PUSH_STATE: 'push_state' // history.pushState to the configured path
+};
+
+const CLICK_TIMEOUT_MS = 5000;
+const PAGE_VIEW_WAIT_MS = 8000;
+const POLL_INTERVAL_MS = 500;
+
+/**
+ * Parse the SPA route setting of a property
+ *
+ * Paths ('/products', '?tab=2', '#/cart') are pushed with history.pushState,
+ * anything else is a CSS selector of the link to click.
+ *
+ * @param {string} value - spa_route setting
+ * @returns {Object|null} { mode, target } or null when not configured
+ */
+export function parseSpaRoute(value) {
+  const target = typeof value === 'string' ? value.trim() : '';
+  if (!target || target === '-') {
+    return null;
+  }
+
+  return {
+    mode: /^[/?#]/.test(target) ? SPA_ROUTE_MODE.PUSH_STATE : SPA_ROUTE_MODE.CLICK,
+    target
+  };
+}
+
+/**
+ * Perform a client-side route change and wait for a fresh page_view
+ *
+ * @param {Page} page - Playwright page instance (validated page)
+ * @param {string} spaRoute - spa_route setting (path or link selector)
+ * @param {Array<NetworkEvent>} capturedEvents - Live events array from startCapturing
+ * @returns {Promise<Object|null>} Check result or null when not configured (never throws):
+ *   { mode, target, fromUrl, toUrl, ga4Hits, pageViews, hits, error }
+ */
+export async function runSpaRouteCheck(page, spaRoute, capturedEvents) {
+  const route = parseSpaRoute(spaRoute);
+  if (!route) {
+    return null;
+  }
+
+  const result = {
+    ...route,
+    fromUrl: page.url(),
+    toUrl: null,
+    ga4Hits: 0,
+    pageViews: [],
+    hits: [],
+    error: null
+  };
+
+  try {
+    // Hits of the initial page load must not count as the fresh page_view
+    await collectPageHookEvents(page, capturedEvents).catch(() => 0);
+    const startIndex = capturedEvents.length;
+
+    // Marker survives client-side route changes only
+    await page.evaluate(() => {
+      window.__spaRouteMarker = true;
+    });
+
+    if (route.mode === SPA_ROUTE_MODE.CLICK) {
+      await page.click(route.target, { timeout: CLICK_TIMEOUT_MS });
+    } else {
+      await page.evaluate((path) => window.history.pushState({}, '', path), route.target);
+    }
+
+    const startTime = Date.now();
+    let routeHits = [];
+    while (Date.now() - startTime < PAGE_VIEW_WAIT_MS) {
+      await page.waitForTimeout(POLL_INTERVAL_MS);
+      await collectPageHookEvents(page, capturedEvents).catch(() => 0);
+      routeHits = capturedEvents.slice(startIndex).filter(e => e.type === 'ga4_collect');
+      if (routeHits.some(e => e.params.en === 'page_view')) break;
+    }
+
+    result.toUrl = page.url();
+    result.ga4Hits = routeHits.length;
+    result.hits = routeHits.filter(e => e.params.en === 'page_view');
+    result.pageViews = result.hits.map(e => ({
+      measurementId: e.params.tid || null,
+      documentLocation: e.params.dl || null,
+      documentTitle: e.params.dt ?? null
+    }));
+
+    const isSameDocument = await page.evaluate(() => window.__spaRouteMarker === true).catch(() => false);
+    if (!isSameDocument) {
+      result.error = 'Route change loaded a new document (not a client-side route change)';
+    } else if (result.toUrl === result.fromUrl) {
+      result.error = 'URL did not change after the route change';
+    }
+
+    console.log(`  🔀 SPA route ${result.fromUrl} → ${result.toUrl}: ${result.pageViews.length} page_view(s)`);
+
+    // Back to the validated URL for the following checks
+    if (result.toUrl !== result.fromUrl) {
+      await page.goBack({ timeout: CLICK_TIMEOUT_MS, waitUntil: 'domcontentloaded' }).catch(() => null);
+    }
+
+    return result;
+
+  } catch (error) {
+    console.log(`  ⚠️ SPA route check error: ${error.message}`);
+    return { ...result, toUrl: result.toUrl || page.url(), error: error.message };
+  }
+}
+
+export default {
+  parseSpaRoute,
+  runSpaRouteCheck,
+  SPA_ROUTE_MODE
+};
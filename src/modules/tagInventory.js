@@ -0,0 +1,225 @@
+/**
+ * Tag Inventory Module
+ *
+ * Classifies third-party marketing tag requests captured on a page (Meta Pixel,
+ * Kakao Pixel, Naver Analytics, Criteo, Google Ads, Floodlight) and builds a
+ * per-result inventory of vendors and tag IDs.
+ *
+ * Properties can declare the tags they expect (properties.expected_tags):
+ * - 'meta_pixel'                  → any Meta Pixel request
+ * - 'meta_pixel:123456789012345'  → Meta Pixel with this pixel ID
+ * - 'google_ads:AW-123456789'     → Google Ads with this conversion ID
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+/**
+ * Known marketing tag vendors
+ */
+export const TAG_VENDOR = {
+  META_PIXEL: 'meta_pixel',
+  KAKAO_PIXEL: 'kakao_pixel',
+  NAVER_ANALYTICS: 'naver_analytics',
+  CRITEO: 'criteo',
+  GOOGLE_ADS: 'google_ads',
+  FLOODLIGHT: 'floodlight'
+};
+
+/**
+ * Vendor request matchers
+ *
+ * Each matcher gets the parsed URL (lowercase host) and returns the tag ID,
+ * null for vendor requests without an ID (e.g. loader scripts) or undefined
+ * when the request does not belong to the vendor.
+ */
+const VENDOR_MATCHERS = [
+  {
+    vendor: TAG_VENDOR.META_PIXEL,
+    match: (host, urlObj) => {
+      if ((host === 'facebook.com' || host === 'www.facebook.com') && urlObj.pathname.startsWith('/tr')) {
+        return urlObj.searchParams.get('id');
+      }
+      if (host === 'connect.facebook.net') {
+        const config = urlObj.pathname.match(/\/signals\/config\/(\d+)/);
+        if (config) return config[1];
+        if (urlObj.pathname.endsWith('/fbevents.js')) return null;
+      }
+      return undefined;
+    }
+  },
+  {
+    vendor: TAG_VENDOR.KAKAO_PIXEL,
+    match: (host, urlObj) => {
+      if (host === 'bc.ad.daum.net') return urlObj.searchParams.get('trackId');
+      if (host === 't1.daumcdn.net' && urlObj.pathname.startsWith('/kas/static/kp')) return null;
+      return undefined;
+    }
+  },
+  {
+    vendor: TAG_VENDOR.NAVER_ANALYTICS,
+    match: (host, urlObj) => {
+      if (host === 'wcs.naver.com') return urlObj.searchParams.get('wa');
+      if (host === 'wcs.naver.net' || host === 'wcs.pstatic.net') return null;
+      return undefined;
+    }
+  },
+  {
+    vendor: TAG_VENDOR.CRITEO,
+    match: (host, urlObj) => {
+      if (host.endsWith('criteo.com') || host.endsWith('criteo.net')) return urlObj.searchParams.get('a');
+      return undefined;
+    }
+  },
+  {
+    vendor: TAG_VENDOR.GOOGLE_ADS,
+    match: (host, urlObj) => {
+      const conversion = urlObj.pathname.match(/\/pagead\/(?:viewthroughconversion|conversion|1p-conversion|1p-user-list)\/(\d+)/);
+      if (conversion && (host === 'googleads.g.doubleclick.net' || host === 'www.google.com' || host.startsWith('www.google.'))) {
+        return `AW-${conversion[1]}`;
+      }
+      return matchGtagId(host, urlObj, 'AW-');
+    }
+  },
+  {
+    vendor: TAG_VENDOR.FLOODLIGHT,
+    match: (host, urlObj) => {
+      if (host.endsWith('fls.doubleclick.net') || host === 'ad.doubleclick.net') {
+        const source = urlObj.pathname.match(/^\/activity[ij]?;.*\bsrc=(\d+)/);
+        if (source) return `DC-${source[1]}`;
+        return host.endsWith('fls.doubleclick.net') ? null : undefined;
+      }
+      return matchGtagId(host, urlObj, 'DC-');
+    }
+  }
+];
+
+/**
+ * Match a gtag.js loader for a Google tag ID prefix (AW- / DC-)
+ *
+ * @param {string} host - Request host
+ * @param {URL} urlObj - Parsed URL
+ * @param {string} prefix - Tag ID prefix
+ * @returns {string|undefined} Tag ID or undefined
+ */
+function matchGtagId(host, urlObj, prefix) {
+  if (host === 'www.googletagmanager.com' && urlObj.pathname === '/gtag/js') {
+    const id = urlObj.searchParams.get('id') || '';
+    if (id.toUpperCase().startsWith(prefix)) return id.toUpperCase();
+  }
+  return undefined;
+}
+
+/**
+ * Classify a request URL as a known marketing tag
+ *
+ * @param {string} url - Request URL
+ * @returns {Object|null} { vendor, id } or null when not a known vendor request
+ */
+export function classifyVendorRequest(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const host = urlObj.hostname.toLowerCase();
+  for (const matcher of VENDOR_MATCHERS) {
+    const id = matcher.match(host, urlObj);
+    if (id !== undefined) {
+      return { vendor: matcher.vendor, id: id || null };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the tag inventory from captured vendor_tag events
+ *
+ * Requests without an ID (loader scripts) are only listed when the vendor
+ * sent no request with an ID.
+ *
+ * @param {Array<NetworkEvent>} events - Captured events
+ * @returns {Array<Object>} [{ vendor, id, requests }]
+ */
+export function buildTagInventory(events) {
+  const entries = new Map();
+  events
+    .filter(e => e.type === 'vendor_tag')
+    .forEach(e => {
+      const key = `${e.params.vendor}|${e.params.id || ''}`;
+      if (!entries.has(key)) {
+        entries.set(key, { vendor: e.params.vendor, id: e.params.id || null, requests: 0 });
+      }
+      entries.get(key).requests++;
+    });
+
+  const inventory = [...entries.values()];
+  return inventory.filter(entry =>
+    entry.id || !inventory.some(other => other.vendor === entry.vendor && other.id)
+  );
+}
+
+/**
+ * Parse expected tags
+ *
+ * Accepts the JSONB array stored in Supabase or the CSV notation separated by
+ * ',', ';' or newline. Vendors are lowercased, IDs keep their case.
+ *
+ * @param {string|Array} value - Raw expected tags
+ * @returns {string[]} Expected tags ('vendor' or 'vendor:ID')
+ */
+export function parseExpectedTags(value) {
+  if (!value) {
+    return [];
+  }
+
+  const entries = Array.isArray(value) ? value : value.split(/[,;\n]/);
+
+  return [...new Set(entries
+    .map(entry => {
+      const [vendor, ...id] = String(entry).trim().split(':');
+      const tagId = id.join(':').trim();
+      return tagId ? `${vendor.trim().toLowerCase()}:${tagId}` : vendor.trim().toLowerCase();
+    })
+    .filter(Boolean))];
+}
+
+/**
+ * Compare the tag inventory with the expected tags
+ *
+ * @param {Array<string>} expectedTags - Expected tags from parseExpectedTags
+ * @param {Array<Object>} inventory - Inventory from buildTagInventory
+ * @returns {Object} { missing: string[], unexpected: Array<Object> }
+ */
+export function compareTagInventory(expectedTags, inventory) {
+  const expected = parseExpectedTags(expectedTags).map(tag => {
+    const [vendor, ...id] = tag.split(':');
+    return { tag, vendor, id: id.length > 0 ? id.join(':').toUpperCase() : null };
+  });
+
+  const matches = (entry, tag) =>
+    entry.vendor === tag.vendor && (!tag.id || (entry.id && entry.id.toUpperCase() === tag.id));
+
+  return {
+    missing: expected
+      .filter(tag => !inventory.some(entry => matches(entry, tag)))
+      .map(tag => tag.tag),
+    unexpected: inventory.filter(entry =>
+      !expected.some(tag => matches(entry, tag)) &&
+      // Loader without an ID for a vendor expected with a specific ID is not a separate tag
+      !(entry.id === null && expected.some(tag => tag.vendor === entry.vendor))
+    )
+  };
+}
+
+export default {
+  classifyVendorRequest,
+  buildTagInventory,
+  parseExpectedTags,
+  compareTagInventory,
+  TAG_VENDOR
+};
@@ -0,0 +1,86 @@
+/**
+ * Tag Timing Collector Module
+ *
+ * Builds the tag timing record of a validation: navigation start, DOMContentLoaded,
+ * gtm.js request / response, first GA4 hit and page_view hit. All milestones are
+ * milliseconds after navigation start (performance.timeOrigin).
+ *
+ * Navigation and gtm.js milestones come from the Navigation / Resource Timing API
+ * of the page, GA4 hits from the captured events (CDP wallTime or page hook time).
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { getEventWallTimeMs } from './dataLayerRecorder.js';
+
+/**
+ * Timing milestones compared with the property latency budget (first available wins)
+ */
+export const BUDGET_MILESTONES = ['pageViewHitMs', 'firstGA4HitMs'];
+
+/**
+ * Collect the tag timing record from the page
+ *
+ * @param {Page} page - Playwright page instance (after GA4 events were awaited)
+ * @param {Array<NetworkEvent>} capturedEvents - Captured events
+ * @returns {Promise<Object|null>} Tag timing record or null when timing is unavailable (never throws)
+ */
+export async function collectTagTiming(page, capturedEvents) {
+  try {
+    const performanceData = await page.evaluate(() => {
+      const navigation = performance.getEntriesByType('navigation')[0];
+      const gtmResources = performance.getEntriesByType('resource')
+        .filter(entry => entry.name.includes('/gtm.js'))
+        .map(entry => ({ name: entry.name, startTime: entry.startTime, responseEnd: entry.responseEnd }));
+
+      return {
+        timeOrigin: performance.timeOrigin,
+        domContentLoaded: navigation ? navigation.domContentLoadedEventStart : null,
+        gtmResources
+      };
+    });
+
+    return buildTagTiming(performanceData, capturedEvents);
+  } catch (error) {
+    console.log(`  ⚠️ Tag timing unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Build the tag timing record
+ *
+ * @param {Object} performanceData - { timeOrigin, domContentLoaded, gtmResources }
+ * @param {Array<NetworkEvent>} capturedEvents - Captured events
+ * @returns {Object} { navigationStart, domContentLoadedMs, gtmRequestMs, gtmResponseMs, firstGA4HitMs, pageViewHitMs }
+ */
+export function buildTagTiming(performanceData, capturedEvents = []) {
+  const { timeOrigin, domContentLoaded, gtmResources = [] } = performanceData;
+  const toMs = value => (typeof value === 'number' && value > 0 ? Math.round(value) : null);
+
+  // First gtm.js request of the document (later ones are double tagging, reported elsewhere)
+  const gtmResource = [...gtmResources].sort((a, b) => a.startTime - b.startTime)[0] || null;
+
+  // GA4 hits sent after navigation start (window-extracted IDs carry no send time)
+  const hitTimes = capturedEvents
+    .filter(e => e.type === 'ga4_collect' && e.source !== 'window_extraction')
+    .map(e => ({ event: e, time: getEventWallTimeMs(e) }))
+    .filter(hit => hit.time !== null && hit.time >= timeOrigin)
+    .sort((a, b) => a.time - b.time);
+  const pageViewHit = hitTimes.find(hit => hit.event.params.en === 'page_view');
+
+  return {
+    navigationStart: new Date(timeOrigin).toISOString(),
+    domContentLoadedMs: toMs(domContentLoaded),
+    gtmRequestMs: gtmResource ? toMs(gtmResource.startTime) : null,
+    gtmResponseMs: gtmResource ? toMs(gtmResource.responseEnd) : null,
+    firstGA4HitMs: hitTimes.length > 0 ? Math.round(hitTimes[0].time - timeOrigin) : null,
+    pageViewHitMs: pageViewHit ? Math.round(pageViewHit.time - timeOrigin) : null
+  };
+}
+
+export default {
+  collectTagTiming,
+  buildTagTiming,
+  BUDGET_MILESTONES
+};
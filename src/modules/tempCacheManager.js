@@ -18,6 +18,7 @@ class TempCacheManager {
     // In-memory cache (primary storage during crawl)
     this.resultsCache = [];
     this.screenshotsCache = new Map(); // propertyId → screenshot buffer
+    this.harsCache = new Map(); // propertyId → HAR archive file (kept on disk until upload)
 
     // Temp directory for backup (secondary storage)
     this.tempDir = '.temp/crawl-cache';
@@ -89,6 +90,35 @@ class TempCacheManager {
     console.log(`  📸 Cached screenshot for property ${propertyId} (${(screenshotBuffer.length / 1024 / 1024).toFixed(2)}MB)`);
   }
 
+  /**
+   * Add HAR archive file to cache
+   *
+   * Only the path is held in memory; the file is deleted when the cache is cleared.
+   *
+   * @param {string} propertyId - Property ID
+   * @param {string} harPath - HAR archive path (gzipped HAR)
+   * @param {Object} metadata - HAR metadata
+   */
+  async addHar(propertyId, harPath, metadata = {}) {
+    const { size } = await fs.stat(harPath);
+
+    const previous = this.harsCache.get(propertyId);
+    if (previous && previous.path !== harPath) {
+      await fs.rm(previous.path, { force: true }).catch(() => {});
+    }
+
+    this.harsCache.set(propertyId, {
+      path: harPath,
+      metadata: {
+        ...metadata,
+        capturedAt: new Date().toISOString(),
+        size
+      }
+    });
+
+    console.log(`  🗂️ Cached HAR for property ${propertyId} (${(size / 1024 / 1024).toFixed(2)}MB)`);
+  }
+
   /**
    * Get all cached results
    *
@@ -108,7 +138,16 @@ class TempCacheManager {
   }
 
   /**
-   * Get all cached data (results + screenshots)
+   * Get all cached HAR archives
+   *
+   * @returns {Map} Cached HAR archives
+   */
+  getHars() {
+    return this.harsCache;
+  }
+
+  /**
+   * Get all cached data (results + screenshots + HAR archives)
    *
    * @returns {Object} All cached data
    */
@@ -117,10 +156,15 @@ class TempCacheManager {
       propertyId,
       ...data
     }));
+    const hars = Array.from(this.harsCache.entries()).map(([propertyId, data]) => ({
+      propertyId,
+      ...data
+    }));
 
     return {
       results: this.resultsCache,
-      screenshots
+      screenshots,
+      hars
     };
   }
 
@@ -132,11 +176,15 @@ class TempCacheManager {
   getStats() {
     const totalScreenshotSize = Array.from(this.screenshotsCache.values())
       .reduce((sum, item) => sum + item.buffer.length, 0);
+    const totalHarSize = Array.from(this.harsCache.values())
+      .reduce((sum, item) => sum + item.metadata.size, 0);
 
     return {
       resultCount: this.resultsCache.length,
       screenshotCount: this.screenshotsCache.size,
       totalScreenshotSizeMB: totalScreenshotSize / 1024 / 1024,
+      harCount: this.harsCache.size,
+      totalHarSizeMB: totalHarSize / 1024 / 1024,
       memoryUsageMB: process.memoryUsage().heapUsed / 1024 / 1024
     };
   }
@@ -150,10 +198,15 @@ class TempCacheManager {
 
     // Clear memory cache
     const stats = this.getStats();
+    const harPaths = Array.from(this.harsCache.values()).map(item => item.path);
     this.resultsCache = [];
     this.screenshotsCache.clear();
+    this.harsCache.clear();
+
+    // HAR archives live outside the temp directory (already removed once uploaded)
+    await Promise.all(harPaths.map(harPath => fs.rm(harPath, { force: true }).catch(() => {})));
 
-    console.log(`  ✅ Memory cache cleared: ${stats.resultCount} results, ${stats.screenshotCount} screenshots`);
+    console.log(`  ✅ Memory cache cleared: ${stats.resultCount} results, ${stats.screenshotCount} screenshots, ${stats.harCount} HARs`);
 
     // Delete temp files
     if (this.initialized) {
@@ -197,6 +250,11 @@ class TempCacheManager {
         buffer: data.buffer,
         metadata: data.metadata
       })),
+      hars: Array.from(this.harsCache.entries()).map(([propertyId, data]) => ({
+        propertyId,
+        path: data.path,
+        metadata: data.metadata
+      })),
       stats: this.getStats()
     };
   }
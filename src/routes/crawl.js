@@ -7,6 +7,9 @@
 import express from 'express';
 import { supabase, Tables, CrawlRunStatus } from '../utils/supabase.js';
 import { runValidation, stopCrawl } from '../modules/orchestrator.js';
+import { normalizeProfileNames, VALIDATION_PROFILES } from '../modules/browserPoolManager.js';
+import { loadEventRules, toOrchestratorProperty, validatePropertyById } from '../modules/propertyValidation.js';
+import { createHarDownloadUrls } from '../modules/harReplay.js';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import timezone from 'dayjs/plugin/timezone.js';
@@ -43,23 +46,71 @@ function parseGTMIdArray(gtmId) {
 }
 
 /**
- * Normalize URL by ensuring it has a protocol (http:// or https://)
- * @param {string} url - URL to normalize
- * @returns {string} - Normalized URL with protocol
+ * Frontend titles for issues stored in validation_details sections
+ * (journeys, ecommerce ...). Keys are backend ISSUE_TYPE values.
  */
-function normalizeUrl(url) {
-  if (!url) return url;
-
-  // Trim whitespace
-  url = url.trim();
+const DETAIL_ISSUE_MESSAGES = {
+  JOURNEY_STEP_FAILED: '사용자 여정 실패',
+  ECOMMERCE_ITEMS_EMPTY: '이커머스 이벤트 items 누락',
+  ECOMMERCE_ITEM_ID_MISSING: '이커머스 item_id 누락',
+  ECOMMERCE_PRICE_INVALID: '이커머스 price 형식 오류',
+  ECOMMERCE_CURRENCY_MISSING: '이커머스 currency 누락',
+  CONSENT_MODE_V2_SIGNALS_MISSING: '동의 모드 v2 신호 누락',
+  CONSENT_REJECT_NOT_RESPECTED: '동의 거부 미반영',
+  EVENT_PARAM_RULE_FAILED: '이벤트 파라미터 규칙 위반',
+  DOUBLE_TAGGING: '중복 태깅',
+  CROSS_DOMAIN_LINKER_FAILED: '크로스 도메인 링커 실패',
+  MARKETING_GTM_NOT_FOUND: '마케팅 GTM 누락',
+  GTM_UNEXPECTED_CONTAINER: '예상하지 않은 GTM 컨테이너',
+  GTM_ENVIRONMENT_NOT_LIVE: '운영 사이트에 GTM 환경(미리보기) 스니펫 사용',
+  GTM_CUSTOM_DATALAYER_NAME: '기본값이 아닌 dataLayer 이름',
+  TAG_MISSING: '마케팅 태그 누락',
+  TAG_UNEXPECTED: '예상하지 않은 마케팅 태그',
+  TAG_LATENCY_BUDGET_EXCEEDED: '태그 지연 예산 초과',
+  GTM_BLOCKED_BY_CSP: 'CSP로 인한 GTM 차단',
+  GA4_BLOCKED_BY_CSP: 'CSP로 인한 GA4 차단',
+  GTM_REQUEST_FAILED: 'GTM 요청 실패',
+  GA4_REQUEST_FAILED: 'GA4 요청 실패',
+  SCRIPT_ERROR_BEFORE_GTM: 'GTM 로드 전 스크립트 오류',
+  BOT_CHALLENGE: '봇 차단 페이지(CAPTCHA) 감지',
+  ACCESS_BLOCKED: '접근 차단 페이지 감지',
+  UNEXPECTED_FINAL_DOMAIN: '예상하지 못한 도메인으로 리다이렉트',
+  PII_IN_PAYLOAD: 'GA4 페이로드에 개인정보 포함',
+  PAGE_VIEW_LOCATION_MISMATCH: 'page_view 위치(dl)와 실제 URL 불일치',
+  TITLE_MISMATCH: 'page_view 제목(dt)과 실제 문서 제목 불일치',
+  SPA_PAGE_VIEW_MISSING: 'SPA 라우트 변경 후 page_view 누락',
+  GA_COOKIE_MISSING: 'GA4 _ga 쿠키 누락',
+  GA_SESSION_COOKIE_MISSING: 'GA4 세션 쿠키(_ga_<스트림>) 누락',
+  GA_COOKIE_DOMAIN_MISMATCH: 'GA4 쿠키 도메인 오류',
+  GA_COOKIE_EXPIRY_SHORT: 'GA4 쿠키 만료 기간 부족',
+  GA_COOKIE_CID_MISMATCH: '_ga 쿠키와 히트의 클라이언트 ID 불일치'
+};
 
-  // If URL already has protocol, return as is
-  if (url.startsWith('http://') || url.startsWith('https://')) {
-    return url;
-  }
+/**
+ * Convert a backend validation issue to the frontend issue format
+ * @param {Object} issue - Backend issue ({ type, severity, message })
+ * @returns {Object} - Frontend issue with lowercase type
+ */
+function toFrontendIssue(issue) {
+  return {
+    type: issue.type.toLowerCase(),
+    severity: issue.severity,
+    message: DETAIL_ISSUE_MESSAGES[issue.type] || issue.type,
+    details: issue.message
+  };
+}
 
-  // Add https:// by default
-  return `https://${url}`;
+/**
+ * Get the validation status of a result from its frontend issues
+ *
+ * Info issues (an unexpected extra GTM container or marketing tag, Consent Mode
+ * Basic) are shown in the detail view but do not fail the result.
+ *
+ * @param {Array<Object>} issues - Frontend issues
+ * @returns {string} 'success' or 'failed'
+ */
+function getValidationStatus(issues) {
+  return issues.some(issue => issue.severity !== 'info') ? 'failed' : 'success';
 }
 
 // Broadcast function (will be set by server.js)
@@ -69,6 +120,9 @@ export function setBroadcastForCrawl(broadcast) {
   broadcastFn = broadcast;
 }
 
+// Property of the running single validation (one browser at a time, never next to a crawl)
+let singleValidationPropertyId = null;
+
 // Global crawl state management - includes Phase 2 specific fields
 let currentCrawlState = {
   isRunning: false,
@@ -148,6 +202,10 @@ router.get('/status', async (req, res) => {
 /**
  * POST /api/crawl/start
  * Start a new crawl execution
+ * Body:
+ * - browserPoolSize: number of browsers (default: BROWSER_POOL_SIZE)
+ * - propertyIds: properties to crawl (default: all active properties)
+ * - profiles: validation profiles for every property (default: property profiles)
  */
 router.post('/start', async (req, res) => {
   try {
@@ -163,9 +221,21 @@ router.post('/start', async (req, res) => {
     // Get configuration from request body or use defaults
     const {
       browserPoolSize = parseInt(process.env.BROWSER_POOL_SIZE) || 7,
-      propertyIds = null // If null, crawl all active properties
+      propertyIds = null, // If null, crawl all active properties
+      profiles = null // If null, use each property's validation profiles
     } = req.body;
 
+    // Validate run-level validation profiles (device / locale)
+    if (profiles !== null) {
+      const unknownProfiles = normalizeProfileNames(profiles).filter(name => !VALIDATION_PROFILES[name]);
+      if (!Array.isArray(profiles) || profiles.length === 0 || unknownProfiles.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `profiles must be a non-empty array of: ${Object.keys(VALIDATION_PROFILES).join(', ')}`
+        });
+      }
+    }
+
     // Create new crawl run record
     // Use KST (Asia/Seoul) timezone for run_date and timestamps
     const now = dayjs().tz('Asia/Seoul');
@@ -180,6 +250,7 @@ router.post('/start', async (req, res) => {
         run_date: runDate,
         status: CrawlRunStatus.RUNNING,
         browser_pool_size: browserPoolSize,
+        profiles: profiles ? normalizeProfileNames(profiles) : null,
         started_at: startedAt
       })
       .select()
@@ -211,7 +282,7 @@ router.post('/start', async (req, res) => {
     };
 
     // Start crawl in background (don't await)
-    startCrawlAsync(crawlRun.id, browserPoolSize, propertyIds)
+    startCrawlAsync(crawlRun.id, browserPoolSize, propertyIds, profiles)
       .catch(error => {
         console.error('Crawl execution error:', error);
       });
@@ -426,6 +497,7 @@ router.get('/runs/:runId/results', async (req, res) => {
           slug,
           expected_ga4_id,
           expected_gtm_id,
+          marketing_gtm_id,
           current_status,
           is_active
         )
@@ -449,6 +521,9 @@ router.get('/runs/:runId/results', async (req, res) => {
       }
     }
 
+    // HAR archives are private: short-lived signed download links for the detail view
+    const harUrls = await createHarDownloadUrls(uniqueResults.map(result => result.har_path));
+
     // Transform results to match frontend expectations
     // Frontend expects: ga4_validation and gtm_validation objects with expected/actual properties
     const transformedResults = uniqueResults.map(result => {
@@ -468,13 +543,31 @@ router.get('/runs/:runId/results', async (req, res) => {
       // Actual GTM to display: matched expected value or first collected GTM
       const actualGTM = gtmMatched ? expectedGTM : (collectedGTMArray[0] || null);
 
+      // Marketing GTM: expected container found among the collected containers
+      const expectedMarketingGTM = result.properties?.marketing_gtm_id || null;
+      const marketingGTMMatched = !!expectedMarketingGTM && collectedGTMArray.some(gtm =>
+        gtm && gtm.trim().toUpperCase() === expectedMarketingGTM.trim().toUpperCase()
+      );
+
       // Calculate validation status and issues
       const issues = [];
 
       // Check if there was a validation error (failed or error status)
       const hasValidationError = result.validation_status === 'failed' || result.validation_status === 'error';
+      const pageClassification = result.validation_details?.pageClassification || null;
 
-      if (hasValidationError) {
+      if (pageClassification) {
+        // Bot challenge / access-blocked interstitial: the page was never reached, not a tagging failure
+        issues.push({
+          ...toFrontendIssue({
+            type: pageClassification.classification,
+            severity: 'warning',
+            message: result.issue_summary
+          }),
+          reason: pageClassification.reason,
+          vendor: pageClassification.vendor
+        });
+      } else if (hasValidationError) {
         // Parse user-friendly error message
         let errorMessage = result.issue_summary || '검증 실패';
 
@@ -523,6 +616,125 @@ router.get('/runs/:runId/results', async (req, res) => {
         });
       }
 
+      // Extract per-page failures from multi-page validation
+      if (Array.isArray(result.page_results)) {
+        result.page_results
+          .filter(page => !page.isValid)
+          .forEach(page => {
+            issues.push({
+              type: 'page_validation_failed',
+              severity: page.issues?.some(issue => issue.severity === 'critical') ? 'critical' : 'warning',
+              message: `${page.type} 페이지 검증 실패`,
+              details: `${page.url} - ${(page.issues || []).map(issue => issue.message).join('; ')}`
+            });
+          });
+      }
+
+      // Extract per-profile failures (mobile / locale profiles)
+      if (Array.isArray(result.profile_results)) {
+        result.profile_results
+          .filter(profile => !profile.isValid)
+          .forEach(profile => {
+            issues.push({
+              type: 'profile_validation_failed',
+              severity: profile.issues?.some(issue => issue.severity === 'critical') ? 'critical' : 'warning',
+              message: `${profile.profile} 프로필 검증 실패`,
+              details: (profile.issues || []).map(issue => issue.message).join('; ')
+            });
+          });
+      }
+
+      // Extract redirects ending outside the property domain and whitelist
+      if (result.validation_details?.redirects?.issues) {
+        issues.push(...result.validation_details.redirects.issues.map(toFrontendIssue));
+      }
+
+      // Extract marketing GTM and unexpected GTM container issues
+      if (result.validation_details?.gtmId?.issues) {
+        issues.push(...result.validation_details.gtmId.issues
+          .filter(issue => issue.type === 'MARKETING_GTM_NOT_FOUND' || issue.type === 'GTM_UNEXPECTED_CONTAINER')
+          .map(toFrontendIssue));
+      }
+
+      // Extract GTM environment issues (gtm_auth / gtm_preview, custom dataLayer name)
+      if (result.validation_details?.gtmEnvironment?.issues) {
+        issues.push(...result.validation_details.gtmEnvironment.issues.map(toFrontendIssue));
+      }
+
+      // Extract double tagging issues (duplicate page_view, GTM container, gtag config)
+      if (result.validation_details?.doubleTagging?.issues) {
+        issues.push(...result.validation_details.doubleTagging.issues.map(toFrontendIssue));
+      }
+
+      // Extract page_view dl / dt mismatches with the page at send time
+      if (result.validation_details?.pageViewContext?.issues) {
+        issues.push(...result.validation_details.pageViewContext.issues.map(toFrontendIssue));
+      }
+
+      // Extract SPA route change issues (no fresh page_view after a client-side route change)
+      if (result.validation_details?.spaRoute?.issues) {
+        issues.push(...result.validation_details.spaRoute.issues.map(toFrontendIssue));
+      }
+
+      // Extract ecommerce items issues from the representative page
+      if (result.validation_details?.ecommerce?.issues) {
+        issues.push(...result.validation_details.ecommerce.issues.map(toFrontendIssue));
+      }
+
+      // Extract Consent Mode v2 signal issues (gcs / gcd)
+      if (result.validation_details?.consentSignals?.issues) {
+        issues.push(...result.validation_details.consentSignals.issues.map(toFrontendIssue));
+      }
+
+      // Extract declarative event parameter rule failures
+      if (result.validation_details?.eventRules?.issues) {
+        issues.push(...result.validation_details.eventRules.issues.map(toFrontendIssue));
+      }
+
+      // Extract missing / unexpected third-party marketing tags
+      if (result.validation_details?.tagInventory?.issues) {
+        issues.push(...result.validation_details.tagInventory.issues.map(toFrontendIssue));
+      }
+
+      // Extract tag latency budget issues (slow page_view hit)
+      if (result.validation_details?.tagLatency?.issues) {
+        issues.push(...result.validation_details.tagLatency.issues.map(toFrontendIssue));
+      }
+
+      // Extract root-cause issues of tag failures (CSP, failed requests, page errors)
+      if (result.validation_details?.pageDiagnostics?.issues) {
+        issues.push(...result.validation_details.pageDiagnostics.issues.map(toFrontendIssue));
+      }
+
+      // Extract GA4 cookie issues (_ga / _ga_<stream> presence, domain, expiry, cid)
+      if (result.validation_details?.cookies?.issues) {
+        issues.push(...result.validation_details.cookies.issues.map(toFrontendIssue));
+      }
+
+      // Extract PII found in GA4 hits (values are masked)
+      if (result.validation_details?.piiLeakage?.issues) {
+        issues.push(...result.validation_details.piiLeakage.issues.map(issue => ({
+          ...toFrontendIssue(issue),
+          param: issue.param,
+          piiType: issue.piiType
+        })));
+      }
+
+      // Extract cross-domain linker issues (whitelisted domains)
+      if (result.validation_details?.crossDomain?.issues) {
+        issues.push(...result.validation_details.crossDomain.issues.map(toFrontendIssue));
+      }
+
+      // Extract consent scenario issues (reject all not respected)
+      if (result.validation_details?.consentScenarios?.issues) {
+        issues.push(...result.validation_details.consentScenarios.issues.map(toFrontendIssue));
+      }
+
+      // Extract failed scripted journeys (including ecommerce items issues during journeys)
+      if (result.validation_details?.journeys?.issues) {
+        issues.push(...result.validation_details.journeys.issues.map(toFrontendIssue));
+      }
+
       // Check GA4 mismatch
       if (expectedGA4 && actualGA4 && expectedGA4 !== actualGA4) {
         issues.push({
@@ -565,11 +777,16 @@ router.get('/runs/:runId/results', async (req, res) => {
         });
       }
 
-      // Determine overall validation status
-      const validation_status = issues.length === 0 ? 'success' : 'failed';
+      // Determine overall validation status (informational issues do not fail the result)
+      const validation_status = getValidationStatus(issues);
+
+      // dataLayer timeline is loaded on demand by the detail view (GET /results/:resultId/datalayer-timeline)
+      const { datalayer_timeline: dataLayerTimeline, ...resultFields } = result;
 
       return {
-        ...result,
+        ...resultFields,
+        datalayer_push_count: dataLayerTimeline?.totalPushes || 0,
+        har_url: harUrls.get(result.har_path) || null,
         // Flatten properties data to top level for frontend
         property_name: result.properties?.property_name || result.property_name,
         url: result.properties?.url || result.url,
@@ -587,13 +804,20 @@ router.get('/runs/:runId/results', async (req, res) => {
           expected: expectedGTM,
           actual: actualGTM
         },
+        marketing_gtm_validation: {
+          expected: expectedMarketingGTM,
+          actual: marketingGTMMatched ? expectedMarketingGTM : null
+        },
         // Also provide flat structure for backward compatibility
         detected_ga4_id: actualGA4,
         detected_gtm_id: actualGTM,
         expected_ga4_id: expectedGA4,
         expected_gtm_id: expectedGTM,
         collected_ga4_id: actualGA4,
-        collected_gtm_id: actualGTM
+        collected_gtm_id: actualGTM,
+        // GA4 user_id and user properties (up.*, upn.*) from the captured hits
+        user_id: result.validation_details?.eventSummary?.userId || null,
+        user_properties: result.validation_details?.eventSummary?.userProperties || {}
       };
     });
 
@@ -614,7 +838,7 @@ router.get('/runs/:runId/results', async (req, res) => {
 /**
  * Async function to start crawl in background
  */
-async function startCrawlAsync(runId, browserPoolSize, propertyIds) {
+async function startCrawlAsync(runId, browserPoolSize, propertyIds, profiles = null) {
   try {
     // Get properties to crawl
     let query = supabase
@@ -640,19 +864,11 @@ async function startCrawlAsync(runId, browserPoolSize, propertyIds) {
 
     currentCrawlState.progress.total = properties.length;
 
+    // Event parameter rules for the properties and their account groups (brands)
+    const eventRules = await loadEventRules(properties);
+
     // Transform Supabase properties to CSV format expected by orchestrator
-    const transformedProperties = properties.map(prop => ({
-      propertyName: prop.property_name,
-      measurementId: prop.expected_ga4_id,
-      gtmContainerId: prop.expected_gtm_id,
-      representativeUrl: normalizeUrl(prop.url), // Ensure URL has protocol (http:// or https://)
-      brand: prop.brand,
-      region: prop.region,
-      slug: prop.slug, // Used by orchestrator for screenshot filenames
-      hasConsentMode: prop.has_consent_mode || false, // Story 10.2: Consent Mode support
-      // Keep original for reference
-      _supabaseId: prop.id
-    }));
+    const transformedProperties = properties.map(prop => toOrchestratorProperty(prop, eventRules, profiles));
 
     // Run validation (this will be implemented in orchestrator)
     const summary = await runValidation({
@@ -810,6 +1026,66 @@ router.post('/stop', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/crawl/properties/:propertyId/validate
+ * Validate a single property and return the result (not stored)
+ * 409 while a crawl or another single validation is running
+ * Body:
+ * - replayRunId: replay the HAR recorded for the property in this run instead of the live site
+ */
+router.post('/properties/:propertyId/validate', async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    const { replayRunId = null } = req.body || {};
+
+    if (replayRunId !== null && (typeof replayRunId !== 'string' || replayRunId.trim() === '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'replayRunId must be a crawl run ID'
+      });
+    }
+
+    // Each validation launches its own browser: one at a time and not during a crawl
+    if (currentCrawlState.isRunning) {
+      return res.status(409).json({
+        success: false,
+        error: 'Crawl is running',
+        currentRunId: currentCrawlState.runId
+      });
+    }
+
+    if (singleValidationPropertyId) {
+      return res.status(409).json({
+        success: false,
+        error: 'Another property validation is running',
+        currentPropertyId: singleValidationPropertyId
+      });
+    }
+
+    singleValidationPropertyId = propertyId;
+    let result;
+    try {
+      result = await validatePropertyById(propertyId, { replayRunId });
+    } finally {
+      singleValidationPropertyId = null;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        replay: !!replayRunId,
+        result
+      }
+    });
+  } catch (error) {
+    console.error('Single property validation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/crawl/runs/:runId/save
  * Save a crawl run with memo
@@ -906,6 +1182,42 @@ router.get('/saved-results', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/crawl/results/:resultId/datalayer-timeline
+ * Get the dataLayer timeline of a single crawl result (excluded from run results for payload size)
+ */
+router.get('/results/:resultId/datalayer-timeline', async (req, res) => {
+  try {
+    const { resultId } = req.params;
+
+    const { data: result, error } = await supabase
+      .from(Tables.CRAWL_RESULTS)
+      .select('id, datalayer_timeline')
+      .eq('id', resultId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Result not found'
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: result.datalayer_timeline || null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/crawl/saved-results/:id
  * Get saved result detail by ID
@@ -941,7 +1253,8 @@ router.get('/saved-results/:id', async (req, res) => {
           url,
           slug,
           expected_ga4_id,
-          expected_gtm_id
+          expected_gtm_id,
+          marketing_gtm_id
         )
       `)
       .eq('crawl_run_id', id)
@@ -963,6 +1276,9 @@ router.get('/saved-results/:id', async (req, res) => {
       }
     }
 
+    // HAR archives are private: short-lived signed download links for the detail view
+    const harUrls = await createHarDownloadUrls(uniqueResults.map(result => result.har_path));
+
     // Transform results to match frontend expectations
     const transformedResults = uniqueResults.map(result => {
       const expectedGA4 = result.properties?.expected_ga4_id;
@@ -981,13 +1297,31 @@ router.get('/saved-results/:id', async (req, res) => {
       // Actual GTM to display: matched expected value or first collected GTM
       const actualGTM = gtmMatched ? expectedGTM : (collectedGTMArray[0] || null);
 
+      // Marketing GTM: expected container found among the collected containers
+      const expectedMarketingGTM = result.properties?.marketing_gtm_id || null;
+      const marketingGTMMatched = !!expectedMarketingGTM && collectedGTMArray.some(gtm =>
+        gtm && gtm.trim().toUpperCase() === expectedMarketingGTM.trim().toUpperCase()
+      );
+
       // Calculate validation status and issues
       const issues = [];
 
       // Check if there was a validation error (failed or error status)
       const hasValidationError = result.validation_status === 'failed' || result.validation_status === 'error';
+      const pageClassification = result.validation_details?.pageClassification || null;
 
-      if (hasValidationError) {
+      if (pageClassification) {
+        // Bot challenge / access-blocked interstitial: the page was never reached, not a tagging failure
+        issues.push({
+          ...toFrontendIssue({
+            type: pageClassification.classification,
+            severity: 'warning',
+            message: result.issue_summary
+          }),
+          reason: pageClassification.reason,
+          vendor: pageClassification.vendor
+        });
+      } else if (hasValidationError) {
         // Parse user-friendly error message
         let errorMessage = result.issue_summary || '검증 실패';
 
@@ -1055,11 +1389,16 @@ router.get('/saved-results/:id', async (req, res) => {
         });
       }
 
-      // Determine overall validation status
-      const validation_status = issues.length === 0 ? 'success' : 'failed';
+      // Determine overall validation status (informational issues do not fail the result)
+      const validation_status = getValidationStatus(issues);
+
+      // dataLayer timeline is loaded on demand by the detail view (GET /results/:resultId/datalayer-timeline)
+      const { datalayer_timeline: dataLayerTimeline, ...resultFields } = result;
 
       return {
-        ...result,
+        ...resultFields,
+        datalayer_push_count: dataLayerTimeline?.totalPushes || 0,
+        har_url: harUrls.get(result.har_path) || null,
         // Flatten properties data to top level for frontend
         property_name: result.properties?.property_name || result.property_name,
         url: result.properties?.url || result.url,
@@ -1077,20 +1416,27 @@ router.get('/saved-results/:id', async (req, res) => {
           expected: expectedGTM,
           actual: actualGTM
         },
+        marketing_gtm_validation: {
+          expected: expectedMarketingGTM,
+          actual: marketingGTMMatched ? expectedMarketingGTM : null
+        },
         // Also provide flat structure for backward compatibility
         detected_ga4_id: actualGA4,
         detected_gtm_id: actualGTM,
         expected_ga4_id: expectedGA4,
         expected_gtm_id: expectedGTM,
         collected_ga4_id: actualGA4,
-        collected_gtm_id: actualGTM
+        collected_gtm_id: actualGTM,
+        // GA4 user_id and user properties (up.*, upn.*) from the captured hits
+        user_id: result.validation_details?.eventSummary?.userId || null,
+        user_properties: result.validation_details?.eventSummary?.userProperties || {}
       };
     });
 
     // Get all active properties to fill in missing ones
     const { data: allProperties, error: propsError } = await supabase
       .from(Tables.PROPERTIES)
-      .select('id, property_name, url, slug, expected_ga4_id, expected_gtm_id')
+      .select('id, property_name, url, slug, expected_ga4_id, expected_gtm_id, marketing_gtm_id')
       .eq('is_active', true)
       .order('property_name', { ascending: true });
 
@@ -1133,6 +1479,10 @@ router.get('/saved-results/:id', async (req, res) => {
             expected: property.expected_gtm_id,
             actual: null
           },
+          marketing_gtm_validation: {
+            expected: property.marketing_gtm_id || null,
+            actual: null
+          },
           expected_ga4_id: property.expected_ga4_id,
           expected_gtm_id: property.expected_gtm_id,
           collected_ga4_id: null,
@@ -0,0 +1,241 @@
+/**
+ * Event Parameter Rules API Routes
+ *
+ * Manages declarative event parameter rules evaluated against captured GA4 hits.
+ * A rule belongs either to a single property (property_id) or to an account
+ * group (brand) and applies to all of its properties.
+ */
+
+import express from 'express';
+import { supabase, Tables } from '../utils/supabase.js';
+import { SEVERITY } from '../modules/configValidator.js';
+import { RULE_OPERATOR } from '../modules/eventRuleEvaluator.js';
+
+const router = express.Router();
+
+/**
+ * Validate a rule payload
+ *
+ * @param {Object} rule - Request body (merged with the stored rule on update)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateRule(rule) {
+  if (!rule.property_id && !rule.brand) {
+    return 'property_id or brand is required';
+  }
+  if (!rule.event_name || !rule.param) {
+    return 'event_name and param are required';
+  }
+  if (!Object.values(RULE_OPERATOR).includes(rule.operator)) {
+    return `operator must be one of: ${Object.values(RULE_OPERATOR).join(', ')}`;
+  }
+  if (rule.operator !== RULE_OPERATOR.EXISTS && (rule.expected === undefined || rule.expected === null)) {
+    return `expected is required for operator ${rule.operator}`;
+  }
+  if (rule.operator === RULE_OPERATOR.ONE_OF && !Array.isArray(rule.expected)) {
+    return 'expected must be an array for operator one_of';
+  }
+  if (rule.operator === RULE_OPERATOR.MATCHES) {
+    try {
+      new RegExp(rule.expected);
+    } catch (error) {
+      return `expected is not a valid regular expression: ${error.message}`;
+    }
+  }
+  if (rule.severity !== undefined && !Object.values(SEVERITY).includes(rule.severity)) {
+    return `severity must be one of: ${Object.values(SEVERITY).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * GET /api/event-rules
+ * Get rules with optional filtering by property or brand
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { property_id, brand, is_active } = req.query;
+
+    let query = supabase
+      .from(Tables.EVENT_PARAM_RULES)
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (property_id) {
+      query = query.eq('property_id', property_id);
+    }
+
+    if (brand) {
+      query = query.eq('brand', brand);
+    }
+
+    if (is_active !== undefined) {
+      query = query.eq('is_active', is_active === 'true');
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/event-rules
+ * Create a rule
+ */
+router.post('/', async (req, res) => {
+  try {
+    const {
+      property_id,
+      brand,
+      event_name,
+      param,
+      operator,
+      expected,
+      severity,
+      description,
+      is_active
+    } = req.body;
+
+    const validationError = validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const { data, error } = await supabase
+      .from(Tables.EVENT_PARAM_RULES)
+      .insert({
+        property_id: property_id || null,
+        brand: property_id ? null : brand,
+        event_name,
+        param,
+        operator,
+        expected: expected ?? null,
+        severity: severity || SEVERITY.WARNING,
+        description: description || null,
+        is_active: is_active !== undefined ? is_active : true
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/event-rules/:id
+ * Update a rule
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from(Tables.EVENT_PARAM_RULES)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event rule not found'
+      });
+    }
+
+    const fields = ['property_id', 'brand', 'event_name', 'param', 'operator', 'expected', 'severity', 'description', 'is_active'];
+    const updates = {};
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const validationError = validateRule({ ...existing, ...updates });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    updates.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from(Tables.EVENT_PARAM_RULES)
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/event-rules/:id
+ * Delete a rule
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error } = await supabase
+      .from(Tables.EVENT_PARAM_RULES)
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Event rule deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
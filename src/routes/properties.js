@@ -10,6 +10,10 @@ import crypto from 'crypto';
 import { parse } from 'csv-parse/sync';
 import { stringify } from 'csv-stringify/sync';
 import { supabase, Tables, PropertyStatus } from '../utils/supabase.js';
+import { parsePageList, parseWhitelist } from '../modules/csvPropertyManager.js';
+import { parseExpectedTags } from '../modules/tagInventory.js';
+import { parsePiiAllowlist } from '../modules/piiScanner.js';
+import { normalizeProfileNames, VALIDATION_PROFILES } from '../modules/browserPoolManager.js';
 
 const router = express.Router();
 
@@ -26,6 +30,24 @@ const upload = multer({
   }
 });
 
+/**
+ * Validate validation profile names
+ *
+ * @param {Array<string>} profiles - Profile names from the request body
+ * @returns {string|null} Error message or null when valid
+ */
+function validateProfiles(profiles) {
+  if (!Array.isArray(profiles)) {
+    return 'profiles must be an array';
+  }
+
+  const unknown = normalizeProfileNames(profiles).filter(name => !VALIDATION_PROFILES[name]);
+  if (unknown.length > 0) {
+    return `Unknown validation profile(s): ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
 /**
  * GET /api/properties
  * Get all properties with optional filtering
@@ -223,10 +245,18 @@ router.get('/download-csv', async (req, res) => {
       'Property ID': '', // Not in our schema
       '대표 URLs': prop.url || '',
       'Web GTM Pubilic ID': prop.expected_gtm_id || '',
+      '마케팅 GTM': prop.marketing_gtm_id || '',
       'Dataset ID': '', // Not in our schema
       'is_active': prop.is_active ? 'true' : 'false',
       'region': prop.region || '',
-      'has_consent_mode': prop.has_consent_mode ? 'true' : 'false' // Story 10.2: Consent Mode support
+      'has_consent_mode': prop.has_consent_mode ? 'true' : 'false', // Story 10.2: Consent Mode support
+      'pages': (prop.pages || []).map(page => `${page.type}=${page.url}`).join('; '),
+      'whitelist': (prop.whitelist || []).join(','),
+      'expected_tags': (prop.expected_tags || []).join(','),
+      'profiles': (prop.profiles || []).join(','),
+      'latency_budget_ms': prop.latency_budget_ms || '',
+      'pii_allowlist': (prop.pii_allowlist || []).join(','),
+      'spa_route': prop.spa_route || ''
     }));
 
     // Convert to CSV string
@@ -282,10 +312,18 @@ router.post('/upload-csv', upload.single('file'), async (req, res) => {
       const propertyName = record['속성명']?.trim();
       const measurementId = record['Web Stream Measurement ID']?.trim();
       const gtmId = record['Web GTM Pubilic ID']?.trim();
+      const marketingGtmId = record['마케팅 GTM']?.trim();
       const brand = record['계정명']?.trim();
       const isActive = record['is_active']?.trim() !== 'false'; // Default to true
       const region = record['region']?.trim();
       const hasConsentMode = record['has_consent_mode']?.trim() === 'true'; // Story 10.2: Default to false
+      const pages = parsePageList(record['pages']?.trim());
+      const whitelist = parseWhitelist(record['whitelist']?.trim());
+      const expectedTags = parseExpectedTags(record['expected_tags']?.trim());
+      const profiles = normalizeProfileNames(record['profiles']?.trim()).filter(name => VALIDATION_PROFILES[name]);
+      const latencyBudgetMs = parseInt(record['latency_budget_ms']?.trim(), 10);
+      const piiAllowlist = parsePiiAllowlist(record['pii_allowlist']?.trim());
+      const spaRoute = record['spa_route']?.trim();
 
       // Skip if missing required fields
       if (!url || !propertyName) {
@@ -315,11 +353,19 @@ router.post('/upload-csv', upload.single('file'), async (req, res) => {
         slug: slug,
         expected_ga4_id: measurementId || null,
         expected_gtm_id: gtmId || null,
+        marketing_gtm_id: marketingGtmId && marketingGtmId !== '-' ? marketingGtmId : null,
         current_status: PropertyStatus.NORMAL,
         brand: brand || null,
         region: region || null,
         is_active: isActive,
-        has_consent_mode: hasConsentMode // Story 10.2: Consent Mode support
+        has_consent_mode: hasConsentMode, // Story 10.2: Consent Mode support
+        pages,
+        whitelist,
+        expected_tags: expectedTags,
+        profiles,
+        latency_budget_ms: latencyBudgetMs > 0 ? latencyBudgetMs : null,
+        pii_allowlist: piiAllowlist,
+        spa_route: spaRoute && spaRoute !== '-' ? spaRoute : null
       });
     }
 
@@ -387,10 +433,21 @@ router.post('/', async (req, res) => {
       url,
       expected_ga4_id,
       expected_gtm_id,
+      marketing_gtm_id,
       brand,
       region,
       is_active = true,
-      has_consent_mode = false
+      has_consent_mode = false,
+      pages = [],
+      journeys = [],
+      collect_endpoints = [],
+      consent_selectors = null,
+      whitelist = [],
+      expected_tags = [],
+      profiles = [],
+      latency_budget_ms = null,
+      pii_allowlist = [],
+      spa_route = null
     } = req.body;
 
     // Validate required fields
@@ -409,6 +466,79 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // Validate pages type
+    if (!Array.isArray(pages)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pages must be an array'
+      });
+    }
+
+    // Validate journeys type
+    if (!Array.isArray(journeys)) {
+      return res.status(400).json({
+        success: false,
+        error: 'journeys must be an array'
+      });
+    }
+
+    // Validate collect_endpoints type
+    if (!Array.isArray(collect_endpoints)) {
+      return res.status(400).json({
+        success: false,
+        error: 'collect_endpoints must be an array'
+      });
+    }
+
+    // Validate consent_selectors type
+    if (consent_selectors !== null && (typeof consent_selectors !== 'object' || Array.isArray(consent_selectors))) {
+      return res.status(400).json({
+        success: false,
+        error: 'consent_selectors must be an object'
+      });
+    }
+
+    // Validate whitelist type
+    if (!Array.isArray(whitelist)) {
+      return res.status(400).json({
+        success: false,
+        error: 'whitelist must be an array'
+      });
+    }
+
+    // Validate expected_tags type
+    if (!Array.isArray(expected_tags)) {
+      return res.status(400).json({
+        success: false,
+        error: 'expected_tags must be an array'
+      });
+    }
+
+    // Validate profiles (known validation profile names)
+    const profileError = validateProfiles(profiles);
+    if (profileError) {
+      return res.status(400).json({
+        success: false,
+        error: profileError
+      });
+    }
+
+    // Validate latency_budget_ms (positive integer or null)
+    if (latency_budget_ms !== null && !(Number.isInteger(latency_budget_ms) && latency_budget_ms > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'latency_budget_ms must be a positive integer or null'
+      });
+    }
+
+    // Validate pii_allowlist type
+    if (!Array.isArray(pii_allowlist)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pii_allowlist must be an array'
+      });
+    }
+
     // Generate slug from URL (max 200 chars for database compatibility)
     const slug = url
       .replace(/^https?:\/\//, '')
@@ -427,10 +557,21 @@ router.post('/', async (req, res) => {
         slug,
         expected_ga4_id,
         expected_gtm_id,
+        marketing_gtm_id: marketing_gtm_id || null,
         brand,
         region,
         is_active,
         has_consent_mode,
+        pages: parsePageList(pages),
+        journeys,
+        collect_endpoints,
+        consent_selectors,
+        whitelist: parseWhitelist(whitelist),
+        expected_tags: parseExpectedTags(expected_tags),
+        profiles: normalizeProfileNames(profiles),
+        latency_budget_ms,
+        pii_allowlist: parsePiiAllowlist(pii_allowlist),
+        spa_route: spa_route || null,
         current_status: PropertyStatus.NORMAL
       })
       .select()
@@ -587,10 +728,21 @@ router.put('/:id', async (req, res) => {
       url,
       expected_ga4_id,
       expected_gtm_id,
+      marketing_gtm_id,
       brand,
       region,
       is_active,
-      has_consent_mode
+      has_consent_mode,
+      pages,
+      journeys,
+      collect_endpoints,
+      consent_selectors,
+      whitelist,
+      expected_tags,
+      profiles,
+      latency_budget_ms,
+      pii_allowlist,
+      spa_route
     } = req.body;
 
     // Validate has_consent_mode type if provided
@@ -601,6 +753,81 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    // Validate pages type if provided
+    if (pages !== undefined && !Array.isArray(pages)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pages must be an array'
+      });
+    }
+
+    // Validate journeys type if provided
+    if (journeys !== undefined && !Array.isArray(journeys)) {
+      return res.status(400).json({
+        success: false,
+        error: 'journeys must be an array'
+      });
+    }
+
+    // Validate collect_endpoints type if provided
+    if (collect_endpoints !== undefined && !Array.isArray(collect_endpoints)) {
+      return res.status(400).json({
+        success: false,
+        error: 'collect_endpoints must be an array'
+      });
+    }
+
+    // Validate consent_selectors type if provided (null clears custom selectors)
+    if (consent_selectors !== undefined && consent_selectors !== null &&
+        (typeof consent_selectors !== 'object' || Array.isArray(consent_selectors))) {
+      return res.status(400).json({
+        success: false,
+        error: 'consent_selectors must be an object'
+      });
+    }
+
+    // Validate whitelist type if provided
+    if (whitelist !== undefined && !Array.isArray(whitelist)) {
+      return res.status(400).json({
+        success: false,
+        error: 'whitelist must be an array'
+      });
+    }
+
+    // Validate expected_tags type if provided
+    if (expected_tags !== undefined && !Array.isArray(expected_tags)) {
+      return res.status(400).json({
+        success: false,
+        error: 'expected_tags must be an array'
+      });
+    }
+
+    // Validate profiles if provided
+    const profileError = profiles !== undefined ? validateProfiles(profiles) : null;
+    if (profileError) {
+      return res.status(400).json({
+        success: false,
+        error: profileError
+      });
+    }
+
+    // Validate latency_budget_ms if provided (positive integer or null)
+    if (latency_budget_ms !== undefined && latency_budget_ms !== null &&
+        !(Number.isInteger(latency_budget_ms) && latency_budget_ms > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'latency_budget_ms must be a positive integer or null'
+      });
+    }
+
+    // Validate pii_allowlist type if provided
+    if (pii_allowlist !== undefined && !Array.isArray(pii_allowlist)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pii_allowlist must be an array'
+      });
+    }
+
     // Build update object with only provided fields
     const updates = {};
     if (property_name !== undefined) updates.property_name = property_name;
@@ -618,10 +845,21 @@ router.put('/:id', async (req, res) => {
     }
     if (expected_ga4_id !== undefined) updates.expected_ga4_id = expected_ga4_id;
     if (expected_gtm_id !== undefined) updates.expected_gtm_id = expected_gtm_id;
+    if (marketing_gtm_id !== undefined) updates.marketing_gtm_id = marketing_gtm_id || null;
     if (brand !== undefined) updates.brand = brand;
     if (region !== undefined) updates.region = region;
     if (is_active !== undefined) updates.is_active = is_active;
     if (has_consent_mode !== undefined) updates.has_consent_mode = has_consent_mode;
+    if (pages !== undefined) updates.pages = parsePageList(pages);
+    if (journeys !== undefined) updates.journeys = journeys;
+    if (collect_endpoints !== undefined) updates.collect_endpoints = collect_endpoints;
+    if (consent_selectors !== undefined) updates.consent_selectors = consent_selectors;
+    if (whitelist !== undefined) updates.whitelist = parseWhitelist(whitelist);
+    if (expected_tags !== undefined) updates.expected_tags = parseExpectedTags(expected_tags);
+    if (profiles !== undefined) updates.profiles = normalizeProfileNames(profiles);
+    if (latency_budget_ms !== undefined) updates.latency_budget_ms = latency_budget_ms;
+    if (pii_allowlist !== undefined) updates.pii_allowlist = parsePiiAllowlist(pii_allowlist);
+    if (spa_route !== undefined) updates.spa_route = spa_route || null;
 
     const { data, error } = await supabase
       .from(Tables.PROPERTIES)
@@ -22,6 +22,7 @@ import crawlRouter, { getCrawlState, setBroadcastForCrawl } from './routes/crawl
 import cleanupRouter from './routes/cleanup.js';
 import crawlerSettingsRouter from './routes/crawlerSettings.js';
 import retryRouter from './routes/retry.js';
+import eventRulesRouter from './routes/eventRules.js';
 import { setBroadcast } from './modules/orchestrator.js';
 import { getCleanupScheduler } from './utils/cleanupScheduler.js';
 import { getRetryScheduler } from './utils/retryScheduler.js';
@@ -126,6 +127,7 @@ app.use('/api/crawl', crawlRouter);
 app.use('/api/cleanup', cleanupRouter);
 app.use('/api/crawler-settings', crawlerSettingsRouter);
 app.use('/api/retry-queue', retryRouter);
+app.use('/api/event-rules', eventRulesRouter);
 
 // Helper functions
 async function getAvailableDates(baseDir) {
@@ -150,6 +152,7 @@ async function getResultsForDate(date) {
   try {
     // Import supabase dynamically
     const { supabase, Tables } = await import('./utils/supabase.js');
+    const { createHarDownloadUrls } = await import('./modules/harReplay.js');
 
     // Fetch from Supabase with screenshot URLs
     const { data, error } = await supabase
@@ -169,6 +172,9 @@ async function getResultsForDate(date) {
       return [];
     }
 
+    // HAR archives are private: short-lived signed download links
+    const harUrls = await createHarDownloadUrls(data.map(row => row.har_path));
+
     // Transform to match expected format
     return data.map(row => ({
       propertyName: row.properties?.property_name || row.property_id,
@@ -185,7 +191,8 @@ async function getResultsForDate(date) {
       pageLoad: row.validation_result?.pageLoad,
       phase: row.validation_result?.phase,
       screenshot_url: row.screenshot_url,
-      permanent_screenshot_url: row.permanent_screenshot_url
+      permanent_screenshot_url: row.permanent_screenshot_url,
+      har_url: harUrls.get(row.har_path) || null
     }));
   } catch (error) {
     console.error('Error in getResultsForDate:', error.message);
@@ -332,6 +339,7 @@ app.get('/api/results/:date/:slug', async (req, res) => {
 
     // Import supabase dynamically
     const { supabase, Tables } = await import('./utils/supabase.js');
+    const { createHarDownloadUrls } = await import('./modules/harReplay.js');
 
     // Fetch from Supabase with screenshot URL
     // Get the most recent result for this property on this date
@@ -357,6 +365,9 @@ app.get('/api/results/:date/:slug', async (req, res) => {
       });
     }
 
+    // HAR archives are private: short-lived signed download link
+    const harUrls = await createHarDownloadUrls([data.har_path]);
+
     // Transform to match expected format
     const result = {
       propertyName: data.properties?.property_name || data.property_id,
@@ -373,7 +384,8 @@ app.get('/api/results/:date/:slug', async (req, res) => {
       pageLoad: data.validation_result?.pageLoad,
       phase: data.validation_result?.phase,
       screenshot_url: data.screenshot_url,
-      permanent_screenshot_url: data.permanent_screenshot_url
+      permanent_screenshot_url: data.permanent_screenshot_url,
+      har_url: harUrls.get(data.har_path) || null
     };
 
     res.json({
@@ -66,13 +66,13 @@ const logger = winston.createLogger({
   ]
 });
 
-// Update log file path daily (AC6)
+// Update log file path daily (AC6); unref'd so it never keeps the process alive
 setInterval(() => {
   const newFilename = getDailyLogFilename();
   const fileTransport = logger.transports.find(t => t.name === 'file');
   if (fileTransport && fileTransport.filename !== newFilename) {
     fileTransport.filename = newFilename;
   }
-}, 60000); // Check every minute
+}, 60000).unref(); // Check every minute
 
 export default logger;
@@ -68,7 +68,8 @@ export const Tables = {
   CRAWL_RUNS: 'crawl_runs',
   CRAWL_RESULTS: 'crawl_results',
   PROPERTY_STATUS_HISTORY: 'property_status_history',
-  RETRY_QUEUE: 'retry_queue'
+  RETRY_QUEUE: 'retry_queue',
+  EVENT_PARAM_RULES: 'event_param_rules'
 };
 
 /**
@@ -0,0 +1,16 @@
+-- Migration 007: Multi-page validation per property
+-- Created: 2026-10-19
+-- Purpose: Validate page templates (PLP, PDP, cart, search) in addition to the representative URL
+
+-- Additional pages to validate in the same run
+-- Format: [{"type": "pdp", "url": "https://..."}]
+ALTER TABLE properties
+ADD COLUMN IF NOT EXISTS pages JSONB DEFAULT '[]'::jsonb;
+
+-- Per-page validation outcome (representative URL first)
+ALTER TABLE crawl_results
+ADD COLUMN IF NOT EXISTS page_results JSONB DEFAULT NULL;
+
+-- Add comment
+COMMENT ON COLUMN properties.pages IS 'Additional pages to validate: [{"type": "home|plp|pdp|cart|search|other", "url": "..."}]';
+COMMENT ON COLUMN crawl_results.page_results IS 'Per-page validation outcome for multi-page validation';
@@ -0,0 +1,11 @@
+-- Migration 008: Scripted user journeys per property
+-- Created: 2026-10-19
+-- Purpose: Validate GA4 ecommerce events (view_item, add_to_cart, begin_checkout ...) with declarative journeys
+
+-- Journey definitions run in the validation page after the representative URL check
+-- Format: [{"name": "...", "steps": [{"action": "navigate|click|waitForEvent|assert", ...}]}]
+ALTER TABLE properties
+ADD COLUMN IF NOT EXISTS journeys JSONB DEFAULT '[]'::jsonb;
+
+-- Add comment
+COMMENT ON COLUMN properties.journeys IS 'Scripted user journeys: [{"name": "...", "steps": [{"action": "navigate", "url": "..."}, {"action": "waitForEvent", "event": "view_item"}]}]';
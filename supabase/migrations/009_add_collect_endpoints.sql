@@ -0,0 +1,11 @@
+-- Migration 009: Server-side GTM / first-party collect endpoints per property
+-- Created: 2026-10-19
+-- Purpose: Recognize GA4 hits sent to sGTM and first-party collection hosts instead of reporting NO_GA4_EVENTS
+
+-- Endpoint patterns (host with optional path, * as wildcard, /g/collect assumed without path)
+-- Google hosts (www/regionN.google-analytics.com, regionN.analytics.google.com) are always recognized
+ALTER TABLE properties
+ADD COLUMN IF NOT EXISTS collect_endpoints JSONB DEFAULT '[]'::jsonb;
+
+-- Add comment
+COMMENT ON COLUMN properties.collect_endpoints IS 'GA4 collect endpoint patterns for server-side GTM: ["sgtm.brand.com", "*.brand.co.kr", "metrics.brand.com/mc/collect"]';
@@ -0,0 +1,11 @@
+-- Migration 010: Custom CMP selectors for consent scenarios
+-- Created: 2026-10-19
+-- Purpose: Click through consent banners that are not covered by the known CMP selectors
+
+-- Custom consent banner selectors (tried before OneTrust, Cookiebot, CookieFirst ...)
+-- Format: {"banner": "#cookie-banner", "accept": ".btn-accept-all", "reject": ".btn-reject-all"}
+ALTER TABLE properties
+ADD COLUMN IF NOT EXISTS consent_selectors JSONB DEFAULT NULL;
+
+-- Add comment
+COMMENT ON COLUMN properties.consent_selectors IS 'Custom CMP selectors for consent scenarios: {"banner": "...", "accept": "...", "reject": "..."}';
@@ -0,0 +1,11 @@
+-- Migration 011: dataLayer timeline per validation result
+-- Created: 2026-10-19
+-- Purpose: Store every dataLayer push with its position relative to GTM load and GA4 hits
+
+-- Timeline entries: dataLayer pushes, GTM loads and GA4 hits ordered by time
+-- Format: {"entries": [{"kind": "datalayer_push", "offsetMs": 120, "event": "gtm.js", "data": {...}}], "totalPushes": 12, ...}
+ALTER TABLE crawl_results
+ADD COLUMN IF NOT EXISTS datalayer_timeline JSONB;
+
+-- Add comment
+COMMENT ON COLUMN crawl_results.datalayer_timeline IS 'dataLayer push timeline merged with GTM loads and GA4 hits (loaded on demand by the result detail view)';
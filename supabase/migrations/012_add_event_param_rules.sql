@@ -0,0 +1,38 @@
+-- Migration 012: Declarative event parameter rules
+-- Created: 2026-10-19
+-- Purpose: Check GA4 event parameters (ep.*, epn.*, up.*) per property or per account group (brand)
+
+-- Rules are evaluated against captured GA4 hits of the rule's event
+-- e.g. page_view / ep.site_env / equals / "PRD", login / up.member_grade / exists
+CREATE TABLE IF NOT EXISTS event_param_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  -- Scope: a single property or every property of a brand (account group)
+  property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+  brand TEXT,
+
+  -- Rule definition
+  event_name TEXT NOT NULL,
+  param TEXT NOT NULL,
+  operator TEXT NOT NULL CHECK (operator IN ('exists', 'equals', 'not_equals', 'matches', 'one_of', 'equals_property')),
+  expected JSONB,
+  severity TEXT NOT NULL DEFAULT 'warning' CHECK (severity IN ('critical', 'warning', 'info')),
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Timestamps
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT event_param_rules_scope CHECK (property_id IS NOT NULL OR brand IS NOT NULL)
+);
+
+-- Indexes for rule lookup at crawl start
+CREATE INDEX IF NOT EXISTS idx_event_param_rules_property ON event_param_rules(property_id);
+CREATE INDEX IF NOT EXISTS idx_event_param_rules_brand ON event_param_rules(brand);
+
+-- Add comment
+COMMENT ON TABLE event_param_rules IS 'Declarative GA4 event parameter rules evaluated per property or per brand (account group)';
+COMMENT ON COLUMN event_param_rules.param IS 'Parameter path: ep.<name>, epn.<name>, up.<name>, upn.<name> or a top-level hit parameter (dl, dt, cu ...)';
+COMMENT ON COLUMN event_param_rules.expected IS 'Expected value (string), values for one_of (array), regex for matches or property field name for equals_property (e.g. "region")';
+COMMENT ON COLUMN event_param_rules.severity IS 'Severity of the EVENT_PARAM_RULE_FAILED issue raised when the rule fails';
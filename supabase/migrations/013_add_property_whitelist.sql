@@ -0,0 +1,11 @@
+-- Migration 013: Cross-domain whitelist per property
+-- Created: 2026-10-19
+-- Purpose: Validate the GA4 cross-domain linker (_gl) on links to whitelisted domains
+
+-- Domains measured together with the property (CSV 'whitelist' column)
+-- Domains under the property's own registrable domain share the _ga cookie and are not checked
+ALTER TABLE properties
+ADD COLUMN IF NOT EXISTS whitelist JSONB DEFAULT '[]'::jsonb;
+
+-- Add comment
+COMMENT ON COLUMN properties.whitelist IS 'Cross-domain measurement domains: ["brand.example.com", "example-shop.co.kr"]';
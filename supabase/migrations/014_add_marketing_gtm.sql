@@ -0,0 +1,10 @@
+-- Migration 014: Marketing GTM container per property
+-- Created: 2026-10-19
+-- Purpose: Validate the marketing GTM container (CSV '마케팅 GTM' column) next to the primary web GTM
+
+-- Second container expected on the page (media / conversion tags)
+ALTER TABLE properties
+ADD COLUMN IF NOT EXISTS marketing_gtm_id TEXT;
+
+-- Add comment
+COMMENT ON COLUMN properties.marketing_gtm_id IS 'Expected marketing GTM container ID (GTM-XXXXXX), validated separately from expected_gtm_id';
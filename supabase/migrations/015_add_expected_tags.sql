@@ -0,0 +1,11 @@
+-- Migration 015: Expected third-party marketing tags per property
+-- Created: 2026-10-19
+-- Purpose: Report missing / unexpected marketing tags (Meta Pixel, Kakao Pixel, Naver Analytics, Criteo, Google Ads, Floodlight)
+
+-- Tags expected on the representative URL (CSV 'expected_tags' column)
+-- Empty array: the tag inventory is reported without missing / unexpected checks
+ALTER TABLE properties
+ADD COLUMN IF NOT EXISTS expected_tags JSONB DEFAULT '[]'::jsonb;
+
+-- Add comment
+COMMENT ON COLUMN properties.expected_tags IS 'Expected marketing tags as vendor or vendor:ID: ["meta_pixel:123456789012345", "google_ads:AW-123456789", "naver_analytics"]';
@@ -0,0 +1,22 @@
+-- Migration 016: Device and locale validation profiles
+-- Created: 2026-10-19
+-- Purpose: Validate the representative URL on several device / locale profiles (desktop, mobile_ios, mobile_android, desktop_en_us ...)
+
+-- Profiles assigned to the property, primary profile first (empty: desktop)
+ALTER TABLE properties
+ADD COLUMN IF NOT EXISTS profiles JSONB DEFAULT '[]'::jsonb;
+
+-- Run-level profiles overriding the property profiles (NULL: property profiles)
+ALTER TABLE crawl_runs
+ADD COLUMN IF NOT EXISTS profiles JSONB DEFAULT NULL;
+
+-- Profile of the stored result and per-profile outcome (primary profile first)
+ALTER TABLE crawl_results
+ADD COLUMN IF NOT EXISTS validation_profile TEXT DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS profile_results JSONB DEFAULT NULL;
+
+-- Add comment
+COMMENT ON COLUMN properties.profiles IS 'Validation profiles: ["desktop", "mobile_ios", "mobile_android", "desktop_en_us", "desktop_ja_jp", "desktop_zh_cn"]';
+COMMENT ON COLUMN crawl_runs.profiles IS 'Validation profiles requested for the run (overrides properties.profiles)';
+COMMENT ON COLUMN crawl_results.validation_profile IS 'Profile of the full validation (screenshot, journeys, consent scenarios)';
+COMMENT ON COLUMN crawl_results.profile_results IS 'Per-profile outcome of the representative URL when more than one profile is validated';
@@ -0,0 +1,23 @@
+-- Migration 017: Tag timing metrics and latency budgets
+-- Created: 2026-10-19
+-- Purpose: Store navigation / gtm.js / GA4 hit milestones per result and warn when the page_view exceeds the property latency budget
+
+-- Latency budget for the page_view hit (first GA4 hit without page_view), NULL: no budget
+ALTER TABLE properties
+ADD COLUMN IF NOT EXISTS latency_budget_ms INTEGER DEFAULT NULL CHECK (latency_budget_ms IS NULL OR latency_budget_ms > 0);
+
+-- Milestones in milliseconds after navigation start
+ALTER TABLE crawl_results
+ADD COLUMN IF NOT EXISTS navigation_start_at TIMESTAMPTZ DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS dom_content_loaded_ms INTEGER DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS gtm_request_ms INTEGER DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS gtm_response_ms INTEGER DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS first_ga4_hit_ms INTEGER DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS page_view_hit_ms INTEGER DEFAULT NULL;
+
+-- Add comment
+COMMENT ON COLUMN properties.latency_budget_ms IS 'Maximum page_view hit time after navigation start (TAG_LATENCY_BUDGET_EXCEEDED warning when exceeded)';
+COMMENT ON COLUMN crawl_results.navigation_start_at IS 'Navigation start of the representative URL (performance.timeOrigin)';
+COMMENT ON COLUMN crawl_results.gtm_request_ms IS 'First gtm.js request start after navigation start';
+COMMENT ON COLUMN crawl_results.gtm_response_ms IS 'First gtm.js response end after navigation start';
+COMMENT ON COLUMN crawl_results.page_view_hit_ms IS 'First GA4 page_view hit after navigation start';
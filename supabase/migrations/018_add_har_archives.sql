@@ -0,0 +1,16 @@
+-- Migration 018: HAR archives of validation traffic
+-- Created: 2026-10-19
+-- Purpose: Store the recorded network traffic (HAR) of each validation next to its screenshot
+
+-- Path of the HAR archive (gzipped HAR with response bodies) in the 'hars' storage bucket
+ALTER TABLE crawl_results
+ADD COLUMN IF NOT EXISTS har_path TEXT DEFAULT NULL;
+
+-- Private storage bucket for HAR archives (recorded traffic may carry personal data;
+-- downloads go through short-lived signed URLs, cleaned up with the screenshot TTL)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('hars', 'hars', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+-- Add comment
+COMMENT ON COLUMN crawl_results.har_path IS 'HAR archive of the representative URL validation in the private hars bucket (recorded per HAR_RECORDING: all, failed or off)';
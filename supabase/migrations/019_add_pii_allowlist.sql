@@ -0,0 +1,10 @@
+-- Migration 019: PII allowlist
+-- Created: 2026-10-19
+-- Purpose: Per-property exceptions for the GA4 payload PII scanner (PII_IN_PAYLOAD)
+
+-- Allowlist entries: parameter ('ep.cs_email', 'dl:email'), exact value or email domain ('@example.com')
+ALTER TABLE properties
+ADD COLUMN IF NOT EXISTS pii_allowlist JSONB DEFAULT '[]'::jsonb;
+
+-- Add comment
+COMMENT ON COLUMN properties.pii_allowlist IS 'PII scanner exceptions: parameter names, exact values or @domains (masked findings are stored in validation_details.piiLeakage)';
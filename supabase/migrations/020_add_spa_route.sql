@@ -0,0 +1,10 @@
+-- Migration 020: SPA route change check
+-- Created: 2026-10-19
+-- Purpose: Configure a client-side route change per property and check that a fresh page_view with the new location is sent (SPA_PAGE_VIEW_MISSING)
+
+-- Path pushed with history.pushState ('/products', '#/cart') or CSS selector of the link to click, NULL: no check
+ALTER TABLE properties
+ADD COLUMN IF NOT EXISTS spa_route TEXT DEFAULT NULL;
+
+-- Add comment
+COMMENT ON COLUMN properties.spa_route IS 'SPA route change check: path for history.pushState or CSS selector of an in-app link (NULL: disabled)';
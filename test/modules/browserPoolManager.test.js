@@ -7,7 +7,15 @@
 
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { BrowserPool, createStealthPage, processInParallel } from '../../src/modules/browserPoolManager.js';
+import {
+  BrowserPool,
+  createStealthPage,
+  processInParallel,
+  normalizeProfileNames,
+  resolveProfiles,
+  VALIDATION_PROFILES,
+  DEFAULT_PROFILE
+} from '../../src/modules/browserPoolManager.js';
 
 describe('Story 2.1: Browser Pool Setup', () => {
   let browserPool;
@@ -367,3 +375,31 @@ describe('Story 2.1: Browser Pool Setup', () => {
     });
   });
 });
+
+describe('Validation profiles', () => {
+  it('should define desktop, mobile and locale profiles', () => {
+    assert.equal(DEFAULT_PROFILE, 'desktop');
+    assert.equal(VALIDATION_PROFILES.mobile_ios.isMobile, true);
+    assert.equal(VALIDATION_PROFILES.mobile_android.isMobile, true);
+    assert.equal(VALIDATION_PROFILES.desktop_en_us.timezoneId, 'America/New_York');
+  });
+
+  it('should normalize profile names from arrays and CSV values', () => {
+    assert.deepEqual(normalizeProfileNames('Desktop; mobile_ios,desktop'), ['desktop', 'mobile_ios']);
+    assert.deepEqual(normalizeProfileNames(['mobile_android']), ['mobile_android']);
+    assert.deepEqual(normalizeProfileNames(null), []);
+  });
+
+  it('should resolve known profiles and fall back to desktop', () => {
+    assert.deepEqual(resolveProfiles(['mobile_ios', 'unknown', 'desktop']), ['mobile_ios', 'desktop']);
+    assert.deepEqual(resolveProfiles([]), ['desktop']);
+    assert.deepEqual(resolveProfiles(['unknown']), ['desktop']);
+  });
+
+  it('should reject unknown profiles in createStealthPage()', async () => {
+    await assert.rejects(
+      async () => await createStealthPage({}, 'tablet'),
+      { message: /Unknown validation profile: tablet/ }
+    );
+  });
+});
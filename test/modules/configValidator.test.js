@@ -11,11 +11,26 @@ import { describe, it, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
 import {
   validateMeasurementId,
+  validateGTMId,
   validateGTMIdFromHTML,
+  validateGTMEnvironment,
+  isProductionUrl,
   validatePageViewEvent,
+  validateDoubleTagging,
+  validateEcommerceItems,
+  validateConsentSignals,
+  validatePageDiagnostics,
+  validateRedirectChain,
+  validatePiiLeakage,
+  validateJourneys,
+  validatePageViewContext,
+  validateSpaRoute,
+  validateCookies,
   SEVERITY,
-  ISSUE_TYPE
+  ISSUE_TYPE,
+  GTM_CONTAINER_ROLE
 } from '../../src/modules/configValidator.js';
+import { parseGA4Params } from '../../src/modules/networkEventCapturer.js';
 
 describe('validateGTMIdFromHTML - Story 3.3', () => {
   let mockPage;
@@ -744,3 +759,670 @@ describe('validatePageViewEvent - Story 3.4', () => {
     });
   });
 });
+
+describe('validateEcommerceItems - Ecommerce items schema', () => {
+  const ecommerceEvent = (en, params = {}) => ({
+    type: 'ga4_collect',
+    params: { tid: 'G-TEST123456', en, ...params }
+  });
+
+  it('should pass for well-formed ecommerce events', () => {
+    // Arrange
+    const events = [
+      ecommerceEvent('view_item', { cu: 'KRW', items: [{ item_id: 'SKU-1', price: 15000, quantity: 1 }] }),
+      ecommerceEvent('page_view')
+    ];
+
+    // Act
+    const result = validateEcommerceItems(events);
+
+    // Assert
+    assert.equal(result.isValid, true);
+    assert.equal(result.checkedEvents, 1);
+    assert.deepEqual(result.events, [{ name: 'view_item', currency: 'KRW', value: null, itemCount: 1 }]);
+  });
+
+  it('should flag empty items and missing currency', () => {
+    // Arrange
+    const events = [ecommerceEvent('add_to_cart')];
+
+    // Act
+    const result = validateEcommerceItems(events);
+
+    // Assert
+    const types = result.issues.map(i => i.type);
+    assert.equal(result.isValid, false);
+    assert.ok(types.includes(ISSUE_TYPE.ECOMMERCE_ITEMS_EMPTY));
+    assert.ok(types.includes(ISSUE_TYPE.ECOMMERCE_CURRENCY_MISSING));
+    assert.ok(result.issues.every(i => i.severity === SEVERITY.WARNING));
+  });
+
+  it('should flag missing item_id and non-numeric prices', () => {
+    // Arrange
+    const events = [
+      ecommerceEvent('purchase', { cu: 'KRW', items: [{ item_name: 'Cushion', price: '32,000' }] })
+    ];
+
+    // Act
+    const result = validateEcommerceItems(events);
+
+    // Assert
+    const types = result.issues.map(i => i.type);
+    assert.deepEqual(types.sort(), [ISSUE_TYPE.ECOMMERCE_ITEM_ID_MISSING, ISSUE_TYPE.ECOMMERCE_PRICE_INVALID].sort());
+  });
+
+  it('should aggregate repeated findings per event name', () => {
+    // Arrange
+    const events = [ecommerceEvent('view_item'), ecommerceEvent('view_item')];
+
+    // Act
+    const result = validateEcommerceItems(events);
+
+    // Assert
+    const itemsEmpty = result.issues.find(i => i.type === ISSUE_TYPE.ECOMMERCE_ITEMS_EMPTY);
+    assert.equal(itemsEmpty.count, 2);
+  });
+
+  it('should not require currency on list events', () => {
+    const result = validateEcommerceItems([
+      ecommerceEvent('view_item_list', { items: [{ item_id: 'SKU-1' }] })
+    ]);
+    assert.equal(result.isValid, true);
+  });
+});
+
+describe('validateConsentSignals - Consent Mode v2', () => {
+  const hit = (query) => ({
+    type: 'ga4_collect',
+    source: 'cdp',
+    params: parseGA4Params(`https://www.google-analytics.com/g/collect?v=2&tid=G-TEST123456&en=page_view${query}`)
+  });
+
+  it('should decode the latest consent states from gcs and gcd', () => {
+    // Arrange
+    const events = [hit('&gcs=G100&gcd=13p3p3p3p5l1'), hit('&gcs=G111&gcd=13r3r3r3r5l1')];
+
+    // Act
+    const result = validateConsentSignals({ hasConsentMode: true }, events);
+
+    // Assert
+    assert.equal(result.isValid, true);
+    assert.equal(result.hitsWithSignals, 2);
+    assert.deepEqual(result.states, {
+      ad_storage: 'granted',
+      analytics_storage: 'granted',
+      ad_user_data: 'granted',
+      ad_personalization: 'granted'
+    });
+    assert.equal(result.defaults.ad_user_data, 'denied');
+    assert.deepEqual(result.gcs, ['G100', 'G111']);
+  });
+
+  it('should flag hits without ad_user_data / ad_personalization', () => {
+    // Arrange
+    const events = [hit('&gcs=G100&gcd=13p3p2l2l5l1')];
+
+    // Act
+    const result = validateConsentSignals({}, events);
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.CONSENT_MODE_V2_SIGNALS_MISSING);
+    assert.equal(result.issues[0].severity, SEVERITY.WARNING);
+    assert.match(result.issues[0].message, /ad_user_data, ad_personalization/);
+  });
+
+  it('should flag consent mode properties whose hits carry only gcs', () => {
+    const result = validateConsentSignals({ hasConsentMode: true }, [hit('&gcs=G111')]);
+
+    assert.equal(result.isValid, false);
+    assert.equal(result.states.analytics_storage, 'granted');
+    assert.equal(result.states.ad_user_data, null);
+  });
+
+  it('should skip properties without consent mode', () => {
+    const result = validateConsentSignals({ hasConsentMode: false }, [hit('')]);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.usesConsentMode, false);
+    assert.equal(result.states, null);
+  });
+});
+
+describe('validateDoubleTagging - Double tagging', () => {
+  const pageView = (tid, dl = 'https://example.com/') => ({
+    type: 'ga4_collect',
+    source: 'cdp',
+    params: parseGA4Params(`https://www.google-analytics.com/g/collect?v=2&tid=${tid}&en=page_view&dl=${encodeURIComponent(dl)}`)
+  });
+  const gtmLoad = (id) => ({ type: 'gtm_load', params: { id } });
+  const configCall = (id, config = {}) => ({ kind: 'datalayer_push', event: 'gtag:config', data: ['config', id, config] });
+
+  it('should flag duplicate page_view for the same measurement ID and page', () => {
+    // Arrange
+    const events = [pageView('G-TEST123456'), pageView('G-TEST123456'), pageView('G-OTHER00001')];
+
+    // Act
+    const result = validateDoubleTagging(events);
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.DOUBLE_TAGGING);
+    assert.equal(result.issues[0].severity, SEVERITY.CRITICAL);
+    assert.equal(result.issues[0].kind, 'page_view');
+    assert.equal(result.issues[0].measurementId, 'G-TEST123456');
+  });
+
+  it('should not flag page_views for different page locations (SPA navigation)', () => {
+    const events = [pageView('G-TEST123456', 'https://example.com/'), pageView('G-TEST123456', 'https://example.com/cart')];
+
+    const result = validateDoubleTagging(events);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.pageViews.length, 2);
+  });
+
+  it('should not flag the same page_view sent to Google and to a server-side GTM endpoint', () => {
+    const events = [
+      { ...pageView('G-TEST123456'), endpointType: 'google' },
+      { ...pageView('G-TEST123456'), endpointType: 'server_side' }
+    ];
+
+    const result = validateDoubleTagging(events);
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.pageViews.map(pv => pv.endpointType), ['google', 'server_side']);
+  });
+
+  it('should flag a GTM container loaded twice', () => {
+    const events = [gtmLoad('GTM-ABC123'), gtmLoad('GTM-ABC123'), { ...gtmLoad('GTM-ABC123'), source: 'mutation_observer' }];
+
+    const result = validateDoubleTagging(events);
+
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].kind, 'gtm_container');
+    assert.deepEqual(result.gtmContainers, [{ id: 'GTM-ABC123', count: 2 }]);
+  });
+
+  it('should flag duplicate gtag config calls but ignore settings updates', () => {
+    // Arrange
+    const timeline = {
+      entries: [
+        configCall('G-TEST123456'),
+        configCall('G-TEST123456'),
+        configCall('G-OTHER00001'),
+        configCall('G-OTHER00001', { send_page_view: false })
+      ]
+    };
+
+    // Act
+    const result = validateDoubleTagging([], timeline);
+
+    // Assert
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].kind, 'gtag_config');
+    assert.match(result.issues[0].message, /G-TEST123456/);
+  });
+});
+
+describe('validateGTMId - Web and marketing GTM containers', () => {
+  const gtmLoad = (id) => ({ type: 'gtm_load', params: { id } });
+
+  it('should pass when both web and marketing containers are loaded', () => {
+    // Arrange
+    const property = { webGtmId: 'GTM-WEB001', marketingGtm: 'gtm-mkt001' };
+    const events = [gtmLoad('GTM-WEB001'), gtmLoad('GTM-MKT001')];
+
+    // Act
+    const result = validateGTMId(property, events);
+
+    // Assert
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.containers, [
+      { id: 'GTM-WEB001', role: GTM_CONTAINER_ROLE.WEB, found: true },
+      { id: 'GTM-MKT001', role: GTM_CONTAINER_ROLE.MARKETING, found: true }
+    ]);
+    assert.deepEqual(result.unexpected, []);
+  });
+
+  it('should raise MARKETING_GTM_NOT_FOUND when the marketing container is missing', () => {
+    const property = { webGtmId: 'GTM-WEB001', marketingGtm: 'GTM-MKT001' };
+
+    const result = validateGTMId(property, [gtmLoad('GTM-WEB001')]);
+
+    assert.equal(result.isValid, false);
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.MARKETING_GTM_NOT_FOUND);
+    assert.equal(result.issues[0].severity, SEVERITY.CRITICAL);
+    assert.equal(result.containers[1].found, false);
+  });
+
+  it('should report unexpected containers as info without failing validation', () => {
+    const property = { webGtmId: 'GTM-WEB001', marketingGtm: '-' };
+
+    const result = validateGTMId(property, [gtmLoad('GTM-WEB001'), gtmLoad('GTM-AGENCY1')]);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.containers.length, 1);
+    assert.deepEqual(result.unexpected, ['GTM-AGENCY1']);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.GTM_UNEXPECTED_CONTAINER);
+    assert.equal(result.issues[0].severity, SEVERITY.INFO);
+  });
+
+  it('should not compare containers without a web GTM (gtmContainerId only)', () => {
+    const property = { gtmContainerId: 'GTM-WEB001' };
+
+    const result = validateGTMId(property, [gtmLoad('GTM-WEB001'), gtmLoad('GTM-AGENCY1')]);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.expected, null);
+    assert.deepEqual(result.containers, []);
+    assert.deepEqual(result.issues, []);
+  });
+});
+
+describe('validateGTMEnvironment - GTM environment and dataLayer name', () => {
+  const gtmLoad = (query) => ({
+    type: 'gtm_load',
+    params: Object.fromEntries(new URLSearchParams(query))
+  });
+
+  it('should flag a non-live environment on a production URL with the environment ID', () => {
+    // Arrange
+    const events = [gtmLoad('id=GTM-ABC123&gtm_auth=aBcD123&gtm_preview=env-5')];
+
+    // Act
+    const result = validateGTMEnvironment(events, 'https://www.example.com/');
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.GTM_ENVIRONMENT_NOT_LIVE);
+    assert.equal(result.issues[0].severity, SEVERITY.CRITICAL);
+    assert.equal(result.issues[0].environmentId, 'env-5');
+    assert.match(result.issues[0].message, /env-5/);
+  });
+
+  it('should flag a custom dataLayer name as a warning', () => {
+    const result = validateGTMEnvironment([gtmLoad('id=GTM-ABC123&l=myDataLayer')], 'https://www.example.com/');
+
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.GTM_CUSTOM_DATALAYER_NAME);
+    assert.equal(result.issues[0].severity, SEVERITY.WARNING);
+    assert.equal(result.issues[0].actual, 'myDataLayer');
+  });
+
+  it('should not flag environments on non-production URLs', () => {
+    const result = validateGTMEnvironment(
+      [gtmLoad('id=GTM-ABC123&gtm_auth=aBcD123&gtm_preview=env-5&l=myDataLayer')],
+      'https://stg-www.example.com/'
+    );
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.isProduction, false);
+    assert.equal(result.containers[0].environmentId, 'env-5');
+  });
+
+  it('should pass the standard snippet with l=dataLayer', () => {
+    const result = validateGTMEnvironment([gtmLoad('id=GTM-ABC123&l=dataLayer')], 'https://www.example.com/');
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.containers.length, 1);
+  });
+});
+
+describe('isProductionUrl', () => {
+  it('should detect non-production hosts', () => {
+    assert.equal(isProductionUrl('https://www.example.co.kr/'), true);
+    assert.equal(isProductionUrl('https://dev.example.com/'), false);
+    assert.equal(isProductionUrl('https://qa2.example.com/'), false);
+    assert.equal(isProductionUrl('http://localhost:3000/'), false);
+    assert.equal(isProductionUrl('http://10.0.0.1/'), false);
+    assert.equal(isProductionUrl('https://www.devon-shop.com/'), true);
+  });
+});
+
+describe('validatePageDiagnostics', () => {
+  it('should report a CSP block of gtm.js as the root cause of a missing container', () => {
+    // Arrange
+    const diagnostics = {
+      cspViolations: [{
+        blockedURI: 'https://www.googletagmanager.com/gtm.js?id=GTM-ABC123',
+        effectiveDirective: 'script-src-elem',
+        disposition: 'enforce',
+        target: 'gtm'
+      }],
+      failedRequests: []
+    };
+
+    // Act
+    const result = validatePageDiagnostics(diagnostics, { gtmLoaded: false, ga4Sent: false });
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.GTM_BLOCKED_BY_CSP);
+    assert.equal(result.issues[0].severity, SEVERITY.CRITICAL);
+    assert.equal(result.issues[0].directive, 'script-src-elem');
+    assert.equal(result.issues[0].replaces, ISSUE_TYPE.GTM_ID_MISMATCH);
+  });
+
+  it('should report failed GA4 hits as a warning when other hits were sent', () => {
+    const diagnostics = {
+      failedRequests: [
+        { target: 'ga4', url: 'https://region1.google-analytics.com/g/collect?v=2', errorText: 'net::ERR_CONNECTION_RESET' },
+        { target: 'ga4', url: 'https://region1.google-analytics.com/g/collect?v=2', errorText: 'net::ERR_ABORTED' }
+      ]
+    };
+
+    const result = validatePageDiagnostics(diagnostics, { gtmLoaded: true, ga4Sent: true });
+
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.GA4_REQUEST_FAILED);
+    assert.equal(result.issues[0].severity, SEVERITY.WARNING);
+    assert.equal(result.issues[0].replaces, undefined);
+  });
+
+  it('should treat ERR_BLOCKED_BY_CSP failures as CSP blocks and ignore report-only violations', () => {
+    const diagnostics = {
+      cspViolations: [{ blockedURI: 'https://www.google-analytics.com/g/collect', disposition: 'report', target: 'ga4' }],
+      failedRequests: [{ target: 'gtm', url: 'https://www.googletagmanager.com/gtm.js?id=GTM-ABC123', errorText: 'net::ERR_BLOCKED_BY_CSP' }]
+    };
+
+    const result = validatePageDiagnostics(diagnostics, { gtmLoaded: false, ga4Sent: true });
+
+    assert.deepEqual(result.issues.map(issue => issue.type), [ISSUE_TYPE.GTM_BLOCKED_BY_CSP]);
+  });
+
+  it('should flag page errors when GTM did not load for another reason', () => {
+    const diagnostics = { pageErrors: [{ message: "Cannot read properties of undefined (reading 'push')" }] };
+
+    const withoutGtm = validatePageDiagnostics(diagnostics, { gtmLoaded: false, ga4Sent: false });
+    const withGtm = validatePageDiagnostics(diagnostics, { gtmLoaded: true, ga4Sent: true });
+
+    assert.equal(withoutGtm.issues[0].type, ISSUE_TYPE.SCRIPT_ERROR_BEFORE_GTM);
+    assert.equal(withoutGtm.issues[0].severity, SEVERITY.WARNING);
+    assert.equal(withGtm.isValid, true);
+  });
+
+  it('should pass without diagnostics', () => {
+    assert.equal(validatePageDiagnostics(null).isValid, true);
+  });
+});
+
+describe('validateRedirectChain', () => {
+  const property = {
+    representativeUrl: 'https://www.example.com/',
+    whitelist: ['example-pay.com']
+  };
+
+  it('should flag a redirect to a domain outside the property domain and whitelist', () => {
+    // Arrange
+    const redirectChain = {
+      requestedUrl: 'https://www.example.com/',
+      finalUrl: 'https://www.parked-domain.com/',
+      finalHost: 'www.parked-domain.com',
+      hops: [{ type: 'http', url: 'https://www.example.com/', status: 301, location: 'https://www.parked-domain.com/' }],
+      redirectCount: 1
+    };
+
+    // Act
+    const result = validateRedirectChain(property, 'https://www.example.com/', redirectChain);
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.UNEXPECTED_FINAL_DOMAIN);
+    assert.equal(result.issues[0].severity, SEVERITY.CRITICAL);
+    assert.equal(result.issues[0].actual, 'https://www.parked-domain.com/');
+    assert.deepEqual(result.allowedDomains, ['example.com', 'example-pay.com']);
+  });
+
+  it('should pass redirects to subdomains and whitelisted domains', () => {
+    const toSubdomain = validateRedirectChain(property, 'https://www.example.com/', {
+      finalUrl: 'https://m.example.com/',
+      finalHost: 'm.example.com',
+      hops: [],
+      redirectCount: 1
+    });
+    const toWhitelist = validateRedirectChain(property, 'https://www.example.com/', {
+      finalUrl: 'https://www.example-pay.com/',
+      finalHost: 'www.example-pay.com',
+      hops: [],
+      redirectCount: 1
+    });
+
+    assert.equal(toSubdomain.isValid, true);
+    assert.equal(toWhitelist.isValid, true);
+  });
+
+  it('should pass without a redirect chain', () => {
+    const result = validateRedirectChain(property, 'https://www.example.com/', null);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.redirectCount, 0);
+  });
+});
+
+describe('validatePiiLeakage', () => {
+  const ga4Hit = (en, params) => ({ type: 'ga4_collect', params: { en, customParams: {}, userProperties: {}, ...params } });
+
+  it('should report a critical PII_IN_PAYLOAD issue with the masked value', () => {
+    // Arrange
+    const events = [
+      ga4Hit('page_view', { dl: 'https://www.example.com/join/complete?email=jane.doe%40gmail.com' }),
+      ga4Hit('sign_up', { dl: 'https://www.example.com/join/complete?email=jane.doe%40gmail.com' })
+    ];
+
+    // Act
+    const result = validatePiiLeakage({}, events);
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.PII_IN_PAYLOAD);
+    assert.equal(result.issues[0].severity, SEVERITY.CRITICAL);
+    assert.equal(result.issues[0].param, 'dl:email');
+    assert.equal(result.issues[0].actual, 'j***@gmail.com');
+    assert.deepEqual(result.issues[0].events, ['page_view', 'sign_up']);
+    assert.ok(!JSON.stringify(result).includes('jane.doe'));
+  });
+
+  it('should skip allowlisted parameters and domains of the property', () => {
+    const events = [
+      ga4Hit('page_view', { customParams: { cs_email: 'help@example.com', contact: 'press@example.com' } })
+    ];
+
+    const result = validatePiiLeakage({ piiAllowlist: ['ep.cs_email', '@example.com'] }, events);
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.findings, []);
+  });
+
+  it('should scan events captured during journeys', () => {
+    const journeyEvents = [ga4Hit('purchase', { userProperties: { phone: '010-1234-5678' } })];
+
+    const result = validateJourneys([], journeyEvents, {});
+
+    assert.equal(result.isValid, false);
+    assert.equal(result.piiLeakage.issues[0].param, 'up.phone');
+    assert.equal(result.piiLeakage.issues[0].actual, '010**********');
+  });
+});
+
+describe('validatePageViewContext', () => {
+  const pageView = (dl, dt, pageContext) => ({
+    type: 'ga4_collect',
+    params: { en: 'page_view', tid: 'G-TEST123', dl, dt },
+    pageContext
+  });
+
+  it('should report a stale dl and a shell title', () => {
+    // Arrange
+    const events = [
+      pageView('https://www.example.com/', 'Example Shop', { url: 'https://www.example.com/products/123', title: 'Lipstick | Example Shop' })
+    ];
+
+    // Act
+    const result = validatePageViewContext(events);
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.issues.map(issue => issue.type), [ISSUE_TYPE.PAGE_VIEW_LOCATION_MISMATCH, ISSUE_TYPE.TITLE_MISMATCH]);
+    assert.equal(result.issues[0].expected, 'https://www.example.com/products/123');
+    assert.equal(result.issues[0].actual, 'https://www.example.com/');
+    assert.equal(result.issues[1].severity, SEVERITY.WARNING);
+  });
+
+  it('should ignore the fragment, _gl, trailing slashes and whitespace', () => {
+    const events = [
+      pageView('https://www.example.com/shop/?b=2&a=1', 'Example  Shop', { url: 'https://www.example.com/shop?a=1&b=2&_gl=1*abc#top', title: 'Example Shop ' })
+    ];
+
+    const result = validatePageViewContext(events);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.checkedPageViews, 1);
+  });
+
+  it('should skip page_views without a page context', () => {
+    const result = validatePageViewContext([pageView('https://www.example.com/a', 'A', undefined)]);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.checkedPageViews, 0);
+  });
+});
+
+describe('validateSpaRoute', () => {
+  const checkResult = (overrides) => ({
+    mode: 'push_state',
+    target: '/products',
+    fromUrl: 'https://www.example.com/',
+    toUrl: 'https://www.example.com/products',
+    ga4Hits: 0,
+    pageViews: [],
+    hits: [],
+    error: null,
+    ...overrides
+  });
+
+  it('should report a critical SPA_PAGE_VIEW_MISSING without a page_view', () => {
+    const result = validateSpaRoute(checkResult({ ga4Hits: 1 }));
+
+    assert.equal(result.isValid, false);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.SPA_PAGE_VIEW_MISSING);
+    assert.equal(result.issues[0].severity, SEVERITY.CRITICAL);
+    assert.equal(result.issues[0].actual, '1 GA4 hit(s), no page_view');
+    assert.equal(result.hits, undefined);
+  });
+
+  it('should report a stale page_view once', () => {
+    const hit = {
+      type: 'ga4_collect',
+      params: { en: 'page_view', dl: 'https://www.example.com/', dt: 'Shop' },
+      pageContext: { url: 'https://www.example.com/products', title: 'Shop' }
+    };
+
+    const result = validateSpaRoute(checkResult({
+      pageViews: [{ measurementId: null, documentLocation: 'https://www.example.com/', documentTitle: 'Shop' }],
+      hits: [hit]
+    }));
+
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.SPA_PAGE_VIEW_MISSING);
+    assert.match(result.issues[0].message, /still reports https:\/\/www\.example\.com\//);
+  });
+
+  it('should pass a fresh page_view and warn when the route change failed', () => {
+    const passed = validateSpaRoute(checkResult({
+      pageViews: [{ measurementId: null, documentLocation: 'https://www.example.com/products', documentTitle: 'Products' }]
+    }));
+    const failed = validateSpaRoute(checkResult({ mode: 'click', target: 'a.nav-products', error: 'Timeout 5000ms exceeded' }));
+
+    assert.equal(passed.isValid, true);
+    assert.equal(failed.issues[0].severity, SEVERITY.WARNING);
+    assert.equal(validateSpaRoute(null).isValid, true);
+  });
+
+  it('should report and mask PII in the page_view of the new route', () => {
+    // Arrange
+    const toUrl = 'https://www.example.com/products?email=jane.doe%40gmail.com';
+    const hit = {
+      type: 'ga4_collect',
+      params: { en: 'page_view', dl: toUrl, dt: 'Products' },
+      pageContext: { url: toUrl, title: 'Products' }
+    };
+
+    // Act
+    const result = validateSpaRoute(checkResult({
+      toUrl,
+      pageViews: [{ measurementId: null, documentLocation: toUrl, documentTitle: 'Products' }],
+      hits: [hit]
+    }), {});
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.issues.map(issue => issue.type), [ISSUE_TYPE.PII_IN_PAYLOAD]);
+    assert.equal(result.toUrl, 'https://www.example.com/products?email=j***@gmail.com');
+    assert.equal(result.pageViews[0].documentLocation, 'https://www.example.com/products?email=j***@gmail.com');
+    assert.equal(result.pageViewContext.pageViews[0].documentLocation, 'https://www.example.com/products?email=j***@gmail.com');
+    assert.doesNotMatch(JSON.stringify(result), /jane\.doe/);
+  });
+});
+
+describe('validateCookies', () => {
+  const property = { measurementId: 'G-TEST123' };
+  const events = [{ type: 'ga4_collect', params: { en: 'page_view', tid: 'G-TEST123', cid: '111.222' } }];
+  const expires = Date.now() / 1000 + 730 * 24 * 60 * 60;
+
+  it('should report www-only cookies, a session cookie expiry and a cid mismatch', () => {
+    // Arrange
+    const cookies = [
+      { name: '_ga', value: 'GA1.1.333.444', domain: 'www.example.com', expires },
+      { name: '_ga_TEST123', value: 'GS2.1.s1700000000$o1', domain: 'www.example.com', expires: -1 }
+    ];
+
+    // Act
+    const result = validateCookies(property, 'https://www.example.com/', events, cookies);
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.equal(result.inspected, true);
+    assert.deepEqual(result.issues.map(issue => issue.type), [
+      ISSUE_TYPE.GA_COOKIE_DOMAIN_MISMATCH,
+      ISSUE_TYPE.GA_COOKIE_DOMAIN_MISMATCH,
+      ISSUE_TYPE.GA_COOKIE_EXPIRY_SHORT,
+      ISSUE_TYPE.GA_COOKIE_CID_MISMATCH
+    ]);
+    assert.equal(result.issues[0].expected, '.example.com');
+    assert.equal(result.issues[3].expected, '333.444');
+  });
+
+  it('should report missing cookies', () => {
+    const result = validateCookies(property, 'https://www.example.com/', events, []);
+
+    assert.equal(result.issues[0].type, ISSUE_TYPE.GA_COOKIE_MISSING);
+    assert.equal(result.issues[0].severity, SEVERITY.CRITICAL);
+    assert.equal(result.issues[1].type, ISSUE_TYPE.GA_SESSION_COOKIE_MISSING);
+  });
+
+  it('should pass cookies on the registrable domain', () => {
+    const cookies = [
+      { name: '_ga', value: 'GA1.2.111.222', domain: '.example.com', expires },
+      { name: '_ga_TEST123', value: 'GS1.1.1700000000.1.1.1700000100.0.0.0', domain: '.example.com', expires }
+    ];
+
+    const result = validateCookies(property, 'https://www.example.com/', events, cookies);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.clientId, '111.222');
+  });
+
+  it('should skip the check without cookies, hits or analytics consent', () => {
+    const denied = [{ type: 'ga4_collect', params: { tid: 'G-TEST123', cid: '1.2', consent: { analytics_storage: 'denied' } } }];
+
+    assert.equal(validateCookies(property, 'https://www.example.com/', events, null).inspected, false);
+    assert.equal(validateCookies(property, 'https://www.example.com/', [], []).isValid, true);
+    assert.equal(validateCookies(property, 'https://www.example.com/', denied, []).isValid, true);
+  });
+});
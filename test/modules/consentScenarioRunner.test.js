@@ -0,0 +1,140 @@
+/**
+ * Consent Scenario Runner Module Tests
+ *
+ * Tests for consent scenario results (no interaction / accept all / reject all)
+ * and Consent Mode inference from the scenario comparison
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildScenarioResult,
+  getCmpCandidates,
+  CMP_SELECTORS,
+  CONSENT_SCENARIO
+} from '../../src/modules/consentScenarioRunner.js';
+import {
+  validateConsentScenarios,
+  ISSUE_TYPE,
+  SEVERITY,
+  CONSENT_MODE_TYPE
+} from '../../src/modules/configValidator.js';
+import { parseGA4Params } from '../../src/modules/networkEventCapturer.js';
+
+/**
+ * Create a captured GA4 hit with optional consent parameters
+ */
+function ga4Hit(en, query = '') {
+  return {
+    type: 'ga4_collect',
+    params: parseGA4Params(`https://www.google-analytics.com/g/collect?v=2&tid=G-TEST123456&en=${en}${query}`)
+  };
+}
+
+const oneTrust = CMP_SELECTORS.find(cmp => cmp.name === 'OneTrust');
+
+describe('consentScenarioRunner', () => {
+  describe('buildScenarioResult()', () => {
+    it('should summarize hits, consent states and Google cookies', () => {
+      // Arrange
+      const events = [ga4Hit('page_view', '&gcs=G100'), ga4Hit('scroll', '&gcs=G111')];
+      const cookies = [{ name: '_ga' }, { name: 'OptanonConsent' }, { name: '_ga_TEST123456' }];
+
+      // Act
+      const result = buildScenarioResult(CONSENT_SCENARIO.ACCEPT, oneTrust, true, events, cookies);
+
+      // Assert
+      assert.equal(result.cmp, 'OneTrust');
+      assert.equal(result.ga4Hits, 2);
+      assert.deepEqual(result.eventNames, ['page_view', 'scroll']);
+      assert.equal(result.consent.analytics_storage, 'granted');
+      assert.deepEqual(result.gcs, ['G100', 'G111']);
+      assert.deepEqual(result.googleCookies, ['_ga', '_ga_TEST123456']);
+      assert.equal(result.error, null);
+    });
+  });
+
+  describe('getCmpCandidates()', () => {
+    it('should try custom selectors before known CMPs', () => {
+      const candidates = getCmpCandidates({ consentSelectors: { accept: '.agree', reject: '.disagree' } });
+
+      assert.equal(candidates[0].name, 'custom');
+      assert.equal(candidates[0].banner, '.agree');
+      assert.equal(candidates.length, CMP_SELECTORS.length + 1);
+    });
+
+    it('should use known CMPs when no custom selectors are configured', () => {
+      assert.equal(getCmpCandidates({ consentSelectors: null }), CMP_SELECTORS);
+    });
+  });
+});
+
+describe('validateConsentScenarios()', () => {
+  const scenario = (name, events, cookies = [], clicked = name !== 'none') =>
+    buildScenarioResult(name, oneTrust, clicked, events, cookies.map(cookieName => ({ name: cookieName })));
+
+  it('should infer Consent Mode Basic when hits only appear after accept', () => {
+    // Arrange
+    const results = [
+      scenario('none', []),
+      scenario('accept', [ga4Hit('page_view', '&gcs=G111')], ['_ga']),
+      scenario('reject', [])
+    ];
+
+    // Act
+    const result = validateConsentScenarios(results);
+
+    // Assert
+    assert.equal(result.isValid, true);
+    assert.equal(result.mode, CONSENT_MODE_TYPE.BASIC);
+    assert.equal(result.cmp, 'OneTrust');
+    assert.deepEqual(result.comparison.ga4Hits, { none: 0, accept: 1, reject: 0 });
+    assert.deepEqual(result.comparison.cookiesOnlyAfterAccept, ['_ga']);
+  });
+
+  it('should infer Consent Mode Advanced from denied pings after reject', () => {
+    const results = [
+      scenario('none', [ga4Hit('page_view', '&gcs=G100')]),
+      scenario('accept', [ga4Hit('page_view', '&gcs=G111')], ['_ga']),
+      scenario('reject', [ga4Hit('page_view', '&gcs=G100')])
+    ];
+
+    const result = validateConsentScenarios(results);
+
+    assert.equal(result.mode, CONSENT_MODE_TYPE.ADVANCED);
+    assert.equal(result.isValid, true);
+  });
+
+  it('should flag reject all when Google cookies are still set', () => {
+    // Arrange
+    const results = [
+      scenario('none', [ga4Hit('page_view')], ['_ga']),
+      scenario('accept', [ga4Hit('page_view')], ['_ga']),
+      scenario('reject', [ga4Hit('page_view')], ['_ga'])
+    ];
+
+    // Act
+    const result = validateConsentScenarios(results);
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.equal(result.mode, CONSENT_MODE_TYPE.NOT_IMPLEMENTED);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.CONSENT_REJECT_NOT_RESPECTED);
+    assert.equal(result.issues[0].severity, SEVERITY.CRITICAL);
+    assert.match(result.issues[0].message, /_ga/);
+  });
+
+  it('should not flag reject when the banner could not be clicked', () => {
+    const results = [
+      scenario('none', [ga4Hit('page_view')], ['_ga']),
+      { ...scenario('reject', [ga4Hit('page_view')], ['_ga'], false), error: 'Consent banner not found' }
+    ];
+
+    const result = validateConsentScenarios(results);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.mode, CONSENT_MODE_TYPE.NOT_IMPLEMENTED);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Cookie Inspector Module Tests
+ *
+ * Tests for _ga / _ga_<stream> cookie parsing and inspection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  inspectGA4Cookies,
+  getSessionCookieName,
+  parseClientIdCookie,
+  parseSessionCookie
+} from '../../src/modules/cookieInspector.js';
+
+const NOW = Date.parse('2026-10-19T00:00:00Z');
+const inDays = (days) => NOW / 1000 + days * 24 * 60 * 60;
+
+describe('cookieInspector', () => {
+  describe('cookie value parsing', () => {
+    it('should parse _ga and both session cookie formats', () => {
+      assert.deepEqual(parseClientIdCookie('GA1.2.1234567890.1700000000'), { domainLevel: 2, clientId: '1234567890.1700000000' });
+      assert.deepEqual(parseSessionCookie('GS1.1.1700000000.3.1.1700000100.0.0.0'), { version: 1, sessionId: '1700000000' });
+      assert.deepEqual(parseSessionCookie('GS2.1.s1700000000$o3$g1$t1700000100$j0$l0$h0'), { version: 2, sessionId: '1700000000' });
+      assert.equal(parseClientIdCookie('amp-abc'), null);
+      assert.equal(getSessionCookieName('G-TEST123'), '_ga_TEST123');
+      assert.equal(getSessionCookieName(null), null);
+    });
+  });
+
+  describe('inspectGA4Cookies()', () => {
+    it('should pick the cookies of the registrable domain and collect hit cids', () => {
+      // Arrange
+      const cookies = [
+        { name: '_ga', value: 'GA1.3.111.222', domain: 'www.example.co.kr', expires: inDays(730) },
+        { name: '_ga', value: 'GA1.2.333.444', domain: '.example.co.kr', expires: inDays(730) },
+        { name: '_ga_TEST123', value: 'GS2.1.s1700000000$o1', domain: '.example.co.kr', expires: -1 },
+        { name: '_ga_OTHER99', value: 'GS2.1.s1700000001$o1', domain: '.example.co.kr', expires: inDays(730) }
+      ];
+      const events = [
+        { type: 'ga4_collect', params: { tid: 'G-TEST123', cid: '333.444', sid: '1700000000' } },
+        { type: 'ga4_collect', params: { tid: 'G-OTHER99', cid: '999.999' } }
+      ];
+
+      // Act
+      const report = inspectGA4Cookies(cookies, { measurementId: 'G-TEST123', pageUrl: 'https://www.example.co.kr/', events, now: NOW });
+
+      // Assert
+      assert.equal(report.expectedDomain, 'example.co.kr');
+      assert.equal(report.cookies.length, 3);
+      assert.equal(report.cookies[0].onExpectedDomain, false);
+      assert.equal(report.clientId, '333.444');
+      assert.equal(report.sessionId, '1700000000');
+      assert.equal(report.sessionCookie.expiresInDays, null);
+      assert.equal(report.clientIdCookie.expiresInDays, 730);
+      assert.deepEqual(report.hitClientIds, ['333.444']);
+      assert.equal(report.ga4Hits, 1);
+      assert.equal(report.analyticsStorageDenied, false);
+    });
+
+    it('should flag hits sent with analytics_storage denied', () => {
+      const events = [{ type: 'ga4_collect', params: { tid: 'G-TEST123', cid: '1.2', consent: { analytics_storage: 'denied' } } }];
+
+      const report = inspectGA4Cookies([], { measurementId: 'G-TEST123', pageUrl: 'https://www.example.com/', events, now: NOW });
+
+      assert.equal(report.analyticsStorageDenied, true);
+      assert.equal(report.clientIdCookie, null);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Cross-Domain Validator Module Tests
+ *
+ * Tests for whitelisted linker targets, _gl detection and the
+ * CROSS_DOMAIN_LINKER_FAILED issues raised by the validator
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getBaseDomain,
+  getLinkerTargets,
+  hasLinkerParam,
+  CROSS_DOMAIN_STATUS
+} from '../../src/modules/crossDomainValidator.js';
+import {
+  validateCrossDomain,
+  ISSUE_TYPE,
+  SEVERITY
+} from '../../src/modules/configValidator.js';
+
+/**
+ * Create a cross-domain check result
+ */
+function checkResult(overrides = {}) {
+  return {
+    status: CROSS_DOMAIN_STATUS.CHECKED,
+    domains: ['aritaum.com'],
+    domain: 'aritaum.com',
+    linkUrl: 'https://www.aritaum.com/',
+    decoratedUrl: 'https://www.aritaum.com/?_gl=1*abc*_ga*MTIzLjQ1Ng..',
+    hasLinker: true,
+    sourceClientId: '123.456',
+    destinationClientId: '123.456',
+    destinationHits: 1,
+    clientIdPreserved: true,
+    error: null,
+    ...overrides
+  };
+}
+
+describe('crossDomainValidator', () => {
+  describe('getBaseDomain()', () => {
+    it('should return the registrable domain', () => {
+      assert.equal(getBaseDomain('www.amoremall.com'), 'amoremall.com');
+      assert.equal(getBaseDomain('m.laboh.co.kr'), 'laboh.co.kr');
+      assert.equal(getBaseDomain('osulloc.com'), 'osulloc.com');
+    });
+  });
+
+  describe('getLinkerTargets()', () => {
+    it('should skip domains sharing the source cookie domain', () => {
+      const targets = getLinkerTargets('amoremall.com,brand.amoremall.com,aritaum.com', 'www.amoremall.com');
+
+      assert.deepEqual(targets, ['aritaum.com']);
+    });
+  });
+
+  describe('hasLinkerParam()', () => {
+    it('should detect _gl in the query string or fragment', () => {
+      assert.equal(hasLinkerParam('https://www.aritaum.com/?_gl=1*abc'), true);
+      assert.equal(hasLinkerParam('https://www.aritaum.com/#_gl=1*abc'), true);
+      assert.equal(hasLinkerParam('https://www.aritaum.com/?gl=1'), false);
+    });
+  });
+});
+
+describe('validateCrossDomain()', () => {
+  it('should pass when _gl is present and the client ID is preserved', () => {
+    const result = validateCrossDomain(checkResult());
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.domain, 'aritaum.com');
+  });
+
+  it('should flag links without the _gl linker parameter', () => {
+    // Arrange
+    const check = checkResult({ hasLinker: false, decoratedUrl: 'https://www.aritaum.com/', destinationClientId: null, clientIdPreserved: null });
+
+    // Act
+    const result = validateCrossDomain(check);
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.CROSS_DOMAIN_LINKER_FAILED);
+    assert.equal(result.issues[0].severity, SEVERITY.WARNING);
+    assert.match(result.issues[0].message, /_gl/);
+  });
+
+  it('should flag a client ID that changes on the destination', () => {
+    const result = validateCrossDomain(checkResult({ destinationClientId: '999.888', clientIdPreserved: false }));
+
+    assert.equal(result.isValid, false);
+    assert.equal(result.issues[0].expected, '123.456');
+    assert.equal(result.issues[0].actual, '999.888');
+  });
+
+  it('should not flag pages without whitelisted links', () => {
+    const result = validateCrossDomain(checkResult({ status: CROSS_DOMAIN_STATUS.NO_LINKS, hasLinker: false, clientIdPreserved: null }));
+
+    assert.equal(result.isValid, true);
+  });
+});
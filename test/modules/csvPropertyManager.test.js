@@ -17,7 +17,10 @@ import {
   validateCSVFile,
   detectPropertyChanges,
   loadPreviousProperties,
-  savePreviousProperties
+  savePreviousProperties,
+  parsePageList,
+  parseWhitelist,
+  getPropertyPages
 } from '../../src/modules/csvPropertyManager.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -572,3 +575,86 @@ describe('Story 1.3: CSV Update Detection', () => {
     });
   });
 });
+
+describe('Multi-page validation: page list parsing', () => {
+  describe('parsePageList()', () => {
+    it('should parse CSV notation with page templates', () => {
+      // Act
+      const pages = parsePageList('pdp=https://shop.com/p/1; cart=https://shop.com/cart\nsearch=https://shop.com/search?q=a');
+
+      // Assert
+      assert.deepEqual(pages, [
+        { type: 'pdp', url: 'https://shop.com/p/1' },
+        { type: 'cart', url: 'https://shop.com/cart' },
+        { type: 'search', url: 'https://shop.com/search?q=a' }
+      ]);
+    });
+
+    it('should type plain URLs and unknown templates as other', () => {
+      // Act
+      const pages = parsePageList([
+        'https://shop.com/event',
+        { type: 'landing', url: 'https://shop.com/landing' }
+      ]);
+
+      // Assert
+      assert.deepEqual(pages.map(p => p.type), ['other', 'other']);
+    });
+
+    it('should skip entries with invalid URLs', () => {
+      // Act
+      const pages = parsePageList('plp=/category/1; pdp=https://shop.com/p/1');
+
+      // Assert
+      assert.equal(pages.length, 1);
+      assert.equal(pages[0].type, 'pdp');
+    });
+
+    it('should return empty array for empty values', () => {
+      assert.deepEqual(parsePageList(null), []);
+      assert.deepEqual(parsePageList(''), []);
+    });
+  });
+
+  describe('parseWhitelist()', () => {
+    it('should split on commas and newlines and strip protocols and paths', () => {
+      // Act
+      const whitelist = parseWhitelist('amoremall.com, https://Brand.Amoremall.com/kr\naritaum.com');
+
+      // Assert
+      assert.deepEqual(whitelist, ['amoremall.com', 'brand.amoremall.com', 'aritaum.com']);
+    });
+
+    it('should return empty array for empty values', () => {
+      assert.deepEqual(parseWhitelist(null), []);
+      assert.deepEqual(parseWhitelist(''), []);
+    });
+  });
+
+  describe('getPropertyPages()', () => {
+    it('should put the representative URL first and drop duplicates', () => {
+      // Arrange
+      const property = {
+        representativeUrl: 'https://shop.com',
+        pages: [
+          { type: 'home', url: 'https://shop.com' },
+          { type: 'plp', url: 'https://shop.com/category' }
+        ]
+      };
+
+      // Act
+      const pages = getPropertyPages(property);
+
+      // Assert
+      assert.deepEqual(pages, [
+        { type: 'home', url: 'https://shop.com' },
+        { type: 'plp', url: 'https://shop.com/category' }
+      ]);
+    });
+
+    it('should return only the representative URL when no pages are configured', () => {
+      const pages = getPropertyPages({ representativeUrl: 'https://shop.com' });
+      assert.equal(pages.length, 1);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * dataLayer Recorder Module Tests
+ *
+ * Tests for dataLayer push recording and the timeline relative to GTM load and GA4 hits
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startDataLayerRecording,
+  buildDataLayerTimeline,
+  TIMELINE_KIND
+} from '../../src/modules/dataLayerRecorder.js';
+
+describe('dataLayerRecorder', () => {
+  describe('startDataLayerRecording() init script', () => {
+    let window;
+
+    beforeEach(async () => {
+      // Run the init script against a fake window object
+      let initScript;
+      let initArg;
+      await startDataLayerRecording({
+        addInitScript: async (script, arg) => {
+          initScript = script;
+          initArg = arg;
+        }
+      });
+
+      window = {};
+      globalThis.window = window;
+      initScript(initArg);
+    });
+
+    afterEach(() => {
+      delete globalThis.window;
+    });
+
+    it('should record inline entries, gtag calls and pushes after GTM replaces push', () => {
+      // Arrange
+      window.dataLayer = [{ event: 'page_info', pageType: 'home' }];
+      function gtag() { window.dataLayer.push(arguments); }
+
+      // Act
+      gtag('config', 'G-TEST123456', { send_page_view: false });
+      const previousPush = window.dataLayer.push;
+      window.dataLayer.push = function(...entries) { return previousPush.apply(window.dataLayer, entries); };
+      window.dataLayer.push({ event: 'add_to_cart', eventCallback: () => {} });
+
+      // Assert
+      const pushes = window.__dataLayerPushes;
+      assert.equal(window.dataLayer.length, 3);
+      assert.equal(pushes.length, 3);
+      assert.deepEqual(pushes.map(p => p.source), ['initial', 'push', 'push']);
+      assert.deepEqual(pushes[1].data, ['config', 'G-TEST123456', { send_page_view: false }]);
+      assert.equal(pushes[2].data.eventCallback, '[function]');
+    });
+  });
+
+  describe('buildDataLayerTimeline()', () => {
+    it('should merge pushes with GTM load and GA4 hits in time order', () => {
+      // Arrange
+      const pushes = [
+        { timestamp: 1000, source: 'initial', data: { event: 'page_info' } },
+        { timestamp: 1500, source: 'push', data: { event: 'gtm.js' } },
+        { timestamp: 2500, source: 'push', data: ['event', 'purchase'] }
+      ];
+      const events = [
+        { type: 'gtm_load', wallTime: 1.2, params: { id: 'GTM-ABC123' } },
+        { type: 'ga4_collect', wallTime: 2.0, params: { en: 'page_view', tid: 'G-TEST123456' }, source: 'cdp' },
+        { type: 'ga4_collect', timestamp: 3.0, params: { en: 'purchase' }, source: 'beacon' },
+        { type: 'ga4_collect', timestamp: 1.1, params: { en: 'window_extracted' }, source: 'window_extraction' }
+      ];
+
+      // Act
+      const timeline = buildDataLayerTimeline(pushes, events);
+
+      // Assert
+      assert.deepEqual(timeline.entries.map(e => [e.kind, e.event, e.offsetMs]), [
+        [TIMELINE_KIND.DATALAYER_PUSH, 'page_info', 0],
+        [TIMELINE_KIND.GTM_LOAD, 'GTM-ABC123', 200],
+        [TIMELINE_KIND.DATALAYER_PUSH, 'gtm.js', 500],
+        [TIMELINE_KIND.GA4_HIT, 'page_view', 1000],
+        [TIMELINE_KIND.DATALAYER_PUSH, 'gtag:event', 1500],
+        [TIMELINE_KIND.GA4_HIT, 'purchase', 2000]
+      ]);
+      assert.equal(timeline.entries[0].msFromGtmLoad, -200);
+      assert.equal(timeline.entries[4].ga4HitsBefore, 1);
+      assert.equal(timeline.gtmLoadOffsetMs, 200);
+      assert.equal(timeline.firstGa4HitOffsetMs, 1000);
+      assert.equal(timeline.totalPushes, 3);
+    });
+
+    it('should return an empty timeline without pushes or events', () => {
+      const timeline = buildDataLayerTimeline([], []);
+
+      assert.deepEqual(timeline.entries, []);
+      assert.equal(timeline.gtmLoadOffsetMs, null);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Data Lifecycle Manager Tests
+ *
+ * Tests for the TTL cleanup of HAR archives (Supabase client mocked)
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-service-role-key';
+
+// Node 20 has no native WebSocket (required by the Supabase realtime client)
+if (typeof globalThis.WebSocket === 'undefined') {
+  globalThis.WebSocket = (await import('ws')).WebSocket;
+}
+
+const { supabase } = await import('../../src/utils/supabase.js');
+const { default: DataLifecycleManager } = await import('../../src/modules/dataLifecycleManager.js');
+
+const EXPIRED = '2020-01-01T00:00:00Z';
+const RECENT = new Date().toISOString();
+
+describe('DataLifecycleManager', () => {
+  describe('cleanupExpiredHars()', () => {
+    let removedPaths;
+    let savedRunQuery;
+
+    beforeEach(() => {
+      mock.method(console, 'log', () => {});
+      removedPaths = [];
+
+      // 'hars' bucket: one folder per crawl run
+      const folders = {
+        '': [{ id: null, name: 'run-saved' }, { id: null, name: 'run-unsaved' }],
+        'run-saved': [{ id: 'file-1', name: 'prop-1_1.har.gz', created_at: EXPIRED }],
+        'run-unsaved': [
+          { id: 'file-2', name: 'prop-1_2.har.gz', created_at: EXPIRED },
+          { id: 'file-3', name: 'prop-2_3.har.gz', created_at: RECENT }
+        ]
+      };
+      mock.method(supabase.storage, 'from', () => ({
+        list: async (folder) => ({ data: folders[folder] || [], error: null }),
+        remove: async (paths) => {
+          removedPaths.push(...paths);
+          return { data: paths, error: null };
+        }
+      }));
+
+      mock.method(supabase, 'from', () => {
+        savedRunQuery = {};
+        const query = {
+          select: () => query,
+          in: (column, values) => {
+            savedRunQuery.runIds = values;
+            return query;
+          },
+          eq: (column, value) => {
+            savedRunQuery[column] = value;
+            return query;
+          },
+          then: (resolve, reject) => Promise.resolve({ data: [{ id: 'run-saved' }], error: null }).then(resolve, reject)
+        };
+        return query;
+      });
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('should delete expired HAR archives within the run folders', async () => {
+      // Arrange
+      const manager = new DataLifecycleManager();
+
+      // Act
+      const summary = await manager.cleanupExpiredHars();
+
+      // Assert
+      assert.deepEqual(removedPaths, ['run-unsaved/prop-1_2.har.gz']);
+      assert.deepEqual(summary, { deleted: 1, errors: 0 });
+    });
+
+    it('should keep the HAR archives of saved crawl runs', async () => {
+      const manager = new DataLifecycleManager();
+
+      await manager.cleanupExpiredHars();
+
+      assert.deepEqual(savedRunQuery, { runIds: ['run-saved', 'run-unsaved'], is_saved: true });
+      assert.equal(removedPaths.some(path => path.startsWith('run-saved/')), false);
+    });
+  });
+});
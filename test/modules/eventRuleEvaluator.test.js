@@ -0,0 +1,136 @@
+/**
+ * Event Rule Evaluator Module Tests
+ *
+ * Tests for declarative event parameter rules (ep.*, epn.*, up.*) and the
+ * EVENT_PARAM_RULE_FAILED issues raised by the validator
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  evaluateEventRule,
+  getEventParamValue,
+  selectRulesForProperty,
+  RULE_OPERATOR,
+  RULE_STATUS
+} from '../../src/modules/eventRuleEvaluator.js';
+import {
+  validateEventRules,
+  ISSUE_TYPE,
+  SEVERITY
+} from '../../src/modules/configValidator.js';
+import { parseGA4Params } from '../../src/modules/networkEventCapturer.js';
+
+/**
+ * Create a captured GA4 hit from a query string
+ */
+function ga4Hit(query) {
+  return {
+    type: 'ga4_collect',
+    params: parseGA4Params(`https://www.google-analytics.com/g/collect?v=2&tid=G-TEST123456&${query}`)
+  };
+}
+
+describe('eventRuleEvaluator', () => {
+  describe('getEventParamValue()', () => {
+    it('should read event params, numeric params, user properties and top-level params', () => {
+      const hit = ga4Hit('en=login&ep.site_env=PRD&epn.step=2&up.member_grade=VIP&cu=KRW');
+
+      assert.equal(getEventParamValue(hit, 'ep.site_env'), 'PRD');
+      assert.equal(getEventParamValue(hit, 'epn.step'), 2);
+      assert.equal(getEventParamValue(hit, 'up.member_grade'), 'VIP');
+      assert.equal(getEventParamValue(hit, 'cu'), 'KRW');
+      assert.equal(getEventParamValue(hit, 'ep.missing'), undefined);
+    });
+  });
+
+  describe('evaluateEventRule()', () => {
+    it('should count hits that fail an equals rule', () => {
+      // Arrange
+      const rule = { id: 'r1', eventName: 'page_view', param: 'ep.site_env', operator: RULE_OPERATOR.EQUALS, expected: 'PRD' };
+      const events = [ga4Hit('en=page_view&ep.site_env=PRD'), ga4Hit('en=page_view&ep.site_env=STG')];
+
+      // Act
+      const result = evaluateEventRule(rule, events);
+
+      // Assert
+      assert.equal(result.status, RULE_STATUS.FAILED);
+      assert.equal(result.hits, 2);
+      assert.equal(result.failedHits, 1);
+      assert.deepEqual(result.actualValues, ['PRD', 'STG']);
+    });
+
+    it('should compare equals_property rules with the property field case-insensitively', () => {
+      const rule = { eventName: 'page_view', param: 'ep.site_country', operator: RULE_OPERATOR.EQUALS_PROPERTY, expected: 'region' };
+
+      const result = evaluateEventRule(rule, [ga4Hit('en=page_view&ep.site_country=kr')], { region: 'KR' });
+
+      assert.equal(result.status, RULE_STATUS.PASSED);
+      assert.equal(result.expected, 'KR');
+    });
+
+    it('should report not_sent when the event was not captured', () => {
+      const rule = { eventName: 'login', param: 'up.member_grade', operator: RULE_OPERATOR.EXISTS };
+
+      const result = evaluateEventRule(rule, [ga4Hit('en=page_view')]);
+
+      assert.equal(result.status, RULE_STATUS.NOT_SENT);
+    });
+
+    it('should report invalid rules instead of throwing', () => {
+      const rule = { eventName: 'page_view', param: 'dl', operator: RULE_OPERATOR.MATCHES, expected: '(' };
+
+      const result = evaluateEventRule(rule, [ga4Hit('en=page_view')]);
+
+      assert.equal(result.status, RULE_STATUS.INVALID);
+      assert.ok(result.error);
+    });
+  });
+
+  describe('selectRulesForProperty()', () => {
+    it('should select property rules and brand rules', () => {
+      const rules = [
+        { id: 'p1', propertyId: 'prop-1', brand: null },
+        { id: 'p2', propertyId: 'prop-2', brand: null },
+        { id: 'b1', propertyId: null, brand: 'Innisfree' }
+      ];
+
+      const selected = selectRulesForProperty(rules, 'prop-1', 'Innisfree');
+
+      assert.deepEqual(selected.map(rule => rule.id), ['p1', 'b1']);
+    });
+  });
+});
+
+describe('validateEventRules()', () => {
+  it('should raise EVENT_PARAM_RULE_FAILED with the rule severity', () => {
+    // Arrange
+    const property = {
+      eventRules: [
+        { id: 'r1', eventName: 'page_view', param: 'ep.site_env', operator: 'equals', expected: 'PRD', severity: 'critical' },
+        { id: 'r2', eventName: 'login', param: 'up.member_grade', operator: 'exists' }
+      ]
+    };
+    const events = [ga4Hit('en=page_view&ep.site_env=DEV')];
+
+    // Act
+    const result = validateEventRules(property, events);
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.equal(result.checkedRules, 1);
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.EVENT_PARAM_RULE_FAILED);
+    assert.equal(result.issues[0].severity, SEVERITY.CRITICAL);
+    assert.equal(result.issues[0].actual, 'DEV');
+  });
+
+  it('should pass when the property has no rules', () => {
+    const result = validateEventRules({}, [ga4Hit('en=page_view')]);
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.rules, []);
+  });
+});
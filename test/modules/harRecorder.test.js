@@ -0,0 +1,156 @@
+/**
+ * HAR Recorder Module Tests
+ *
+ * Tests for the HAR recording mode, sanitizing and caching of recorded HAR
+ * archives and replay target parsing
+ */
+
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import {
+  getHarRecordingMode,
+  shouldKeepHar,
+  createHarPath,
+  storeHar,
+  parseReplayTarget,
+  sanitizeHar,
+  HAR_RECORDING_MODE
+} from '../../src/modules/harRecorder.js';
+import TempCacheManager from '../../src/modules/tempCacheManager.js';
+
+const originalMode = process.env.HAR_RECORDING;
+
+let cache;
+
+const createRecordedHar = () => ({
+  log: {
+    entries: [{
+      request: {
+        url: 'https://example.com/',
+        headers: [{ name: 'Cookie', value: '_ga=GA1.1.1.1' }, { name: 'Authorization', value: 'Bearer secret' }, { name: 'Accept', value: '*/*' }],
+        cookies: [{ name: '_ga', value: 'GA1.1.1.1' }]
+      },
+      response: {
+        status: 200,
+        headers: [{ name: 'set-cookie', value: 'session=abc' }, { name: 'Content-Type', value: 'text/html' }],
+        cookies: [{ name: 'session', value: 'abc' }]
+      }
+    }]
+  }
+});
+
+before(() => {
+  // Keep the cache logs out of the test runner output
+  mock.method(console, 'log', () => {});
+});
+
+beforeEach(() => {
+  cache = new TempCacheManager();
+});
+
+afterEach(async () => {
+  if (originalMode === undefined) {
+    delete process.env.HAR_RECORDING;
+  } else {
+    process.env.HAR_RECORDING = originalMode;
+  }
+  await cache.clear();
+});
+
+describe('harRecorder', () => {
+  describe('getHarRecordingMode()', () => {
+    it('should default to failed and accept all / off', () => {
+      delete process.env.HAR_RECORDING;
+      assert.equal(getHarRecordingMode(), HAR_RECORDING_MODE.FAILED);
+
+      process.env.HAR_RECORDING = 'All';
+      assert.equal(getHarRecordingMode(), HAR_RECORDING_MODE.ALL);
+
+      process.env.HAR_RECORDING = 'unknown';
+      assert.equal(getHarRecordingMode(), HAR_RECORDING_MODE.FAILED);
+    });
+  });
+
+  describe('shouldKeepHar()', () => {
+    it('should keep only failed validations in failed mode', () => {
+      assert.equal(shouldKeepHar(HAR_RECORDING_MODE.ALL, true), true);
+      assert.equal(shouldKeepHar(HAR_RECORDING_MODE.FAILED, true), false);
+      assert.equal(shouldKeepHar(HAR_RECORDING_MODE.FAILED, false), true);
+      assert.equal(shouldKeepHar(HAR_RECORDING_MODE.OFF, false), false);
+    });
+  });
+
+  describe('createHarPath()', () => {
+    it('should return null when recording is off', async () => {
+      process.env.HAR_RECORDING = 'off';
+
+      assert.equal(await createHarPath('prop-1'), null);
+    });
+  });
+
+  describe('sanitizeHar()', () => {
+    it('should remove cookie, set-cookie and authorization headers', () => {
+      const har = sanitizeHar(createRecordedHar());
+      const [entry] = har.log.entries;
+
+      assert.deepEqual(entry.request.headers, [{ name: 'Accept', value: '*/*' }]);
+      assert.deepEqual(entry.response.headers, [{ name: 'Content-Type', value: 'text/html' }]);
+      assert.deepEqual(entry.request.cookies, []);
+      assert.deepEqual(entry.response.cookies, []);
+    });
+  });
+
+  describe('storeHar()', () => {
+    it('should keep the sanitized HAR on disk and cache its path only', async () => {
+      // Arrange
+      process.env.HAR_RECORDING = 'all';
+      const harPath = await createHarPath('prop/1');
+      await fs.writeFile(harPath, JSON.stringify(createRecordedHar()));
+
+      // Act
+      const stored = await storeHar(harPath, 'prop-1', true, { phase: 1 }, cache);
+
+      // Assert
+      const cached = cache.getHars().get('prop-1');
+      assert.equal(stored, true);
+      assert.equal(cached.buffer, undefined);
+      assert.equal(cached.metadata.phase, 1);
+      const archived = JSON.parse(zlib.gunzipSync(await fs.readFile(cached.path)).toString());
+      assert.deepEqual(archived.log.entries[0].request.headers, [{ name: 'Accept', value: '*/*' }]);
+      await assert.rejects(fs.access(harPath));
+    });
+
+    it('should drop the HAR of a passed validation in failed mode', async () => {
+      process.env.HAR_RECORDING = 'failed';
+      const harPath = await createHarPath('prop-2');
+      await fs.writeFile(harPath, JSON.stringify(createRecordedHar()));
+
+      const stored = await storeHar(harPath, 'prop-2', true, {}, cache);
+
+      assert.equal(stored, false);
+      assert.equal(cache.getHars().has('prop-2'), false);
+      await assert.rejects(fs.access(harPath));
+    });
+
+    it('should not throw when the HAR was not written', async () => {
+      process.env.HAR_RECORDING = 'all';
+
+      const stored = await storeHar(await createHarPath('prop-3'), 'prop-3', false, {}, cache);
+
+      assert.equal(stored, false);
+    });
+  });
+
+  describe('parseReplayTarget()', () => {
+    it('should split <runId>/<propertyId>', () => {
+      assert.deepEqual(parseReplayTarget('run-1/prop-1'), { runId: 'run-1', propertyId: 'prop-1' });
+    });
+
+    it('should throw on a missing property', () => {
+      assert.throws(() => parseReplayTarget('run-1'), /expected <runId>\/<propertyId>/);
+      assert.throws(() => parseReplayTarget(undefined), /Invalid replay target/);
+    });
+  });
+});
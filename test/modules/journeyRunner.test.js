@@ -0,0 +1,188 @@
+/**
+ * Journey Runner Module Tests
+ *
+ * Tests for declarative user journeys that validate GA4 ecommerce events
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  runJourney,
+  checkEventParams,
+  STEP_STATUS
+} from '../../src/modules/journeyRunner.js';
+import { validateJourneys, ISSUE_TYPE, SEVERITY } from '../../src/modules/configValidator.js';
+
+/**
+ * Create a GA4 collect event as captured by CDP
+ */
+function ga4Event(en, extraParams = {}) {
+  return {
+    url: `https://www.google-analytics.com/g/collect?v=2&tid=G-TEST123456&en=${en}&_r=${Math.random()}`,
+    type: 'ga4_collect',
+    params: { tid: 'G-TEST123456', en, ...extraParams },
+    source: 'cdp'
+  };
+}
+
+describe('journeyRunner', () => {
+  let mockPage;
+  let capturedEvents;
+
+  beforeEach(() => {
+    capturedEvents = [];
+    mockPage = {
+      url: mock.fn(() => 'https://shop.example.com/'),
+      goto: mock.fn(async () => null),
+      click: mock.fn(async () => {}),
+      waitForLoadState: mock.fn(async () => {}),
+      waitForTimeout: mock.fn(async () => {}),
+      evaluate: mock.fn(async () => [])
+    };
+  });
+
+  describe('runJourney()', () => {
+    it('should pass when expected events are sent after each action', async () => {
+      // Arrange
+      mockPage.goto = mock.fn(async () => { capturedEvents.push(ga4Event('view_item')); });
+      mockPage.click = mock.fn(async () => { capturedEvents.push(ga4Event('add_to_cart', { customParams: { currency: 'KRW' } })); });
+      const journey = {
+        name: 'PDP add to cart',
+        steps: [
+          { action: 'navigate', url: '/product/1' },
+          { action: 'waitForEvent', event: 'view_item' },
+          { action: 'click', selector: '.btn-cart' },
+          { action: 'waitForEvent', event: 'add_to_cart' },
+          { action: 'assert', event: 'add_to_cart', params: { currency: 'KRW' } }
+        ]
+      };
+
+      // Act
+      const result = await runJourney(mockPage, capturedEvents, journey);
+
+      // Assert
+      assert.equal(result.isValid, true);
+      assert.equal(result.steps.length, 5);
+      assert.ok(result.steps.every(step => step.status === STEP_STATUS.PASSED));
+      assert.equal(mockPage.goto.mock.calls[0].arguments[0], 'https://shop.example.com/product/1');
+      assert.deepEqual(result.steps[2].actualEvents, ['add_to_cart']);
+      assert.deepEqual(result.expectedEvents, ['view_item', 'add_to_cart', 'add_to_cart']);
+      assert.deepEqual(result.actualEvents, ['view_item', 'add_to_cart']);
+    });
+
+    it('should fail waitForEvent on timeout and skip remaining steps', async () => {
+      // Arrange
+      const journey = {
+        name: 'checkout',
+        steps: [
+          { action: 'waitForEvent', event: 'begin_checkout', timeoutMs: 1 },
+          { action: 'click', selector: '.btn-order' }
+        ]
+      };
+
+      // Act
+      const result = await runJourney(mockPage, capturedEvents, journey);
+
+      // Assert
+      assert.equal(result.isValid, false);
+      assert.equal(result.steps[0].status, STEP_STATUS.FAILED);
+      assert.match(result.steps[0].error, /begin_checkout/);
+      assert.equal(result.steps[1].status, STEP_STATUS.SKIPPED);
+      assert.equal(mockPage.click.mock.calls.length, 0);
+    });
+
+    it('should ignore events sent before the journey started', async () => {
+      // Arrange
+      capturedEvents.push(ga4Event('view_item_list'));
+      const journey = {
+        steps: [{ action: 'waitForEvent', event: 'view_item_list', timeoutMs: 1 }]
+      };
+
+      // Act
+      const result = await runJourney(mockPage, capturedEvents, journey);
+
+      // Assert
+      assert.equal(result.isValid, false);
+    });
+
+    it('should fail click step when selector is not found', async () => {
+      // Arrange
+      mockPage.click = mock.fn(async () => { throw new Error('Timeout 10000ms exceeded'); });
+      const journey = { steps: [{ action: 'click', selector: '.missing' }] };
+
+      // Act
+      const result = await runJourney(mockPage, capturedEvents, journey);
+
+      // Assert
+      assert.equal(result.steps[0].status, STEP_STATUS.FAILED);
+      assert.match(result.steps[0].error, /Timeout/);
+    });
+  });
+
+  describe('checkEventParams()', () => {
+    it('should check top-level and custom params', () => {
+      // Arrange
+      const event = ga4Event('purchase', { cu: 'KRW', customParams: { transaction_id: 'T1' } });
+
+      // Act
+      const failures = checkEventParams(event, { cu: 'KRW', transaction_id: true, coupon: true });
+
+      // Assert
+      assert.deepEqual(failures, ['purchase.coupon is missing']);
+    });
+
+    it('should report value mismatches', () => {
+      const event = ga4Event('add_to_cart', { cu: 'USD' });
+      const failures = checkEventParams(event, { cu: 'KRW' });
+      assert.equal(failures.length, 1);
+      assert.match(failures[0], /expected 'KRW' but got 'USD'/);
+    });
+  });
+});
+
+describe('validateJourneys()', () => {
+  it('should raise critical issue when an event step failed', () => {
+    // Arrange
+    const journeyResults = [{
+      name: 'checkout',
+      isValid: false,
+      steps: [{
+        index: 0,
+        action: 'waitForEvent',
+        target: 'begin_checkout',
+        status: 'failed',
+        expectedEvents: ['begin_checkout'],
+        actualEvents: [],
+        error: "Event 'begin_checkout' not sent within 10000ms"
+      }]
+    }];
+
+    // Act
+    const result = validateJourneys(journeyResults);
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.equal(result.issues.length, 1);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.JOURNEY_STEP_FAILED);
+    assert.equal(result.issues[0].severity, SEVERITY.CRITICAL);
+    assert.equal(result.issues[0].expected, 'begin_checkout');
+  });
+
+  it('should raise warning when a navigation or click step failed', () => {
+    const result = validateJourneys([{
+      name: 'cart',
+      isValid: false,
+      steps: [{ index: 1, action: 'click', target: '.btn', status: 'failed', expectedEvents: [], actualEvents: [], error: 'not found' }]
+    }]);
+
+    assert.equal(result.issues[0].severity, SEVERITY.WARNING);
+  });
+
+  it('should be valid when all journeys passed', () => {
+    const result = validateJourneys([{ name: 'ok', isValid: true, steps: [] }]);
+    assert.equal(result.isValid, true);
+    assert.equal(result.issues.length, 0);
+  });
+});
@@ -16,7 +16,14 @@ import {
   extractGTMId,
   findPageViewEvent,
   extractAPData,
-  getEventSummary
+  getEventSummary,
+  parseGA4Params,
+  parseGA4Hits,
+  parseItemParam,
+  classifyCollectEndpoint,
+  compileEndpointPatterns,
+  summarizeCollectEndpoints,
+  ENDPOINT_TYPE
 } from '../../src/modules/networkEventCapturer.js';
 import { BrowserPool, createStealthPage } from '../../src/modules/browserPoolManager.js';
 
@@ -475,3 +482,214 @@ describe('Network Event Capturer - Multiple Events Handling (AC5)', () => {
     assert.equal(summary.totalEvents, 4, 'Should count all events');
   });
 });
+
+describe('Network Event Capturer - Ecommerce Items Parsing', () => {
+  it('should decode pr1..prN item strings into structured items', () => {
+    // Arrange
+    const url = 'https://www.google-analytics.com/g/collect?v=2&tid=G-ABC123456&en=add_to_cart' +
+      '&pr1=idSKU-1~nmLip%20Tint~brETUDE~caMakeup~c2Lip~vaRed~pr15000~qt2' +
+      '&pr2=idSKU-2~nmCushion~pr32000~qt1';
+
+    // Act
+    const params = parseGA4Params(url);
+
+    // Assert
+    assert.equal(params.items.length, 2);
+    assert.deepEqual(params.items[0], {
+      item_id: 'SKU-1',
+      item_name: 'Lip Tint',
+      item_brand: 'ETUDE',
+      item_category: 'Makeup',
+      item_category2: 'Lip',
+      item_variant: 'Red',
+      price: 15000,
+      quantity: 2
+    });
+    assert.equal(params.items[1].item_id, 'SKU-2');
+  });
+
+  it('should extract currency and value from POST body', () => {
+    // Arrange
+    const url = 'https://www.google-analytics.com/g/collect?v=2&tid=G-ABC123456';
+    const postData = 'en=purchase&cu=KRW&epn.value=47000&pr1=idSKU-1~pr47000~qt1';
+
+    // Act
+    const params = parseGA4Params(url, postData);
+
+    // Assert
+    assert.equal(params.en, 'purchase');
+    assert.equal(params.cu, 'KRW');
+    assert.equal(params.value, 47000);
+    assert.equal(params.items[0].price, 47000);
+  });
+
+  it('should keep non-numeric prices as raw strings', () => {
+    const item = parseItemParam('idSKU-1~pr15,000원~qt1');
+    assert.equal(item.price, '15,000원');
+    assert.equal(item.quantity, 1);
+  });
+
+  it('should decode custom item parameters (k0/v0)', () => {
+    const item = parseItemParam('idSKU-1~k0color~v0red~k1size~v150ml');
+    assert.equal(item.color, 'red');
+    assert.equal(item.size, '50ml');
+  });
+
+  it('should not add items when no item parameters are present', () => {
+    const params = parseGA4Params('https://www.google-analytics.com/g/collect?v=2&tid=G-ABC123456&en=page_view');
+    assert.equal(params.items, undefined);
+    assert.equal(params.cu, undefined);
+  });
+});
+
+describe('Network Event Capturer - Batched Requests', () => {
+  const batchUrl = 'https://www.google-analytics.com/g/collect?v=2&tid=G-ABC123456&cid=123.456&sid=789&dl=https%3A%2F%2Fshop.example.com%2F';
+
+  it('should split a multi-line POST body into one hit per line', () => {
+    // Arrange
+    const postData = 'en=page_view\r\nen=view_item_list&ep.list_name=best\nen=scroll&epn.percent_scrolled=90\n';
+
+    // Act
+    const hits = parseGA4Hits(batchUrl, postData);
+
+    // Assert
+    assert.equal(hits.length, 3);
+    assert.deepEqual(hits.map(h => h.en), ['page_view', 'view_item_list', 'scroll']);
+    assert.ok(hits.every(h => h.tid === 'G-ABC123456' && h.cid === '123.456'));
+    assert.equal(hits[1].customParams.list_name, 'best');
+    assert.equal(hits[0].customParams, undefined);
+    assert.deepEqual(hits.map(h => h.batchIndex), [0, 1, 2]);
+    assert.ok(hits.every(h => h.batchSize === 3));
+  });
+
+  it('should return a single hit without batch fields for single-event requests', () => {
+    const hits = parseGA4Hits(`${batchUrl}&en=page_view`);
+
+    assert.equal(hits.length, 1);
+    assert.equal(hits[0].en, 'page_view');
+    assert.equal(hits[0].batchIndex, undefined);
+  });
+
+  it('should count events per name and distinct requests in the summary', () => {
+    // Arrange
+    const events = parseGA4Hits(batchUrl, 'en=page_view\nen=scroll\nen=scroll').map(params => ({
+      url: batchUrl,
+      type: 'ga4_collect',
+      params
+    }));
+
+    // Act
+    const summary = getEventSummary(events);
+
+    // Assert
+    assert.equal(summary.ga4Events, 3);
+    assert.equal(summary.ga4Requests, 1);
+    assert.deepEqual(summary.eventCounts, { page_view: 1, scroll: 2 });
+    assert.deepEqual(summary.eventNames, ['page_view', 'scroll']);
+  });
+});
+
+describe('Network Event Capturer - Collect Endpoint Detection', () => {
+  it('should recognize Google collection hosts including regional hosts', () => {
+    const urls = [
+      'https://www.google-analytics.com/g/collect?v=2&tid=G-ABC123456',
+      'https://region1.google-analytics.com/g/collect?v=2&tid=G-ABC123456',
+      'https://analytics.google.com/g/collect?v=2&tid=G-ABC123456',
+      'https://region1.analytics.google.com/g/collect?v=2&tid=G-ABC123456'
+    ];
+
+    urls.forEach(url => {
+      assert.equal(classifyCollectEndpoint(url).type, ENDPOINT_TYPE.GOOGLE, url);
+    });
+  });
+
+  it('should recognize unconfigured sGTM hosts by the GA4 protocol signature', () => {
+    // Arrange
+    const url = 'https://sgtm.brand.co.kr/g/collect?v=2&tid=G-ABC123456&en=page_view';
+
+    // Act
+    const endpoint = classifyCollectEndpoint(url);
+
+    // Assert
+    assert.deepEqual(endpoint, { host: 'sgtm.brand.co.kr', type: ENDPOINT_TYPE.SERVER_SIDE });
+    assert.equal(classifyCollectEndpoint('https://sgtm.brand.co.kr/g/collect?v=1&tid=UA-1'), null);
+  });
+
+  it('should match per-property endpoint patterns with wildcard and custom path', () => {
+    // Arrange
+    const patterns = compileEndpointPatterns(['*.brand.com', 'https://metrics.shop.kr/mc/collect']);
+
+    // Act & Assert
+    assert.equal(classifyCollectEndpoint('https://data.brand.com/g/collect', patterns).type, ENDPOINT_TYPE.SERVER_SIDE);
+    assert.equal(classifyCollectEndpoint('https://metrics.shop.kr/mc/collect?en=page_view', patterns).type, ENDPOINT_TYPE.SERVER_SIDE);
+    assert.equal(classifyCollectEndpoint('https://data.brand.com/gtm.js?id=GTM-ABC', patterns), null);
+    assert.equal(classifyCollectEndpoint('https://metrics.shop.kr/mc/collect?en=page_view'), null);
+  });
+
+  it('should exclude false positives that also use /g/collect', () => {
+    assert.equal(classifyCollectEndpoint('https://www.clarity.ms/g/collect?v=2&tid=G-ABC123456'), null);
+    assert.equal(classifyCollectEndpoint('https://stats.g.doubleclick.net/g/collect?v=2&tid=G-ABC123456'), null);
+  });
+
+  it('should summarize hits per endpoint and unused transport hosts', () => {
+    // Arrange
+    const events = [
+      { type: 'ga4_collect', endpoint: 'sgtm.brand.com', endpointType: ENDPOINT_TYPE.SERVER_SIDE, params: { en: 'page_view' } },
+      { type: 'ga4_collect', endpoint: 'sgtm.brand.com', endpointType: ENDPOINT_TYPE.SERVER_SIDE, params: { en: 'scroll' } },
+      { type: 'ga4_collect', source: 'window_extraction', params: { en: 'window_extracted' } }
+    ];
+
+    // Act
+    const summary = summarizeCollectEndpoints(events, ['https://sgtm.brand.com', 'https://tag.brand.com/']);
+
+    // Assert
+    assert.deepEqual(summary.endpoints, [
+      { host: 'sgtm.brand.com', type: ENDPOINT_TYPE.SERVER_SIDE, hits: 2, eventNames: ['page_view', 'scroll'] }
+    ]);
+    assert.equal(summary.usesServerSide, true);
+    assert.deepEqual(summary.unusedTransportHosts, ['tag.brand.com']);
+  });
+});
+
+describe('Network Event Capturer - User Properties and Numeric Params', () => {
+  it('should extract epn.*, up.*, upn.* and uid as typed fields', () => {
+    // Arrange
+    const url = 'https://www.google-analytics.com/g/collect?v=2&tid=G-ABC123456&uid=U-1001&up.membership_grade=VIP';
+    const postData = 'en=add_to_cart&epn.quantity=2&epn.discount=abc&upn.login_count=7&ep.coupon=SPRING';
+
+    // Act
+    const params = parseGA4Params(url, postData);
+
+    // Assert
+    assert.equal(params.userId, 'U-1001');
+    assert.deepEqual(params.userProperties, { membership_grade: 'VIP', login_count: 7 });
+    assert.deepEqual(params.numericParams, { quantity: 2, discount: 'abc' });
+    assert.deepEqual(params.customParams, { coupon: 'SPRING' });
+  });
+
+  it('should not add typed fields when absent', () => {
+    const params = parseGA4Params('https://www.google-analytics.com/g/collect?v=2&tid=G-ABC123456&en=page_view');
+
+    assert.equal(params.userId, null);
+    assert.equal(params.userProperties, undefined);
+    assert.equal(params.numericParams, undefined);
+  });
+
+  it('should expose latest user properties and numeric params in the summary', () => {
+    // Arrange
+    const base = 'https://www.google-analytics.com/g/collect?v=2&tid=G-ABC123456';
+    const events = [
+      { type: 'ga4_collect', url: base, params: parseGA4Params(`${base}&en=page_view&up.login_status=N`) },
+      { type: 'ga4_collect', url: base, params: parseGA4Params(`${base}&en=login&uid=U-1&up.login_status=Y`) },
+      { type: 'ga4_collect', url: base, params: parseGA4Params(`${base}&en=add_to_cart&epn.value=15000`) }
+    ];
+
+    // Act
+    const summary = getEventSummary(events);
+
+    // Assert
+    assert.equal(summary.userId, 'U-1');
+    assert.deepEqual(summary.userProperties, { login_status: 'Y' });
+    assert.deepEqual(summary.numericParams, { add_to_cart: { value: 15000 } });
+  });
+});
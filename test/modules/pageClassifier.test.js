@@ -0,0 +1,84 @@
+/**
+ * Page Classifier Module Tests
+ *
+ * Tests for bot challenge, CAPTCHA, access-denied and geo-block interstitial detection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyPage, PAGE_CLASS, BLOCK_REASON } from '../../src/modules/pageClassifier.js';
+
+describe('pageClassifier', () => {
+  describe('classifyPage()', () => {
+    it('should detect a Cloudflare challenge from the title and cf-mitigated header', () => {
+      // Arrange
+      const signals = {
+        title: 'Just a moment...',
+        bodyText: 'Checking if the site connection is secure',
+        statusCode: 403,
+        headers: { 'cf-mitigated': 'challenge', server: 'cloudflare' }
+      };
+
+      // Act
+      const result = classifyPage(signals);
+
+      // Assert
+      assert.equal(result.classification, PAGE_CLASS.BOT_CHALLENGE);
+      assert.equal(result.vendor, 'cloudflare');
+      assert.equal(result.statusCode, 403);
+      assert.deepEqual(result.signals, ['title: just a moment...', 'header: cf-mitigated=challenge']);
+    });
+
+    it('should detect CAPTCHA interstitials from DOM selectors', () => {
+      const result = classifyPage({
+        title: 'example.com',
+        selectors: ['iframe[src*="captcha-delivery.com"]'],
+        statusCode: 403
+      });
+
+      assert.equal(result.classification, PAGE_CLASS.BOT_CHALLENGE);
+      assert.equal(result.reason, BLOCK_REASON.CAPTCHA);
+      assert.equal(result.vendor, 'datadome');
+    });
+
+    it('should detect Akamai access denied pages only with a 403 status', () => {
+      const signals = {
+        title: 'Access Denied',
+        bodyText: "You don't have permission to access \"http://www.example.com/\" on this server. Reference #18.1234",
+        headers: { server: 'AkamaiGHost' }
+      };
+
+      const blocked = classifyPage({ ...signals, statusCode: 403 });
+      const regular = classifyPage({ ...signals, title: 'Example Shop', bodyText: 'Welcome', statusCode: 200 });
+
+      assert.equal(blocked.classification, PAGE_CLASS.ACCESS_BLOCKED);
+      assert.equal(blocked.reason, BLOCK_REASON.ACCESS_DENIED);
+      assert.equal(blocked.vendor, 'akamai');
+      assert.equal(regular, null);
+    });
+
+    it('should detect geo-blocks and rate limiting', () => {
+      const geoBlocked = classifyPage({ bodyText: 'Sorry, this site is not available in your country.', statusCode: 200 });
+      const rateLimited = classifyPage({ bodyText: '', statusCode: 429 });
+
+      assert.equal(geoBlocked.classification, PAGE_CLASS.ACCESS_BLOCKED);
+      assert.equal(geoBlocked.reason, BLOCK_REASON.GEO_BLOCK);
+      assert.equal(rateLimited.reason, BLOCK_REASON.RATE_LIMITED);
+      assert.deepEqual(rateLimited.signals, ['status: 429']);
+    });
+
+    it('should ignore challenge phrases in the content of regular pages', () => {
+      const result = classifyPage({
+        title: 'Security FAQ',
+        bodyText: `How do we verify you are human? ${'Lorem ipsum dolor sit amet. '.repeat(200)}`,
+        statusCode: 200
+      });
+
+      assert.equal(result, null);
+    });
+
+    it('should return null without signals', () => {
+      assert.equal(classifyPage(), null);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Page Diagnostics Module Tests
+ *
+ * Tests for the classification of blocked or failed Google tag requests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTagTarget, TAG_TARGET } from '../../src/modules/pageDiagnostics.js';
+
+describe('pageDiagnostics', () => {
+  describe('getTagTarget()', () => {
+    it('should classify gtm.js and gtag.js requests', () => {
+      assert.equal(getTagTarget('https://www.googletagmanager.com/gtm.js?id=GTM-ABC123'), TAG_TARGET.GTM);
+      assert.equal(getTagTarget('https://www.googletagmanager.com/gtag/js?id=G-ABC123'), TAG_TARGET.GA4);
+      assert.equal(getTagTarget('https://www.googletagmanager.com/gtag/js?id=GTM-ABC123'), TAG_TARGET.GTM);
+      assert.equal(getTagTarget('https://www.googletagmanager.com/gtag/js?id=AW-123'), null);
+    });
+
+    it('should classify GA4 collect hosts', () => {
+      assert.equal(getTagTarget('https://region1.google-analytics.com/g/collect?v=2'), TAG_TARGET.GA4);
+      assert.equal(getTagTarget('https://analytics.google.com/g/collect?v=2'), TAG_TARGET.GA4);
+    });
+
+    it('should ignore other requests and invalid URLs', () => {
+      assert.equal(getTagTarget('https://connect.facebook.net/en_US/fbevents.js'), null);
+      assert.equal(getTagTarget('inline'), null);
+      assert.equal(getTagTarget(undefined), null);
+    });
+  });
+});
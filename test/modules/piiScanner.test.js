@@ -0,0 +1,146 @@
+/**
+ * PII Scanner Module Tests
+ *
+ * Tests for PII detection and masking in GA4 hit parameters and stored results
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getPiiConfig,
+  parsePiiAllowlist,
+  scanEventsForPii,
+  maskPii,
+  maskUrl,
+  maskPiiInPlace,
+  PII_TYPE
+} from '../../src/modules/piiScanner.js';
+
+const ga4Hit = (en, params) => ({
+  type: 'ga4_collect',
+  params: { en, customParams: {}, numericParams: {}, userProperties: {}, ...params }
+});
+
+describe('piiScanner', () => {
+  afterEach(() => {
+    delete process.env.PII_PATTERNS;
+    delete process.env.PII_ALLOWLIST;
+  });
+
+  describe('scanEventsForPii()', () => {
+    it('should find emails, phone numbers, resident numbers and names', () => {
+      // Arrange
+      const events = [
+        ga4Hit('page_view', {
+          dl: 'https://www.example.com/order?tel=01012345678&utm_source=naver',
+          dt: '주문 완료 - 900101-1234567',
+          userId: 'jane@example.org',
+          customParams: { customer_name: '홍길동', order_id: '1700000000' }
+        })
+      ];
+
+      // Act
+      const findings = scanEventsForPii(events, getPiiConfig());
+
+      // Assert
+      assert.deepEqual(
+        findings.map(finding => `${finding.param}:${finding.piiType}`),
+        ['dl:tel:phone', 'dt:resident_registration_number', 'uid:email', 'ep.customer_name:name']
+      );
+      assert.equal(findings[0].maskedValue, '010********');
+      assert.equal(findings[1].maskedValue, '주문 완료 - 900***********');
+      assert.equal(findings[2].maskedValue, 'j***@example.org');
+      assert.equal(findings[3].maskedValue, '홍***');
+    });
+
+    it('should aggregate hits per parameter and PII type', () => {
+      const events = [
+        ga4Hit('page_view', { customParams: { contact: 'a@b.com' } }),
+        ga4Hit('page_view', { customParams: { contact: 'a@b.com' } }),
+        ga4Hit('generate_lead', { customParams: { contact: 'c@b.com' } }),
+        { type: 'gtm_load', params: { customParams: { contact: 'a@b.com' } } }
+      ];
+
+      const findings = scanEventsForPii(events, getPiiConfig());
+
+      assert.equal(findings.length, 1);
+      assert.equal(findings[0].hits, 3);
+      assert.deepEqual(findings[0].events, ['page_view', 'generate_lead']);
+    });
+
+    it('should apply the environment and property allowlists', () => {
+      process.env.PII_ALLOWLIST = 'ep.cs_email';
+      const events = [
+        ga4Hit('page_view', { customParams: { cs_email: 'help@example.com', author: 'news@example.com' } })
+      ];
+
+      const findings = scanEventsForPii(events, getPiiConfig({ piiAllowlist: ['@example.com'] }));
+
+      assert.deepEqual(findings, []);
+    });
+
+    it('should use custom patterns from PII_PATTERNS', () => {
+      process.env.PII_PATTERNS = JSON.stringify([{ name: 'member_no', pattern: 'M\\d{8}' }]);
+      const events = [ga4Hit('login', { customParams: { member: 'M12345678' } })];
+
+      const findings = scanEventsForPii(events, getPiiConfig());
+
+      assert.equal(findings[0].piiType, 'member_no');
+      assert.equal(findings[0].maskedValue, 'M12******');
+    });
+  });
+
+  describe('maskPii()', () => {
+    it('should keep allowlisted matches and non-string values', () => {
+      const config = { patterns: getPiiConfig().patterns, allowlist: ['@example.com'] };
+
+      assert.equal(maskPii('cs@example.com / me@mail.net', config, 'ep.contact'), 'cs@example.com / m***@mail.net');
+      assert.equal(maskPii(42, config, 'epn.value'), 42);
+      assert.equal(maskPii(null, config, 'uid'), null);
+    });
+  });
+
+  describe('maskUrl()', () => {
+    it('should mask decoded query values of a page URL', () => {
+      const url = 'https://www.example.com/join?email=jane.doe%40gmail.com&step=2#done';
+
+      assert.equal(maskUrl(url, getPiiConfig()), 'https://www.example.com/join?email=j***@gmail.com&step=2#done');
+    });
+  });
+
+  describe('maskPiiInPlace()', () => {
+    it('should mask URLs and text in every stored section and leave clean values untouched', () => {
+      // Arrange
+      const longMessage = `Cross-domain link ${'x'.repeat(300)}`;
+      const result = {
+        redirects: { finalUrl: 'https://www.example.com/welcome?email=jane.doe%40gmail.com' },
+        pageLoad: { finalUrl: 'https://www.example.com/?utm_source=mail' },
+        dataLayerTimeline: [{ push: { event: 'sign_up', user: { phone: '010-1234-5678' } } }],
+        crossDomain: { linkUrl: 'https://shop.example.com/?name=홍길동', message: longMessage },
+        pages: [{ issues: [{ message: 'Sent by jane.doe@gmail.com', count: 2 }] }]
+      };
+
+      // Act
+      const maskedCount = maskPiiInPlace(result, getPiiConfig());
+
+      // Assert
+      assert.equal(maskedCount, 4);
+      assert.equal(result.redirects.finalUrl, 'https://www.example.com/welcome?email=j***@gmail.com');
+      assert.equal(result.pageLoad.finalUrl, 'https://www.example.com/?utm_source=mail');
+      assert.equal(result.dataLayerTimeline[0].push.user.phone, '010**********');
+      assert.equal(result.crossDomain.linkUrl, 'https://shop.example.com/?name=홍***');
+      assert.equal(result.crossDomain.message, longMessage);
+      assert.equal(result.pages[0].issues[0].message, 'Sent by j***@gmail.com');
+      assert.equal(result.pages[0].issues[0].count, 2);
+    });
+  });
+
+  describe('parsePiiAllowlist()', () => {
+    it('should parse CSV notation and arrays', () => {
+      assert.deepEqual(parsePiiAllowlist('ep.cs_email, @example.com;dl:email'), ['ep.cs_email', '@example.com', 'dl:email']);
+      assert.deepEqual(parsePiiAllowlist([' a ', 'a', '']), ['a']);
+      assert.deepEqual(parsePiiAllowlist(null), []);
+      assert.equal(PII_TYPE.EMAIL, 'email');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Property Validation Module Tests
+ *
+ * Tests for the mapping of Supabase property rows to the orchestrator property
+ * format (Supabase client never called)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateGTMId, GTM_CONTAINER_ROLE, ISSUE_TYPE } from '../../src/modules/configValidator.js';
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-service-role-key';
+
+// Node 20 has no native WebSocket (required by the Supabase realtime client)
+if (typeof globalThis.WebSocket === 'undefined') {
+  globalThis.WebSocket = (await import('ws')).WebSocket;
+}
+
+const { toOrchestratorProperty } = await import('../../src/modules/propertyValidation.js');
+
+const propertyRow = {
+  id: 'prop-1',
+  property_name: 'Test Property',
+  url: 'www.example.com',
+  slug: 'test-property',
+  expected_ga4_id: 'G-TEST123',
+  expected_gtm_id: 'GTM-WEB001',
+  marketing_gtm_id: 'GTM-MKT001'
+};
+
+describe('propertyValidation', () => {
+  describe('toOrchestratorProperty()', () => {
+    it('should map the expected GTM ID to the web GTM container', () => {
+      // Act
+      const property = toOrchestratorProperty(propertyRow);
+
+      // Assert
+      assert.equal(property.webGtmId, 'GTM-WEB001');
+      assert.equal(property.gtmContainerId, 'GTM-WEB001');
+      assert.equal(property.marketingGtm, 'GTM-MKT001');
+      assert.equal(property.representativeUrl, 'https://www.example.com');
+    });
+
+    it('should validate the web and marketing containers of a Supabase property', () => {
+      // Arrange
+      const property = toOrchestratorProperty(propertyRow);
+      const gtmLoad = (id) => ({ type: 'gtm_load', params: { id } });
+      const events = [gtmLoad('GTM-WEB001'), gtmLoad('GTM-MKT001'), gtmLoad('GTM-AGENCY1')];
+
+      // Act
+      const result = validateGTMId(property, events);
+
+      // Assert
+      assert.equal(result.isValid, true);
+      assert.equal(result.expected, 'GTM-WEB001');
+      assert.deepEqual(result.containers, [
+        { id: 'GTM-WEB001', role: GTM_CONTAINER_ROLE.WEB, found: true },
+        { id: 'GTM-MKT001', role: GTM_CONTAINER_ROLE.MARKETING, found: true }
+      ]);
+      assert.deepEqual(result.unexpected, ['GTM-AGENCY1']);
+      assert.equal(result.issues[0].type, ISSUE_TYPE.GTM_UNEXPECTED_CONTAINER);
+    });
+  });
+});
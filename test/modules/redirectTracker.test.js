@@ -0,0 +1,66 @@
+/**
+ * Redirect Tracker Module Tests
+ *
+ * Tests for redirect chain building and final domain checks
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildRedirectChain,
+  getAllowedDomains,
+  isAllowedHost,
+  REDIRECT_TYPE
+} from '../../src/modules/redirectTracker.js';
+
+describe('redirectTracker', () => {
+  describe('buildRedirectChain()', () => {
+    it('should record HTTP hops and client-side redirects', () => {
+      // Arrange
+      const navigations = [
+        { url: 'http://example.com/', status: 301, location: 'https://www.example.com/' },
+        { url: 'https://www.example.com/', status: 302, location: '/kr/' },
+        { url: 'https://www.example.com/kr/', status: 200, location: null, metaRefresh: true },
+        { url: 'https://www.example.com/kr/main', status: 200, location: null, metaRefresh: false }
+      ];
+
+      // Act
+      const chain = buildRedirectChain('http://example.com/', navigations);
+
+      // Assert
+      assert.equal(chain.redirectCount, 3);
+      assert.deepEqual(chain.hops.map(hop => hop.type), [REDIRECT_TYPE.HTTP, REDIRECT_TYPE.HTTP, REDIRECT_TYPE.META]);
+      assert.equal(chain.hops[1].location, 'https://www.example.com/kr/');
+      assert.equal(chain.finalUrl, 'https://www.example.com/kr/main');
+      assert.equal(chain.finalHost, 'www.example.com');
+    });
+
+    it('should label a client-side redirect without meta refresh as JavaScript', () => {
+      const chain = buildRedirectChain('https://example.com/', [
+        { url: 'https://example.com/', status: 200, location: null, metaRefresh: false },
+        { url: 'https://shop.example.com/', status: 200, location: null, metaRefresh: false }
+      ]);
+
+      assert.equal(chain.hops[0].type, REDIRECT_TYPE.JS);
+    });
+
+    it('should fall back to the current URL without recorded navigations', () => {
+      const chain = buildRedirectChain('https://example.com/', [], 'https://example.com/home');
+
+      assert.equal(chain.redirectCount, 0);
+      assert.equal(chain.finalUrl, 'https://example.com/home');
+    });
+  });
+
+  describe('getAllowedDomains() / isAllowedHost()', () => {
+    it('should allow the property domain, its subdomains and whitelisted domains', () => {
+      const allowedDomains = getAllowedDomains(['https://www.example.co.kr/'], 'shop.example.com; pay.example.net');
+
+      assert.deepEqual(allowedDomains, ['example.co.kr', 'example.com', 'example.net']);
+      assert.equal(isAllowedHost('m.example.co.kr', allowedDomains), true);
+      assert.equal(isAllowedHost('www.example.com', allowedDomains), true);
+      assert.equal(isAllowedHost('www.example.co.jp', allowedDomains), false);
+      assert.equal(isAllowedHost('parked-domain.com', allowedDomains), false);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * SPA Route Checker Module Tests
+ *
+ * Tests for the client-side route change check (fresh page_view after pushState / link click)
+ */
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSpaRoute, runSpaRouteCheck, SPA_ROUTE_MODE } from '../../src/modules/spaRouteChecker.js';
+
+/**
+ * Minimal Playwright page mock: pushState changes the URL and queues a page_view
+ * in the page hook buffer (window.__ga4Events)
+ */
+function createPageMock({ sendsPageView }) {
+  let currentUrl = 'https://www.example.com/';
+  const hookEvents = [];
+
+  return {
+    url: () => currentUrl,
+    waitForTimeout: async () => {},
+    goBack: async () => {
+      currentUrl = 'https://www.example.com/';
+      return null;
+    },
+    evaluate: async (fn, arg) => {
+      const source = fn.toString();
+      if (source.includes('__ga4Events')) {
+        return hookEvents.splice(0);
+      }
+      if (source.includes('pushState')) {
+        currentUrl = new URL(arg, currentUrl).href;
+        if (sendsPageView) {
+          hookEvents.push({
+            url: `https://www.google-analytics.com/g/collect?v=2&tid=G-TEST123&en=page_view&dl=${encodeURIComponent(currentUrl)}&dt=Products&_s=2`,
+            body: null,
+            type: 'beacon',
+            timestamp: Date.now(),
+            pageUrl: currentUrl,
+            pageTitle: 'Products'
+          });
+        }
+        return undefined;
+      }
+      return source.includes('__spaRouteMarker === true') ? true : undefined;
+    }
+  };
+}
+
+describe('spaRouteChecker', () => {
+  describe('parseSpaRoute()', () => {
+    it('should treat paths as pushState and anything else as a link selector', () => {
+      assert.deepEqual(parseSpaRoute('/products'), { mode: SPA_ROUTE_MODE.PUSH_STATE, target: '/products' });
+      assert.deepEqual(parseSpaRoute('#/cart'), { mode: SPA_ROUTE_MODE.PUSH_STATE, target: '#/cart' });
+      assert.deepEqual(parseSpaRoute(' a.nav-products '), { mode: SPA_ROUTE_MODE.CLICK, target: 'a.nav-products' });
+      assert.equal(parseSpaRoute('-'), null);
+      assert.equal(parseSpaRoute(null), null);
+    });
+  });
+
+  describe('runSpaRouteCheck()', () => {
+    it('should capture the fresh page_view with its page context', async () => {
+      // Arrange
+      const page = createPageMock({ sendsPageView: true });
+      const capturedEvents = [];
+
+      // Act
+      const result = await runSpaRouteCheck(page, '/products', capturedEvents);
+
+      // Assert
+      assert.equal(result.error, null);
+      assert.equal(result.toUrl, 'https://www.example.com/products');
+      assert.deepEqual(result.pageViews, [{
+        measurementId: 'G-TEST123',
+        documentLocation: 'https://www.example.com/products',
+        documentTitle: 'Products'
+      }]);
+      assert.deepEqual(result.hits[0].pageContext, { url: 'https://www.example.com/products', title: 'Products' });
+      assert.equal(page.url(), 'https://www.example.com/');
+    });
+
+    it('should return no page_views when none is sent', async () => {
+      // Each poll advances the clock by one second (no real waiting)
+      let now = 0;
+      mock.method(Date, 'now', () => (now += 1000));
+
+      const result = await runSpaRouteCheck(createPageMock({ sendsPageView: false }), '/products', []);
+      mock.restoreAll();
+
+      assert.equal(result.error, null);
+      assert.deepEqual(result.pageViews, []);
+      assert.equal(result.ga4Hits, 0);
+    });
+
+    it('should return null without a route setting', async () => {
+      assert.equal(await runSpaRouteCheck(createPageMock({ sendsPageView: false }), '', []), null);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tag Inventory Module Tests
+ *
+ * Tests for third-party marketing tag classification, the per-result inventory
+ * and the TAG_MISSING / TAG_UNEXPECTED issues raised by the validator
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  classifyVendorRequest,
+  buildTagInventory,
+  parseExpectedTags,
+  compareTagInventory,
+  TAG_VENDOR
+} from '../../src/modules/tagInventory.js';
+import {
+  validateTagInventory,
+  ISSUE_TYPE,
+  SEVERITY
+} from '../../src/modules/configValidator.js';
+
+/**
+ * Create a captured vendor_tag event from a request URL
+ */
+function vendorEvent(url) {
+  return { url, type: 'vendor_tag', params: classifyVendorRequest(url) };
+}
+
+describe('tagInventory', () => {
+  describe('classifyVendorRequest()', () => {
+    it('should classify known vendor requests with their tag IDs', () => {
+      assert.deepEqual(
+        classifyVendorRequest('https://www.facebook.com/tr/?id=123456789012345&ev=PageView'),
+        { vendor: TAG_VENDOR.META_PIXEL, id: '123456789012345' }
+      );
+      assert.deepEqual(
+        classifyVendorRequest('https://wcs.naver.com/b?wa=s_1a2b3c4d5e&u=https%3A%2F%2Fwww.example.com'),
+        { vendor: TAG_VENDOR.NAVER_ANALYTICS, id: 's_1a2b3c4d5e' }
+      );
+      assert.deepEqual(
+        classifyVendorRequest('https://sslwidget.criteo.com/event?a=12345&v=5.23.0'),
+        { vendor: TAG_VENDOR.CRITEO, id: '12345' }
+      );
+      assert.deepEqual(
+        classifyVendorRequest('https://googleads.g.doubleclick.net/pagead/viewthroughconversion/987654321/?random=1'),
+        { vendor: TAG_VENDOR.GOOGLE_ADS, id: 'AW-987654321' }
+      );
+      assert.deepEqual(
+        classifyVendorRequest('https://ad.doubleclick.net/activity;src=1234567;type=sales;cat=purch0;ord=1'),
+        { vendor: TAG_VENDOR.FLOODLIGHT, id: 'DC-1234567' }
+      );
+      assert.deepEqual(
+        classifyVendorRequest('https://www.googletagmanager.com/gtag/js?id=AW-987654321'),
+        { vendor: TAG_VENDOR.GOOGLE_ADS, id: 'AW-987654321' }
+      );
+    });
+
+    it('should classify loader scripts without an ID', () => {
+      assert.deepEqual(
+        classifyVendorRequest('https://t1.daumcdn.net/kas/static/kp.js'),
+        { vendor: TAG_VENDOR.KAKAO_PIXEL, id: null }
+      );
+    });
+
+    it('should ignore GA4, GTM and unrelated requests', () => {
+      assert.equal(classifyVendorRequest('https://www.google-analytics.com/g/collect?v=2&tid=G-TEST123456'), null);
+      assert.equal(classifyVendorRequest('https://www.googletagmanager.com/gtm.js?id=GTM-ABC123'), null);
+      assert.equal(classifyVendorRequest('https://www.googletagmanager.com/gtag/js?id=G-TEST123456'), null);
+      assert.equal(classifyVendorRequest('https://cdn.example.com/app.js'), null);
+      assert.equal(classifyVendorRequest('not a url'), null);
+    });
+  });
+
+  describe('buildTagInventory()', () => {
+    it('should count requests per vendor and ID and drop loaders of identified vendors', () => {
+      // Arrange
+      const events = [
+        vendorEvent('https://connect.facebook.net/en_US/fbevents.js'),
+        vendorEvent('https://www.facebook.com/tr/?id=123456789012345&ev=PageView'),
+        vendorEvent('https://www.facebook.com/tr/?id=123456789012345&ev=ViewContent'),
+        vendorEvent('https://t1.daumcdn.net/kas/static/kp.js'),
+        { type: 'ga4_collect', params: { tid: 'G-TEST123456' } }
+      ];
+
+      // Act
+      const inventory = buildTagInventory(events);
+
+      // Assert
+      assert.deepEqual(inventory, [
+        { vendor: TAG_VENDOR.META_PIXEL, id: '123456789012345', requests: 2 },
+        { vendor: TAG_VENDOR.KAKAO_PIXEL, id: null, requests: 1 }
+      ]);
+    });
+  });
+
+  describe('parseExpectedTags()', () => {
+    it('should parse CSV notation and keep ID case', () => {
+      assert.deepEqual(
+        parseExpectedTags('Meta_Pixel:123; google_ads:AW-987654321,naver_analytics, meta_pixel:123'),
+        ['meta_pixel:123', 'google_ads:AW-987654321', 'naver_analytics']
+      );
+      assert.deepEqual(parseExpectedTags(null), []);
+    });
+  });
+
+  describe('compareTagInventory()', () => {
+    it('should report missing and unexpected tags', () => {
+      const inventory = [
+        { vendor: TAG_VENDOR.META_PIXEL, id: '123', requests: 1 },
+        { vendor: TAG_VENDOR.CRITEO, id: '555', requests: 1 }
+      ];
+
+      const { missing, unexpected } = compareTagInventory(['meta_pixel', 'google_ads:AW-1'], inventory);
+
+      assert.deepEqual(missing, ['google_ads:AW-1']);
+      assert.deepEqual(unexpected, [{ vendor: TAG_VENDOR.CRITEO, id: '555', requests: 1 }]);
+    });
+  });
+});
+
+describe('validateTagInventory()', () => {
+  it('should raise TAG_MISSING as warning and TAG_UNEXPECTED as info', () => {
+    // Arrange
+    const property = { expectedTags: ['meta_pixel:123456789012345', 'naver_analytics'] };
+    const events = [
+      vendorEvent('https://www.facebook.com/tr/?id=123456789012345&ev=PageView'),
+      vendorEvent('https://sslwidget.criteo.com/event?a=12345')
+    ];
+
+    // Act
+    const result = validateTagInventory(property, events);
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.missing, ['naver_analytics']);
+    assert.equal(result.issues.length, 2);
+    assert.equal(result.issues[0].type, ISSUE_TYPE.TAG_MISSING);
+    assert.equal(result.issues[0].severity, SEVERITY.WARNING);
+    assert.equal(result.issues[1].type, ISSUE_TYPE.TAG_UNEXPECTED);
+    assert.equal(result.issues[1].severity, SEVERITY.INFO);
+  });
+
+  it('should only report the inventory when no tags are expected', () => {
+    const result = validateTagInventory({}, [vendorEvent('https://sslwidget.criteo.com/event?a=12345')]);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.tags.length, 1);
+    assert.deepEqual(result.issues, []);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tag Timing Collector Module Tests
+ *
+ * Tests for the tag timing record (navigation, gtm.js and GA4 hit milestones)
+ * and the TAG_LATENCY_BUDGET_EXCEEDED issue raised by the validator
+ *
+ * Epic 3: GA4/GTM Configuration Validation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTagTiming, collectTagTiming } from '../../src/modules/tagTimingCollector.js';
+import {
+  validateTagLatency,
+  ISSUE_TYPE,
+  SEVERITY
+} from '../../src/modules/configValidator.js';
+
+const TIME_ORIGIN = 1760000000000;
+
+/**
+ * Create a captured GA4 hit sent at a given offset from navigation start
+ */
+function ga4Hit(en, offsetMs, source = 'cdp') {
+  return source === 'cdp'
+    ? { type: 'ga4_collect', source, wallTime: (TIME_ORIGIN + offsetMs) / 1000, params: { en } }
+    : { type: 'ga4_collect', source, timestamp: (TIME_ORIGIN + offsetMs) / 1000, params: { en } };
+}
+
+describe('tagTimingCollector', () => {
+  describe('buildTagTiming()', () => {
+    it('should build milestones relative to navigation start', () => {
+      // Arrange
+      const performanceData = {
+        timeOrigin: TIME_ORIGIN,
+        domContentLoaded: 812.4,
+        gtmResources: [
+          { name: 'https://www.googletagmanager.com/gtm.js?id=GTM-LATE01', startTime: 2400, responseEnd: 2600 },
+          { name: 'https://www.googletagmanager.com/gtm.js?id=GTM-ABC123', startTime: 350.2, responseEnd: 520.7 }
+        ]
+      };
+      const events = [
+        ga4Hit('scroll', 3100, 'beacon'),
+        ga4Hit('page_view', 1450),
+        ga4Hit('user_engagement', 1200),
+        { type: 'ga4_collect', source: 'window_extraction', params: { tid: 'G-TEST123456' } }
+      ];
+
+      // Act
+      const timing = buildTagTiming(performanceData, events);
+
+      // Assert
+      assert.deepEqual(timing, {
+        navigationStart: new Date(TIME_ORIGIN).toISOString(),
+        domContentLoadedMs: 812,
+        gtmRequestMs: 350,
+        gtmResponseMs: 521,
+        firstGA4HitMs: 1200,
+        pageViewHitMs: 1450
+      });
+    });
+
+    it('should leave milestones empty when gtm.js and GA4 hits are missing', () => {
+      const timing = buildTagTiming({ timeOrigin: TIME_ORIGIN, domContentLoaded: 0, gtmResources: [] }, []);
+
+      assert.equal(timing.domContentLoadedMs, null);
+      assert.equal(timing.gtmRequestMs, null);
+      assert.equal(timing.firstGA4HitMs, null);
+      assert.equal(timing.pageViewHitMs, null);
+    });
+  });
+
+  describe('collectTagTiming()', () => {
+    it('should return null when the page cannot be evaluated', async () => {
+      const page = { evaluate: async () => { throw new Error('Target closed'); } };
+
+      const timing = await collectTagTiming(page, []);
+
+      assert.equal(timing, null);
+    });
+  });
+});
+
+describe('validateTagLatency()', () => {
+  it('should raise TAG_LATENCY_BUDGET_EXCEEDED when the page_view exceeds the budget', () => {
+    // Arrange
+    const tagTiming = { firstGA4HitMs: 900, pageViewHitMs: 4200 };
+
+    // Act
+    const result = validateTagLatency({ latencyBudgetMs: 3000 }, tagTiming);
+
+    // Assert
+    assert.equal(result.isValid, false);
+    assert.equal(result.milestone, 'pageViewHitMs');
+    assert.equal(result.issues[0].type, ISSUE_TYPE.TAG_LATENCY_BUDGET_EXCEEDED);
+    assert.equal(result.issues[0].severity, SEVERITY.WARNING);
+    assert.equal(result.issues[0].actual, '4200ms');
+  });
+
+  it('should fall back to the first GA4 hit without page_view', () => {
+    const result = validateTagLatency({ latencyBudgetMs: 3000 }, { firstGA4HitMs: 1800, pageViewHitMs: null });
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.milestone, 'firstGA4HitMs');
+    assert.equal(result.actualMs, 1800);
+  });
+
+  it('should pass without a budget or timing', () => {
+    assert.equal(validateTagLatency({}, { pageViewHitMs: 9000 }).isValid, true);
+    assert.equal(validateTagLatency({ latencyBudgetMs: 3000 }, null).isValid, true);
+  });
+});
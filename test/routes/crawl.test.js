@@ -0,0 +1,113 @@
+/**
+ * Crawl Routes Tests
+ *
+ * Tests for the crawl result transforms served to the dashboard
+ * (Supabase client mocked, no network access)
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-service-role-key';
+
+// Node 20 has no native WebSocket (required by the Supabase realtime client)
+if (typeof globalThis.WebSocket === 'undefined') {
+  globalThis.WebSocket = (await import('ws')).WebSocket;
+}
+
+const { supabase } = await import('../../src/utils/supabase.js');
+const { default: crawlRouter } = await import('../../src/routes/crawl.js');
+
+const crawlResult = {
+  id: 'result-1',
+  crawl_run_id: 'run-1',
+  property_id: 'prop-1',
+  created_at: '2026-10-19T00:00:00Z',
+  collected_ga4_id: 'G-TEST123',
+  collected_gtm_id: ['GTM-ABC123'],
+  har_path: 'run-1/prop-1_1700000000000.har.gz',
+  validation_details: {},
+  properties: {
+    property_name: 'Test Property',
+    url: 'https://www.example.com',
+    slug: 'test-property',
+    expected_ga4_id: 'G-TEST123',
+    expected_gtm_id: 'GTM-ABC123'
+  }
+};
+
+/**
+ * Chainable Supabase query resolving to the given rows
+ */
+function createQuery(data) {
+  const query = {
+    select: () => query,
+    eq: () => query,
+    order: () => query,
+    single: () => query,
+    then: (resolve, reject) => Promise.resolve({ data, error: null }).then(resolve, reject)
+  };
+  return query;
+}
+
+describe('crawl routes', () => {
+  let server;
+  let baseUrl;
+  let signedPaths;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    const tables = {
+      crawl_runs: { id: 'run-1', status: 'completed', is_saved: true },
+      crawl_results: [crawlResult],
+      properties: [{ id: 'prop-1', property_name: 'Test Property', url: 'https://www.example.com', slug: 'test-property' }]
+    };
+    mock.method(supabase, 'from', (table) => createQuery(tables[table]));
+    mock.method(supabase.storage, 'from', () => ({
+      createSignedUrls: async (paths) => {
+        signedPaths = paths;
+        return {
+          data: paths.map(path => ({ path, signedUrl: `https://xxxxx.supabase.co/storage/v1/object/sign/hars/${path}?token=abc` })),
+          error: null
+        };
+      }
+    }));
+
+    const app = express();
+    app.use('/api/crawl', crawlRouter);
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}/api/crawl`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  describe('GET /runs/:runId/results', () => {
+    it('should return a signed HAR download URL per result', async () => {
+      // Act
+      const response = await fetch(`${baseUrl}/runs/run-1/results`);
+      const body = await response.json();
+
+      // Assert
+      assert.equal(response.status, 200);
+      assert.deepEqual(signedPaths, ['run-1/prop-1_1700000000000.har.gz']);
+      assert.equal(body.data.results[0].har_url, 'https://xxxxx.supabase.co/storage/v1/object/sign/hars/run-1/prop-1_1700000000000.har.gz?token=abc');
+    });
+  });
+
+  describe('GET /saved-results/:id', () => {
+    it('should return a signed HAR download URL per result', async () => {
+      // Act
+      const response = await fetch(`${baseUrl}/saved-results/run-1`);
+      const body = await response.json();
+
+      // Assert
+      assert.equal(response.status, 200);
+      assert.equal(body.data.results[0].har_url, 'https://xxxxx.supabase.co/storage/v1/object/sign/hars/run-1/prop-1_1700000000000.har.gz?token=abc');
+    });
+  });
+});